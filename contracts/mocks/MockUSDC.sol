@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {MessageHashUtils} from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/// @title MockUSDC
+/// @notice Test-only 6-decimal token with USDC's EIP-3009 `transferWithAuthorization`, for settling x402
+/// payments on a local chain.
+/// @dev The EIP-712 domain uses a chain id fixed at deployment rather than `block.chainid`: x402 clients sign
+/// for the chain named by the payment's network (e.g. base-sepolia), while a local node runs as 31337.
+contract MockUSDC is ERC20 {
+    bytes32 public constant TRANSFER_WITH_AUTHORIZATION_TYPEHASH = keccak256(
+        "TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+    );
+
+    bytes32 public immutable DOMAIN_SEPARATOR;
+    string public version;
+
+    mapping(address authorizer => mapping(bytes32 nonce => bool)) private _authorizationStates;
+
+    error AuthorizationNotYetValid(uint256 validAfter);
+    error AuthorizationExpired(uint256 validBefore);
+    error AuthorizationAlreadyUsed(address authorizer, bytes32 nonce);
+    error InvalidSignature();
+
+    event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce);
+
+    constructor(string memory name_, string memory version_, uint256 domainChainId) ERC20(name_, "USDC") {
+        version = version_;
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes(name_)),
+                keccak256(bytes(version_)),
+                domainChainId,
+                address(this)
+            )
+        );
+    }
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function authorizationState(address authorizer, bytes32 nonce) external view returns (bool) {
+        return _authorizationStates[authorizer][nonce];
+    }
+
+    function transferWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes calldata signature
+    ) external {
+        if (block.timestamp <= validAfter) {
+            revert AuthorizationNotYetValid(validAfter);
+        }
+        if (block.timestamp >= validBefore) {
+            revert AuthorizationExpired(validBefore);
+        }
+        if (_authorizationStates[from][nonce]) {
+            revert AuthorizationAlreadyUsed(from, nonce);
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(TRANSFER_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce)
+        );
+        bytes32 digest = MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR, structHash);
+        if (ECDSA.recover(digest, signature) != from) {
+            revert InvalidSignature();
+        }
+
+        _authorizationStates[from][nonce] = true;
+        emit AuthorizationUsed(from, nonce);
+        _transfer(from, to, value);
+    }
+}
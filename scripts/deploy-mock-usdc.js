@@ -0,0 +1,100 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+const hre = require("hardhat");
+
+// x402 clients sign USDC authorizations for the chain named by the payment's network, not the node's chain id.
+const X402_NETWORK_CHAIN_IDS = {
+  base: 8453n,
+  "base-sepolia": 84532n,
+};
+
+function parseBigInt(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  return BigInt(value);
+}
+
+function upsertEnvValue(filePath, key, value) {
+  const line = `${key}=${value}`;
+  let content = "";
+  if (fs.existsSync(filePath)) {
+    content = fs.readFileSync(filePath, "utf8");
+  }
+
+  const pattern = new RegExp(`^${key}=.*$`, "m");
+  if (pattern.test(content)) {
+    content = content.replace(pattern, line);
+  } else {
+    if (content.length > 0 && !content.endsWith("\n")) {
+      content += "\n";
+    }
+    content += `${line}\n`;
+  }
+
+  fs.writeFileSync(filePath, content, "utf8");
+}
+
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+  if (!deployer) {
+    throw new Error("No deployer account available. Configure DEPLOYER_PRIVATE_KEY in .env");
+  }
+
+  const x402Network = process.env.X402_NETWORK || "base-sepolia";
+  const domainChainId = X402_NETWORK_CHAIN_IDS[x402Network];
+  if (!domainChainId) {
+    throw new Error(`Unsupported X402_NETWORK for MockUSDC: ${x402Network}`);
+  }
+  const tokenName = process.env.X402_USDC_NAME || "USDC";
+  const tokenVersion = process.env.X402_USDC_VERSION || "2";
+  const mintAmount = parseBigInt(process.env.MOCK_USDC_MINT_ATOMIC, 1_000_000n);
+  const mintTo = process.env.X402_TEST_PRIVATE_KEY
+    ? new hre.ethers.Wallet(process.env.X402_TEST_PRIVATE_KEY).address
+    : deployer.address;
+
+  const MockUSDC = await hre.ethers.getContractFactory("MockUSDC");
+  const usdc = await MockUSDC.connect(deployer).deploy(tokenName, tokenVersion, domainChainId);
+  await usdc.waitForDeployment();
+  const usdcAddress = await usdc.getAddress();
+  console.log("MockUSDC deployed to:", usdcAddress);
+
+  const mintTx = await usdc.mint(mintTo, mintAmount);
+  await mintTx.wait();
+  console.log(`Minted ${mintAmount.toString()} atomic units to ${mintTo}`);
+
+  const networkName = hre.network.name;
+  const deployment = {
+    network: networkName,
+    chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+    x402Network,
+    domainChainId: Number(domainChainId),
+    deployer: deployer.address,
+    usdcAddress,
+    tokenName,
+    tokenVersion,
+    mintedTo: mintTo,
+    mintedAtomic: mintAmount.toString(),
+    deployedAt: new Date().toISOString(),
+  };
+
+  const deploymentsDir = path.join(process.cwd(), "deployments");
+  fs.mkdirSync(deploymentsDir, { recursive: true });
+  const outPath = path.join(deploymentsDir, `${networkName}-mock-usdc.json`);
+  fs.writeFileSync(outPath, `${JSON.stringify(deployment, null, 2)}\n`, "utf8");
+
+  const envPath = path.join(process.cwd(), ".env");
+  upsertEnvValue(envPath, "X402_USDC_ADDRESS", usdcAddress);
+  upsertEnvValue(envPath, "X402_USDC_NAME", tokenName);
+  upsertEnvValue(envPath, "X402_USDC_VERSION", tokenVersion);
+
+  console.log("deployment file:", outPath);
+  console.log(`X402_USDC_ADDRESS=${usdcAddress}`);
+  console.log("Updated .env to pay with MockUSDC");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -70,6 +70,7 @@ async function main() {
 
   await trustScore.waitForDeployment();
   const trustScoreAddress = await trustScore.getAddress();
+  const deployReceipt = await trustScore.deploymentTransaction().wait();
 
   const networkName = hre.network.name;
   const deployment = {
@@ -80,6 +81,7 @@ async function main() {
     updater,
     identityRegistryAddress,
     trustScoreAddress,
+    deployBlock: deployReceipt.blockNumber,
     queryFeeWei: queryFeeWei.toString(),
     useMockRegistry,
     deployedAt: new Date().toISOString(),
@@ -115,6 +117,7 @@ async function main() {
 
   upsertEnvValue(envPath, "API_RPC_URL", rpcUrlForEnv);
   upsertEnvValue(envPath, "TRUST_SCORE_ADDRESS", trustScoreAddress);
+  upsertEnvValue(envPath, "TRUST_SCORE_DEPLOY_BLOCK", String(deployReceipt.blockNumber));
   upsertEnvValue(envPath, "IDENTITY_REGISTRY_ADDRESS", identityRegistryAddress);
   upsertEnvValue(envPath, "DEPLOYER_ADDRESS", owner);
   upsertEnvValue(envPath, "UPDATER_ADDRESS", updater);
@@ -5,11 +5,17 @@ const path = require("node:path");
 const dotenv = require("dotenv");
 const { createWalletClient, http } = require("viem");
 const { privateKeyToAccount } = require("viem/accounts");
-const { base } = require("viem/chains");
+const { base, baseSepolia } = require("viem/chains");
 const { wrapFetchWithPayment, decodeXPaymentResponse } = require("x402-fetch");
 
 dotenv.config({ path: path.resolve(__dirname, "..", ".env") });
 
+// x402-fetch only picks payment requirements for the wallet chain's network.
+const TEST_CHAINS = {
+  base,
+  "base-sepolia": baseSepolia,
+};
+
 function toUrl(value) {
   try {
     return new URL(value);
@@ -53,6 +59,12 @@ async function main() {
   const rpcUrl = process.env.X402_TEST_RPC_URL || process.env.BASE_MAINNET_RPC_URL || "https://mainnet.base.org";
   const privateKey = normalizePrivateKey(process.env.X402_TEST_PRIVATE_KEY);
   const maxAtomic = parseMaxAtomic(process.env.X402_MAX_PAYMENT_ATOMIC, 20_000n);
+  const networkName = process.env.X402_TEST_NETWORK || "base";
+  const chain = TEST_CHAINS[networkName];
+
+  if (!chain) {
+    throw new Error(`Unsupported X402_TEST_NETWORK: ${networkName} (expected base or base-sepolia)`);
+  }
 
   if (!privateKey || privateKey === "0x") {
     throw new Error("Missing X402_TEST_PRIVATE_KEY (funded Base wallet private key required)");
@@ -64,13 +76,13 @@ async function main() {
   }
 
   console.log(`[paid-test] target=${targetUrl}`);
-  console.log(`[paid-test] rpc=${rpcUrl}`);
+  console.log(`[paid-test] network=${networkName} rpc=${rpcUrl}`);
   console.log(`[paid-test] maxAtomic=${maxAtomic.toString()} (USDC 6 decimals)`);
 
   const account = privateKeyToAccount(privateKey);
   const walletClient = createWalletClient({
     account,
-    chain: base,
+    chain,
     transport: http(rpcUrl),
   });
 
@@ -0,0 +1,609 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const express = require("express");
+const { ethers } = require("ethers");
+
+const { formatUsdPriceAtomic, parseUsdPriceAtomic } = require("./paymentMiddleware");
+
+const ACCOUNTS_FILENAME = ".api-accounts.json";
+const ACCOUNTS_VERSION = 1;
+const API_KEY_HEADER = "x-api-key";
+const API_KEY_PREFIX = "rmk_";
+// Native USDC on Base mainnet; set ACCOUNTS_USDC_ADDRESS for Base Sepolia or a local token.
+const BASE_USDC_ADDRESS = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+const DEFAULT_CONFIRMATIONS = 2;
+const DEFAULT_POLL_INTERVAL_MS = 30_000;
+const DEFAULT_CHUNK_BLOCKS = 2_000;
+const DEFAULT_SIGNATURE_MAX_AGE_SECONDS = 600;
+const DEFAULT_FLUSH_INTERVAL_MS = 1_000;
+
+const TRANSFER_ABI = ["event Transfer(address indexed from, address indexed to, uint256 value)"];
+const transferInterface = new ethers.Interface(TRANSFER_ABI);
+const TRANSFER_TOPIC = transferInterface.getEvent("Transfer").topicHash;
+
+// EIP-712 payload a wallet signs to get (or rotate) its API key; the domain binds it to the deposit address.
+const ACCOUNT_DOMAIN_NAME = "Robomoustachio Accounts";
+const ACCOUNT_DOMAIN_VERSION = "1";
+const API_KEY_REQUEST_TYPES = {
+  ApiKeyRequest: [
+    { name: "wallet", type: "address" },
+    { name: "issuedAt", type: "uint64" },
+  ],
+};
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function toNonNegativeInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function defaultAccountsPath(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), ACCOUNTS_FILENAME);
+}
+
+function loadAccountConfigFromEnv(env = process.env) {
+  const depositAddress = String(env.ACCOUNTS_DEPOSIT_ADDRESS || "").trim();
+  if (depositAddress && !ethers.isAddress(depositAddress)) {
+    throw new Error(`ACCOUNTS_DEPOSIT_ADDRESS is not a valid address: ${depositAddress}`);
+  }
+  const usdcAddress = String(env.ACCOUNTS_USDC_ADDRESS || BASE_USDC_ADDRESS).trim();
+  if (!ethers.isAddress(usdcAddress)) {
+    throw new Error(`ACCOUNTS_USDC_ADDRESS is not a valid address: ${usdcAddress}`);
+  }
+  return {
+    enabled: Boolean(depositAddress),
+    depositAddress: depositAddress ? ethers.getAddress(depositAddress) : null,
+    usdcAddress: ethers.getAddress(usdcAddress),
+    startBlock: toNonNegativeInt(env.ACCOUNTS_DEPOSIT_START_BLOCK, null),
+    confirmations: toNonNegativeInt(env.ACCOUNTS_DEPOSIT_CONFIRMATIONS, DEFAULT_CONFIRMATIONS),
+    pollIntervalMs: toPositiveInt(env.ACCOUNTS_DEPOSIT_POLL_MS, DEFAULT_POLL_INTERVAL_MS),
+    chunkBlocks: toPositiveInt(env.ACCOUNTS_DEPOSIT_CHUNK_BLOCKS, DEFAULT_CHUNK_BLOCKS),
+    signatureMaxAgeSeconds: toPositiveInt(env.ACCOUNTS_SIGNATURE_MAX_AGE_SECONDS, DEFAULT_SIGNATURE_MAX_AGE_SECONDS),
+    flushIntervalMs: toPositiveInt(env.ACCOUNTS_FLUSH_MS, DEFAULT_FLUSH_INTERVAL_MS),
+  };
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+function buildAccountDomain({ chainId, verifyingContract }) {
+  return {
+    name: ACCOUNT_DOMAIN_NAME,
+    version: ACCOUNT_DOMAIN_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * Validates a POST /account/keys body. Throws RangeError naming the first invalid field.
+ */
+function parseApiKeyRequest(body) {
+  const input = body && typeof body === "object" ? body : {};
+  if (typeof input.wallet !== "string" || !ethers.isAddress(input.wallet)) {
+    throw new RangeError("wallet must be an address");
+  }
+  if (!Number.isInteger(input.issuedAt) || input.issuedAt <= 0) {
+    throw new RangeError("issuedAt must be a unix timestamp in seconds");
+  }
+  if (typeof input.signature !== "string" || !/^0x[0-9a-fA-F]{130}$/.test(input.signature)) {
+    throw new RangeError("signature must be a 65-byte hex string");
+  }
+  return { wallet: ethers.getAddress(input.wallet), issuedAt: input.issuedAt, signature: input.signature };
+}
+
+function addUsage(usage, key, requests, amount) {
+  const entry = usage[key] || { requests: 0, spent: "0" };
+  usage[key] = { requests: entry.requests + requests, spent: (BigInt(entry.spent) + amount).toString() };
+}
+
+/**
+ * Prepaid accounts keyed by wallet: balance and deposit history in USDC atomic units, the SHA-256
+ * of the current API key, and spend by route and agent. `depositCursor` is the last block whose
+ * deposits have been applied.
+ *
+ * Accounts are read from `filePath` once and kept in memory. Charges and refunds are saved in
+ * batches at most every `flushIntervalMs`, so a crash can drop that window's spend; deposits and
+ * new keys are saved before their calls resolve.
+ */
+function createAccountStore({ filePath, flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS } = {}) {
+  if (!filePath) {
+    throw new Error("Missing API accounts file path");
+  }
+
+  let document = null;
+  let loading = null;
+  const accountsByKeyHash = new Map();
+  let dirty = false;
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  async function readDocument() {
+    try {
+      const stored = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return {
+        depositCursor: Number.isInteger(stored?.depositCursor) ? stored.depositCursor : null,
+        accounts: Array.isArray(stored?.accounts) ? stored.accounts : [],
+      };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { depositCursor: null, accounts: [] };
+      }
+      throw error;
+    }
+  }
+
+  async function writeDocument() {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify({ version: ACCOUNTS_VERSION, ...document }, null, 2)}\n`, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function load() {
+    if (!loading) {
+      loading = readDocument().then((stored) => {
+        document = stored;
+        for (const account of stored.accounts) {
+          if (account.keyHash) {
+            accountsByKeyHash.set(account.keyHash, account);
+          }
+        }
+      });
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  /**
+   * Writes pending changes now. Writes are serialized; changes made while one is in progress go
+   * out with the next.
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const result = writing.then(async () => {
+      if (!dirty) {
+        return;
+      }
+      dirty = false;
+      try {
+        await writeDocument();
+      } catch (error) {
+        dirty = true;
+        throw error;
+      }
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  function scheduleFlush() {
+    dirty = true;
+    if (flushTimer) {
+      return;
+    }
+    flushTimer = setTimeout(() => {
+      flush().catch((error) => console.warn(`[accounts] saving ${filePath} failed: ${error.message}`));
+    }, flushIntervalMs);
+    flushTimer.unref();
+  }
+
+  function findOrCreate(wallet) {
+    let account = document.accounts.find((candidate) => candidate.wallet === wallet);
+    if (!account) {
+      account = {
+        wallet,
+        keyHash: null,
+        keyIssuedAt: null,
+        balance: "0",
+        deposits: [],
+        usage: { byRoute: {}, byAgent: {} },
+        createdAt: Date.now(),
+      };
+      document.accounts.push(account);
+    }
+    return account;
+  }
+
+  async function getDepositCursor() {
+    await load();
+    return document.depositCursor;
+  }
+
+  /**
+   * Credits `deposits` ({ id, from, amount, blockNumber, transactionHash }) to their sender's
+   * account, skipping ids already applied, and moves the cursor to `throughBlock`.
+   */
+  async function applyDeposits(deposits, throughBlock) {
+    await load();
+    const seen = new Set(document.accounts.flatMap((account) => account.deposits.map((deposit) => deposit.id)));
+    const applied = [];
+    for (const deposit of deposits) {
+      if (seen.has(deposit.id)) {
+        continue;
+      }
+      const account = findOrCreate(ethers.getAddress(deposit.from));
+      account.balance = (BigInt(account.balance) + BigInt(deposit.amount)).toString();
+      account.deposits.push({
+        id: deposit.id,
+        amount: deposit.amount.toString(),
+        blockNumber: deposit.blockNumber,
+        transactionHash: deposit.transactionHash,
+      });
+      seen.add(deposit.id);
+      applied.push(deposit);
+    }
+    document.depositCursor = Math.max(document.depositCursor ?? -1, throughBlock);
+    scheduleFlush();
+    await flush();
+    return applied;
+  }
+
+  /**
+   * Replaces the wallet's API key. `issuedAt` must be newer than the previous key's, so a captured
+   * signature can't be replayed to rotate the key again. Resolves to the new key, or null.
+   */
+  async function issueKey(wallet, issuedAt) {
+    await load();
+    const account = findOrCreate(wallet);
+    if (account.keyIssuedAt !== null && issuedAt <= account.keyIssuedAt) {
+      return null;
+    }
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+    accountsByKeyHash.delete(account.keyHash);
+    account.keyHash = hashApiKey(apiKey);
+    account.keyIssuedAt = issuedAt;
+    accountsByKeyHash.set(account.keyHash, account);
+    scheduleFlush();
+    await flush();
+    return apiKey;
+  }
+
+  async function findByKey(apiKey) {
+    await load();
+    const account = accountsByKeyHash.get(hashApiKey(apiKey));
+    return account ? structuredClone(account) : null;
+  }
+
+  /**
+   * Deducts `amount` for one request to `route` covering `agentIds`. Resolves to "charged",
+   * "unknown_key", or "insufficient_balance".
+   */
+  async function charge(apiKey, { route, agentIds, amount }) {
+    await load();
+    const account = accountsByKeyHash.get(hashApiKey(apiKey));
+    if (!account) {
+      return "unknown_key";
+    }
+    if (BigInt(account.balance) < amount) {
+      return "insufficient_balance";
+    }
+    account.balance = (BigInt(account.balance) - amount).toString();
+    addUsage(account.usage.byRoute, route, 1, amount);
+    const perAgent = agentIds.length > 0 ? amount / BigInt(agentIds.length) : 0n;
+    for (const agentId of agentIds) {
+      addUsage(account.usage.byAgent, agentId, 1, perAgent);
+    }
+    scheduleFlush();
+    return "charged";
+  }
+
+  /**
+   * Returns a charge whose request failed. The request still counts, but not its spend.
+   */
+  async function refund(apiKey, { route, agentIds, amount }) {
+    await load();
+    const account = accountsByKeyHash.get(hashApiKey(apiKey));
+    if (!account) {
+      return false;
+    }
+    account.balance = (BigInt(account.balance) + amount).toString();
+    addUsage(account.usage.byRoute, route, 0, -amount);
+    const perAgent = agentIds.length > 0 ? amount / BigInt(agentIds.length) : 0n;
+    for (const agentId of agentIds) {
+      addUsage(account.usage.byAgent, agentId, 0, -perAgent);
+    }
+    scheduleFlush();
+    return true;
+  }
+
+  return {
+    filePath,
+    getDepositCursor,
+    applyDeposits,
+    issueKey,
+    findByKey,
+    charge,
+    refund,
+    flush,
+  };
+}
+
+/**
+ * Follows USDC `Transfer` events into the deposit address and credits each sender's account once
+ * the transfer has `confirmations` blocks on top. Works against any chain with an ERC-20 at
+ * `usdcAddress`, including a local Hardhat node.
+ */
+function createDepositWatcher({ provider, accountStore, config }) {
+  let timer = null;
+  let syncing = null;
+
+  async function scan() {
+    const head = await provider.getBlockNumber();
+    const toBlock = head - config.confirmations;
+    const cursor = await accountStore.getDepositCursor();
+    // Without a start block, the first scan only covers the latest confirmed block.
+    let fromBlock = cursor === null ? (config.startBlock ?? Math.max(toBlock, 0)) : cursor + 1;
+    let applied = 0;
+
+    while (fromBlock <= toBlock) {
+      const chunkEnd = Math.min(fromBlock + config.chunkBlocks - 1, toBlock);
+      const logs = await provider.getLogs({
+        address: config.usdcAddress,
+        topics: [TRANSFER_TOPIC, null, ethers.zeroPadValue(config.depositAddress, 32)],
+        fromBlock,
+        toBlock: chunkEnd,
+      });
+      const deposits = logs.map((log) => {
+        const { args } = transferInterface.parseLog(log);
+        return {
+          id: `${log.transactionHash}:${log.index ?? log.logIndex}`,
+          from: args.from,
+          amount: args.value,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+        };
+      });
+      applied += (await accountStore.applyDeposits(deposits, chunkEnd)).length;
+      fromBlock = chunkEnd + 1;
+    }
+    return { applied, throughBlock: toBlock };
+  }
+
+  /**
+   * Applies confirmed deposits up to the current head. Concurrent calls share one scan.
+   */
+  function sync() {
+    if (!syncing) {
+      syncing = scan().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    const tick = () => {
+      sync()
+        .then(({ applied }) => {
+          if (applied > 0) {
+            console.log(`[accounts] applied ${applied} USDC deposit(s)`);
+          }
+        })
+        .catch((error) => console.warn(`[accounts] deposit scan failed: ${error.message}`))
+        .finally(() => {
+          timer = setTimeout(tick, config.pollIntervalMs);
+          timer.unref();
+        });
+    };
+    tick();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    sync,
+    start,
+    stop,
+  };
+}
+
+/**
+ * Charges requests that carry an `X-API-Key` to the key's prepaid balance before the x402
+ * middleware runs. `resolveRoute(req)` returns `{ key, price, agentIds }` for a paid route (or
+ * null). Charged requests are marked with `res.locals.apiAccount`. The charge is taken before the
+ * route validates the request, so any 4xx or 5xx response refunds it, as does a client that
+ * disconnects before the response is sent.
+ */
+function createAccountMiddleware({ accountStore, enabled, resolveRoute }) {
+  return async function accountMiddleware(req, res, next) {
+    const apiKey = req.get(API_KEY_HEADER);
+    if (!enabled || !apiKey || res.locals.creditRedeemed) {
+      return next();
+    }
+    const route = resolveRoute(req);
+    if (!route) {
+      return next();
+    }
+
+    const charge = { route: route.key, agentIds: route.agentIds, amount: parseUsdPriceAtomic(route.price) };
+    let outcome;
+    try {
+      outcome = await accountStore.charge(apiKey, charge);
+    } catch (error) {
+      return next(error);
+    }
+    if (outcome === "unknown_key") {
+      return res.status(401).json({
+        error: "Invalid API key",
+        details: `The ${API_KEY_HEADER} header does not match an active key.`,
+      });
+    }
+    if (outcome === "insufficient_balance") {
+      return res.status(402).json({
+        error: "Insufficient prepaid balance",
+        route: route.key,
+        price: route.price,
+        details: "Deposit more USDC to the account deposit address, or pay with x402.",
+      });
+    }
+
+    res.locals.apiAccount = true;
+    res.locals.paymentStatus = "paid_account";
+    // "close" without "finish" means the client went away before the response was sent.
+    let settled = false;
+    const settle = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (res.statusCode >= 400 || !res.writableFinished) {
+        accountStore.refund(apiKey, charge).catch((error) => {
+          console.warn(`[accounts] refund for ${req.method} ${req.path} failed: ${error.message}`);
+        });
+      }
+    };
+    res.on("finish", settle);
+    res.on("close", settle);
+    return next();
+  };
+}
+
+function formatUsage(usage) {
+  return Object.fromEntries(
+    Object.entries(usage).map(([key, entry]) => [
+      key,
+      { requests: entry.requests, spent: formatUsdPriceAtomic(BigInt(entry.spent)) },
+    ])
+  );
+}
+
+function summarizeAccount(account) {
+  const deposited = account.deposits.reduce((total, deposit) => total + BigInt(deposit.amount), 0n);
+  return {
+    wallet: account.wallet,
+    balance: formatUsdPriceAtomic(BigInt(account.balance)),
+    balanceAtomic: account.balance,
+    deposited: formatUsdPriceAtomic(deposited),
+    deposits: account.deposits.length,
+    keyIssuedAt: account.keyIssuedAt,
+  };
+}
+
+function createAccountRouter({ accountStore, accountConfig, enabled, resolveChainId }) {
+  const router = express.Router();
+
+  function requireAccounts(res) {
+    if (enabled) {
+      return true;
+    }
+    res.status(503).json({
+      error: "Prepaid accounts are not configured",
+      details: "Set ACCOUNTS_DEPOSIT_ADDRESS and TRUST_SCORE_ADDRESS to enable API keys.",
+    });
+    return false;
+  }
+
+  router.post("/account/keys", async (req, res, next) => {
+    if (!requireAccounts(res)) {
+      return undefined;
+    }
+    let input;
+    try {
+      input = parseApiKeyRequest(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid API key request",
+        details: error.message,
+      });
+    }
+    const maxAgeSeconds = accountConfig.signatureMaxAgeSeconds;
+    if (Math.abs(Math.floor(Date.now() / 1000) - input.issuedAt) > maxAgeSeconds) {
+      return res.status(400).json({
+        error: "Invalid API key request",
+        details: `issuedAt must be within ${maxAgeSeconds} seconds of the current time`,
+      });
+    }
+
+    try {
+      const domain = buildAccountDomain({
+        chainId: await resolveChainId(),
+        verifyingContract: accountConfig.depositAddress,
+      });
+      const signer = ethers.verifyTypedData(
+        domain,
+        API_KEY_REQUEST_TYPES,
+        { wallet: input.wallet, issuedAt: input.issuedAt },
+        input.signature
+      );
+      if (signer !== input.wallet) {
+        return res.status(403).json({
+          error: "Signature is not from the wallet",
+          details: `Recovered ${signer}; expected ${input.wallet}.`,
+        });
+      }
+
+      const apiKey = await accountStore.issueKey(input.wallet, input.issuedAt);
+      if (!apiKey) {
+        return res.status(409).json({
+          error: "Stale API key request",
+          details: "issuedAt must be later than the wallet's current key.",
+        });
+      }
+      const account = await accountStore.findByKey(apiKey);
+      console.log(`[accounts] API key issued for ${input.wallet}`);
+      return res.status(201).json({ apiKey, account: summarizeAccount(account) });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get("/account/usage", async (req, res, next) => {
+    if (!requireAccounts(res)) {
+      return undefined;
+    }
+    try {
+      const apiKey = req.get(API_KEY_HEADER);
+      const account = apiKey ? await accountStore.findByKey(apiKey) : null;
+      if (!account) {
+        return res.status(401).json({
+          error: "Invalid API key",
+          details: `Send the account's key in the ${API_KEY_HEADER} header.`,
+        });
+      }
+      res.set("cache-control", "no-store");
+      return res.json({
+        ...summarizeAccount(account),
+        usage: {
+          byRoute: formatUsage(account.usage.byRoute),
+          byAgent: formatUsage(account.usage.byAgent),
+        },
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  API_KEY_REQUEST_TYPES,
+  BASE_USDC_ADDRESS,
+  buildAccountDomain,
+  createAccountMiddleware,
+  createAccountRouter,
+  createAccountStore,
+  createDepositWatcher,
+  defaultAccountsPath,
+  loadAccountConfigFromEnv,
+  parseApiKeyRequest,
+};
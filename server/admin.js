@@ -0,0 +1,146 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const express = require("express");
+
+const { DISPUTE_STATUSES, parseDisputeResolution } = require("./disputes");
+const { parseOverrideInput } = require("./overrides");
+const { validateAgentIdParam } = require("./validation");
+
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Bearer-token check against ADMIN_API_KEY. Admin routes answer 503 while no key is configured.
+ */
+function createAdminAuth(adminApiKey) {
+  const expected = adminApiKey ? digest(adminApiKey) : null;
+
+  return function requireAdmin(req, res, next) {
+    if (!expected) {
+      return res.status(503).json({
+        error: "Admin API is not configured",
+        details: "Set ADMIN_API_KEY to enable /admin routes.",
+      });
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+    // Comparing fixed-length digests keeps the check constant-time regardless of the token's length.
+    if (!match || !crypto.timingSafeEqual(digest(match[1].trim()), expected)) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        details: "Provide the admin API key as `Authorization: Bearer <key>`.",
+      });
+    }
+    return next();
+  };
+}
+
+/**
+ * Operator routes for manual score overrides and agent disputes. Overrides take effect on chain the
+ * next time the indexer runs; see server/overrides.js.
+ */
+function createAdminRouter({ env, overrideStore, disputeStore, maxScore }) {
+  const router = express.Router();
+  const requireAdmin = createAdminAuth(env.ADMIN_API_KEY);
+
+  router.get("/admin/overrides", requireAdmin, async (req, res, next) => {
+    try {
+      return res.json({ overrides: await overrideStore.list() });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post("/admin/overrides", requireAdmin, async (req, res, next) => {
+    let input;
+    try {
+      input = parseOverrideInput(req.body, { maxScore });
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid override",
+        details: error.message,
+      });
+    }
+
+    try {
+      const override = await overrideStore.set(input);
+      console.log(
+        `[admin] override ${override.mode} ${override.score} set for agent ${override.agentId}: ${override.reason}`
+      );
+      return res.status(201).json({ override });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.delete("/admin/overrides/:agentId", requireAdmin, validateAgentIdParam, async (req, res, next) => {
+    try {
+      const removed = await overrideStore.remove(req.agentId);
+      if (!removed) {
+        return res.status(404).json({
+          error: "No active override for agent",
+          agentId: req.agentId.toString(),
+        });
+      }
+      console.log(`[admin] override removed for agent ${removed.agentId}`);
+      return res.json({ override: removed });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.get("/admin/disputes", requireAdmin, async (req, res, next) => {
+    const status = req.query.status === undefined ? undefined : String(req.query.status);
+    if (status !== undefined && !DISPUTE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Invalid dispute query",
+        details: `status must be one of ${DISPUTE_STATUSES.join(", ")}`,
+      });
+    }
+    try {
+      return res.json({ disputes: await disputeStore.list({ status }) });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.post("/admin/disputes/:disputeId/resolve", requireAdmin, async (req, res, next) => {
+    let resolution;
+    try {
+      resolution = parseDisputeResolution(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid dispute resolution",
+        details: error.message,
+      });
+    }
+
+    try {
+      const dispute = await disputeStore.close(req.params.disputeId, resolution);
+      if (!dispute) {
+        return res.status(404).json({
+          error: "Dispute not found",
+          disputeId: req.params.disputeId,
+        });
+      }
+      console.log(`[admin] dispute ${dispute.id} for agent ${dispute.agentId} ${dispute.status}`);
+      return res.json({ dispute });
+    } catch (error) {
+      if (error.code === "DISPUTE_CONFLICT") {
+        return res.status(409).json({
+          error: "Dispute conflict",
+          details: error.message,
+        });
+      }
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminAuth,
+  createAdminRouter,
+};
@@ -0,0 +1,395 @@
+"use strict";
+
+const fs = require("node:fs/promises");
+const { parseArgs } = require("node:util");
+
+const { VERDICT, resolveVerdict } = require("../src/agentkit/types");
+const { createFeedbackStore } = require("./feedbackStore");
+const {
+  computeReviewerWeight,
+  describeScoringModel,
+  getScoringModel,
+  loadScoringConfigFromEnv,
+} = require("./scoring");
+
+const BASELINE_NAME = "current";
+const VERDICTS = [VERDICT.TRUSTED, VERDICT.CAUTION, VERDICT.DANGEROUS];
+const VARIANT_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const ENV_KEY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+function parseJsonLines(text, source) {
+  const entries = [];
+  text.split("\n").forEach((line, index) => {
+    if (line.trim() === "") {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`${source}:${index + 1}: ${error.message}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Feedback entries to replay: either an indexer feedback store directory (segments plus content
+ * checks, so mismatched documents are weighted as the indexer would) or a single JSONL file of
+ * entries in the store's format. Every entry needs `agentId` and a timestamp in milliseconds.
+ */
+async function loadFeedbackDataset(datasetPath) {
+  const stat = await fs.stat(datasetPath);
+  let entries;
+  if (stat.isDirectory()) {
+    const store = createFeedbackStore({ directory: datasetPath, readOnly: true });
+    entries = [];
+    for (const entry of await store.getEntriesAfter(-1)) {
+      const content = await store.getContent(entry);
+      entries.push(content ? { ...entry, contentStatus: content.status } : entry);
+    }
+  } else {
+    entries = parseJsonLines(await fs.readFile(datasetPath, "utf8"), datasetPath);
+  }
+
+  entries.forEach((entry, index) => {
+    if (!entry || entry.agentId === undefined || entry.agentId === null || entry.agentId === "") {
+      throw new Error(`Dataset entry ${index + 1} is missing agentId`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Parses a `--variant` spec: `name:KEY=VALUE,KEY=VALUE`, where keys are the env variables read by
+ * loadScoringConfigFromEnv (plus SCORING_MODEL). The name is optional and defaults to `fallbackName`.
+ */
+function parseVariantSpec(spec, fallbackName) {
+  const text = String(spec || "").trim();
+  const separator = text.indexOf(":");
+  const hasName = separator !== -1 && !text.slice(0, separator).includes("=");
+  const name = hasName ? text.slice(0, separator).trim() : fallbackName;
+  const assignments = hasName ? text.slice(separator + 1) : text;
+
+  if (!VARIANT_NAME_PATTERN.test(name) || name === BASELINE_NAME) {
+    throw new Error(`Invalid variant name "${name}"`);
+  }
+
+  const overrides = {};
+  for (const assignment of assignments.split(",")) {
+    if (assignment.trim() === "") {
+      continue;
+    }
+    const equals = assignment.indexOf("=");
+    const key = assignment.slice(0, equals).trim();
+    if (equals === -1 || !ENV_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid override "${assignment.trim()}" in variant "${name}" (expected KEY=VALUE)`);
+    }
+    overrides[key] = assignment.slice(equals + 1).trim();
+  }
+  if (Object.keys(overrides).length === 0) {
+    throw new Error(`Variant "${name}" has no overrides`);
+  }
+  return { name, overrides };
+}
+
+/**
+ * Resolves a named config the same way the indexer does: env overrides on top of `env`, run through
+ * loadScoringConfigFromEnv and the selected scoring model's prepareConfig.
+ */
+function buildBacktestConfig({ name, overrides = {} }, env = process.env) {
+  const variantEnv = { ...env, ...overrides };
+  const model = getScoringModel(variantEnv.SCORING_MODEL);
+  const config = model.prepareConfig(loadScoringConfigFromEnv(variantEnv));
+  return { name, overrides, model, config, modelInfo: describeScoringModel(model, config) };
+}
+
+function collectReviewerStats(entries) {
+  const reviewers = new Map();
+  for (const entry of entries) {
+    const address = String(entry.clientAddress || "").toLowerCase();
+    if (!address) {
+      continue;
+    }
+    if (!reviewers.has(address)) {
+      reviewers.set(address, { firstSeenMs: Number(entry.timestamp), agentIds: new Set() });
+    }
+    const reviewer = reviewers.get(address);
+    reviewer.firstSeenMs = Math.min(reviewer.firstSeenMs, Number(entry.timestamp));
+    reviewer.agentIds.add(String(entry.agentId));
+  }
+  return reviewers;
+}
+
+function groupByAgent(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const agentId = String(entry.agentId);
+    if (!groups.has(agentId)) {
+      groups.set(agentId, []);
+    }
+    groups.get(agentId).push(entry);
+  }
+  return new Map([...groups].sort(([a], [b]) => compareAgentIds(a, b)));
+}
+
+function compareAgentIds(a, b) {
+  if (/^\d+$/.test(a) && /^\d+$/.test(b)) {
+    const left = BigInt(a);
+    const right = BigInt(b);
+    if (left === right) {
+      return 0;
+    }
+    return left < right ? -1 : 1;
+  }
+  return a.localeCompare(b);
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1))];
+}
+
+function summarizeResults(results) {
+  const scores = results.map((result) => result.score).sort((a, b) => a - b);
+  const verdicts = Object.fromEntries(VERDICTS.map((verdict) => [verdict, 0]));
+  results.forEach((result) => {
+    verdicts[result.verdict] += 1;
+  });
+  const mean = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+  return {
+    agents: scores.length,
+    mean: mean === null ? null : Math.round(mean * 10) / 10,
+    median: percentile(scores, 0.5),
+    p10: percentile(scores, 0.1),
+    p90: percentile(scores, 0.9),
+    min: scores.length > 0 ? scores[0] : null,
+    max: scores.length > 0 ? scores[scores.length - 1] : null,
+    flagged: results.filter((result) => result.flagged).length,
+    verdicts,
+  };
+}
+
+function scoreAgents(agentGroups, reviewerStats, backtestConfig, nowMs) {
+  const { model, config } = backtestConfig;
+  const reviewerWeights = new Map();
+  if (config.reviewerMinWeight < 1) {
+    for (const [address, stats] of reviewerStats) {
+      reviewerWeights.set(
+        address,
+        computeReviewerWeight({ firstSeenMs: stats.firstSeenMs, agentCount: stats.agentIds.size }, config, nowMs)
+      );
+    }
+  }
+
+  const results = [];
+  for (const [agentId, feedback] of agentGroups) {
+    const details = model.scoreDetailed(feedback, config, nowMs, { reviewerWeights, ownerAddresses: [] });
+    results.push({
+      agentId,
+      score: details.score,
+      flagged: details.flagged,
+      verdict: resolveVerdict(details.score),
+      totalFeedback: details.totalFeedback,
+    });
+  }
+  return results;
+}
+
+function compareResults(baseline, variant) {
+  const variantByAgent = new Map(variant.results.map((result) => [result.agentId, result]));
+  const migrations = new Map();
+  const flagChanges = [];
+  let changedScores = 0;
+  let totalDelta = 0;
+
+  for (const before of baseline.results) {
+    const after = variantByAgent.get(before.agentId);
+    totalDelta += after.score - before.score;
+    if (after.score !== before.score) {
+      changedScores += 1;
+    }
+    if (after.verdict !== before.verdict) {
+      const key = `${before.verdict}->${after.verdict}`;
+      migrations.set(key, { from: before.verdict, to: after.verdict, count: (migrations.get(key)?.count || 0) + 1 });
+    }
+    if (after.flagged !== before.flagged) {
+      flagChanges.push({
+        agentId: before.agentId,
+        from: before.flagged,
+        to: after.flagged,
+        baselineScore: before.score,
+        variantScore: after.score,
+      });
+    }
+  }
+
+  const agentCount = baseline.results.length;
+  return {
+    baseline: baseline.name,
+    variant: variant.name,
+    changedScores,
+    meanScoreDelta: agentCount > 0 ? Math.round((totalDelta / agentCount) * 10) / 10 : 0,
+    verdictMigrations: [...migrations.values()].sort(
+      (a, b) => b.count - a.count || VERDICTS.indexOf(a.from) - VERDICTS.indexOf(b.from)
+    ),
+    flagChanges,
+  };
+}
+
+/**
+ * Replays `entries` through each config (see buildBacktestConfig) as of `nowMs` and compares every
+ * config after the first against the first. Reviewer weights come from the dataset itself; the
+ * owner self-review discount is not applied, since agent owners are not part of the dataset.
+ */
+function runBacktest({ entries, configs, nowMs = Date.now() }) {
+  if (!Array.isArray(configs) || configs.length < 2) {
+    throw new Error("A backtest needs at least two configs to compare");
+  }
+
+  const agentGroups = groupByAgent(entries);
+  const reviewerStats = collectReviewerStats(entries);
+  const runs = configs.map((backtestConfig) => {
+    const results = scoreAgents(agentGroups, reviewerStats, backtestConfig, nowMs);
+    return {
+      name: backtestConfig.name,
+      model: backtestConfig.modelInfo,
+      overrides: backtestConfig.overrides,
+      summary: summarizeResults(results),
+      results,
+    };
+  });
+
+  return {
+    evaluatedAt: new Date(nowMs).toISOString(),
+    agentCount: agentGroups.size,
+    feedbackCount: entries.length,
+    configs: runs,
+    comparisons: runs.slice(1).map((run) => compareResults(runs[0], run)),
+  };
+}
+
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)));
+  return rows.map((row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd());
+}
+
+function formatFlag(flagged) {
+  return flagged ? "flagged" : "not flagged";
+}
+
+function formatBacktestReport(report) {
+  const lines = [
+    `Backtest of ${report.feedbackCount} feedback entries across ${report.agentCount} agents ` +
+      `as of ${report.evaluatedAt}`,
+    "",
+  ];
+
+  const header = ["config", "model", "mean", "median", "p10", "p90", ...VERDICTS, "flagged"];
+  const rows = report.configs.map(({ name, model, summary }) => [
+    name,
+    `${model.name}@${model.version}`,
+    summary.mean ?? "-",
+    summary.median ?? "-",
+    summary.p10 ?? "-",
+    summary.p90 ?? "-",
+    ...VERDICTS.map((verdict) => summary.verdicts[verdict]),
+    summary.flagged,
+  ]);
+  lines.push(...formatTable([header, ...rows]));
+
+  for (const comparison of report.comparisons) {
+    lines.push(
+      "",
+      `${comparison.baseline} -> ${comparison.variant}: ${comparison.changedScores} scores changed, ` +
+        `mean delta ${comparison.meanScoreDelta}`
+    );
+    if (comparison.verdictMigrations.length === 0) {
+      lines.push("  verdict migrations: none");
+    } else {
+      lines.push("  verdict migrations:");
+      comparison.verdictMigrations.forEach(({ from, to, count }) => lines.push(`    ${from} -> ${to}: ${count}`));
+    }
+    if (comparison.flagChanges.length === 0) {
+      lines.push("  flagged status changes: none");
+    } else {
+      lines.push(`  flagged status changes (${comparison.flagChanges.length}):`);
+      comparison.flagChanges.forEach((change) => {
+        lines.push(
+          `    agent ${change.agentId}: ${formatFlag(change.from)} -> ${formatFlag(change.to)} ` +
+            `(score ${change.baselineScore} -> ${change.variantScore})`
+        );
+      });
+    }
+  }
+  return lines.join("\n");
+}
+
+function parseNow(value) {
+  if (value === undefined) {
+    return Date.now();
+  }
+  const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`Invalid --now "${value}" (expected an ISO date or epoch milliseconds)`);
+  }
+  return parsed;
+}
+
+const USAGE = `Usage: npm run scoring:backtest -- <dataset> --variant name:KEY=VALUE[,KEY=VALUE...] [options]
+
+  <dataset>            indexer feedback store directory or a JSONL file of feedback entries
+  --variant <spec>     config to compare against the current env config (repeatable)
+  --now <time>         evaluation time, ISO date or epoch ms (default: now)
+  --json               print the full report as JSON`;
+
+async function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      variant: { type: "string", multiple: true },
+      now: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1 || !values.variant || values.variant.length === 0) {
+    throw new Error(`Expected one dataset and at least one --variant\n\n${USAGE}`);
+  }
+
+  const variants = values.variant.map((spec, index) => parseVariantSpec(spec, `variant${index + 1}`));
+  const names = new Set();
+  for (const { name } of variants) {
+    if (names.has(name)) {
+      throw new Error(`Duplicate variant name "${name}"`);
+    }
+    names.add(name);
+  }
+
+  const configs = [{ name: BASELINE_NAME }, ...variants].map((variant) => buildBacktestConfig(variant));
+  const entries = await loadFeedbackDataset(positionals[0]);
+  const report = runBacktest({ entries, configs, nowMs: parseNow(values.now) });
+  console.log(values.json ? JSON.stringify(report, null, 2) : formatBacktestReport(report));
+}
+
+module.exports = {
+  loadFeedbackDataset,
+  parseVariantSpec,
+  buildBacktestConfig,
+  runBacktest,
+  formatBacktestReport,
+};
+
+if (require.main === module) {
+  require("dotenv").config();
+  main().catch((error) => {
+    console.error(`[backtest] FAIL: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,309 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const {
+  extractPaymentHeaders,
+  formatUsdPriceAtomic,
+  hasPaymentProof,
+  parseUsdPriceAtomic,
+} = require("./paymentMiddleware");
+
+const CREDITS_FILENAME = ".payment-credits.json";
+const CREDITS_VERSION = 1;
+const CREDIT_HEADER = "x-robomoustachio-credit";
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function defaultCreditsPath(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), CREDITS_FILENAME);
+}
+
+function loadCreditConfigFromEnv(env = process.env) {
+  return {
+    secret: env.CREDIT_TOKEN_SECRET || "",
+    ttlSeconds: toPositiveInt(env.CREDIT_TTL_SECONDS, DEFAULT_TTL_SECONDS),
+  };
+}
+
+/**
+ * Responses that leave a paying caller with nothing: the agent has no score (404), or the API or
+ * its RPC failed (5xx). Validation errors (400) are rejected before an x402 payment; a credit is
+ * redeemed before the route validates, so credit-paid requests get a new credit on any 4xx or 5xx.
+ */
+function isCreditableStatus(statusCode) {
+  return statusCode === 404 || statusCode >= 500;
+}
+
+function signCreditPayload(secret, encodedPayload) {
+  return crypto.createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+}
+
+/**
+ * Tokens are `<base64url JSON payload>.<base64url HMAC-SHA256>`; the payload carries the credit id,
+ * the route that failed, its value in USDC atomic units, and the expiry in unix seconds.
+ */
+function encodeCreditToken(secret, payload) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+  return `${encodedPayload}.${signCreditPayload(secret, encodedPayload)}`;
+}
+
+function decodeCreditToken(secret, token) {
+  const [encodedPayload, signature, extra] = String(token || "").trim().split(".");
+  if (!encodedPayload || !signature || extra !== undefined) {
+    throw new Error("Credit token is malformed");
+  }
+  const expected = Buffer.from(signCreditPayload(secret, encodedPayload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new Error("Credit token signature is invalid");
+  }
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Credit token is malformed");
+  }
+}
+
+/**
+ * Issued credits, persisted so a credit survives restarts and can be redeemed only once. Expired
+ * credits are dropped on the next write.
+ */
+function createCreditStore({ filePath } = {}) {
+  if (!filePath) {
+    throw new Error("Missing payment credits file path");
+  }
+
+  let writing = Promise.resolve();
+
+  async function readCredits() {
+    try {
+      const stored = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return Array.isArray(stored?.credits) ? stored.credits : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async function writeCredits(credits) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    const document = { version: CREDITS_VERSION, credits };
+    await fs.writeFile(tmpPath, `${JSON.stringify(document, null, 2)}\n`, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function update(mutate) {
+    const result = writing.then(async () => {
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const credits = (await readCredits()).filter((credit) => credit.expiresAt > nowSeconds);
+      const value = mutate(credits, nowSeconds);
+      await writeCredits(credits);
+      return value;
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Unexpired credits, once queued writes have landed.
+   */
+  async function list() {
+    await writing;
+    return readCredits();
+  }
+
+  function add(credit) {
+    return update((credits) => {
+      credits.push({ ...credit, redeemedAt: null });
+      return credit;
+    });
+  }
+
+  /**
+   * Marks a credit spent. Resolves to "redeemed", "not_found" (unknown or expired), or "already_redeemed".
+   */
+  function redeem(creditId) {
+    return update((credits, nowSeconds) => {
+      const credit = credits.find((candidate) => candidate.id === creditId);
+      if (!credit) {
+        return "not_found";
+      }
+      if (credit.redeemedAt !== null) {
+        return "already_redeemed";
+      }
+      credit.redeemedAt = nowSeconds;
+      return "redeemed";
+    });
+  }
+
+  return {
+    filePath,
+    list,
+    add,
+    redeem,
+  };
+}
+
+/**
+ * Issues and redeems signed credits. Without a secret the ledger is disabled: nothing is issued
+ * and credit headers are ignored.
+ */
+function createCreditLedger({ store, secret, ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  const enabled = Boolean(secret);
+
+  /**
+   * Signs a credit and returns its token right away, so it can go into the failing response's
+   * headers; the store write is queued ahead of any later redemption of the same credit.
+   */
+  function issue({ route, amount, statusCode }) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const credit = {
+      id: crypto.randomUUID(),
+      route,
+      amount: amount.toString(),
+      statusCode,
+      issuedAt,
+      expiresAt: issuedAt + ttlSeconds,
+    };
+    const token = encodeCreditToken(secret, {
+      id: credit.id,
+      route: credit.route,
+      amount: credit.amount,
+      exp: credit.expiresAt,
+    });
+    const stored = store.add(credit);
+    stored.catch((error) => {
+      console.warn(`[credits] failed to store credit ${credit.id}: ${error.message}`);
+    });
+    return { token, credit, stored };
+  }
+
+  /**
+   * Spends a credit on a request costing `amount`. Resolves to the credit payload or throws with
+   * the reason it can't be used.
+   */
+  async function redeem(token, amount) {
+    const payload = decodeCreditToken(secret, token);
+    if (!Number.isInteger(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) {
+      throw new Error("Credit has expired");
+    }
+    const value = BigInt(payload.amount);
+    if (value < BigInt(amount)) {
+      throw new Error(
+        `Credit is worth ${formatUsdPriceAtomic(value)}; this request costs ${formatUsdPriceAtomic(BigInt(amount))}`
+      );
+    }
+    const outcome = await store.redeem(payload.id);
+    if (outcome === "not_found") {
+      throw new Error("Credit is unknown or has expired");
+    }
+    if (outcome === "already_redeemed") {
+      throw new Error("Credit has already been redeemed");
+    }
+    return payload;
+  }
+
+  function describe() {
+    return { enabled, ttlSeconds, header: CREDIT_HEADER };
+  }
+
+  return {
+    enabled,
+    issue,
+    redeem,
+    list: () => store.list(),
+    describe,
+  };
+}
+
+/**
+ * Whether the request's payment was actually taken. x402-express settles only after the handler
+ * responds below 400 (and then sets X-PAYMENT-RESPONSE), so in real mode a failed response is
+ * normally unsettled and the caller's authorization is still unspent. Local verification has
+ * recorded the authorization's nonce, so it can't be used again; stub mode treats any payment
+ * header as paid.
+ */
+function isPaymentTaken(req, res, payment) {
+  if (res.locals.creditRedeemed || res.locals.paymentVerified) {
+    return true;
+  }
+  if (payment.usingRealMiddleware) {
+    return Boolean(res.getHeader("x-payment-response"));
+  }
+  if (payment.mode === "local") {
+    return false;
+  }
+  return hasPaymentProof(extractPaymentHeaders(req));
+}
+
+/**
+ * Per-request credit handling for paid routes. `resolveRoute(req)` returns `{ key, price }` for a
+ * paid route (or null). A request carrying a credit token spends it instead of paying and is
+ * marked with `res.locals.creditRedeemed`, which the payment middleware wrapper and route handlers check;
+ * if the response fails after the request was paid for, a new credit token is added to the
+ * response headers. A redeemed credit comes back at its full value on any 4xx or 5xx, since the
+ * route's own validation runs after it is spent.
+ */
+function createCreditMiddleware({ creditLedger, payment, resolveRoute }) {
+  return async function creditMiddleware(req, res, next) {
+    const route = creditLedger.enabled ? resolveRoute(req) : null;
+    if (!route) {
+      return next();
+    }
+    const amount = parseUsdPriceAtomic(route.price);
+
+    const writeHead = res.writeHead;
+    let redeemedAmount = null;
+    res.writeHead = function writeHeadWithCredit(statusCode, ...rest) {
+      if (redeemedAmount !== null && statusCode >= 400) {
+        const { token } = creditLedger.issue({ route: route.key, amount: redeemedAmount, statusCode });
+        res.setHeader(CREDIT_HEADER, token);
+      } else if (isCreditableStatus(statusCode) && isPaymentTaken(req, res, payment)) {
+        const { token } = creditLedger.issue({ route: route.key, amount, statusCode });
+        res.setHeader(CREDIT_HEADER, token);
+      }
+      res.writeHead = writeHead;
+      return writeHead.call(this, statusCode, ...rest);
+    };
+
+    const token = req.get(CREDIT_HEADER);
+    if (!token) {
+      return next();
+    }
+    try {
+      const credit = await creditLedger.redeem(token, amount);
+      redeemedAmount = BigInt(credit.amount);
+      res.locals.creditRedeemed = credit.id;
+      res.locals.paymentStatus = "paid_credit";
+      return next();
+    } catch (error) {
+      return res.status(402).json({
+        error: "Invalid payment credit",
+        route: route.key,
+        price: route.price,
+        details: error.message,
+      });
+    }
+  };
+}
+
+module.exports = {
+  CREDIT_HEADER,
+  createCreditLedger,
+  createCreditMiddleware,
+  createCreditStore,
+  decodeCreditToken,
+  defaultCreditsPath,
+  isCreditableStatus,
+  loadCreditConfigFromEnv,
+};
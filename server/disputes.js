@@ -0,0 +1,351 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const express = require("express");
+const { ethers } = require("ethers");
+
+const { validateAgentIdParam } = require("./validation");
+
+const DISPUTES_FILENAME = ".agent-disputes.json";
+const DISPUTES_VERSION = 1;
+const DISPUTE_STATUSES = ["open", "resolved", "rejected"];
+const DEFAULT_SIGNATURE_MAX_AGE_SECONDS = 600;
+const MAX_DISPUTE_REASON_LENGTH = 1000;
+const MAX_DISPUTE_FEEDBACK_IDS = 50;
+const FEEDBACK_ID_PATTERN = /^0x[0-9a-f]{64}:\d+$/;
+
+const IDENTITY_REGISTRY_ABI = ["function ownerOf(uint256 agentId) view returns (address)"];
+
+// EIP-712 payload the agent owner signs. The domain binds it to one TrustScore deployment and chain.
+const DISPUTE_DOMAIN_NAME = "Robomoustachio Disputes";
+const DISPUTE_DOMAIN_VERSION = "1";
+const DISPUTE_TYPES = {
+  Dispute: [
+    { name: "agentId", type: "uint256" },
+    { name: "reason", type: "string" },
+    { name: "feedbackIds", type: "string[]" },
+    { name: "issuedAt", type: "uint64" },
+  ],
+};
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function defaultDisputesPath(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), DISPUTES_FILENAME);
+}
+
+function buildDisputeDomain({ chainId, verifyingContract }) {
+  return {
+    name: DISPUTE_DOMAIN_NAME,
+    version: DISPUTE_DOMAIN_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * Validates a POST /disputes/:agentId body. `feedbackIds` name disputed feedback logs as
+ * `<transactionHash>:<logIndex>`. Throws RangeError naming the first invalid field.
+ */
+function parseDisputeInput(body) {
+  const input = body && typeof body === "object" ? body : {};
+
+  const reason = typeof input.reason === "string" ? input.reason.trim() : "";
+  if (!reason) {
+    throw new RangeError("reason is required");
+  }
+  if (reason.length > MAX_DISPUTE_REASON_LENGTH) {
+    throw new RangeError(`reason supports at most ${MAX_DISPUTE_REASON_LENGTH} characters`);
+  }
+
+  const rawIds = input.feedbackIds === undefined ? [] : input.feedbackIds;
+  if (!Array.isArray(rawIds) || rawIds.length > MAX_DISPUTE_FEEDBACK_IDS) {
+    throw new RangeError(`feedbackIds must be an array of at most ${MAX_DISPUTE_FEEDBACK_IDS} entries`);
+  }
+  const feedbackIds = [];
+  rawIds.forEach((rawId, index) => {
+    const feedbackId = String(rawId).trim().toLowerCase();
+    if (typeof rawId !== "string" || !FEEDBACK_ID_PATTERN.test(feedbackId)) {
+      throw new RangeError(`feedbackIds[${index}] must be "<transactionHash>:<logIndex>"`);
+    }
+    if (!feedbackIds.includes(feedbackId)) {
+      feedbackIds.push(feedbackId);
+    }
+  });
+
+  if (!Number.isInteger(input.issuedAt) || input.issuedAt <= 0) {
+    throw new RangeError("issuedAt must be a unix timestamp in seconds");
+  }
+  if (typeof input.signature !== "string" || !ethers.isHexString(input.signature, 65)) {
+    throw new RangeError("signature must be a 65-byte hex string");
+  }
+
+  return { reason, feedbackIds, issuedAt: input.issuedAt, signature: input.signature.toLowerCase() };
+}
+
+/**
+ * Address that signed the dispute payload. The signature covers the trimmed reason and the
+ * feedbackIds exactly as submitted (lowercase, in order).
+ */
+function recoverDisputeSigner({ agentId, input, chainId, verifyingContract }) {
+  const value = {
+    agentId,
+    reason: input.reason,
+    feedbackIds: input.feedbackIds,
+    issuedAt: input.issuedAt,
+  };
+  const domain = buildDisputeDomain({ chainId, verifyingContract });
+  return ethers.verifyTypedData(domain, DISPUTE_TYPES, value, input.signature);
+}
+
+/**
+ * JSON file of agent disputes, written only by the API. Writes are serialized and atomic.
+ */
+function createDisputeStore({ filePath } = {}) {
+  if (!filePath) {
+    throw new Error("Missing disputes file path");
+  }
+
+  let writing = Promise.resolve();
+
+  async function readDisputes() {
+    try {
+      const stored = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return Array.isArray(stored?.disputes) ? stored.disputes : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async function writeDisputes(disputes) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify({ version: DISPUTES_VERSION, disputes }, null, 2)}\n`, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function update(mutate) {
+    const result = writing.then(async () => {
+      const disputes = await readDisputes();
+      const value = mutate(disputes);
+      await writeDisputes(disputes);
+      return value;
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  async function list({ agentId, status } = {}) {
+    const key = agentId === undefined ? null : BigInt(agentId).toString();
+    return (await readDisputes()).filter(
+      (dispute) => (key === null || dispute.agentId === key) && (!status || dispute.status === status)
+    );
+  }
+
+  /**
+   * The agent's most recent dispute, whatever its status, or null.
+   */
+  async function getLatest(agentId) {
+    const disputes = await list({ agentId });
+    return disputes.length > 0 ? disputes[disputes.length - 1] : null;
+  }
+
+  /**
+   * Opens a dispute. Rejects (with `code: "DISPUTE_CONFLICT"`) while the agent has another open
+   * dispute, or when the same signature was already submitted.
+   */
+  function open({ agentId, owner, input }) {
+    return update((disputes) => {
+      const key = BigInt(agentId).toString();
+      if (disputes.some((dispute) => dispute.signature === input.signature)) {
+        throw Object.assign(new Error("This signed dispute was already submitted"), { code: "DISPUTE_CONFLICT" });
+      }
+      if (disputes.some((dispute) => dispute.agentId === key && dispute.status === "open")) {
+        throw Object.assign(new Error(`Agent ${key} already has an open dispute`), { code: "DISPUTE_CONFLICT" });
+      }
+      const dispute = {
+        id: crypto.randomUUID(),
+        agentId: key,
+        owner: owner.toLowerCase(),
+        reason: input.reason,
+        feedbackIds: input.feedbackIds,
+        issuedAt: input.issuedAt,
+        signature: input.signature,
+        status: "open",
+        createdAt: Date.now(),
+        resolvedAt: null,
+        resolution: null,
+      };
+      disputes.push(dispute);
+      return dispute;
+    });
+  }
+
+  /**
+   * Closes an open dispute as `resolved` or `rejected`. Returns null for an unknown id; throws
+   * (with `code: "DISPUTE_CONFLICT"`) if it is already closed.
+   */
+  function close(disputeId, { status, resolution }) {
+    return update((disputes) => {
+      const dispute = disputes.find((candidate) => candidate.id === disputeId);
+      if (!dispute) {
+        return null;
+      }
+      if (dispute.status !== "open") {
+        throw Object.assign(new Error(`Dispute ${disputeId} is already ${dispute.status}`), {
+          code: "DISPUTE_CONFLICT",
+        });
+      }
+      dispute.status = status;
+      dispute.resolution = resolution;
+      dispute.resolvedAt = Date.now();
+      return dispute;
+    });
+  }
+
+  return {
+    filePath,
+    list,
+    getLatest,
+    open,
+    close,
+  };
+}
+
+function isRevert(error) {
+  return (
+    error.code === "CALL_EXCEPTION" ||
+    /revert/i.test(String(error.message || "")) ||
+    /revert/i.test(String(error.shortMessage || ""))
+  );
+}
+
+/**
+ * Owner lookup used for dispute signatures: `ownerOf` on IDENTITY_REGISTRY_ADDRESS, or on the
+ * registry TrustScore points at. Null when the agent is not registered (`ownerOf` reverts or
+ * returns the zero address), the same test TrustScore's `_assertRegistered` applies.
+ */
+async function resolveAgentOwner({ trustScore, identityRegistryAddress, agentId }) {
+  const registryAddress = identityRegistryAddress || (await trustScore.identityRegistry());
+  const registry = new ethers.Contract(registryAddress, IDENTITY_REGISTRY_ABI, trustScore.runner);
+  try {
+    const owner = await registry.ownerOf(agentId);
+    return owner === ethers.ZeroAddress ? null : owner;
+  } catch (error) {
+    if (isRevert(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates an admin dispute resolution: `{ status: "resolved" | "rejected", resolution }`.
+ */
+function parseDisputeResolution(body) {
+  const input = body && typeof body === "object" ? body : {};
+  if (input.status !== "resolved" && input.status !== "rejected") {
+    throw new RangeError("status must be resolved or rejected");
+  }
+  const resolution = typeof input.resolution === "string" ? input.resolution.trim() : "";
+  if (!resolution) {
+    throw new RangeError("resolution is required");
+  }
+  if (resolution.length > MAX_DISPUTE_REASON_LENGTH) {
+    throw new RangeError(`resolution supports at most ${MAX_DISPUTE_REASON_LENGTH} characters`);
+  }
+  return { status: input.status, resolution };
+}
+
+function createDisputeRouter({ env, trustScoreReader, disputeStore }) {
+  const router = express.Router();
+  const maxAgeSeconds = toPositiveInt(env.DISPUTE_SIGNATURE_MAX_AGE_SECONDS, DEFAULT_SIGNATURE_MAX_AGE_SECONDS);
+
+  router.post("/disputes/:agentId", validateAgentIdParam, async (req, res, next) => {
+    if (!trustScoreReader.enabled) {
+      return res.status(503).json({
+        error: "TrustScore contract is not configured",
+        details: "Set TRUST_SCORE_ADDRESS and API_RPC_URL (or Base RPC env vars) before submitting disputes.",
+      });
+    }
+
+    let input;
+    try {
+      input = parseDisputeInput(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid dispute",
+        details: error.message,
+      });
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - input.issuedAt) > maxAgeSeconds) {
+      return res.status(400).json({
+        error: "Invalid dispute",
+        details: `issuedAt must be within ${maxAgeSeconds} seconds of the current time`,
+      });
+    }
+
+    try {
+      const trustScore = trustScoreReader.contract;
+      const owner = await resolveAgentOwner({
+        trustScore,
+        identityRegistryAddress: env.IDENTITY_REGISTRY_ADDRESS,
+        agentId: req.agentId,
+      });
+      if (!owner) {
+        return res.status(404).json({
+          error: "Agent is not registered",
+          agentId: req.agentId.toString(),
+        });
+      }
+
+      const { chainId } = await trustScore.runner.provider.getNetwork();
+      const signer = recoverDisputeSigner({
+        agentId: req.agentId,
+        input,
+        chainId,
+        verifyingContract: await trustScore.getAddress(),
+      });
+      if (signer.toLowerCase() !== owner.toLowerCase()) {
+        return res.status(403).json({
+          error: "Signature is not from the agent's owner",
+          details: `Recovered ${signer}; ownerOf(${req.agentId.toString()}) is ${owner}.`,
+        });
+      }
+
+      const dispute = await disputeStore.open({ agentId: req.agentId, owner, input });
+      console.log(`[disputes] dispute ${dispute.id} opened for agent ${dispute.agentId}`);
+      return res.status(201).json({ dispute });
+    } catch (error) {
+      if (error.code === "DISPUTE_CONFLICT") {
+        return res.status(409).json({
+          error: "Dispute conflict",
+          details: error.message,
+        });
+      }
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  DISPUTE_STATUSES,
+  DISPUTE_TYPES,
+  buildDisputeDomain,
+  createDisputeRouter,
+  createDisputeStore,
+  defaultDisputesPath,
+  parseDisputeInput,
+  parseDisputeResolution,
+  recoverDisputeSigner,
+};
@@ -0,0 +1,294 @@
+"use strict";
+
+const express = require("express");
+const { ethers } = require("ethers");
+
+const { parseUsdPriceAtomic, resolvePayToAddress, routeToRegex } = require("./paymentMiddleware");
+const { USDC_NETWORKS, X402_VERSION, resolveUsdcNetwork, verifyExactPayment } = require("./paymentVerification");
+const { createFailoverProvider, loadRpcFailoverConfigFromEnv, parseRpcUrls } = require("./rpcProviders");
+
+const FACILITATOR_PATH = "/facilitator";
+// The signer pays gas for every settlement, so the built-in facilitator stays off mainnets.
+const FACILITATOR_NETWORKS = Object.keys(USDC_NETWORKS).filter((network) => USDC_NETWORKS[network].testnet);
+const MAINNET_CHAIN_IDS = new Set(
+  Object.values(USDC_NETWORKS)
+    .filter((usdc) => !usdc.testnet)
+    .map((usdc) => BigInt(usdc.chainId))
+);
+const EIP3009_TOKEN_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function authorizationState(address authorizer, bytes32 nonce) view returns (bool)",
+  "function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, bytes signature)",
+];
+
+function loadFacilitatorConfigFromEnv(env = process.env) {
+  const privateKey = String(env.X402_FACILITATOR_PRIVATE_KEY || "").trim();
+  const rpcUrl = String(env.X402_FACILITATOR_RPC_URL || "").trim();
+  return {
+    enabled: Boolean(privateKey),
+    privateKey,
+    rpcUrls: rpcUrl ? [rpcUrl] : parseRpcUrls(env),
+  };
+}
+
+function createFacilitatorSigner(config, env = process.env) {
+  const provider = createFailoverProvider(config.rpcUrls, loadRpcFailoverConfigFromEnv(env));
+  const privateKey = config.privateKey.startsWith("0x") ? config.privateKey : `0x${config.privateKey}`;
+  return new ethers.Wallet(privateKey, provider);
+}
+
+function toBigInt(value) {
+  try {
+    return BigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * `[routeKey, pricing]` entries (the shape of buildRoutePricing's) as `{ regex, network, amount, perAgent }`.
+ * A path may appear more than once, e.g. /mcp for each tool's price.
+ */
+function buildPricedResources(routes) {
+  return routes.map(([key, pricing]) => {
+    const routePath = String(key).trim().split(" ").slice(1).join(" ").trim();
+    return {
+      regex: routeToRegex(routePath),
+      network: pricing.network || "base",
+      amount: parseUsdPriceAtomic(pricing.price),
+      perAgent: Boolean(pricing.perAgent),
+    };
+  });
+}
+
+/**
+ * An x402 facilitator for the "exact" EVM scheme: `verify` checks a payment payload offline (see
+ * verifyExactPayment) and then against the token, and `settle` submits its `transferWithAuthorization`
+ * from `signer`, which pays the gas. Payments are checked against requirements rebuilt from `routes`,
+ * not the caller's: only this API's pay-to address, the configured USDC (X402_USDC_ADDRESS, or the
+ * network's USDC), and the price of a route on the requested resource are accepted, so the signer
+ * can't be made to settle other or free payments. Only test networks are served; a signer connected
+ * to a mainnet verifies nothing.
+ */
+function createFacilitator({ signer, routes = [], env = process.env }) {
+  const payTo = ethers.getAddress(resolvePayToAddress({}, env));
+  const pricedResources = buildPricedResources(routes).filter((resource) => resource.amount > 0n);
+  const mainnetRoute = pricedResources.find((resource) => !FACILITATOR_NETWORKS.includes(resource.network));
+  if (mainnetRoute) {
+    throw new Error(
+      `The x402 facilitator only settles on ${FACILITATOR_NETWORKS.join(", ")}, not ${mainnetRoute.network}`
+    );
+  }
+  const networks = Object.fromEntries(
+    FACILITATOR_NETWORKS.map((network) => [network, resolveUsdcNetwork(network, env)])
+  );
+  let onTestChain = null;
+  // Settlements are sent one at a time so the signer's transaction nonces don't collide.
+  let sending = Promise.resolve();
+
+  async function isOnTestChain() {
+    if (onTestChain === null) {
+      const { chainId } = await signer.provider.getNetwork();
+      onTestChain = !MAINNET_CHAIN_IDS.has(chainId);
+      if (!onTestChain) {
+        console.warn(`[facilitator] signer is connected to mainnet chain ${chainId}; refusing to settle`);
+      }
+    }
+    return onTestChain;
+  }
+
+  /**
+   * The requirements this API issues for the resource: the caller's `maxAmountRequired` is kept only
+   * when it is the price of a route on that path, or a multiple of a per-agent route's price.
+   */
+  function resolveRequirements(requirements) {
+    let pathname;
+    try {
+      pathname = new URL(requirements.resource).pathname;
+    } catch {
+      return null;
+    }
+    const amount = toBigInt(requirements.maxAmountRequired);
+    const priced = (resource) =>
+      resource.perAgent ? amount > 0n && amount % resource.amount === 0n : amount === resource.amount;
+    const route = pricedResources.find(
+      (resource) =>
+        amount !== null &&
+        resource.network === requirements.network &&
+        resource.regex.test(pathname) &&
+        priced(resource)
+    );
+    if (!route) {
+      return null;
+    }
+    const usdc = networks[route.network];
+    return {
+      ...requirements,
+      scheme: "exact",
+      maxAmountRequired: amount.toString(),
+      payTo,
+      asset: usdc.asset,
+      extra: { name: usdc.name, version: usdc.version },
+    };
+  }
+
+  async function verify(paymentPayload, requirements) {
+    const authorization = paymentPayload?.payload?.authorization;
+    const payer = ethers.isAddress(authorization?.from) ? ethers.getAddress(authorization.from) : undefined;
+    if (!Object.hasOwn(networks, requirements.network)) {
+      return { isValid: false, invalidReason: "invalid_network", payer };
+    }
+    if (!ethers.isAddress(requirements.payTo) || ethers.getAddress(requirements.payTo) !== payTo) {
+      return { isValid: false, invalidReason: "invalid_exact_evm_payload_recipient_mismatch", payer };
+    }
+    const expected = resolveRequirements(requirements);
+    const asset = ethers.isAddress(requirements.asset) ? ethers.getAddress(requirements.asset) : null;
+    if (!expected || asset !== expected.asset) {
+      return { isValid: false, invalidReason: "invalid_payment_requirements", payer };
+    }
+    if (!(await isOnTestChain())) {
+      return { isValid: false, invalidReason: "invalid_network", payer };
+    }
+
+    const verification = verifyExactPayment(paymentPayload, expected);
+    if (!verification.isValid) {
+      return verification;
+    }
+    const token = new ethers.Contract(expected.asset, EIP3009_TOKEN_ABI, signer);
+    if (await token.authorizationState(verification.payer, authorization.nonce)) {
+      return { isValid: false, invalidReason: "invalid_exact_evm_payload_authorization_nonce_used", payer };
+    }
+    if ((await token.balanceOf(verification.payer)) < BigInt(authorization.value)) {
+      return { isValid: false, invalidReason: "insufficient_funds", payer };
+    }
+    return verification;
+  }
+
+  async function submit(paymentPayload, asset) {
+    const { signature, authorization } = paymentPayload.payload;
+    const token = new ethers.Contract(asset, EIP3009_TOKEN_ABI, signer);
+    const tx = await token.transferWithAuthorization(
+      authorization.from,
+      authorization.to,
+      authorization.value,
+      authorization.validAfter,
+      authorization.validBefore,
+      authorization.nonce,
+      signature
+    );
+    await tx.wait();
+    return tx.hash;
+  }
+
+  /**
+   * Verifies again, then settles. Resolves to the x402 settle response; a reverted or failed
+   * transaction is reported as `success: false` rather than thrown.
+   */
+  async function settle(paymentPayload, requirements) {
+    const verification = await verify(paymentPayload, requirements);
+    const response = { network: requirements.network, payer: verification.payer, transaction: "" };
+    if (!verification.isValid) {
+      return { ...response, success: false, errorReason: verification.invalidReason };
+    }
+
+    const result = sending.then(() => submit(paymentPayload, networks[requirements.network].asset));
+    sending = result.catch(() => {});
+    try {
+      return { ...response, success: true, transaction: await result };
+    } catch (error) {
+      console.warn(`[facilitator] settlement for ${verification.payer} failed: ${error.shortMessage || error.message}`);
+      return { ...response, success: false, errorReason: "unexpected_settle_error" };
+    }
+  }
+
+  function supported() {
+    return {
+      kinds: FACILITATOR_NETWORKS.map((network) => ({ x402Version: X402_VERSION, scheme: "exact", network })),
+    };
+  }
+
+  function describe() {
+    const assets = Object.fromEntries(Object.entries(networks).map(([network, usdc]) => [network, usdc.asset]));
+    return { address: signer.address, payTo, assets };
+  }
+
+  return {
+    verify,
+    settle,
+    supported,
+    describe,
+  };
+}
+
+function parseFacilitatorRequest(body) {
+  const { paymentPayload, paymentRequirements } = body || {};
+  if (!paymentPayload || typeof paymentPayload !== "object") {
+    throw new Error("paymentPayload must be an object");
+  }
+  if (!paymentRequirements || typeof paymentRequirements !== "object") {
+    throw new Error("paymentRequirements must be an object");
+  }
+  return { paymentPayload, paymentRequirements };
+}
+
+/**
+ * Serves the facilitator under /facilitator in the request and response shapes x402-express
+ * expects from a facilitator URL (`/verify`, `/settle`, `/supported`).
+ */
+function createFacilitatorRouter({ facilitator }) {
+  const router = express.Router();
+
+  function requireFacilitator(res) {
+    if (facilitator) {
+      return true;
+    }
+    res.status(503).json({
+      error: "x402 facilitator is not configured",
+      details: "Set X402_FACILITATOR_PRIVATE_KEY to enable /facilitator.",
+    });
+    return false;
+  }
+
+  function handle(method) {
+    return async (req, res, next) => {
+      if (!requireFacilitator(res)) {
+        return undefined;
+      }
+      let request;
+      try {
+        request = parseFacilitatorRequest(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          error: "Invalid facilitator request",
+          details: error.message,
+        });
+      }
+      try {
+        return res.json(await facilitator[method](request.paymentPayload, request.paymentRequirements));
+      } catch (error) {
+        return next(error);
+      }
+    };
+  }
+
+  router.get(`${FACILITATOR_PATH}/supported`, (req, res) => {
+    if (!requireFacilitator(res)) {
+      return undefined;
+    }
+    return res.json(facilitator.supported());
+  });
+  router.post(`${FACILITATOR_PATH}/verify`, handle("verify"));
+  router.post(`${FACILITATOR_PATH}/settle`, handle("settle"));
+
+  return router;
+}
+
+module.exports = {
+  EIP3009_TOKEN_ABI,
+  FACILITATOR_NETWORKS,
+  FACILITATOR_PATH,
+  createFacilitator,
+  createFacilitatorRouter,
+  createFacilitatorSigner,
+  loadFacilitatorConfigFromEnv,
+};
@@ -0,0 +1,194 @@
+"use strict";
+
+const { ethers } = require("ethers");
+
+const { isPrivateHost } = require("./validation");
+
+const DEFAULT_IPFS_GATEWAY = "https://ipfs.io";
+const DEFAULT_FETCH_TIMEOUT_MS = 5_000;
+const DEFAULT_MAX_DOCUMENT_BYTES = 64 * 1024;
+const DEFAULT_RETRY_AFTER_MS = 60 * 60 * 1000;
+const DEFAULT_FETCH_CONCURRENCY = 4;
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_COMMENT_LENGTH = 500;
+const COMMENT_FIELDS = ["comment", "text", "feedback", "message", "description"];
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function isTrue(value) {
+  return ["1", "true", "yes", "on"].includes(String(value || "").trim().toLowerCase());
+}
+
+function isZeroHash(hash) {
+  return !hash || /^0x0*$/i.test(String(hash));
+}
+
+function loadFeedbackContentConfigFromEnv(env = process.env) {
+  return {
+    enabled: isTrue(env.FEEDBACK_CONTENT_FETCH),
+    ipfsGateway: env.FEEDBACK_CONTENT_IPFS_GATEWAY || DEFAULT_IPFS_GATEWAY,
+    timeoutMs: toPositiveInt(env.FEEDBACK_CONTENT_TIMEOUT_MS, DEFAULT_FETCH_TIMEOUT_MS),
+    maxBytes: toPositiveInt(env.FEEDBACK_CONTENT_MAX_BYTES, DEFAULT_MAX_DOCUMENT_BYTES),
+    retryAfterMs: toPositiveInt(env.FEEDBACK_CONTENT_RETRY_MS, DEFAULT_RETRY_AFTER_MS),
+    concurrency: toPositiveInt(env.FEEDBACK_CONTENT_CONCURRENCY, DEFAULT_FETCH_CONCURRENCY),
+    allowPrivateUrls: isTrue(env.FEEDBACK_CONTENT_ALLOW_PRIVATE_URLS),
+  };
+}
+
+/**
+ * Maps a feedbackURI to the URL to download: http(s) URIs as-is, `ipfs://<cid>/<path>` through the
+ * gateway's `/ipfs/` path. Returns null for schemes we cannot fetch.
+ */
+function resolveFeedbackUrl(feedbackURI, ipfsGateway = DEFAULT_IPFS_GATEWAY) {
+  const uri = String(feedbackURI || "").trim();
+  if (/^https?:\/\//i.test(uri)) {
+    return uri;
+  }
+  if (/^ipfs:\/\//i.test(uri)) {
+    const contentPath = uri.slice("ipfs://".length).replace(/^ipfs\//i, "");
+    return contentPath ? `${ipfsGateway.replace(/\/+$/, "")}/ipfs/${contentPath}` : null;
+  }
+  return null;
+}
+
+/**
+ * Comment text for display: the first string field among COMMENT_FIELDS of a JSON document, or the
+ * document itself when it is plain text. Truncated to MAX_COMMENT_LENGTH characters.
+ */
+function extractComment(text) {
+  let comment = String(text || "");
+  try {
+    const parsed = JSON.parse(comment);
+    if (parsed && typeof parsed === "object") {
+      const field = COMMENT_FIELDS.find((name) => typeof parsed[name] === "string");
+      comment = field ? parsed[field] : "";
+    }
+  } catch {
+    // Not JSON: show the document as-is.
+  }
+  comment = comment.trim();
+  return comment.length > MAX_COMMENT_LENGTH ? `${comment.slice(0, MAX_COMMENT_LENGTH - 1)}…` : comment;
+}
+
+/**
+ * Downloads feedback documents and checks them against their on-chain feedbackHash.
+ *
+ * verify(entry) resolves to a content record (never throws):
+ * - `verified`: keccak256 of the document matches; `text` holds the document.
+ * - `mismatch`: the document was downloaded but does not match the hash.
+ * - `unavailable`: download failed (network, timeout, non-2xx, over maxBytes, or a loopback/private
+ *   address); worth retrying.
+ * - `unchecked`: nothing to verify (no URI, unsupported scheme, or a zero hash).
+ *
+ * feedbackURIs are chosen by whoever posts feedback, so unless `allowPrivateUrls` is set they (and
+ * every redirect) must not point at loopback or private hosts; the configured IPFS gateway is trusted.
+ */
+function createFeedbackContentFetcher({
+  ipfsGateway = DEFAULT_IPFS_GATEWAY,
+  timeoutMs = DEFAULT_FETCH_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_DOCUMENT_BYTES,
+  allowPrivateUrls = false,
+  fetchImpl = fetch,
+} = {}) {
+  const maxDocumentBytes = toPositiveInt(maxBytes, DEFAULT_MAX_DOCUMENT_BYTES);
+  const requestTimeoutMs = toPositiveInt(timeoutMs, DEFAULT_FETCH_TIMEOUT_MS);
+
+  // Reads at most maxDocumentBytes, aborting the download as soon as the body runs past it.
+  async function readBody(response, controller) {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of response.body || []) {
+      length += chunk.length;
+      if (length > maxDocumentBytes) {
+        controller.abort();
+        throw new Error(`document exceeds ${maxDocumentBytes} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async function fetchDocument(url, { allowPrivate = allowPrivateUrls } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), requestTimeoutMs);
+    const request = (target) => {
+      const { protocol, hostname } = new URL(target);
+      if (!["http:", "https:"].includes(protocol)) {
+        throw new Error(`unsupported URL scheme ${protocol}`);
+      }
+      if (!allowPrivate && isPrivateHost(hostname)) {
+        throw new Error("url points at a loopback or private address");
+      }
+      return fetchImpl(target, {
+        method: "GET",
+        headers: { "user-agent": "robomoustachio-indexer/1.0" },
+        redirect: "manual",
+        signal: controller.signal,
+      });
+    };
+    try {
+      let target = url;
+      let response = await request(target);
+      for (let redirects = 0; REDIRECT_STATUSES.includes(response.status); redirects += 1) {
+        const location = response.headers.get("location");
+        await response.body?.cancel();
+        if (!location || redirects >= MAX_REDIRECTS) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        target = new URL(location, target).toString();
+        response = await request(target);
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (Number(response.headers.get("content-length")) > maxDocumentBytes) {
+        throw new Error(`document exceeds ${maxDocumentBytes} bytes`);
+      }
+      return await readBody(response, controller);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function verify(entry) {
+    const record = {
+      feedbackURI: entry.feedbackURI,
+      feedbackHash: entry.feedbackHash,
+      checkedAt: Date.now(),
+    };
+    const url = resolveFeedbackUrl(entry.feedbackURI, ipfsGateway);
+    if (!url || isZeroHash(entry.feedbackHash)) {
+      return { ...record, status: "unchecked" };
+    }
+
+    const viaGateway = /^ipfs:\/\//i.test(String(entry.feedbackURI).trim());
+    let bytes;
+    try {
+      bytes = await fetchDocument(url, { allowPrivate: allowPrivateUrls || viaGateway });
+    } catch (error) {
+      return { ...record, status: "unavailable", error: error.name === "AbortError" ? "timeout" : error.message };
+    }
+
+    if (ethers.keccak256(bytes).toLowerCase() !== String(entry.feedbackHash).toLowerCase()) {
+      return { ...record, status: "mismatch" };
+    }
+    return { ...record, status: "verified", text: bytes.toString("utf8") };
+  }
+
+  return {
+    fetchDocument,
+    verify,
+  };
+}
+
+module.exports = {
+  DEFAULT_IPFS_GATEWAY,
+  createFeedbackContentFetcher,
+  extractComment,
+  loadFeedbackContentConfigFromEnv,
+  resolveFeedbackUrl,
+};
@@ -0,0 +1,508 @@
+"use strict";
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const MANIFEST_FILE = "manifest.json";
+const SCORES_FILE = "scores.json";
+const CONTENT_FILE = "content.jsonl";
+const SEGMENT_PATTERN = /^feedback-(\d{6})\.jsonl$/;
+const DEFAULT_SEGMENT_MAX_ENTRIES = 10_000;
+const STORE_VERSION = 1;
+const FEEDBACK_STORE_DIRNAME = ".indexer-feedback";
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function segmentName(sequence) {
+  return `feedback-${String(sequence).padStart(6, "0")}.jsonl`;
+}
+
+// Same identity as the indexer's log dedup key: (agent, client, feedbackIndex) names one feedback
+// regardless of which block or transaction carried it, so a log re-included after a reorg is not stored twice.
+function entryKey(entry) {
+  return [entry.agentId, String(entry.clientAddress).toLowerCase(), entry.feedbackIndex].join("|");
+}
+
+function compareEntries(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeJsonAtomic(filePath, value) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(value, null, 2)}\n`, "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Converts a decoded FeedbackPosted/NewFeedback log into a store entry.
+ * `timestamp` is the block timestamp in milliseconds.
+ */
+function feedbackEntryFromLog(log, timestamp) {
+  const args = log.args || {};
+  return {
+    agentId: BigInt(args.agentId).toString(),
+    clientAddress: String(args.clientAddress || ""),
+    feedbackIndex: String(args.feedbackIndex ?? ""),
+    value: String(args.value ?? "0"),
+    valueDecimals: Number(args.valueDecimals ?? 0),
+    tag1: String(args.tag1 || ""),
+    tag2: String(args.tag2 || ""),
+    endpoint: String(args.endpoint || ""),
+    feedbackURI: String(args.feedbackURI || ""),
+    feedbackHash: String(args.feedbackHash || ""),
+    blockNumber: Number(log.blockNumber),
+    blockHash: String(log.blockHash || ""),
+    transactionHash: String(log.transactionHash || ""),
+    logIndex: Number(log.index ?? 0),
+    timestamp,
+  };
+}
+
+/**
+ * Default store location: `.indexer-feedback/` next to the indexer checkpoint, so the two always
+ * describe the same chain state. The API server uses this too to find the indexer's store.
+ */
+function defaultFeedbackStoreDir(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), FEEDBACK_STORE_DIRNAME);
+}
+
+/**
+ * Append-only JSONL segment store for decoded feedback events.
+ *
+ * Layout: `<directory>/feedback-NNNNNN.jsonl` segments plus a `manifest.json` recording the
+ * registry the events came from and the last block fully ingested (`syncedBlock`). Entries are
+ * written before the manifest is advanced, so a crash between the two only causes the same range
+ * to be replayed (and deduplicated) on the next cycle. All entries are indexed in memory on load.
+ *
+ * `scores.json` holds the scoring details behind each agent's last published score (see saveScores),
+ * for the parts of the score the TrustScore contract does not record. `content.jsonl` holds the
+ * off-chain feedback document checks (see saveContent); later lines for an entry supersede earlier ones.
+ *
+ * With `readOnly` the store never writes (for processes other than the indexer); call `refresh()`
+ * to pick up whatever the indexer has written since the last load.
+ */
+function createFeedbackStore({ directory, reputationRegistryAddress = "", segmentMaxEntries, readOnly = false } = {}) {
+  if (!directory) {
+    throw new Error("Missing feedback store directory");
+  }
+
+  const maxEntriesPerSegment = toPositiveInt(segmentMaxEntries, DEFAULT_SEGMENT_MAX_ENTRIES);
+  const registry = String(reputationRegistryAddress).toLowerCase();
+  const manifestPath = path.join(directory, MANIFEST_FILE);
+  const scoresPath = path.join(directory, SCORES_FILE);
+  const contentPath = path.join(directory, CONTENT_FILE);
+
+  const entriesByAgent = new Map();
+  const keys = new Set();
+  const reviewers = new Map();
+  let scores = {};
+  const contentByKey = new Map();
+  let manifest = null;
+  let manifestMtimeMs = null;
+  let segmentSequence = 1;
+  let segmentEntryCount = 0;
+  let loading = null;
+
+  function indexReviewer(entry) {
+    const address = String(entry.clientAddress).toLowerCase();
+    if (!address) {
+      return;
+    }
+    if (!reviewers.has(address)) {
+      reviewers.set(address, { firstSeenMs: entry.timestamp, agentIds: new Set(), feedbackCount: 0 });
+    }
+    const reviewer = reviewers.get(address);
+    reviewer.firstSeenMs = Math.min(reviewer.firstSeenMs, entry.timestamp);
+    reviewer.agentIds.add(entry.agentId);
+    reviewer.feedbackCount += 1;
+  }
+
+  function indexEntry(entry) {
+    const key = entryKey(entry);
+    if (keys.has(key)) {
+      return false;
+    }
+    keys.add(key);
+    if (!entriesByAgent.has(entry.agentId)) {
+      entriesByAgent.set(entry.agentId, []);
+    }
+    entriesByAgent.get(entry.agentId).push(entry);
+    indexReviewer(entry);
+    return true;
+  }
+
+  function assertWritable() {
+    if (readOnly) {
+      throw new Error(`Feedback store at ${directory} is read-only`);
+    }
+  }
+
+  async function readManifestMtime() {
+    try {
+      return (await fs.stat(manifestPath)).mtimeMs;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function listSegments() {
+    let names;
+    try {
+      names = await fs.readdir(directory);
+    } catch (error) {
+      if (readOnly && error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+    return names
+      .map((name) => name.match(SEGMENT_PATTERN))
+      .filter(Boolean)
+      .map((match) => ({ name: match[0], path: path.join(directory, match[0]), sequence: Number(match[1]) }))
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  async function rewriteSegment(segmentPath, entries) {
+    await fs.writeFile(segmentPath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""), "utf8");
+  }
+
+  async function loadFromDisk() {
+    if (!readOnly) {
+      await fs.mkdir(directory, { recursive: true });
+    }
+    manifestMtimeMs = await readManifestMtime();
+    const stored = await readJsonIfExists(manifestPath);
+    if (stored && stored.reputationRegistryAddress && registry && stored.reputationRegistryAddress !== registry) {
+      throw new Error(
+        `Feedback store at ${directory} belongs to registry ${stored.reputationRegistryAddress}, not ${registry}`
+      );
+    }
+    manifest = {
+      version: STORE_VERSION,
+      reputationRegistryAddress: stored?.reputationRegistryAddress || registry,
+      syncedBlock: Number.isInteger(stored?.syncedBlock) ? stored.syncedBlock : null,
+    };
+    scores = (await readJsonIfExists(scoresPath)) || {};
+    await loadContent();
+
+    for (const segment of await listSegments()) {
+      const lines = (await fs.readFile(segment.path, "utf8")).split("\n").filter((line) => line.trim() !== "");
+      const valid = [];
+      lines.forEach((line, index) => {
+        try {
+          valid.push(JSON.parse(line));
+        } catch (error) {
+          if (index !== lines.length - 1) {
+            throw new Error(`Corrupt feedback store segment ${segment.name}: ${error.message}`);
+          }
+        }
+      });
+      if (valid.length !== lines.length && !readOnly) {
+        // A torn final line from an interrupted append is dropped; its block range gets replayed.
+        await rewriteSegment(segment.path, valid);
+      }
+      valid.forEach(indexEntry);
+      segmentSequence = segment.sequence;
+      segmentEntryCount = valid.length;
+    }
+
+    for (const entries of entriesByAgent.values()) {
+      entries.sort(compareEntries);
+    }
+  }
+
+  async function loadContent() {
+    let lines;
+    try {
+      lines = (await fs.readFile(contentPath, "utf8")).split("\n").filter((line) => line.trim() !== "");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+    lines.forEach((line, index) => {
+      try {
+        const record = JSON.parse(line);
+        contentByKey.set(entryKey(record), record);
+      } catch (error) {
+        // Same torn-final-line tolerance as the segments; the check is simply redone.
+        if (index !== lines.length - 1) {
+          throw new Error(`Corrupt feedback content file ${CONTENT_FILE}: ${error.message}`);
+        }
+      }
+    });
+  }
+
+  function load() {
+    if (!loading) {
+      loading = loadFromDisk().catch((error) => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  }
+
+  async function reloadIfChanged() {
+    await load();
+    const mtimeMs = await readManifestMtime();
+    if (mtimeMs === manifestMtimeMs) {
+      return false;
+    }
+    entriesByAgent.clear();
+    keys.clear();
+    reviewers.clear();
+    contentByKey.clear();
+    segmentSequence = 1;
+    segmentEntryCount = 0;
+    loading = null;
+    await load();
+    return true;
+  }
+
+  let refreshing = null;
+
+  /**
+   * Reloads from disk when the manifest changed since the last load (read-only consumers).
+   * Concurrent callers share one reload.
+   */
+  function refresh() {
+    if (!refreshing) {
+      refreshing = reloadIfChanged().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  async function writeEntries(entries) {
+    let offset = 0;
+    while (offset < entries.length) {
+      if (segmentEntryCount >= maxEntriesPerSegment) {
+        segmentSequence += 1;
+        segmentEntryCount = 0;
+      }
+      const chunk = entries.slice(offset, offset + maxEntriesPerSegment - segmentEntryCount);
+      const payload = chunk.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+      await fs.appendFile(path.join(directory, segmentName(segmentSequence)), payload, "utf8");
+      segmentEntryCount += chunk.length;
+      offset += chunk.length;
+    }
+  }
+
+  /**
+   * Persists new entries and marks every block up to `syncedBlock` as ingested.
+   * Returns the number of entries that were not already stored.
+   */
+  async function append(entries, syncedBlock) {
+    assertWritable();
+    await load();
+
+    const fresh = [];
+    for (const entry of entries) {
+      if (indexEntry(entry)) {
+        fresh.push(entry);
+      }
+    }
+    for (const agentId of new Set(fresh.map((entry) => entry.agentId))) {
+      entriesByAgent.get(agentId).sort(compareEntries);
+    }
+
+    await writeEntries(fresh);
+    if (Number.isInteger(syncedBlock) && (manifest.syncedBlock === null || syncedBlock > manifest.syncedBlock)) {
+      manifest.syncedBlock = syncedBlock;
+    }
+    await writeJsonAtomic(manifestPath, manifest);
+    return fresh.length;
+  }
+
+  /**
+   * Drops every entry above `toBlock` (orphaned by a reorg) and rewinds `syncedBlock` to it.
+   * Returns the removed entries so callers can rescore the affected agents.
+   */
+  async function rollback(toBlock) {
+    assertWritable();
+    await load();
+
+    const removed = [];
+    for (const [agentId, entries] of entriesByAgent) {
+      const kept = entries.filter((entry) => entry.blockNumber <= toBlock);
+      if (kept.length === entries.length) {
+        continue;
+      }
+      for (const entry of entries.slice(kept.length)) {
+        keys.delete(entryKey(entry));
+        removed.push(entry);
+      }
+      if (kept.length === 0) {
+        entriesByAgent.delete(agentId);
+      } else {
+        entriesByAgent.set(agentId, kept);
+      }
+    }
+
+    if (removed.length > 0) {
+      reviewers.clear();
+      for (const entries of entriesByAgent.values()) {
+        entries.forEach(indexReviewer);
+      }
+      for (const segment of await listSegments()) {
+        const lines = (await fs.readFile(segment.path, "utf8")).split("\n").filter((line) => line.trim() !== "");
+        const entries = lines.map((line) => JSON.parse(line));
+        const kept = entries.filter((entry) => entry.blockNumber <= toBlock);
+        if (kept.length !== entries.length) {
+          await rewriteSegment(segment.path, kept);
+        }
+        if (segment.sequence === segmentSequence) {
+          segmentEntryCount = kept.length;
+        }
+      }
+    }
+
+    if (manifest.syncedBlock !== null && manifest.syncedBlock > toBlock) {
+      manifest.syncedBlock = toBlock >= 0 ? toBlock : null;
+      await writeJsonAtomic(manifestPath, manifest);
+    }
+    return removed.sort(compareEntries);
+  }
+
+  async function getEntriesAfter(blockNumber) {
+    await load();
+    const entries = [];
+    for (const agentEntries of entriesByAgent.values()) {
+      entries.push(...agentEntries.filter((entry) => entry.blockNumber > blockNumber));
+    }
+    return entries.sort(compareEntries);
+  }
+
+  async function getFeedback(agentId) {
+    await load();
+    return [...(entriesByAgent.get(BigInt(agentId).toString()) || [])];
+  }
+
+  /**
+   * Returns `{ firstSeenMs, agentCount, feedbackCount }` for a reviewer address, or null if unseen.
+   */
+  async function getReviewerStats(clientAddress) {
+    await load();
+    const reviewer = reviewers.get(String(clientAddress).toLowerCase());
+    if (!reviewer) {
+      return null;
+    }
+    return {
+      firstSeenMs: reviewer.firstSeenMs,
+      agentCount: reviewer.agentIds.size,
+      feedbackCount: reviewer.feedbackCount,
+    };
+  }
+
+  /**
+   * Records the scoring details behind newly published scores, keyed by agent id and merged over
+   * earlier records. The manifest is rewritten too so read-only consumers see the change on refresh().
+   */
+  async function saveScores(records) {
+    assertWritable();
+    await load();
+    for (const record of records) {
+      scores[BigInt(record.agentId).toString()] = record;
+    }
+    await writeJsonAtomic(scoresPath, scores);
+    await writeJsonAtomic(manifestPath, manifest);
+  }
+
+  async function getScore(agentId) {
+    await load();
+    return scores[BigInt(agentId).toString()] || null;
+  }
+
+  async function listScores() {
+    await load();
+    return Object.values(scores);
+  }
+
+  /**
+   * Appends feedback document checks. Each record carries the entry's agentId, clientAddress,
+   * feedbackIndex, feedbackURI, and feedbackHash plus the check result.
+   */
+  async function saveContent(records) {
+    assertWritable();
+    await load();
+    if (records.length === 0) {
+      return;
+    }
+    await fs.appendFile(contentPath, records.map((record) => `${JSON.stringify(record)}\n`).join(""), "utf8");
+    records.forEach((record) => contentByKey.set(entryKey(record), record));
+    await writeJsonAtomic(manifestPath, manifest);
+  }
+
+  /**
+   * The latest document check for a stored entry, or null. A check made for a different URI or hash
+   * (the same key re-posted differently after a reorg) does not count.
+   */
+  async function getContent(entry) {
+    await load();
+    const record = contentByKey.get(entryKey(entry));
+    if (!record || record.feedbackURI !== entry.feedbackURI || record.feedbackHash !== entry.feedbackHash) {
+      return null;
+    }
+    return record;
+  }
+
+  async function getSyncedBlock() {
+    await load();
+    return manifest.syncedBlock;
+  }
+
+  async function stats() {
+    await load();
+    return {
+      agentCount: entriesByAgent.size,
+      reviewerCount: reviewers.size,
+      entryCount: keys.size,
+      syncedBlock: manifest.syncedBlock,
+    };
+  }
+
+  return {
+    directory,
+    load,
+    refresh,
+    append,
+    rollback,
+    getEntriesAfter,
+    getFeedback,
+    getReviewerStats,
+    saveScores,
+    getScore,
+    listScores,
+    saveContent,
+    getContent,
+    getSyncedBlock,
+    stats,
+  };
+}
+
+module.exports = {
+  DEFAULT_SEGMENT_MAX_ENTRIES,
+  createFeedbackStore,
+  defaultFeedbackStoreDir,
+  feedbackEntryFromLog,
+};
@@ -0,0 +1,416 @@
+"use strict";
+
+const { ethers } = require("ethers");
+
+const DAY_SECONDS = 24 * 60 * 60;
+const DEFAULT_HISTORY_CHUNK_BLOCKS = 10_000;
+const MAX_HISTORY_BUCKETS = 1_000;
+const DEFAULT_MAX_POINTS_PER_AGENT = 5_000;
+const MAX_BUFFERED_UPDATES = 10_000;
+const TREND_WINDOW_DAYS = Object.freeze([7, 30]);
+
+const DEFAULT_TREND_CONFIG = Object.freeze({
+  deltaThreshold: 50,
+});
+
+const INTERVAL_UNIT_SECONDS = Object.freeze({
+  m: 60,
+  h: 60 * 60,
+  d: DAY_SECONDS,
+  w: 7 * DAY_SECONDS,
+});
+
+// Score writers on TrustScore; decoded to recover feedback counts for each ScoreUpdated point.
+const SCORE_WRITER_ABI = [
+  "function updateScore(uint256 agentId,uint256 newScore,uint256 totalFb,uint256 posFb)",
+  "function batchUpdateScores(uint256[] agentIds,uint256[] scores,uint256[] totals,uint256[] positives)",
+];
+
+const scoreWriterInterface = new ethers.Interface(SCORE_WRITER_ABI);
+
+function toNonNegativeInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function parseTimeParam(raw, name) {
+  const value = String(raw).trim();
+  if (/^\d+$/.test(value)) {
+    const seconds = Number(value);
+    // Accept millisecond timestamps too; anything past year ~5138 in seconds is treated as ms.
+    return seconds >= 1e11 ? Math.floor(seconds / 1000) : seconds;
+  }
+  const ms = Date.parse(value);
+  if (!Number.isFinite(ms)) {
+    throw new Error(`${name} must be a unix timestamp or ISO-8601 date`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+function parseIntervalParam(raw) {
+  const value = String(raw ?? "raw").trim().toLowerCase();
+  if (value === "" || value === "raw") {
+    return { label: "raw", seconds: null };
+  }
+  const match = value.match(/^(\d+)([mhdw])$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error("interval must be 'raw' or a duration like 15m, 1h, 1d, 1w");
+  }
+  return {
+    label: value,
+    seconds: Number(match[1]) * INTERVAL_UNIT_SECONDS[match[2]],
+  };
+}
+
+function assertBucketCount(from, to, step) {
+  if (Math.floor(to / step) - Math.floor(from / step) + 1 > MAX_HISTORY_BUCKETS) {
+    throw new RangeError(`interval is too small for the requested range (max ${MAX_HISTORY_BUCKETS} buckets)`);
+  }
+}
+
+/**
+ * Parses `from`, `to` and `interval` query params for the history endpoint.
+ * Times are unix seconds (or ISO dates); `to` defaults to now.
+ */
+function parseHistoryQuery(query = {}, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const from = query.from === undefined || query.from === "" ? 0 : parseTimeParam(query.from, "from");
+  const to = query.to === undefined || query.to === "" ? nowSeconds : parseTimeParam(query.to, "to");
+  if (from > to) {
+    throw new Error("from must be earlier than or equal to to");
+  }
+
+  const interval = parseIntervalParam(query.interval);
+  if (interval.seconds !== null && from > 0) {
+    assertBucketCount(from, to, interval.seconds);
+  }
+
+  return { from, to, interval };
+}
+
+/**
+ * Turns raw score points into chart buckets. Each bucket carries the last known score
+ * at the end of the bucket (carried forward from earlier points when a bucket has no
+ * updates) plus how many updates landed in it.
+ */
+function bucketHistory(points, { from, to, interval }) {
+  if (interval.seconds === null) {
+    return points.filter((point) => point.timestamp >= from && point.timestamp <= to);
+  }
+
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+  if (sorted.length === 0 || sorted[0].timestamp > to) {
+    return [];
+  }
+
+  const step = interval.seconds;
+  assertBucketCount(Math.max(from, sorted[0].timestamp), to, step);
+  const firstBucket = Math.floor(Math.max(from, sorted[0].timestamp) / step) * step;
+  const lastBucket = Math.floor(to / step) * step;
+
+  const buckets = [];
+  let cursor = 0;
+  let lastScore = null;
+  for (let bucketStart = firstBucket; bucketStart <= lastBucket; bucketStart += step) {
+    const bucketEnd = bucketStart + step;
+    let updates = 0;
+    while (cursor < sorted.length && sorted[cursor].timestamp < bucketEnd) {
+      if (sorted[cursor].timestamp >= bucketStart) {
+        updates += 1;
+      }
+      lastScore = sorted[cursor].score;
+      cursor += 1;
+    }
+    if (lastScore !== null) {
+      buckets.push({ timestamp: bucketStart, score: lastScore, updates });
+    }
+  }
+  return buckets;
+}
+
+function loadTrendConfigFromEnv(env = process.env) {
+  const deltaThreshold = Number(env.TREND_DELTA_THRESHOLD);
+  return Object.freeze({
+    deltaThreshold:
+      Number.isFinite(deltaThreshold) && deltaThreshold > 0 ? deltaThreshold : DEFAULT_TREND_CONFIG.deltaThreshold,
+  });
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Least-squares slope of score over time, in score points per day.
+function leastSquaresSlope(samples) {
+  if (samples.length < 2) {
+    return 0;
+  }
+  const meanT = samples.reduce((sum, sample) => sum + sample.t, 0) / samples.length;
+  const meanScore = samples.reduce((sum, sample) => sum + sample.score, 0) / samples.length;
+  let covariance = 0;
+  let variance = 0;
+  for (const sample of samples) {
+    covariance += (sample.t - meanT) * (sample.score - meanScore);
+    variance += (sample.t - meanT) ** 2;
+  }
+  return variance === 0 ? 0 : (covariance / variance) * DAY_SECONDS;
+}
+
+function summarizeWindow(sorted, windowStart, latestScore) {
+  const before = sorted.filter((point) => point.timestamp < windowStart);
+  const inside = sorted.filter((point) => point.timestamp >= windowStart);
+
+  const samples = inside.map((point) => ({ t: point.timestamp, score: point.score }));
+  if (before.length > 0) {
+    samples.unshift({ t: windowStart, score: before[before.length - 1].score });
+  }
+
+  let largestRise = 0;
+  let largestDrop = 0;
+  for (let index = 1; index < samples.length; index += 1) {
+    const change = samples[index].score - samples[index - 1].score;
+    largestRise = Math.max(largestRise, change);
+    largestDrop = Math.min(largestDrop, change);
+  }
+
+  const baseline = samples.length > 0 ? samples[0].score : latestScore;
+  return {
+    delta: latestScore - baseline,
+    slope: roundTo(leastSquaresSlope(samples), 2),
+    updates: inside.length,
+    largestRise,
+    largestDrop,
+  };
+}
+
+/**
+ * Classifies an agent's score trajectory from its history points.
+ * A move of at least `deltaThreshold` over 7 days wins; otherwise swings both ways
+ * within 30 days are "volatile", and the 30-day delta decides improving/declining.
+ *
+ * @returns {{direction:string, windows:Object<string,{delta:number,slope:number,updates:number}>}}
+ */
+function summarizeTrend(points, { nowSeconds = Math.floor(Date.now() / 1000), deltaThreshold } = {}) {
+  const threshold = deltaThreshold ?? DEFAULT_TREND_CONFIG.deltaThreshold;
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+  if (sorted.length < 2) {
+    return { direction: "insufficient_data", windows: {} };
+  }
+
+  const latestScore = sorted[sorted.length - 1].score;
+  const windows = {};
+  for (const days of TREND_WINDOW_DAYS) {
+    windows[`${days}d`] = summarizeWindow(sorted, nowSeconds - days * DAY_SECONDS, latestScore);
+  }
+
+  const week = windows["7d"];
+  const month = windows["30d"];
+  let direction = "stable";
+  if (week.delta <= -threshold) {
+    direction = "declining";
+  } else if (week.delta >= threshold) {
+    direction = "improving";
+  } else if (month.largestRise >= threshold && month.largestDrop <= -threshold) {
+    direction = "volatile";
+  } else if (month.delta <= -threshold) {
+    direction = "declining";
+  } else if (month.delta >= threshold) {
+    direction = "improving";
+  }
+
+  const publicWindows = {};
+  for (const [label, { delta, slope, updates }] of Object.entries(windows)) {
+    publicWindows[label] = { delta, slope, updates };
+  }
+  return { direction, windows: publicWindows };
+}
+
+function decodeScoreWrite(transaction, agentId) {
+  if (!transaction?.data) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = scoreWriterInterface.parseTransaction({ data: transaction.data });
+  } catch {
+    return null;
+  }
+  if (!parsed) {
+    return null;
+  }
+
+  if (parsed.name === "updateScore") {
+    return parsed.args.agentId === agentId
+      ? { totalFeedback: Number(parsed.args.totalFb), positiveFeedback: Number(parsed.args.posFb) }
+      : null;
+  }
+
+  const index = parsed.args.agentIds.findIndex((candidate) => candidate === agentId);
+  if (index === -1) {
+    return null;
+  }
+  return {
+    totalFeedback: Number(parsed.args.totals[index]),
+    positiveFeedback: Number(parsed.args.positives[index]),
+  };
+}
+
+/**
+ * Rebuilds per-agent score timelines from TrustScore `ScoreUpdated` events.
+ * One incremental scan over all agents is kept in memory, from `startBlock` (the contract's
+ * deployment block, required so a misconfigured API doesn't scan the whole chain). Each agent keeps
+ * its latest `maxPointsPerAgent` points and the all-agent update feed its latest MAX_BUFFERED_UPDATES.
+ * Feedback counts for each point are recovered by decoding the `updateScore` / `batchUpdateScores`
+ * call that emitted it (one transaction lookup per indexer batch, dropped once its logs are decoded).
+ */
+function createScoreHistoryReader({
+  contract,
+  provider,
+  startBlock,
+  chunkBlocks = DEFAULT_HISTORY_CHUNK_BLOCKS,
+  maxPointsPerAgent = DEFAULT_MAX_POINTS_PER_AGENT,
+}) {
+  const unset = startBlock === undefined || startBlock === null || String(startBlock).trim() === "";
+  const firstBlock = unset ? null : toNonNegativeInt(startBlock, null);
+  if (firstBlock === null) {
+    throw new Error(
+      "Missing or invalid TRUST_SCORE_DEPLOY_BLOCK: set it to the TrustScore deployment block (scripts/deploy.js does)"
+    );
+  }
+  const blocksPerQuery = toNonNegativeInt(chunkBlocks, DEFAULT_HISTORY_CHUNK_BLOCKS) || DEFAULT_HISTORY_CHUNK_BLOCKS;
+  const pointsLimit = toNonNegativeInt(maxPointsPerAgent, DEFAULT_MAX_POINTS_PER_AGENT) || DEFAULT_MAX_POINTS_PER_AGENT;
+  const pointsByAgent = new Map();
+  // Every point in chain order with its log position, for consumers that follow all agents (the score stream).
+  const updates = [];
+  const transactionCache = new Map();
+  let scannedThrough = firstBlock - 1;
+  let syncing = null;
+
+  async function getTransaction(hash) {
+    if (!transactionCache.has(hash)) {
+      transactionCache.set(
+        hash,
+        provider.getTransaction(hash).catch((error) => {
+          transactionCache.delete(hash);
+          throw error;
+        })
+      );
+    }
+    return transactionCache.get(hash);
+  }
+
+  async function toPoint(log) {
+    const agentId = BigInt(log.args.agentId);
+    const transaction = await getTransaction(log.transactionHash);
+    const counts = decodeScoreWrite(transaction, agentId);
+    return {
+      agentId: agentId.toString(),
+      logIndex: Number(log.index),
+      point: {
+        timestamp: Number(log.args.timestamp),
+        score: Number(log.args.score),
+        totalFeedback: counts ? counts.totalFeedback : null,
+        positiveFeedback: counts ? counts.positiveFeedback : null,
+        blockNumber: Number(log.blockNumber),
+        transactionHash: log.transactionHash,
+      },
+    };
+  }
+
+  function trimOldest(list, limit) {
+    if (list.length > limit) {
+      list.splice(0, list.length - limit);
+    }
+  }
+
+  async function scan(latestBlock) {
+    const filter = contract.filters.ScoreUpdated();
+    for (let fromBlock = scannedThrough + 1; fromBlock <= latestBlock; fromBlock += blocksPerQuery) {
+      const toBlock = Math.min(latestBlock, fromBlock + blocksPerQuery - 1);
+      const logs = await contract.queryFilter(filter, fromBlock, toBlock);
+      let points;
+      try {
+        points = await Promise.all(logs.map(toPoint));
+      } finally {
+        // A transaction's logs all land in one block, so its decoded calldata is never needed again.
+        transactionCache.clear();
+      }
+      const touched = new Set();
+      for (const { agentId, logIndex, point } of points) {
+        if (!pointsByAgent.has(agentId)) {
+          pointsByAgent.set(agentId, []);
+        }
+        pointsByAgent.get(agentId).push(point);
+        updates.push({ agentId, logIndex, point });
+        touched.add(agentId);
+      }
+      for (const agentId of touched) {
+        trimOldest(pointsByAgent.get(agentId), pointsLimit);
+      }
+      trimOldest(updates, MAX_BUFFERED_UPDATES);
+      scannedThrough = toBlock;
+    }
+  }
+
+  async function sync() {
+    if (!syncing) {
+      syncing = provider
+        .getBlockNumber()
+        .then((latestBlock) => scan(latestBlock))
+        .finally(() => {
+          syncing = null;
+        });
+    }
+    return syncing;
+  }
+
+  return {
+    sync,
+    /**
+     * @param {bigint} agentId
+     * @returns {Promise<Array<{timestamp:number,score:number,totalFeedback:number|null,positiveFeedback:number|null,blockNumber:number,transactionHash:string}>>}
+     */
+    async getHistory(agentId) {
+      await sync();
+      return [...(pointsByAgent.get(agentId.toString()) || [])];
+    },
+    /**
+     * Score updates for all agents logged after `after` (`{ blockNumber, logIndex }`, or null for
+     * all of them), oldest first. Only the latest MAX_BUFFERED_UPDATES are kept.
+     *
+     * @returns {Promise<Array<{agentId:string,score:number,timestamp:number,blockNumber:number,logIndex:number,transactionHash:string}>>}
+     */
+    async getUpdatesAfter(after = null) {
+      await sync();
+      const isAfter = ({ logIndex, point }) =>
+        after === null ||
+        point.blockNumber > after.blockNumber ||
+        (point.blockNumber === after.blockNumber && logIndex > after.logIndex);
+      let index = updates.length;
+      while (index > 0 && isAfter(updates[index - 1])) {
+        index -= 1;
+      }
+      return updates.slice(index).map(({ agentId, logIndex, point }) => ({
+        agentId,
+        score: point.score,
+        timestamp: point.timestamp,
+        blockNumber: point.blockNumber,
+        logIndex,
+        transactionHash: point.transactionHash,
+      }));
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_CHUNK_BLOCKS,
+  DEFAULT_MAX_POINTS_PER_AGENT,
+  DEFAULT_TREND_CONFIG,
+  MAX_HISTORY_BUCKETS,
+  bucketHistory,
+  createScoreHistoryReader,
+  loadTrendConfigFromEnv,
+  parseHistoryQuery,
+  summarizeTrend,
+};
@@ -4,13 +4,36 @@ const fs = require("node:fs/promises");
 const path = require("node:path");
 const { ethers } = require("ethers");
 
-const { loadScoringConfigFromEnv, normalizeConfig, scoreFeedbackDetailed } = require("./scoring");
+const { createFeedbackContentFetcher, loadFeedbackContentConfigFromEnv } = require("./feedbackContent");
+const { createFeedbackStore, defaultFeedbackStoreDir, feedbackEntryFromLog } = require("./feedbackStore");
+const { applyScoreOverride, createOverrideStore, defaultOverridesPath } = require("./overrides");
+const {
+  DEFAULT_BREAKDOWN_MAX_GROUPS,
+  DEFAULT_SCORING_MODEL,
+  computeReviewerWeight,
+  describeScoringModel,
+  getScoringModel,
+  loadScoringConfigFromEnv,
+  scoreFeedbackBreakdown,
+} = require("./scoring");
+const {
+  buildWebhookDeliveries,
+  createSubscriptionStore,
+  createWebhookDispatcher,
+  defaultDeadLetterPath,
+  defaultSubscriptionsPath,
+  loadWebhookConfigFromEnv,
+} = require("./webhooks");
 
 const DEFAULT_CHECKPOINT_PATH = path.join(__dirname, ".indexer-checkpoint.json");
 const DEFAULT_POLL_INTERVAL_MS = 900_000;
 const DEFAULT_BACKOFF_START_MS = 1_000;
 const DEFAULT_BACKOFF_MAX_MS = 60_000;
 const DEFAULT_MAX_BATCH_SIZE = 100;
+const DEFAULT_CONFIRMATIONS = 0;
+const DEFAULT_REORG_HASH_HISTORY = 64;
+const DEFAULT_LOG_CHUNK_BLOCKS = 2_000;
+const DEFAULT_MAX_LOG_CHUNK_BLOCKS = 10_000;
 
 // Includes both event names for compatibility while keeping one payload shape.
 const REPUTATION_REGISTRY_ABI = [
@@ -20,8 +43,12 @@ const REPUTATION_REGISTRY_ABI = [
 
 const TRUST_SCORE_ABI = [
   "function batchUpdateScores(uint256[] agentIds,uint256[] scores,uint256[] totals,uint256[] positives) external",
+  "function identityRegistry() view returns (address)",
+  "event ScoreUpdated(uint256 indexed agentId, uint256 score, uint256 timestamp)",
 ];
 
+const IDENTITY_REGISTRY_ABI = ["function ownerOf(uint256 agentId) view returns (address)"];
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -52,11 +79,48 @@ function normalizeAgentIdString(value) {
   }
 }
 
+// Provider messages for eth_getLogs ranges that are too wide or match too many logs.
+const LOG_RANGE_ERROR_HINTS = [
+  "query returned more than",
+  "block range",
+  "range too large",
+  "range is too large",
+  "too many blocks",
+  "too many results",
+  "response size exceeded",
+  "response size should not",
+  "eth_getlogs is limited",
+  "exceed maximum",
+];
+
+function isLogRangeError(error) {
+  if (!error) {
+    return false;
+  }
+
+  const message = `${error.message || ""} ${error.shortMessage || ""}`.toLowerCase();
+  if (LOG_RANGE_ERROR_HINTS.some((token) => message.includes(token))) {
+    return true;
+  }
+
+  for (const nested of [error.error, error.info?.error, error.cause]) {
+    if (nested && nested !== error && isLogRangeError(nested)) {
+      return true;
+    }
+  }
+  return false;
+}
+
 function isRpcError(error) {
   if (!error) {
     return false;
   }
 
+  // Retrying the same oversized getLogs range can never succeed; the caller has to shrink it.
+  if (isLogRangeError(error)) {
+    return false;
+  }
+
   const code = error.code;
   if (typeof code === "number" && (code === -32000 || code === -32005 || code === -32603)) {
     return true;
@@ -125,6 +189,17 @@ async function withExponentialBackoff(operation, options = {}) {
   }
 }
 
+function normalizeRecentBlocks(rawBlocks) {
+  const byNumber = new Map();
+  for (const block of Array.isArray(rawBlocks) ? rawBlocks : []) {
+    if (!Number.isInteger(block?.number) || block.number < 0 || !/^0x[0-9a-fA-F]{64}$/.test(block?.hash || "")) {
+      continue;
+    }
+    byNumber.set(block.number, block.hash.toLowerCase());
+  }
+  return Array.from(byNumber, ([number, hash]) => ({ number, hash })).sort((a, b) => a.number - b.number);
+}
+
 function normalizeCheckpoint(raw) {
   const lastProcessedBlock = Number.isInteger(raw?.lastProcessedBlock) && raw.lastProcessedBlock >= 0
     ? raw.lastProcessedBlock
@@ -141,7 +216,7 @@ function normalizeCheckpoint(raw) {
     pendingAgentIds.push(normalized);
   }
 
-  return { lastProcessedBlock, pendingAgentIds };
+  return { lastProcessedBlock, pendingAgentIds, recentBlocks: normalizeRecentBlocks(raw?.recentBlocks) };
 }
 
 async function loadCheckpoint(checkpointPath) {
@@ -150,7 +225,7 @@ async function loadCheckpoint(checkpointPath) {
     return normalizeCheckpoint(JSON.parse(content));
   } catch (error) {
     if (error.code === "ENOENT") {
-      return { lastProcessedBlock: null, pendingAgentIds: [] };
+      return { lastProcessedBlock: null, pendingAgentIds: [], recentBlocks: [] };
     }
     throw error;
   }
@@ -174,14 +249,26 @@ function buildIndexerConfigFromEnv(env = process.env) {
     rpcUrl: env.BASE_SEPOLIA_RPC_URL || env.BASE_MAINNET_RPC_URL || "http://127.0.0.1:8545",
     updaterPrivateKey: env.UPDATER_PRIVATE_KEY || env.DEPLOYER_PRIVATE_KEY || "",
     trustScoreAddress: env.TRUST_SCORE_ADDRESS || "",
+    identityRegistryAddress: env.IDENTITY_REGISTRY_ADDRESS || "",
     reputationRegistryAddress,
     checkpointPath: env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH,
+    feedbackStoreDir: env.FEEDBACK_STORE_DIR || "",
+    overridesPath: env.SCORE_OVERRIDES_FILE || "",
+    subscriptionsPath: env.WEBHOOK_SUBSCRIPTIONS_FILE || "",
     startBlock: toNonNegativeInt(env.INDEXER_START_BLOCK, 0),
+    confirmations: toNonNegativeInt(env.INDEXER_CONFIRMATIONS, DEFAULT_CONFIRMATIONS),
+    reorgHashHistory: toPositiveInt(env.INDEXER_REORG_HASH_HISTORY, DEFAULT_REORG_HASH_HISTORY),
+    logChunkBlocks: toPositiveInt(env.INDEXER_LOG_CHUNK_BLOCKS, DEFAULT_LOG_CHUNK_BLOCKS),
+    maxLogChunkBlocks: toPositiveInt(env.INDEXER_MAX_LOG_CHUNK_BLOCKS, DEFAULT_MAX_LOG_CHUNK_BLOCKS),
+    breakdownMaxGroups: toPositiveInt(env.INDEXER_BREAKDOWN_MAX_GROUPS, DEFAULT_BREAKDOWN_MAX_GROUPS),
     maxBatchSize: toPositiveInt(env.MAX_BATCH_SIZE, DEFAULT_MAX_BATCH_SIZE),
     pollIntervalMs: toPositiveInt(env.INDEXER_POLL_INTERVAL_MS, DEFAULT_POLL_INTERVAL_MS),
     backoffStartMs: toPositiveInt(env.RPC_BACKOFF_START_MS, DEFAULT_BACKOFF_START_MS),
     backoffMaxMs: toPositiveInt(env.RPC_BACKOFF_MAX_MS, DEFAULT_BACKOFF_MAX_MS),
+    scoringModelName: env.SCORING_MODEL || DEFAULT_SCORING_MODEL,
     scoringConfig: loadScoringConfigFromEnv(env),
+    feedbackContent: loadFeedbackContentConfigFromEnv(env),
+    webhooks: loadWebhookConfigFromEnv(env),
   };
 }
 
@@ -210,32 +297,76 @@ function resolveRuntimeConfig(inputConfig = {}) {
     throw new Error("Missing reputationRegistryAddress / REPUTATION_REGISTRY_ADDRESS");
   }
 
-  config.scoringConfig = normalizeConfig(config.scoringConfig || {});
+  // The effective config of the selected model, so reviewer weights and the recorded configHash
+  // match what the model actually scores with.
+  config.scoringModel = getScoringModel(config.scoringModelName);
+  config.scoringConfig = config.scoringModel.prepareConfig(config.scoringConfig || {});
+  config.scoringModelInfo = describeScoringModel(config.scoringModel, config.scoringConfig);
+  config.feedbackContent = { ...loadFeedbackContentConfigFromEnv({}), ...config.feedbackContent };
   config.maxBatchSize = toPositiveInt(config.maxBatchSize, DEFAULT_MAX_BATCH_SIZE);
   config.pollIntervalMs = toPositiveInt(config.pollIntervalMs, DEFAULT_POLL_INTERVAL_MS);
   config.backoffStartMs = toPositiveInt(config.backoffStartMs, DEFAULT_BACKOFF_START_MS);
   config.backoffMaxMs = toPositiveInt(config.backoffMaxMs, DEFAULT_BACKOFF_MAX_MS);
   config.startBlock = toNonNegativeInt(config.startBlock, 0);
+  config.confirmations = toNonNegativeInt(config.confirmations, DEFAULT_CONFIRMATIONS);
+  config.reorgHashHistory = toPositiveInt(config.reorgHashHistory, DEFAULT_REORG_HASH_HISTORY);
+  config.maxLogChunkBlocks = toPositiveInt(config.maxLogChunkBlocks, DEFAULT_MAX_LOG_CHUNK_BLOCKS);
+  config.logChunkBlocks = Math.min(
+    toPositiveInt(config.logChunkBlocks, DEFAULT_LOG_CHUNK_BLOCKS),
+    config.maxLogChunkBlocks
+  );
+  config.breakdownMaxGroups = toPositiveInt(config.breakdownMaxGroups, DEFAULT_BREAKDOWN_MAX_GROUPS);
   config.checkpointPath = config.checkpointPath || DEFAULT_CHECKPOINT_PATH;
+  config.feedbackStoreDir = config.feedbackStoreDir || defaultFeedbackStoreDir(config.checkpointPath);
+  config.overridesPath = config.overridesPath || defaultOverridesPath(config.checkpointPath);
+  config.subscriptionsPath = config.subscriptionsPath || defaultSubscriptionsPath(config.checkpointPath);
+  config.webhooks = { ...loadWebhookConfigFromEnv({}), ...config.webhooks };
+  config.webhooks.deadLetterPath = config.webhooks.deadLetterPath || defaultDeadLetterPath(config.checkpointPath);
+
+  // Kept on the config so the learned chunk size carries over between poll cycles.
+  if (!config.logChunkSizer) {
+    config.logChunkSizer = createLogChunkSizer({
+      initialBlocks: config.logChunkBlocks,
+      maxBlocks: config.maxLogChunkBlocks,
+    });
+  }
+
+  if (!config.feedbackStore) {
+    config.feedbackStore = createFeedbackStore({
+      directory: config.feedbackStoreDir,
+      reputationRegistryAddress: config.reputationRegistryAddress,
+    });
+  }
+
+  if (!config.overrideStore) {
+    config.overrideStore = createOverrideStore({ filePath: config.overridesPath });
+  }
+
+  if (!config.subscriptionStore) {
+    config.subscriptionStore = createSubscriptionStore({ filePath: config.subscriptionsPath });
+  }
+
+  if (!config.webhookDispatcher) {
+    config.webhookDispatcher = createWebhookDispatcher(config.webhooks);
+  }
+
+  if (config.contentFetcher === undefined) {
+    config.contentFetcher = config.feedbackContent.enabled
+      ? createFeedbackContentFetcher(config.feedbackContent)
+      : null;
+  }
 
   return config;
 }
 
+// (agent, client, feedbackIndex) identifies one feedback. Block number and tx hash are left out on
+// purpose: a log re-included in a different block after a reorg is still the same feedback.
 function feedbackDedupKey(log) {
   const args = log.args || {};
   return [
     normalizeAgentIdString(args.agentId) || "",
-    String(args.clientAddress || ""),
-    String(args.feedbackIndex || ""),
-    String(args.value || ""),
-    String(args.valueDecimals || ""),
-    String(args.tag1 || ""),
-    String(args.tag2 || ""),
-    String(args.endpoint || ""),
-    String(args.feedbackURI || ""),
-    String(args.feedbackHash || ""),
-    String(log.blockNumber || ""),
-    String(log.transactionHash || ""),
+    String(args.clientAddress || "").toLowerCase(),
+    String(args.feedbackIndex ?? ""),
   ].join("|");
 }
 
@@ -284,41 +415,66 @@ async function queryFeedbackLogs(reputationRegistry, fromBlock, toBlock, rpcCall
   return dedupeLogs(logs);
 }
 
-async function queryFeedbackLogsForAgent(reputationRegistry, agentId, fromBlock, toBlock, rpcCall) {
-  if (fromBlock > toBlock) {
-    return [];
-  }
+/**
+ * Tracks the eth_getLogs block span: halved on range/limit errors, grown by half again
+ * after every successful chunk, capped at `maxBlocks`.
+ */
+function createLogChunkSizer({ initialBlocks = DEFAULT_LOG_CHUNK_BLOCKS, maxBlocks = DEFAULT_MAX_LOG_CHUNK_BLOCKS } = {}) {
+  const max = toPositiveInt(maxBlocks, DEFAULT_MAX_LOG_CHUNK_BLOCKS);
+  let size = Math.min(toPositiveInt(initialBlocks, DEFAULT_LOG_CHUNK_BLOCKS), max);
 
-  const logs = [];
-  const filters = [
-    reputationRegistry.filters.FeedbackPosted(agentId, null, null),
-    reputationRegistry.filters.NewFeedback(agentId, null, null),
-  ];
+  return {
+    get size() {
+      return size;
+    },
+    shrink(failedSpan) {
+      size = Math.max(1, Math.floor(Math.min(size, failedSpan) / 2));
+      return size;
+    },
+    grow() {
+      size = Math.min(max, size + Math.ceil(size / 2));
+      return size;
+    },
+  };
+}
 
-  for (const filter of filters) {
-    const filteredLogs = await rpcCall(
-      () => reputationRegistry.queryFilter(filter, fromBlock, toBlock),
-      `query feedback logs for agent ${agentId.toString()}`
-    );
-    logs.push(...filteredLogs);
-  }
+/**
+ * Scans [fromBlock, toBlock] in chunks sized by `chunkSizer`, calling `onChunk` with each
+ * chunk's deduplicated logs in block order. A chunk rejected as too large is retried smaller;
+ * a single-block chunk that still fails rethrows.
+ */
+async function scanFeedbackLogsInChunks({ reputationRegistry, fromBlock, toBlock, chunkSizer, rpcCall, onChunk }) {
+  let cursor = fromBlock;
+  while (cursor <= toBlock) {
+    const chunkEnd = Math.min(toBlock, cursor + chunkSizer.size - 1);
+    let logs;
+    try {
+      logs = await queryFeedbackLogs(reputationRegistry, cursor, chunkEnd, rpcCall);
+    } catch (error) {
+      if (!isLogRangeError(error) || chunkEnd === cursor) {
+        throw error;
+      }
+      const span = chunkEnd - cursor + 1;
+      console.warn(
+        `[indexer] getLogs rejected ${span} blocks from ${cursor}; retrying with ${chunkSizer.shrink(span)}: ${error.message}`
+      );
+      continue;
+    }
 
-  return dedupeLogs(logs);
+    chunkSizer.grow();
+    await onChunk({ fromBlock: cursor, toBlock: chunkEnd, logs });
+    cursor = chunkEnd + 1;
+  }
 }
 
-async function collectFeedbackForAgent({
-  reputationRegistry,
-  provider,
-  agentId,
-  fromBlock,
-  toBlock,
-  rpcCall,
-  blockTimestampCache,
-}) {
-  const logs = await queryFeedbackLogsForAgent(reputationRegistry, agentId, fromBlock, toBlock, rpcCall);
-  const feedback = [];
+async function buildFeedbackEntries({ logs, provider, rpcCall }) {
+  const blockTimestampCache = new Map();
+  const entries = [];
 
   for (const log of logs) {
+    if (normalizeAgentIdString(log.args.agentId) === null) {
+      continue;
+    }
     const blockNumber = Number(log.blockNumber);
     if (!blockTimestampCache.has(blockNumber)) {
       const block = await rpcCall(() => provider.getBlock(blockNumber), `get block ${blockNumber}`);
@@ -327,15 +483,124 @@ async function collectFeedbackForAgent({
       }
       blockTimestampCache.set(blockNumber, Number(block.timestamp) * 1000);
     }
+    entries.push(feedbackEntryFromLog(log, blockTimestampCache.get(blockNumber)));
+  }
+
+  return entries;
+}
 
-    const value = BigInt(log.args.value);
-    feedback.push({
-      isPositive: value > 0n,
-      timestamp: blockTimestampCache.get(blockNumber),
+async function getBlockOrThrow(provider, blockNumber, rpcCall) {
+  const block = await rpcCall(() => provider.getBlock(blockNumber), `get block ${blockNumber}`);
+  if (!block) {
+    throw new Error(`Missing block ${blockNumber}`);
+  }
+  return block;
+}
+
+/**
+ * Walks the checkpointed block hashes from newest to oldest and returns the newest one that is
+ * still canonical. `depth` is how many checkpointed blocks were orphaned (0 means no reorg);
+ * `ancestorBlock` is null when every recorded hash was replaced.
+ */
+async function findCanonicalAncestor({ provider, recentBlocks, rpcCall }) {
+  for (let index = recentBlocks.length - 1; index >= 0; index -= 1) {
+    const { number, hash } = recentBlocks[index];
+    const block = await rpcCall(() => provider.getBlock(number), `get block ${number}`);
+    if (block && String(block.hash).toLowerCase() === hash) {
+      return { depth: recentBlocks.length - 1 - index, ancestorBlock: number };
+    }
+  }
+  return { depth: recentBlocks.length, ancestorBlock: null };
+}
+
+async function resolveAgentOwner(identityRegistry, agentId, rpcCall) {
+  try {
+    const owner = await rpcCall(() => identityRegistry.ownerOf(agentId), `ownerOf ${agentId.toString()}`);
+    return String(owner).toLowerCase();
+  } catch (error) {
+    // Unregistered or burned ids revert; there is no owner to discount.
+    if (isRpcError(error)) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Sybil-resistance inputs for scoreFeedbackDetailed: the agent's owner (via ownerOf on the identity
+ * registry) and an age/activity weight for each reviewer, from the local feedback store.
+ * Lookups a config makes irrelevant (owner weight 1, reviewer weighting off) are skipped.
+ */
+async function buildReviewerContext({
+  agentId,
+  storedFeedback,
+  feedbackStore,
+  identityRegistry,
+  scoringConfig,
+  nowMs,
+  rpcCall,
+}) {
+  const ownerAddresses = [];
+  if (scoringConfig.ownerFeedbackWeight < 1) {
+    const owner = await resolveAgentOwner(identityRegistry, agentId, rpcCall);
+    if (owner) {
+      ownerAddresses.push(owner);
+    }
+  }
+
+  const reviewerWeights = new Map();
+  if (scoringConfig.reviewerMinWeight < 1) {
+    for (const address of new Set(storedFeedback.map((entry) => entry.clientAddress.toLowerCase()))) {
+      const stats = await feedbackStore.getReviewerStats(address);
+      reviewerWeights.set(address, computeReviewerWeight(stats, scoringConfig, nowMs));
+    }
+  }
+
+  return { ownerAddresses, reviewerWeights };
+}
+
+/**
+ * Checks the off-chain documents of entries that have not been checked yet, or whose last attempt
+ * was `unavailable` more than `retryAfterMs` ago, `concurrency` downloads at a time.
+ */
+async function verifyFeedbackContent({ entries, feedbackStore, contentFetcher, retryAfterMs, concurrency }) {
+  const pending = [];
+  for (const entry of entries) {
+    const record = await feedbackStore.getContent(entry);
+    if (!record || (record.status === "unavailable" && Date.now() - record.checkedAt >= retryAfterMs)) {
+      pending.push(entry);
+    }
+  }
+
+  const records = [];
+  for (let offset = 0; offset < pending.length; offset += concurrency) {
+    const batch = pending.slice(offset, offset + concurrency);
+    const results = await Promise.all(batch.map((entry) => contentFetcher.verify(entry)));
+    results.forEach((result, index) => {
+      const { agentId, clientAddress, feedbackIndex } = batch[index];
+      records.push({ agentId, clientAddress, feedbackIndex, ...result });
     });
   }
+  await feedbackStore.saveContent(records);
+
+  const failed = records.filter((record) => record.status === "mismatch" || record.status === "unavailable");
+  if (failed.length > 0) {
+    console.warn(`[indexer] feedback content checks: ${failed.length}/${records.length} mismatched or unavailable`);
+  }
+}
 
-  return feedback;
+function toScoringFeedback(entry, content) {
+  return {
+    clientAddress: entry.clientAddress,
+    isPositive: BigInt(entry.value) > 0n,
+    value: entry.value,
+    valueDecimals: entry.valueDecimals,
+    tag1: entry.tag1,
+    tag2: entry.tag2,
+    endpoint: entry.endpoint,
+    contentStatus: content?.status ?? null,
+    timestamp: entry.timestamp,
+  };
 }
 
 async function runIndexerCycle(configOverrides = {}, options = {}) {
@@ -360,20 +625,123 @@ async function runIndexerCycle(configOverrides = {}, options = {}) {
     config.provider
   );
   const trustScore = new ethers.Contract(config.trustScoreAddress, TRUST_SCORE_ABI, config.updaterSigner);
+  const identityRegistryAddress =
+    config.identityRegistryAddress ||
+    (await rpcCall(() => trustScore.identityRegistry(), "read TrustScore identity registry"));
+  const identityRegistry = new ethers.Contract(identityRegistryAddress, IDENTITY_REGISTRY_ABI, config.provider);
 
+  const feedbackStore = config.feedbackStore;
   const checkpoint = await loadCheckpoint(config.checkpointPath);
-  const baselineLastProcessed = checkpoint.lastProcessedBlock ?? Math.max(config.startBlock - 1, 0);
+  const dirtyAgentIds = new Set(checkpoint.pendingAgentIds);
+  let lastProcessedBlock = checkpoint.lastProcessedBlock;
+  let recentBlocks = checkpoint.recentBlocks;
+
+  // Blocks we scored from may have been orphaned since the last cycle: rewind to the newest
+  // checkpointed block that is still canonical, drop feedback seen above it, and rescore its agents.
+  let reorg = null;
+  const { depth, ancestorBlock } = await findCanonicalAncestor({ provider: config.provider, recentBlocks, rpcCall });
+  if (depth > 0) {
+    const rollbackToBlock = ancestorBlock ?? config.startBlock - 1;
+    const orphaned = await feedbackStore.getEntriesAfter(rollbackToBlock);
+    for (const entry of orphaned) {
+      dirtyAgentIds.add(entry.agentId);
+    }
+    recentBlocks = recentBlocks.filter((block) => block.number <= rollbackToBlock);
+    lastProcessedBlock = rollbackToBlock >= config.startBlock ? rollbackToBlock : null;
+    // Persist the rewind before touching the store so a crash cannot lose the affected agents.
+    await saveCheckpoint(config.checkpointPath, {
+      lastProcessedBlock,
+      pendingAgentIds: Array.from(dirtyAgentIds),
+      recentBlocks,
+    });
+    reorg = {
+      rollbackToBlock,
+      orphanedCheckpoints: depth,
+      orphanedEventCount: orphaned.length,
+      affectedAgentIds: Array.from(new Set(orphaned.map((entry) => entry.agentId))),
+    };
+    console.warn(
+      `[indexer] reorg detected: rolled back to block ${rollbackToBlock}` +
+        `${ancestorBlock === null ? " (no recorded ancestor survived; rebuilding from startBlock)" : ""}, ` +
+        `orphanedEvents=${orphaned.length}, affectedAgents=${reorg.affectedAgentIds.length}`
+    );
+  }
+
+  // Drop stored feedback the checkpoint does not vouch for: blocks orphaned by a reorg, or a range
+  // appended by a cycle that died before saving its checkpoint (rescanned below either way).
+  await feedbackStore.rollback(lastProcessedBlock ?? config.startBlock - 1);
+
+  const baselineLastProcessed = lastProcessedBlock ?? Math.max(config.startBlock - 1, 0);
   const fromBlock = baselineLastProcessed + 1;
-  const latestBlock = await rpcCall(() => config.provider.getBlockNumber(), "get latest block");
+  const headBlock = await rpcCall(() => config.provider.getBlockNumber(), "get latest block");
+  // Only blocks with enough confirmations are indexed; never move the checkpoint backwards.
+  const safeBlock = headBlock - config.confirmations;
+  const latestBlock = Math.max(safeBlock, baselineLastProcessed);
+  const safeBlockHeader = safeBlock >= config.startBlock
+    ? await getBlockOrThrow(config.provider, safeBlock, rpcCall)
+    : null;
 
-  const newlyObservedLogs =
-    fromBlock <= latestBlock ? await queryFeedbackLogs(reputationRegistry, fromBlock, latestBlock, rpcCall) : [];
+  // A missing or lagging store (first run, or an upgrade from a checkpoint-only install) is
+  // backfilled from where it left off; only logs past the checkpoint mark agents dirty.
+  const storeSyncedBlock = await feedbackStore.getSyncedBlock();
+  const storeFromBlock = storeSyncedBlock === null ? config.startBlock : storeSyncedBlock + 1;
+  const scanFromBlock = Math.min(fromBlock, storeFromBlock);
+
+  let storedEventCount = 0;
+  let newEventCount = 0;
+  await scanFeedbackLogsInChunks({
+    reputationRegistry,
+    fromBlock: scanFromBlock,
+    toBlock: safeBlock,
+    chunkSizer: config.logChunkSizer,
+    rpcCall,
+    onChunk: async (chunk) => {
+      const entries = await buildFeedbackEntries({ logs: chunk.logs, provider: config.provider, rpcCall });
+
+      if (safeBlockHeader && chunk.toBlock === safeBlock) {
+        const recheck = await getBlockOrThrow(config.provider, safeBlock, rpcCall);
+        if (recheck.hash !== safeBlockHeader.hash) {
+          throw new Error(`Block ${safeBlock} was reorganized while scanning; retrying next cycle`);
+        }
+      }
 
-  const dirtyAgentIds = new Set(checkpoint.pendingAgentIds);
-  for (const log of newlyObservedLogs) {
-    const normalized = normalizeAgentIdString(log.args.agentId);
-    if (normalized) {
-      dirtyAgentIds.add(normalized);
+      storedEventCount += await feedbackStore.append(entries, chunk.toBlock);
+      for (const log of chunk.logs) {
+        if (Number(log.blockNumber) < fromBlock) {
+          continue;
+        }
+        newEventCount += 1;
+        const normalized = normalizeAgentIdString(log.args.agentId);
+        if (normalized) {
+          dirtyAgentIds.add(normalized);
+        }
+      }
+
+      // Checkpoint intermediate chunks so a crash mid-backfill resumes here. The final chunk is
+      // checkpointed after scoring, together with its block hash.
+      if (chunk.toBlock >= fromBlock && chunk.toBlock < safeBlock) {
+        await saveCheckpoint(config.checkpointPath, {
+          lastProcessedBlock: chunk.toBlock,
+          pendingAgentIds: Array.from(dirtyAgentIds),
+          recentBlocks,
+        });
+      }
+    },
+  });
+
+  // An override created, replaced, removed, or expired since the agent's score was last published
+  // needs a rescore even without new feedback.
+  const overrides = new Map((await config.overrideStore.list(nowMs)).map((override) => [override.agentId, override]));
+  const overrideAgentIds = new Set(overrides.keys());
+  for (const record of await feedbackStore.listScores()) {
+    if (record.override) {
+      overrideAgentIds.add(record.agentId);
+    }
+  }
+  for (const agentId of overrideAgentIds) {
+    const record = await feedbackStore.getScore(agentId);
+    if ((record?.override?.id ?? null) !== (overrides.get(agentId)?.id ?? null)) {
+      dirtyAgentIds.add(agentId);
     }
   }
 
@@ -385,60 +753,174 @@ async function runIndexerCycle(configOverrides = {}, options = {}) {
   const scores = [];
   const totals = [];
   const positives = [];
-  const blockTimestampCache = new Map();
+  const scoreRecords = [];
 
   for (const agentId of agentsToProcess) {
-    const feedbackEntries = await collectFeedbackForAgent({
-      reputationRegistry,
-      provider: config.provider,
+    const storedFeedback = (await feedbackStore.getFeedback(agentId)).filter(
+      (entry) => entry.blockNumber >= config.startBlock && entry.blockNumber <= latestBlock
+    );
+    const reviewerContext = await buildReviewerContext({
       agentId,
-      fromBlock: config.startBlock,
-      toBlock: latestBlock,
+      storedFeedback,
+      feedbackStore,
+      identityRegistry,
+      scoringConfig: config.scoringConfig,
+      nowMs,
       rpcCall,
-      blockTimestampCache,
     });
 
-    const details = scoreFeedbackDetailed(feedbackEntries, config.scoringConfig, nowMs);
+    if (config.contentFetcher) {
+      await verifyFeedbackContent({
+        entries: storedFeedback,
+        feedbackStore,
+        contentFetcher: config.contentFetcher,
+        retryAfterMs: config.feedbackContent.retryAfterMs,
+        concurrency: config.feedbackContent.concurrency,
+      });
+    }
+    const scoringFeedback = [];
+    for (const entry of storedFeedback) {
+      scoringFeedback.push(toScoringFeedback(entry, await feedbackStore.getContent(entry)));
+    }
+    let details;
+    let breakdown;
+    try {
+      details = config.scoringModel.scoreDetailed(scoringFeedback, config.scoringConfig, nowMs, reviewerContext);
+      breakdown = scoreFeedbackBreakdown(scoringFeedback, config.scoringConfig, nowMs, reviewerContext, {
+        maxGroups: config.breakdownMaxGroups,
+        model: config.scoringModel,
+      });
+    } catch (error) {
+      // Scoring is deterministic, so a retry would fail the same way; skip the agent instead of the whole cycle.
+      console.warn(`[indexer] skipping agent ${agentId}: scoring failed: ${error.message}`);
+      continue;
+    }
+    const override = overrides.get(agentId.toString()) || null;
+    const score = override ? applyScoreOverride(details.score, override) : details.score;
 
     agentIds.push(agentId);
-    scores.push(BigInt(details.score));
+    scores.push(BigInt(score));
     totals.push(BigInt(details.totalFeedback));
     positives.push(BigInt(details.positiveFeedback));
+    scoreRecords.push({
+      agentId: agentId.toString(),
+      score,
+      scoreLower: details.scoreLower,
+      scoreUpper: details.scoreUpper,
+      estimator: config.scoringConfig.scoreEstimator,
+      intervalLevel: config.scoringConfig.intervalLevel,
+      totalFeedback: details.totalFeedback,
+      positiveFeedback: details.positiveFeedback,
+      effectiveFeedbackCount: details.effectiveFeedbackCount,
+      flagged: details.flagged,
+      model: config.scoringModelInfo,
+      override: override && {
+        id: override.id,
+        mode: override.mode,
+        score: override.score,
+        reason: override.reason,
+        createdAt: override.createdAt,
+        expiresAt: override.expiresAt,
+        computedScore: details.score,
+      },
+      breakdown,
+      blockNumber: latestBlock,
+      computedAt: nowMs,
+    });
   }
 
   const txHashes = [];
+  const webhooks = { queued: 0, dropped: 0 };
   if (agentIds.length > 0) {
+    const previousRecords = new Map();
+    for (const record of scoreRecords) {
+      previousRecords.set(record.agentId, await feedbackStore.getScore(record.agentId));
+    }
+
     const tx = await rpcCall(
       () => trustScore.batchUpdateScores(agentIds, scores, totals, positives),
       "submit batchUpdateScores"
     );
     txHashes.push(tx.hash);
     console.log(`[indexer] batch update tx hash: ${tx.hash} (agents=${agentIds.length})`);
-    await rpcCall(() => tx.wait(), "wait batchUpdateScores receipt");
+    const receipt = await rpcCall(() => tx.wait(), "wait batchUpdateScores receipt");
+    await feedbackStore.saveScores(scoreRecords);
+
+    // Lets an API in the same process stream the updates without waiting for its own ScoreUpdated poll.
+    if (config.onScoreEvents) {
+      const scoreEvents = [];
+      for (const log of receipt.logs) {
+        const parsed = trustScore.interface.parseLog(log);
+        if (parsed?.name === "ScoreUpdated") {
+          scoreEvents.push({
+            agentId: parsed.args.agentId.toString(),
+            score: Number(parsed.args.score),
+            timestamp: Number(parsed.args.timestamp),
+            blockNumber: receipt.blockNumber,
+            logIndex: log.index,
+            transactionHash: receipt.hash,
+          });
+        }
+      }
+      try {
+        config.onScoreEvents(scoreEvents);
+      } catch (error) {
+        console.warn(`[indexer] onScoreEvents failed: ${error.message}`);
+      }
+    }
+
+    // Deliveries only go out once the new scores are final on chain. They are sent in the background, so
+    // slow or failing endpoints never hold up or fail the cycle.
+    const changes = scoreRecords
+      .filter((record) => previousRecords.get(record.agentId))
+      .map((record) => ({ agentId: record.agentId, previous: previousRecords.get(record.agentId), current: record }));
+    const deliveries = buildWebhookDeliveries({
+      subscriptions: await config.subscriptionStore.list(),
+      changes,
+      blockNumber: latestBlock,
+      txHash: tx.hash,
+    });
+    if (deliveries.length > 0) {
+      Object.assign(webhooks, config.webhookDispatcher.enqueue(deliveries));
+      console.log(`[indexer] webhooks: queued=${webhooks.queued}, dropped=${webhooks.dropped}`);
+    }
+  }
+
+  if (safeBlockHeader && safeBlock === latestBlock) {
+    recentBlocks = [...recentBlocks.filter((block) => block.number < safeBlock), {
+      number: safeBlock,
+      hash: safeBlockHeader.hash,
+    }].slice(-config.reorgHashHistory);
   }
 
   await saveCheckpoint(config.checkpointPath, {
     lastProcessedBlock: latestBlock,
     pendingAgentIds: queuedAgentIds,
+    recentBlocks,
   });
 
   return {
     fromBlock,
+    scanFromBlock,
+    headBlock,
     latestBlock,
-    newEventCount: newlyObservedLogs.length,
+    newEventCount,
+    storedEventCount,
     dirtyAgentCount: sortedDirtyAgents.length,
     processedAgentCount: agentIds.length,
     queuedAgentCount: queuedAgentIds.length,
     processedAgentIds: agentIds.map((id) => id.toString()),
     queuedAgentIds,
     txHashes,
+    webhooks,
+    reorg,
   };
 }
 
 async function startIndexer(configOverrides = {}) {
   const config = resolveRuntimeConfig(configOverrides);
   console.log(
-    `[indexer] started poll loop (interval=${config.pollIntervalMs}ms, checkpoint=${config.checkpointPath})`
+    `[indexer] started poll loop (interval=${config.pollIntervalMs}ms, checkpoint=${config.checkpointPath}, feedbackStore=${config.feedbackStoreDir}, model=${config.scoringModel.name}@${config.scoringModel.version})`
   );
 
   // eslint-disable-next-line no-constant-condition
@@ -464,6 +946,9 @@ module.exports = {
   loadCheckpoint,
   saveCheckpoint,
   isRpcError,
+  isLogRangeError,
+  createLogChunkSizer,
+  scanFeedbackLogsInChunks,
   withExponentialBackoff,
   runIndexerCycle,
   startIndexer,
@@ -0,0 +1,161 @@
+"use strict";
+
+// Numerical helpers for the interval estimators in scoring.js. Accuracy targets are ~1e-9 on
+// [0, 1], far below the 1/maxScore resolution scores are rounded to.
+
+const LANCZOS_COEFFICIENTS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+const MAX_ITERATIONS = 200;
+const EPSILON = 1e-12;
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const shifted = x - 1;
+  let sum = 0.99999999999980993;
+  LANCZOS_COEFFICIENTS.forEach((coefficient, index) => {
+    sum += coefficient / (shifted + index + 1);
+  });
+  const t = shifted + LANCZOS_COEFFICIENTS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz's method).
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = Math.abs(d) < tiny ? tiny : d;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m += 1) {
+    const m2 = 2 * m;
+    let numerator = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + numerator * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + numerator / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    result *= d * c;
+
+    numerator = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + numerator * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + numerator / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < EPSILON) {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b), i.e. the Beta(a, b) CDF at x.
+ */
+function betaCdf(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  const logFront = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  if (x < (a + 1) / (a + b + 2)) {
+    return (Math.exp(logFront) * betaContinuedFraction(x, a, b)) / a;
+  }
+  return 1 - (Math.exp(logFront) * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+function bisect(cdf, probability, low, high) {
+  let lo = low;
+  let hi = high;
+  for (let iteration = 0; iteration < MAX_ITERATIONS && hi - lo > EPSILON; iteration += 1) {
+    const mid = (lo + hi) / 2;
+    if (cdf(mid) < probability) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+function betaQuantile(probability, a, b) {
+  return bisect((x) => betaCdf(x, a, b), probability, 0, 1);
+}
+
+// Standard normal CDF via the complementary error function (Numerical Recipes erfc, |error| < 1.2e-7).
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc =
+    t *
+    Math.exp(
+      -x * x -
+        1.26551223 +
+        t *
+          (1.00002368 +
+            t *
+              (0.37409196 +
+                t *
+                  (0.09678418 +
+                    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))))
+    );
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+function normalQuantile(probability) {
+  return bisect(normalCdf, probability, -40, 40);
+}
+
+/**
+ * Beta-Binomial posterior for a success rate: Beta(priorPositive + successes, priorNegative + failures).
+ * Returns the posterior mean and the equal-tailed credible interval at `level`, all in [0, 1].
+ */
+function betaPosteriorInterval({ successes, failures, priorPositive = 1, priorNegative = 1, level = 0.95 }) {
+  const a = priorPositive + successes;
+  const b = priorNegative + failures;
+  const tail = (1 - level) / 2;
+  return {
+    point: a / (a + b),
+    lower: betaQuantile(tail, a, b),
+    upper: betaQuantile(1 - tail, a, b),
+  };
+}
+
+/**
+ * Wilson score interval for an observed rate `proportion` over `count` (possibly fractional) trials.
+ * The point estimate is the interval's center, which shrinks small samples toward 1/2.
+ */
+function wilsonInterval({ proportion, count, level = 0.95 }) {
+  if (count <= 0) {
+    return { point: 0.5, lower: 0, upper: 1 };
+  }
+  const z = normalQuantile(1 - (1 - level) / 2);
+  const z2 = z * z;
+  const denominator = 1 + z2 / count;
+  const center = (proportion + z2 / (2 * count)) / denominator;
+  const margin = (z * Math.sqrt((proportion * (1 - proportion)) / count + z2 / (4 * count * count))) / denominator;
+  return {
+    point: center,
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin),
+  };
+}
+
+module.exports = {
+  betaCdf,
+  betaQuantile,
+  normalCdf,
+  normalQuantile,
+  betaPosteriorInterval,
+  wilsonInterval,
+};
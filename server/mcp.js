@@ -0,0 +1,254 @@
+"use strict";
+
+const express = require("express");
+const { z } = require("zod");
+const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+
+const { version: packageVersion } = require("../package.json");
+const { createPaymentMiddleware } = require("./paymentMiddleware");
+const { parseAgentIdParam } = require("./validation");
+const { resolveRecommendation, resolveVerdict } = require("../src/agentkit/types");
+
+const MCP_PATH = "/mcp";
+
+// Each tool is billed like the HTTP route that serves the same data.
+const MCP_TOOL_ROUTES = Object.freeze({
+  get_trust_score: "GET /score/:agentId",
+  get_trust_report: "GET /report/:agentId",
+  evaluate_agent_risk: "GET /report/:agentId",
+});
+
+const AGENT_ID_INPUT_SCHEMA = {
+  agentId: z
+    .string()
+    .describe("ERC-8004 agent id as a base-10 unsigned integer string (uint256)."),
+};
+
+function jsonRpcError(code, message) {
+  return {
+    jsonrpc: "2.0",
+    error: { code, message },
+    id: null,
+  };
+}
+
+function isToolCall(message) {
+  return Boolean(message) && typeof message === "object" && message.method === "tools/call";
+}
+
+function resolvePaidToolName(body) {
+  if (!isToolCall(body)) {
+    return null;
+  }
+  const name = String(body.params?.name || "");
+  return Object.prototype.hasOwnProperty.call(MCP_TOOL_ROUTES, name) ? name : null;
+}
+
+function createToolPayments({ env, routePricing, localPaymentOptions }) {
+  const payments = {};
+  for (const [toolName, routeKey] of Object.entries(MCP_TOOL_ROUTES)) {
+    const pricing = routePricing[routeKey];
+    payments[toolName] = createPaymentMiddleware({
+      mode: env.X402_MODE || "auto",
+      routeConfig: {
+        [`POST ${MCP_PATH}`]: {
+          ...pricing,
+          description: `MCP ${toolName} tool call (${pricing.description})`,
+        },
+      },
+      enforceStubPayment: env.X402_STUB_ENFORCE || "false",
+      ...localPaymentOptions,
+      env,
+    });
+  }
+  return payments;
+}
+
+function toToolResult(result) {
+  return {
+    content: [{ type: "text", text: JSON.stringify(result.body) }],
+    structuredContent: result.body,
+    isError: result.statusCode >= 400,
+  };
+}
+
+function buildEvaluation(body) {
+  const verdict = resolveVerdict(body.score);
+  return {
+    verdict,
+    recommendation: resolveRecommendation(verdict),
+    flagged: typeof body.flagged === "boolean" ? body.flagged : null,
+    riskFactors: Array.isArray(body.riskFactors) ? body.riskFactors : [],
+  };
+}
+
+function createMcpServer({ req, res, payment, routePricing, trustQueries, resolveAccess }) {
+  const server = new McpServer({
+    name: "robomoustachio-trust-oracle",
+    version: packageVersion,
+  });
+
+  async function runPaidQuery(toolName, rawAgentId, query) {
+    let agentId;
+    try {
+      agentId = parseAgentIdParam(String(rawAgentId));
+    } catch (error) {
+      return {
+        statusCode: 400,
+        body: { error: "Invalid agentId", details: error.message },
+      };
+    }
+
+    const routeKey = MCP_TOOL_ROUTES[toolName];
+    const access = resolveAccess(req, res);
+    if (access.paymentRequired) {
+      return {
+        statusCode: 402,
+        body: {
+          error: "Payment required",
+          tool: toolName,
+          price: routePricing[routeKey].price,
+          network: routePricing[routeKey].network,
+          details: access.paymentReason,
+        },
+      };
+    }
+
+    try {
+      const result = await query(agentId, access);
+      if (result.fullResponse) {
+        res.locals.paymentStatus = payment.paidStatus;
+      }
+      return result;
+    } catch (error) {
+      console.error(`[mcp] ${toolName}(${agentId.toString()}) failed: ${error.stack || error.message}`);
+      return {
+        statusCode: 500,
+        body: {
+          error: "Internal server error",
+          details: error.message || "Unknown error",
+        },
+      };
+    }
+  }
+
+  server.registerTool(
+    "get_trust_score",
+    {
+      title: "Get trust score",
+      description: "Returns an agent's trust score (0-1000), confidence, and last update timestamp.",
+      inputSchema: AGENT_ID_INPUT_SCHEMA,
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    async ({ agentId }) => toToolResult(await runPaidQuery("get_trust_score", agentId, trustQueries.queryScore))
+  );
+
+  server.registerTool(
+    "get_trust_report",
+    {
+      title: "Get trust report",
+      description: "Returns an agent's detailed trust report with feedback counts, trend, and risk factors.",
+      inputSchema: AGENT_ID_INPUT_SCHEMA,
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    async ({ agentId }) => toToolResult(await runPaidQuery("get_trust_report", agentId, trustQueries.queryReport))
+  );
+
+  server.registerTool(
+    "evaluate_agent_risk",
+    {
+      title: "Evaluate agent risk",
+      description:
+        "Returns the detailed trust report plus a verdict (TRUSTED/CAUTION/DANGEROUS/UNKNOWN) and a proceed/manual_review/abort recommendation.",
+      inputSchema: AGENT_ID_INPUT_SCHEMA,
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    async ({ agentId }) => {
+      const result = await runPaidQuery("evaluate_agent_risk", agentId, trustQueries.queryReport);
+      if (result.statusCode >= 400) {
+        return toToolResult(result);
+      }
+      return toToolResult({
+        ...result,
+        body: {
+          ...result.body,
+          evaluation: buildEvaluation(result.body),
+        },
+      });
+    }
+  );
+
+  return server;
+}
+
+/**
+ * Mounts a stateless Model Context Protocol endpoint (streamable HTTP transport) at /mcp.
+ * Tool calls are gated by x402 at the same price as the matching HTTP route; protocol
+ * traffic such as initialize and tools/list stays free.
+ */
+function createMcpRouter({
+  env = process.env,
+  routePricing,
+  payment,
+  localPaymentOptions,
+  trustQueries,
+  resolveAccess,
+}) {
+  const router = express.Router();
+  const toolPayments = createToolPayments({ env, routePricing, localPaymentOptions });
+
+  function paymentGate(req, res, next) {
+    if (Array.isArray(req.body)) {
+      if (req.body.some(isToolCall)) {
+        return res.status(400).json(jsonRpcError(-32600, "Batched tools/call requests are not supported."));
+      }
+      return next();
+    }
+
+    const toolName = resolvePaidToolName(req.body);
+    if (!toolName) {
+      return next();
+    }
+    return toolPayments[toolName].middleware(req, res, next);
+  }
+
+  router.post(MCP_PATH, paymentGate, async (req, res, next) => {
+    const server = createMcpServer({ req, res, payment, routePricing, trustQueries, resolveAccess });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+      enableJsonResponse: true,
+    });
+
+    res.on("close", () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(`[mcp] request failed after headers were sent: ${error.stack || error.message}`);
+        return undefined;
+      }
+      return next(error);
+    }
+    return undefined;
+  });
+
+  // Stateless mode: no server-initiated streams and no sessions to terminate.
+  router.all(MCP_PATH, (req, res) => {
+    res.set("Allow", "POST");
+    return res.status(405).json(jsonRpcError(-32000, "Method not allowed."));
+  });
+
+  return router;
+}
+
+module.exports = {
+  MCP_PATH,
+  MCP_TOOL_ROUTES,
+  createMcpRouter,
+};
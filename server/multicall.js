@@ -0,0 +1,147 @@
+"use strict";
+
+const { ethers } = require("ethers");
+
+// Multicall3 is deployed at the same address on Base, Base Sepolia and most other EVM chains.
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) view returns ((bool success, bytes returnData)[] returnData)",
+];
+const DEFAULT_READ_BATCH_SIZE = 50;
+const DEFAULT_MULTICALL_BATCH_SIZE = 200;
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+// provider -> Map(multicall address -> Promise<boolean>)
+const availabilityByProvider = new WeakMap();
+
+/**
+ * Multicall3 address from MULTICALL3_ADDRESS; unset means the canonical deployment and an empty
+ * value turns multicall reads off.
+ */
+function resolveMulticallAddress(env = process.env) {
+  const raw = env.MULTICALL3_ADDRESS;
+  if (raw === undefined) {
+    return MULTICALL3_ADDRESS;
+  }
+  const trimmed = String(raw).trim();
+  if (!trimmed || ["false", "off", "none"].includes(trimmed.toLowerCase())) {
+    return null;
+  }
+  if (!ethers.isAddress(trimmed)) {
+    throw new Error(`MULTICALL3_ADDRESS is not a valid address: ${trimmed}`);
+  }
+  return ethers.getAddress(trimmed);
+}
+
+function runnerProvider(contract) {
+  const runner = contract?.runner;
+  if (!runner) {
+    return null;
+  }
+  const provider = runner.provider || runner;
+  return typeof provider.call === "function" && typeof provider.getCode === "function" ? provider : null;
+}
+
+/**
+ * Whether Multicall3 has code on the provider's chain. Checked once per provider and address; a
+ * failed check is not remembered, so a flaky RPC doesn't turn multicall off for good.
+ */
+function isMulticallAvailable(provider, address) {
+  let byAddress = availabilityByProvider.get(provider);
+  if (!byAddress) {
+    byAddress = new Map();
+    availabilityByProvider.set(provider, byAddress);
+  }
+  if (!byAddress.has(address)) {
+    const check = provider.getCode(address).then(
+      (code) => code !== "0x",
+      () => {
+        byAddress.delete(address);
+        return false;
+      }
+    );
+    byAddress.set(address, check);
+  }
+  return byAddress.get(address);
+}
+
+function toRevertError(contract, agentId, returnData) {
+  const revert = contract.interface.parseError(returnData);
+  const reason = revert ? `${revert.name}(${revert.args.join(", ")})` : null;
+  return ethers.makeError(`execution reverted${reason ? `: ${reason}` : ""}`, "CALL_EXCEPTION", {
+    action: "call",
+    data: returnData,
+    reason,
+    revert: revert ? { name: revert.name, signature: revert.signature, args: [...revert.args] } : null,
+    invocation: { method: "getDetailedReport", args: [agentId] },
+  });
+}
+
+async function readChunkWithMulticall(contract, provider, multicallAddress, agentIds) {
+  const target = await contract.getAddress();
+  const data = multicallInterface.encodeFunctionData("aggregate3", [
+    agentIds.map((agentId) => ({
+      target,
+      allowFailure: true,
+      callData: contract.interface.encodeFunctionData("getDetailedReport", [agentId]),
+    })),
+  ]);
+  const [results] = multicallInterface.decodeFunctionResult(
+    "aggregate3",
+    await provider.call({ to: multicallAddress, data })
+  );
+  return results.map(([success, returnData], index) => {
+    const agentId = agentIds[index];
+    if (!success) {
+      return { agentId, record: null, error: toRevertError(contract, agentId, returnData) };
+    }
+    const [record] = contract.interface.decodeFunctionResult("getDetailedReport", returnData);
+    return { agentId, record, error: null };
+  });
+}
+
+async function readChunkConcurrently(contract, agentIds) {
+  const settled = await Promise.allSettled(agentIds.map((agentId) => contract.getDetailedReport(agentId)));
+  return settled.map((result, index) =>
+    result.status === "fulfilled"
+      ? { agentId: agentIds[index], record: result.value, error: null }
+      : { agentId: agentIds[index], record: null, error: result.reason }
+  );
+}
+
+/**
+ * Reads many score records at once. When Multicall3 is deployed on the contract's chain each chunk
+ * is a single `aggregate3` eth_call; otherwise (or if that call fails) calls are issued concurrently
+ * so the JSON-RPC provider coalesces each chunk into a single batch request. Per-agent failures are
+ * returned alongside successes instead of failing the whole batch.
+ */
+async function readDetailedReports(contract, agentIds, { multicallAddress = null, chunkSize } = {}) {
+  const provider = multicallAddress ? runnerProvider(contract) : null;
+  const useMulticall = Boolean(provider) && (await isMulticallAvailable(provider, multicallAddress));
+  const size = chunkSize || (useMulticall ? DEFAULT_MULTICALL_BATCH_SIZE : DEFAULT_READ_BATCH_SIZE);
+
+  const outcomes = [];
+  for (let offset = 0; offset < agentIds.length; offset += size) {
+    const chunk = agentIds.slice(offset, offset + size);
+    if (useMulticall) {
+      try {
+        outcomes.push(...(await readChunkWithMulticall(contract, provider, multicallAddress, chunk)));
+        continue;
+      } catch (error) {
+        const reason = error.shortMessage || error.message;
+        console.warn(`[multicall] aggregate3 failed, reading chunk individually: ${reason}`);
+      }
+    }
+    outcomes.push(...(await readChunkConcurrently(contract, chunk)));
+  }
+  return outcomes;
+}
+
+module.exports = {
+  DEFAULT_READ_BATCH_SIZE,
+  MULTICALL3_ABI,
+  MULTICALL3_ADDRESS,
+  isMulticallAvailable,
+  readDetailedReports,
+  resolveMulticallAddress,
+};
@@ -0,0 +1,195 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const { parseAgentIdParam } = require("./validation");
+
+const OVERRIDE_MODES = ["pin", "cap", "floor"];
+const OVERRIDES_FILENAME = ".score-overrides.json";
+const OVERRIDES_VERSION = 1;
+const MAX_OVERRIDE_REASON_LENGTH = 500;
+
+/**
+ * Default overrides file: next to the indexer checkpoint, where both the API (which writes it) and
+ * the indexer (which applies it) find it.
+ */
+function defaultOverridesPath(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), OVERRIDES_FILENAME);
+}
+
+function isOverrideActive(override, nowMs = Date.now()) {
+  return Boolean(override) && (override.expiresAt === null || override.expiresAt > nowMs);
+}
+
+/**
+ * The score to publish under an override: `pin` replaces the computed score, `cap` limits it from
+ * above, and `floor` from below.
+ */
+function applyScoreOverride(score, override) {
+  if (override.mode === "pin") {
+    return override.score;
+  }
+  if (override.mode === "cap") {
+    return Math.min(score, override.score);
+  }
+  return Math.max(score, override.score);
+}
+
+function parseExpiresAt(value, nowMs) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const parsed = typeof value === "number" ? value : Date.parse(String(value));
+  if (!Number.isFinite(parsed)) {
+    throw new RangeError("expiresAt must be an ISO date or epoch milliseconds");
+  }
+  if (parsed <= nowMs) {
+    throw new RangeError("expiresAt must be in the future");
+  }
+  return parsed;
+}
+
+/**
+ * Validates a POST /admin/overrides body. Throws RangeError naming the first invalid field.
+ */
+function parseOverrideInput(body, { maxScore, nowMs = Date.now() }) {
+  const input = body && typeof body === "object" ? body : {};
+
+  let agentId;
+  try {
+    agentId = parseAgentIdParam(typeof input.agentId === "number" ? String(input.agentId) : input.agentId);
+  } catch (error) {
+    throw new RangeError(error.message);
+  }
+  if (!OVERRIDE_MODES.includes(input.mode)) {
+    throw new RangeError(`mode must be one of ${OVERRIDE_MODES.join(", ")}`);
+  }
+  if (!Number.isInteger(input.score) || input.score < 0 || input.score > maxScore) {
+    throw new RangeError(`score must be an integer between 0 and ${maxScore}`);
+  }
+  const reason = typeof input.reason === "string" ? input.reason.trim() : "";
+  if (!reason) {
+    throw new RangeError("reason is required");
+  }
+  if (reason.length > MAX_OVERRIDE_REASON_LENGTH) {
+    throw new RangeError(`reason supports at most ${MAX_OVERRIDE_REASON_LENGTH} characters`);
+  }
+
+  return {
+    agentId: agentId.toString(),
+    mode: input.mode,
+    score: input.score,
+    reason,
+    expiresAt: parseExpiresAt(input.expiresAt, nowMs),
+  };
+}
+
+/**
+ * JSON file of manual score overrides, at most one per agent. The API is the only writer; the
+ * indexer re-reads the file every cycle. Writes are serialized and atomic (temp file + rename),
+ * and expired overrides are pruned whenever the file is written.
+ */
+function createOverrideStore({ filePath } = {}) {
+  if (!filePath) {
+    throw new Error("Missing score overrides file path");
+  }
+
+  let writing = Promise.resolve();
+
+  async function readOverrides() {
+    try {
+      const stored = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return stored && typeof stored.overrides === "object" ? stored.overrides : {};
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async function writeOverrides(overrides) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify({ version: OVERRIDES_VERSION, overrides }, null, 2)}\n`, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function update(mutate) {
+    const result = writing.then(async () => {
+      const overrides = await readOverrides();
+      const nowMs = Date.now();
+      for (const [agentId, override] of Object.entries(overrides)) {
+        if (!isOverrideActive(override, nowMs)) {
+          delete overrides[agentId];
+        }
+      }
+      const value = mutate(overrides, nowMs);
+      await writeOverrides(overrides);
+      return value;
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Active overrides ordered by agent id.
+   */
+  async function list(nowMs = Date.now()) {
+    const overrides = await readOverrides();
+    return Object.values(overrides)
+      .filter((override) => isOverrideActive(override, nowMs))
+      .sort((a, b) => (BigInt(a.agentId) < BigInt(b.agentId) ? -1 : 1));
+  }
+
+  async function getActive(agentId, nowMs = Date.now()) {
+    const override = (await readOverrides())[BigInt(agentId).toString()];
+    return isOverrideActive(override, nowMs) ? override : null;
+  }
+
+  /**
+   * Creates or replaces the agent's override from a parseOverrideInput result.
+   */
+  function set(input) {
+    return update((overrides, nowMs) => {
+      const override = {
+        id: crypto.randomUUID(),
+        ...input,
+        createdAt: nowMs,
+      };
+      overrides[input.agentId] = override;
+      return override;
+    });
+  }
+
+  /**
+   * Removes the agent's override, returning it, or null if it had none (or it had expired).
+   */
+  function remove(agentId) {
+    return update((overrides) => {
+      const key = BigInt(agentId).toString();
+      const removed = overrides[key] || null;
+      delete overrides[key];
+      return removed;
+    });
+  }
+
+  return {
+    filePath,
+    list,
+    getActive,
+    set,
+    remove,
+  };
+}
+
+module.exports = {
+  OVERRIDE_MODES,
+  applyScoreOverride,
+  createOverrideStore,
+  defaultOverridesPath,
+  isOverrideActive,
+  parseOverrideInput,
+};
@@ -1,6 +1,14 @@
 "use strict";
 
 const { formatUsdPrice } = require("./registration");
+const {
+  X402_VERSION,
+  decodePaymentHeader,
+  resolveUsdcNetwork,
+  verifyExactPayment,
+} = require("./paymentVerification");
+
+const USDC_DECIMALS = 6;
 
 function toBoolean(value, fallback = false) {
   if (typeof value === "boolean") {
@@ -50,6 +58,17 @@ function matchPaidRoute(req, paidRoutes) {
   return paidRoutes.find((route) => route.method === method && route.regex.test(pathname));
 }
 
+/**
+ * Resolver from a request to its paid route, `{ key, price }`, or null for free routes.
+ */
+function createPaidRouteResolver(routeConfig) {
+  const paidRoutes = buildPaidRoutes(routeConfig);
+  return function resolvePaidRoute(req) {
+    const matchedRoute = matchPaidRoute(req, paidRoutes);
+    return matchedRoute ? { key: matchedRoute.key, price: matchedRoute.config.price } : null;
+  };
+}
+
 function extractPaymentHeaders(req) {
   const relevant = {};
   for (const [key, value] of Object.entries(req.headers || {})) {
@@ -97,7 +116,26 @@ function toX402RoutePath(routePath) {
   return String(routePath || "").replace(/:([A-Za-z0-9_]+)/g, "[$1]");
 }
 
-function buildX402RouteConfig(routeConfig) {
+/**
+ * With X402_USDC_ADDRESS set, prices are given to x402-express as token amounts of that asset
+ * instead of USD, which it would otherwise charge in the network's canonical USDC.
+ */
+function toX402Price(price, network, env) {
+  if (!env.X402_USDC_ADDRESS) {
+    return formatUsdPrice(price);
+  }
+  const usdc = resolveUsdcNetwork(network, env);
+  return {
+    amount: parseUsdPriceAtomic(price).toString(),
+    asset: {
+      address: usdc.asset,
+      decimals: USDC_DECIMALS,
+      eip712: { name: usdc.name, version: usdc.version },
+    },
+  };
+}
+
+function buildX402RouteConfig(routeConfig, env = process.env) {
   const mapped = {};
   for (const [key, config] of Object.entries(routeConfig || {})) {
     const parsed = parseRouteKey(key);
@@ -121,9 +159,10 @@ function buildX402RouteConfig(routeConfig) {
       nestedConfig.maxTimeoutSeconds = routeLevelConfig.maxTimeoutSeconds;
     }
 
+    const network = routeLevelConfig.network || "base";
     mapped[`${parsed.method} ${toX402RoutePath(parsed.routePath)}`] = {
-      price: formatUsdPrice(routeLevelConfig.price),
-      network: routeLevelConfig.network || "base",
+      price: toX402Price(routeLevelConfig.price, network, env),
+      network,
       config: nestedConfig,
     };
   }
@@ -159,7 +198,16 @@ function resolvePayToAddress(options = {}, env = process.env) {
   );
 }
 
+/**
+ * X402_FACILITATOR_URL points x402-express at another facilitator, such as this API's own
+ * `/facilitator` routes; otherwise the Coinbase facilitator is used.
+ */
 function resolveFacilitatorConfig(env = process.env) {
+  const url = String(env.X402_FACILITATOR_URL || "").trim();
+  if (url) {
+    return { url: url.replace(/\/+$/, "") };
+  }
+
   const { createFacilitatorConfig, facilitator } = require("@coinbase/x402");
   const apiKeyId = env.CDP_API_KEY_ID || env.CDP_API_KEY_NAME || "";
   const apiKeySecret = normalizePrivateKeyValue(env.CDP_API_KEY_SECRET || env.CDP_API_KEY_PRIVATE || "");
@@ -228,18 +276,125 @@ function createStubPaymentMiddleware(options = {}) {
     mode: "stub",
     usingRealMiddleware: false,
     fallbackFromReal: false,
+    paidStatus: "paid_stub",
     reason: "Using local x402 stub middleware",
     middleware,
   };
 }
 
+function buildExactPaymentRequirements(req, matchedRoute, payToAddress, env) {
+  const { config } = matchedRoute;
+  const network = config.network || "base";
+  const usdc = resolveUsdcNetwork(network, env);
+  return {
+    scheme: "exact",
+    network,
+    maxAmountRequired: parseUsdPriceAtomic(config.price).toString(),
+    resource: config.resource || `${req.protocol}://${req.get("host")}${req.path}`,
+    description: config.description || "",
+    mimeType: config.mimeType || "application/json",
+    payTo: payToAddress,
+    maxTimeoutSeconds: config.maxTimeoutSeconds || 60,
+    asset: usdc.asset,
+    extra: { name: usdc.name, version: usdc.version },
+  };
+}
+
+/**
+ * Verifies `X-PAYMENT` on the API itself instead of through a facilitator: the x402 "exact"
+ * payload's EIP-3009 signature, amount, recipient and validity window are checked, and its nonce is
+ * recorded in `nonceStore` so it can't be spent twice. Nothing is settled on-chain. Verified
+ * requests get `res.locals.paymentVerified`; requests without a payment get an x402 `402` with
+ * `accepts` unless `allowUnpaidRequest(req)` lets them through (for `?demo=true`).
+ */
+function createLocalPaymentMiddleware(options = {}, env = process.env) {
+  const paidRoutes = buildPaidRoutes(options.routeConfig);
+  const payToAddress = resolvePayToAddress(options, env);
+  const { nonceStore, allowUnpaidRequest = () => false } = options;
+  if (!nonceStore) {
+    throw new Error("Local x402 verification needs a payment nonce store");
+  }
+  for (const route of paidRoutes) {
+    resolveUsdcNetwork(route.config.network || "base", env);
+  }
+
+  const middleware = async function localPaymentMiddleware(req, res, next) {
+    const matchedRoute = matchPaidRoute(req, paidRoutes);
+    if (!matchedRoute) {
+      if (!res.locals.paymentStatus) {
+        res.locals.paymentStatus = "free";
+      }
+      return next();
+    }
+
+    const requirements = buildExactPaymentRequirements(req, matchedRoute, payToAddress, env);
+    const rejectPayment = (error, payer) =>
+      res.status(402).json({ x402Version: X402_VERSION, error, accepts: [requirements], payer });
+
+    const header = req.get("x-payment");
+    if (!header) {
+      if (allowUnpaidRequest(req)) {
+        res.locals.paymentStatus = "unpaid_local";
+        return next();
+      }
+      return rejectPayment("X-PAYMENT header is required");
+    }
+
+    let paymentPayload;
+    try {
+      paymentPayload = decodePaymentHeader(header);
+    } catch (error) {
+      return rejectPayment(error.message);
+    }
+    const verification = verifyExactPayment(paymentPayload, requirements);
+    if (!verification.isValid) {
+      return rejectPayment(verification.invalidReason, verification.payer);
+    }
+
+    const { authorization } = paymentPayload.payload;
+    try {
+      const outcome = await nonceStore.consume({
+        asset: requirements.asset,
+        payer: verification.payer,
+        nonce: authorization.nonce,
+        value: authorization.value,
+        validBefore: authorization.validBefore,
+      });
+      if (outcome === "replayed") {
+        return rejectPayment("invalid_exact_evm_payload_authorization_nonce_used", verification.payer);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    res.locals.paymentStatus = "paid_local";
+    res.locals.paymentVerified = {
+      payer: verification.payer,
+      value: String(authorization.value),
+      nonce: authorization.nonce,
+      network: requirements.network,
+    };
+    return next();
+  };
+
+  return {
+    mode: "local",
+    usingRealMiddleware: false,
+    fallbackFromReal: false,
+    paidStatus: "paid_local",
+    reason: "Verifying x402 payment signatures locally (payments are not settled on-chain)",
+    middleware,
+    payToAddress,
+  };
+}
+
 function createRealPaymentMiddleware(options = {}, env = process.env) {
   const { paymentMiddleware } = require("x402-express");
   if (typeof paymentMiddleware !== "function") {
     throw new Error("x402-express.paymentMiddleware export was not found");
   }
 
-  const x402RouteConfig = buildX402RouteConfig(options.routeConfig || {});
+  const x402RouteConfig = buildX402RouteConfig(options.routeConfig || {}, env);
   const payToAddress = resolvePayToAddress(options, env);
   const facilitatorConfig = resolveFacilitatorConfig(env);
   const paywallConfig = resolvePaywallConfig(env);
@@ -253,18 +408,92 @@ function createRealPaymentMiddleware(options = {}, env = process.env) {
     mode: "real",
     usingRealMiddleware: true,
     fallbackFromReal: false,
-    reason: "Using x402-express middleware with Coinbase facilitator",
+    paidStatus: "paid_real",
+    reason: env.X402_FACILITATOR_URL
+      ? `Using x402-express middleware with facilitator at ${facilitatorConfig.url}`
+      : "Using x402-express middleware with Coinbase facilitator",
     middleware,
     payToAddress,
   };
 }
 
+function parseUsdPriceAtomic(price) {
+  const normalized = formatUsdPrice(price).slice(1);
+  const match = normalized.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid USD price: ${price}`);
+  }
+  const whole = match[1] || "0";
+  const fraction = (match[2] || "").padEnd(USDC_DECIMALS, "0");
+  if (fraction.length > USDC_DECIMALS && /[1-9]/.test(fraction.slice(USDC_DECIMALS))) {
+    throw new Error(`USD price has more than ${USDC_DECIMALS} decimals: ${price}`);
+  }
+  return BigInt(whole) * 10n ** BigInt(USDC_DECIMALS) + BigInt(fraction.slice(0, USDC_DECIMALS));
+}
+
+function formatUsdPriceAtomic(atomic) {
+  const unit = 10n ** BigInt(USDC_DECIMALS);
+  const fraction = (atomic % unit).toString().padStart(USDC_DECIMALS, "0").replace(/0+$/, "");
+  return formatUsdPrice(`${atomic / unit}.${fraction.padEnd(3, "0")}`);
+}
+
+function scaleUsdPrice(price, units) {
+  return formatUsdPriceAtomic(parseUsdPriceAtomic(price) * BigInt(units));
+}
+
+/**
+ * Builds a payment middleware for a route whose price scales with the request
+ * (e.g. per agent in a batch). `resolveUnits(req)` returns the unit count; one
+ * underlying x402 middleware is created and cached per distinct count.
+ */
+function createMeteredPaymentMiddleware(options = {}) {
+  const env = options.env || process.env;
+  const { routeKey, routeConfig, resolveUnits } = options;
+  const byUnits = new Map();
+
+  function forUnits(units) {
+    if (!byUnits.has(units)) {
+      const payment = createPaymentMiddleware({
+        ...options,
+        env,
+        routeConfig: {
+          [routeKey]: {
+            ...routeConfig,
+            price: scaleUsdPrice(routeConfig.price, units),
+          },
+        },
+      });
+      byUnits.set(units, payment);
+    }
+    return byUnits.get(units);
+  }
+
+  const middleware = function meteredPaymentMiddleware(req, res, next) {
+    const units = resolveUnits(req);
+    if (!Number.isInteger(units) || units <= 0) {
+      return next();
+    }
+    return forUnits(units).middleware(req, res, next);
+  };
+
+  return {
+    middleware,
+    priceFor(units) {
+      return scaleUsdPrice(routeConfig.price, units);
+    },
+  };
+}
+
 function createPaymentMiddleware(options = {}) {
   const env = options.env || process.env;
   const routeConfig = options.routeConfig || {};
   const mode = String(options.mode || env.X402_MODE || "auto").toLowerCase();
   const shouldTryReal = mode === "real" || mode === "auto";
 
+  if (mode === "local") {
+    return createLocalPaymentMiddleware({ ...options, routeConfig }, env);
+  }
+
   if (shouldTryReal) {
     try {
       return createRealPaymentMiddleware({ ...options, routeConfig }, env);
@@ -272,6 +501,14 @@ function createPaymentMiddleware(options = {}) {
       if (mode === "real") {
         throw error;
       }
+      // X402_FALLBACK_MODE=local keeps verifying payments when the facilitator can't be set up.
+      if (String(env.X402_FALLBACK_MODE || "stub").toLowerCase() === "local") {
+        return {
+          ...createLocalPaymentMiddleware({ ...options, routeConfig }, env),
+          fallbackFromReal: true,
+          reason: `Fell back to local verification: ${error.message}`,
+        };
+      }
       return {
         ...createStubPaymentMiddleware(options),
         fallbackFromReal: true,
@@ -285,10 +522,18 @@ function createPaymentMiddleware(options = {}) {
 
 module.exports = {
   buildX402RouteConfig,
+  createMeteredPaymentMiddleware,
+  createPaidRouteResolver,
+  createLocalPaymentMiddleware,
   createPaymentMiddleware,
   createRealPaymentMiddleware,
   createStubPaymentMiddleware,
   extractPaymentHeaders,
+  formatUsdPriceAtomic,
   hasPaymentProof,
+  parseUsdPriceAtomic,
+  resolveFacilitatorConfig,
   resolvePayToAddress,
+  routeToRegex,
+  scaleUsdPrice,
 };
@@ -0,0 +1,251 @@
+"use strict";
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { ethers } = require("ethers");
+
+const NONCES_FILENAME = ".payment-nonces.json";
+const NONCES_VERSION = 1;
+const X402_VERSION = 1;
+// Same margin the x402 facilitator leaves for the authorization to be settled before it expires.
+const VALID_BEFORE_MARGIN_SECONDS = 6;
+
+// USDC (FiatTokenV2) on the networks x402 prices routes on; the EIP-712 domain name differs per deployment.
+const USDC_NETWORKS = {
+  base: {
+    chainId: 8453,
+    testnet: false,
+    asset: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+    name: "USD Coin",
+    version: "2",
+  },
+  "base-sepolia": {
+    chainId: 84532,
+    testnet: true,
+    asset: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    name: "USDC",
+    version: "2",
+  },
+};
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validBefore", type: "uint256" },
+    { name: "nonce", type: "bytes32" },
+  ],
+};
+
+function defaultNoncesPath(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), NONCES_FILENAME);
+}
+
+/**
+ * USDC for an x402 network. X402_USDC_ADDRESS (with X402_USDC_NAME / X402_USDC_VERSION for its
+ * EIP-712 domain) points payments at another EIP-3009 token, such as MockUSDC on a local chain.
+ */
+function resolveUsdcNetwork(network, env = process.env) {
+  const config = Object.hasOwn(USDC_NETWORKS, network) ? USDC_NETWORKS[network] : null;
+  if (!config) {
+    throw new Error(`No USDC configuration for x402 network: ${network}`);
+  }
+  const asset = String(env.X402_USDC_ADDRESS || "").trim();
+  if (!asset) {
+    return config;
+  }
+  if (!ethers.isAddress(asset)) {
+    throw new Error(`X402_USDC_ADDRESS is not a valid address: ${asset}`);
+  }
+  return {
+    ...config,
+    asset: ethers.getAddress(asset),
+    name: env.X402_USDC_NAME || config.name,
+    version: env.X402_USDC_VERSION || config.version,
+  };
+}
+
+/**
+ * Decodes an `X-PAYMENT` header: base64 JSON `{ x402Version, scheme, network, payload }`.
+ */
+function decodePaymentHeader(header) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(header || "").trim(), "base64").toString("utf8"));
+  } catch {
+    throw new Error("X-PAYMENT header is not base64-encoded JSON");
+  }
+  if (!decoded || typeof decoded !== "object" || !decoded.payload || typeof decoded.payload !== "object") {
+    throw new Error("X-PAYMENT header has no payment payload");
+  }
+  return decoded;
+}
+
+function toBigInt(value) {
+  try {
+    return BigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+function invalid(invalidReason, payer) {
+  return { isValid: false, invalidReason, payer };
+}
+
+/**
+ * Checks an "exact" EVM payment payload against x402 payment requirements the way the x402
+ * facilitator does, without a network call: the EIP-3009 `TransferWithAuthorization` signature,
+ * recipient, amount, and validity window. Balance and nonce replay are left to the caller.
+ * Returns `{ isValid, invalidReason, payer }` with the facilitator's reason codes.
+ */
+function verifyExactPayment(paymentPayload, requirements, { nowSeconds = Math.floor(Date.now() / 1000) } = {}) {
+  const authorization = paymentPayload?.payload?.authorization;
+  const payer = ethers.isAddress(authorization?.from) ? ethers.getAddress(authorization.from) : undefined;
+
+  if (paymentPayload?.x402Version !== X402_VERSION) {
+    return invalid("invalid_x402_version", payer);
+  }
+  if (paymentPayload.scheme !== "exact" || requirements.scheme !== "exact") {
+    return invalid("unsupported_scheme", payer);
+  }
+  if (paymentPayload.network !== requirements.network || !Object.hasOwn(USDC_NETWORKS, requirements.network)) {
+    return invalid("invalid_network", payer);
+  }
+  if (!authorization || typeof authorization !== "object" || !payer) {
+    return invalid("invalid_payload", payer);
+  }
+
+  const value = toBigInt(authorization.value);
+  const validAfter = toBigInt(authorization.validAfter);
+  const validBefore = toBigInt(authorization.validBefore);
+  if (value === null || validAfter === null || validBefore === null || !ethers.isHexString(authorization.nonce, 32)) {
+    return invalid("invalid_payload", payer);
+  }
+
+  const usdc = USDC_NETWORKS[requirements.network];
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(
+      {
+        name: requirements.extra?.name || usdc.name,
+        version: requirements.extra?.version || usdc.version,
+        chainId: usdc.chainId,
+        verifyingContract: requirements.asset,
+      },
+      TRANSFER_WITH_AUTHORIZATION_TYPES,
+      {
+        from: payer,
+        to: authorization.to,
+        value,
+        validAfter,
+        validBefore,
+        nonce: authorization.nonce,
+      },
+      paymentPayload.payload.signature
+    );
+  } catch {
+    return invalid("invalid_exact_evm_payload_signature", payer);
+  }
+  if (signer !== payer) {
+    return invalid("invalid_exact_evm_payload_signature", payer);
+  }
+  const recipient = ethers.isAddress(authorization.to) ? ethers.getAddress(authorization.to) : null;
+  if (recipient !== ethers.getAddress(requirements.payTo)) {
+    return invalid("invalid_exact_evm_payload_recipient_mismatch", payer);
+  }
+  if (validBefore < BigInt(nowSeconds + VALID_BEFORE_MARGIN_SECONDS)) {
+    return invalid("invalid_exact_evm_payload_authorization_valid_before", payer);
+  }
+  if (validAfter > BigInt(nowSeconds)) {
+    return invalid("invalid_exact_evm_payload_authorization_valid_after", payer);
+  }
+  if (value < BigInt(requirements.maxAmountRequired)) {
+    return invalid("invalid_exact_evm_payload_authorization_value", payer);
+  }
+  return { isValid: true, invalidReason: undefined, payer };
+}
+
+/**
+ * Authorization nonces already accepted, persisted so a signed payment can't be replayed after a
+ * restart. EIP-3009 nonces are unique per token and payer; entries are dropped once the
+ * authorization has expired, since an expired one fails verification anyway.
+ */
+function createPaymentNonceStore({ filePath } = {}) {
+  if (!filePath) {
+    throw new Error("Missing payment nonces file path");
+  }
+
+  let writing = Promise.resolve();
+
+  async function readNonces() {
+    try {
+      const stored = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return Array.isArray(stored?.nonces) ? stored.nonces : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async function writeNonces(nonces) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    const document = { version: NONCES_VERSION, nonces };
+    await fs.writeFile(tmpPath, `${JSON.stringify(document, null, 2)}\n`, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function update(mutate) {
+    const result = writing.then(async () => {
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const nonces = (await readNonces()).filter((entry) => entry.validBefore > nowSeconds);
+      const value = mutate(nonces, nowSeconds);
+      await writeNonces(nonces);
+      return value;
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  async function list() {
+    await writing;
+    return readNonces();
+  }
+
+  /**
+   * Records an accepted authorization. Resolves to "consumed", or "replayed" if the same asset,
+   * payer and nonce were seen before.
+   */
+  function consume({ asset, payer, nonce, value, validBefore }) {
+    const key = `${asset}:${payer}:${nonce}`.toLowerCase();
+    return update((nonces, nowSeconds) => {
+      if (nonces.some((entry) => entry.key === key)) {
+        return "replayed";
+      }
+      nonces.push({ key, value: String(value), validBefore: Number(validBefore), acceptedAt: nowSeconds });
+      return "consumed";
+    });
+  }
+
+  return {
+    filePath,
+    list,
+    consume,
+  };
+}
+
+module.exports = {
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  USDC_NETWORKS,
+  X402_VERSION,
+  createPaymentNonceStore,
+  decodePaymentHeader,
+  defaultNoncesPath,
+  resolveUsdcNetwork,
+  verifyExactPayment,
+};
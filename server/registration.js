@@ -13,6 +13,8 @@ function buildRegistrationDocument(env = process.env) {
   const baseUrl = env.PUBLIC_BASE_URL || `http://localhost:${port}`;
   const scorePrice = formatUsdPrice(env.X402_SCORE_PRICE_USDC || "0.001");
   const reportPrice = formatUsdPrice(env.X402_REPORT_PRICE_USDC || "0.005");
+  const historyPrice = formatUsdPrice(env.X402_HISTORY_PRICE_USDC || "0.005");
+  const batchScorePrice = formatUsdPrice(env.X402_BATCH_SCORE_PRICE_USDC || env.X402_SCORE_PRICE_USDC || "0.001");
 
   return {
     type: "https://eips.ethereum.org/EIPS/eip-8004#registration-v1",
@@ -25,6 +27,8 @@ function buildRegistrationDocument(env = process.env) {
       currency: "USDC",
       score: scorePrice,
       report: reportPrice,
+      history: historyPrice,
+      batchScorePerAgent: batchScorePrice,
     },
     capabilities: [
       {
@@ -41,6 +45,27 @@ function buildRegistrationDocument(env = process.env) {
         price: reportPrice,
         description: "Returns detailed trust report with risk factors.",
       },
+      {
+        name: "history",
+        method: "GET",
+        endpoint: "/history/:agentId",
+        price: historyPrice,
+        description: "Returns the score timeline from ScoreUpdated events (from/to/interval query params).",
+      },
+      {
+        name: "scores",
+        method: "POST",
+        endpoint: "/scores",
+        price: `${batchScorePrice}/agent`,
+        description: "Batch score lookup for a list of agentIds with per-agent not_found/error entries.",
+      },
+      {
+        name: "mcp",
+        method: "POST",
+        endpoint: "/mcp",
+        price: `${scorePrice}/get_trust_score, ${reportPrice}/get_trust_report or evaluate_agent_risk`,
+        description: "Model Context Protocol endpoint (streamable HTTP) exposing the score and report tools.",
+      },
       {
         name: "health",
         method: "GET",
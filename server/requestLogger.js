@@ -9,7 +9,7 @@ function extractAgentIdFromPath(pathname) {
   if (typeof pathname !== "string") {
     return null;
   }
-  const match = pathname.match(/^\/(?:score|report)\/([^/?#]+)/);
+  const match = pathname.match(/^\/(?:score|report|history)\/([^/?#]+)/);
   return match ? match[1] : null;
 }
 
@@ -26,7 +26,7 @@ function determinePaymentStatus(req, res) {
     return `header_${rawStatus.toLowerCase()}`;
   }
 
-  if (/^\/(?:score|report)\//.test(req.path || "")) {
+  if (/^\/(?:score|report|history)\//.test(req.path || "")) {
     return "unknown_paid_route";
   }
   return "free";
@@ -0,0 +1,196 @@
+"use strict";
+
+const { ethers } = require("ethers");
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 30_000;
+const DEFAULT_REQUEST_TIMEOUT_MS = 10_000;
+const DEFAULT_HEALTH_CHECK_INTERVAL_MS = 30_000;
+// Weight of the newest sample in each endpoint's moving-average latency.
+const LATENCY_SMOOTHING = 0.2;
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Ordered API RPC endpoints: API_RPC_URLS (comma-separated, tried first to last), else the single
+ * API_RPC_URL / Base RPC URL the API has always used.
+ */
+function parseRpcUrls(env = process.env) {
+  const urls = String(env.API_RPC_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+  if (urls.length > 0) {
+    return [...new Set(urls)];
+  }
+  return [env.API_RPC_URL || env.BASE_SEPOLIA_RPC_URL || env.BASE_MAINNET_RPC_URL || DEFAULT_RPC_URL];
+}
+
+function loadRpcFailoverConfigFromEnv(env = process.env) {
+  return {
+    failureThreshold: toPositiveInt(env.RPC_CIRCUIT_FAILURE_THRESHOLD, DEFAULT_FAILURE_THRESHOLD),
+    cooldownMs: toPositiveInt(env.RPC_CIRCUIT_COOLDOWN_MS, DEFAULT_COOLDOWN_MS),
+    timeoutMs: toPositiveInt(env.RPC_REQUEST_TIMEOUT_MS, DEFAULT_REQUEST_TIMEOUT_MS),
+    healthCheckIntervalMs: toPositiveInt(env.RPC_HEALTH_CHECK_INTERVAL_MS, DEFAULT_HEALTH_CHECK_INTERVAL_MS),
+  };
+}
+
+/**
+ * Scheme and host only: provider URLs usually carry an API key in the path or query, and /health is public.
+ */
+function redactRpcUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname === "/" && !parsed.search ? parsed.origin : `${parsed.origin}/***`;
+  } catch {
+    return "***";
+  }
+}
+
+function createEndpoint(url) {
+  return {
+    url,
+    label: redactRpcUrl(url),
+    requests: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    openedAt: null,
+    latencyMs: null,
+    lastLatencyMs: null,
+    lastError: null,
+    lastErrorAt: null,
+  };
+}
+
+/**
+ * JsonRpcProvider that sends each request (or batch) to the first healthy endpoint and moves down
+ * the list on transport failures: network errors, timeouts, and non-2xx responses. JSON-RPC errors
+ * such as reverts are answers, not failures. After `failureThreshold` consecutive failures an
+ * endpoint's circuit opens and it is skipped for `cooldownMs`; then one request (or `probe`) is let
+ * through and a success closes it again. When every circuit is open all endpoints are still tried.
+ */
+class FailoverJsonRpcProvider extends ethers.JsonRpcProvider {
+  #endpoints;
+  #config;
+
+  constructor(urls, config, options) {
+    super(urls[0], undefined, options);
+    this.#endpoints = urls.map(createEndpoint);
+    this.#config = config;
+  }
+
+  #circuitState(endpoint, nowMs) {
+    if (endpoint.openedAt === null) {
+      return "closed";
+    }
+    return nowMs - endpoint.openedAt >= this.#config.cooldownMs ? "half_open" : "open";
+  }
+
+  #recordSuccess(endpoint, latencyMs) {
+    endpoint.consecutiveFailures = 0;
+    endpoint.openedAt = null;
+    endpoint.lastLatencyMs = latencyMs;
+    endpoint.latencyMs =
+      endpoint.latencyMs === null
+        ? latencyMs
+        : Math.round(endpoint.latencyMs + LATENCY_SMOOTHING * (latencyMs - endpoint.latencyMs));
+  }
+
+  #recordFailure(endpoint, error) {
+    endpoint.failures += 1;
+    endpoint.consecutiveFailures += 1;
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.lastErrorAt = Date.now();
+    const halfOpen = this.#circuitState(endpoint, endpoint.lastErrorAt) === "half_open";
+    if (halfOpen || endpoint.consecutiveFailures >= this.#config.failureThreshold) {
+      if (endpoint.openedAt === null || halfOpen) {
+        console.warn(`[rpc] circuit open for ${endpoint.label}: ${endpoint.lastError}`);
+      }
+      endpoint.openedAt = endpoint.lastErrorAt;
+    }
+  }
+
+  async #sendTo(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.#config.timeoutMs;
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+
+    endpoint.requests += 1;
+    const startedAt = Date.now();
+    try {
+      const response = await request.send();
+      response.assertOk();
+      const body = response.bodyJson;
+      this.#recordSuccess(endpoint, Date.now() - startedAt);
+      return Array.isArray(body) ? body : [body];
+    } catch (error) {
+      this.#recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  async _send(payload) {
+    const nowMs = Date.now();
+    const available = this.#endpoints.filter((endpoint) => this.#circuitState(endpoint, nowMs) !== "open");
+    const candidates = available.length > 0 ? available : this.#endpoints;
+
+    let lastError;
+    for (const endpoint of candidates) {
+      try {
+        return await this.#sendTo(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Sends `eth_blockNumber` to every endpoint whose cooldown has passed, so a recovered endpoint is
+   * back in rotation before traffic needs it.
+   */
+  async probe() {
+    const nowMs = Date.now();
+    const due = this.#endpoints.filter((endpoint) => this.#circuitState(endpoint, nowMs) === "half_open");
+    await Promise.all(
+      due.map((endpoint) =>
+        this.#sendTo(endpoint, { method: "eth_blockNumber", params: [], id: 1, jsonrpc: "2.0" }).catch(() => {})
+      )
+    );
+  }
+
+  describeEndpoints() {
+    const nowMs = Date.now();
+    return this.#endpoints.map((endpoint) => ({
+      url: endpoint.label,
+      circuit: this.#circuitState(endpoint, nowMs),
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      errorRate: endpoint.requests > 0 ? Number((endpoint.failures / endpoint.requests).toFixed(4)) : null,
+      latencyMs: endpoint.latencyMs,
+      lastLatencyMs: endpoint.lastLatencyMs,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt === null ? null : new Date(endpoint.lastErrorAt).toISOString(),
+    }));
+  }
+}
+
+function createFailoverProvider(urls, config = loadRpcFailoverConfigFromEnv({}), options = {}) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error("Missing RPC URLs");
+  }
+  return new FailoverJsonRpcProvider(urls, { ...loadRpcFailoverConfigFromEnv({}), ...config }, options);
+}
+
+module.exports = {
+  createFailoverProvider,
+  loadRpcFailoverConfigFromEnv,
+  parseRpcUrls,
+  redactRpcUrl,
+};
@@ -0,0 +1,196 @@
+"use strict";
+
+const { readDetailedReports } = require("./multicall");
+
+const DEFAULT_MAX_ENTRIES = 10_000;
+const DEFAULT_TTL_MS = 60_000;
+const DEFAULT_RESPONSE_MAX_AGE_SECONDS = 30;
+
+function toNonNegativeInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function loadScoreCacheConfigFromEnv(env = process.env) {
+  return {
+    maxEntries: toNonNegativeInt(env.SCORE_CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES),
+    ttlMs: toNonNegativeInt(env.SCORE_CACHE_TTL_MS, DEFAULT_TTL_MS),
+    responseMaxAgeSeconds: toNonNegativeInt(env.SCORE_RESPONSE_MAX_AGE_SECONDS, DEFAULT_RESPONSE_MAX_AGE_SECONDS),
+  };
+}
+
+/**
+ * In-memory LRU backend. Any object with the same async `get`/`set`/`delete` methods (a
+ * Redis client wrapper, say) can be passed to createScoreReadCache instead; values are plain
+ * JSON-serializable objects.
+ */
+function createLruCacheBackend({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-inserting moves the key to the most recently used end of the Map's iteration order.
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    size() {
+      return entries.size;
+    },
+  };
+}
+
+function toCachedRecord(record) {
+  return {
+    score: String(record.score ?? record[0]),
+    totalFeedback: String(record.totalFeedback ?? record[1]),
+    positiveFeedback: String(record.positiveFeedback ?? record[2]),
+    lastUpdated: String(record.lastUpdated ?? record[3]),
+    exists: Boolean(record.exists ?? record[4]),
+  };
+}
+
+/**
+ * Cache for TrustScore `getDetailedReport` reads, keyed by agent id. Entries are dropped when the
+ * agent's `ScoreUpdated` event is seen (see `invalidate`) and expire after `ttlMs` in case an event
+ * is missed. Only successful reads are cached, so unscored agents always hit the contract.
+ */
+function createScoreReadCache({
+  trustScoreReader,
+  backend,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  ttlMs = DEFAULT_TTL_MS,
+} = {}) {
+  const enabled = Boolean(backend) || maxEntries > 0;
+  const store = backend || createLruCacheBackend({ maxEntries });
+  const inFlight = new Map();
+  const stats = { hits: 0, misses: 0, invalidations: 0 };
+  // Bumped on every invalidation, so a read that started before it never caches its stale result.
+  let generation = 0;
+
+  function read(agentId) {
+    const key = agentId.toString();
+    if (!inFlight.has(key)) {
+      const startedAt = generation;
+      const pending = trustScoreReader.contract
+        .getDetailedReport(agentId)
+        .then(async (record) => {
+          const cached = toCachedRecord(record);
+          if (enabled && startedAt === generation) {
+            await store.set(key, cached, ttlMs);
+          }
+          return cached;
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+    return inFlight.get(key);
+  }
+
+  async function getDetailedReport(agentId) {
+    if (enabled) {
+      const cached = await store.get(agentId.toString());
+      if (cached !== undefined) {
+        stats.hits += 1;
+        return cached;
+      }
+    }
+    stats.misses += 1;
+    return read(agentId);
+  }
+
+  /**
+   * Batch form of `getDetailedReport` with the outcome shape of `readDetailedReports`; cache misses
+   * are read together (through Multicall3 when the reader has it).
+   */
+  async function getDetailedReports(agentIds) {
+    const outcomes = new Array(agentIds.length);
+    const missIndexes = [];
+    for (const [index, agentId] of agentIds.entries()) {
+      const cached = enabled ? await store.get(agentId.toString()) : undefined;
+      if (cached === undefined) {
+        stats.misses += 1;
+        missIndexes.push(index);
+      } else {
+        stats.hits += 1;
+        outcomes[index] = { agentId, record: cached, error: null };
+      }
+    }
+    if (missIndexes.length === 0) {
+      return outcomes;
+    }
+
+    const startedAt = generation;
+    const read = await readDetailedReports(
+      trustScoreReader.contract,
+      missIndexes.map((index) => agentIds[index]),
+      { multicallAddress: trustScoreReader.multicallAddress }
+    );
+    for (const [position, outcome] of read.entries()) {
+      const index = missIndexes[position];
+      if (!outcome.record) {
+        outcomes[index] = outcome;
+        continue;
+      }
+      const cached = toCachedRecord(outcome.record);
+      if (enabled && startedAt === generation) {
+        await store.set(outcome.agentId.toString(), cached, ttlMs);
+      }
+      outcomes[index] = { ...outcome, record: cached };
+    }
+    return outcomes;
+  }
+
+  async function invalidate(agentId) {
+    generation += 1;
+    stats.invalidations += 1;
+    await store.delete(agentId.toString());
+  }
+
+  function describe() {
+    const lookups = stats.hits + stats.misses;
+    return {
+      enabled,
+      backend: store.name || "custom",
+      entries: typeof store.size === "function" ? store.size() : null,
+      maxEntries: backend ? null : maxEntries,
+      ttlMs,
+      hits: stats.hits,
+      misses: stats.misses,
+      invalidations: stats.invalidations,
+      hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(4)) : null,
+    };
+  }
+
+  return {
+    getDetailedReport,
+    getDetailedReports,
+    invalidate,
+    describe,
+  };
+}
+
+module.exports = {
+  createLruCacheBackend,
+  createScoreReadCache,
+  loadScoreCacheConfigFromEnv,
+};
@@ -0,0 +1,334 @@
+"use strict";
+
+const express = require("express");
+
+const { VERDICT, resolveVerdict } = require("../src/agentkit/types");
+const { DEFAULT_MAX_AGENT_IDS, parseAgentIdList } = require("./validation");
+
+const DEFAULT_POLL_INTERVAL_MS = 5_000;
+const DEFAULT_HEARTBEAT_MS = 15_000;
+const DEFAULT_BUFFER_SIZE = 1_000;
+const DEFAULT_MAX_CLIENTS = 100;
+const STREAM_VERDICTS = [VERDICT.TRUSTED, VERDICT.CAUTION, VERDICT.DANGEROUS];
+const EVENT_ID_PATTERN = /^(\d+):(\d+)$/;
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function loadScoreStreamConfigFromEnv(env = process.env) {
+  return {
+    pollIntervalMs: toPositiveInt(env.SCORE_STREAM_POLL_MS, DEFAULT_POLL_INTERVAL_MS),
+    heartbeatMs: toPositiveInt(env.SCORE_STREAM_HEARTBEAT_MS, DEFAULT_HEARTBEAT_MS),
+    bufferSize: toPositiveInt(env.SCORE_STREAM_BUFFER_SIZE, DEFAULT_BUFFER_SIZE),
+    maxClients: toPositiveInt(env.SCORE_STREAM_MAX_CLIENTS, DEFAULT_MAX_CLIENTS),
+  };
+}
+
+function comparePositions(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * SSE event ids are the `ScoreUpdated` log position, `<blockNumber>:<logIndex>`, so they are the same
+ * whichever source reported the update and survive API restarts.
+ */
+function formatEventId({ blockNumber, logIndex }) {
+  return `${blockNumber}:${logIndex}`;
+}
+
+function parseEventId(raw) {
+  const match = EVENT_ID_PATTERN.exec(String(raw).trim());
+  if (!match) {
+    throw new RangeError("Last-Event-ID must be \"<blockNumber>:<logIndex>\"");
+  }
+  return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+function toScoreEvent({ agentId, score, timestamp, blockNumber, logIndex, transactionHash }) {
+  return {
+    agentId: String(agentId),
+    score: Number(score),
+    verdict: resolveVerdict(Number(score)),
+    timestamp: Number(timestamp),
+    blockNumber: Number(blockNumber),
+    logIndex: Number(logIndex),
+    transactionHash,
+  };
+}
+
+/**
+ * Parses GET /stream/scores filters: `agentIds` and `verdict` (comma-separated), and the resume
+ * position from `Last-Event-ID` or, for clients that cannot set headers, `?lastEventId=`.
+ */
+function parseStreamQuery(query = {}, lastEventIdHeader, { maxAgents = DEFAULT_MAX_AGENT_IDS } = {}) {
+  let agentIds = null;
+  if (query.agentIds !== undefined) {
+    try {
+      agentIds = new Set(parseAgentIdList(String(query.agentIds).split(","), maxAgents).map(String));
+    } catch (error) {
+      throw new RangeError(error.message);
+    }
+  }
+
+  let verdicts = null;
+  if (query.verdict !== undefined) {
+    verdicts = new Set(
+      String(query.verdict)
+        .split(",")
+        .map((verdict) => verdict.trim().toUpperCase())
+    );
+    for (const verdict of verdicts) {
+      if (!STREAM_VERDICTS.includes(verdict)) {
+        throw new RangeError(`verdict must be a comma-separated list of ${STREAM_VERDICTS.join(", ")}`);
+      }
+    }
+  }
+
+  const rawLastEventId = lastEventIdHeader || query.lastEventId;
+  const after = rawLastEventId ? parseEventId(rawLastEventId) : null;
+  return { agentIds, verdicts, after };
+}
+
+/**
+ * Fan-out of score updates to SSE clients. Updates arrive from two sources, deduplicated by log
+ * position: `publish`, which an indexer running in the same process calls with the `ScoreUpdated`
+ * logs of each batch receipt, and, while clients are connected, a poll of the `ScoreUpdated` scan
+ * behind /history (always, once `start` is called). The last `bufferSize` updates are kept for
+ * `Last-Event-ID` resume; older positions are replayed from the chain scan when it is configured.
+ */
+function createScoreStream({
+  trustScoreReader = { enabled: false },
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  bufferSize = DEFAULT_BUFFER_SIZE,
+} = {}) {
+  const buffer = [];
+  const listeners = new Set();
+  const observers = new Set();
+  let lastPosition = null;
+  let pollCursor;
+  let pollTimer = null;
+  let polling = false;
+  let running = false;
+
+  function publish(updates) {
+    for (const update of updates) {
+      const event = toScoreEvent(update);
+      if (lastPosition && comparePositions(event, lastPosition) <= 0) {
+        continue;
+      }
+      lastPosition = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+      buffer.push(event);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+      for (const listener of [...observers, ...listeners]) {
+        listener(event);
+      }
+    }
+  }
+
+  function schedulePoll(delayMs) {
+    pollTimer = setTimeout(poll, delayMs);
+    pollTimer.unref();
+  }
+
+  async function poll() {
+    polling = true;
+    try {
+      const historyReader = trustScoreReader.historyReader;
+      const updates = await historyReader.getUpdatesAfter(pollCursor ?? lastPosition);
+      if (updates.length > 0) {
+        // The first poll only finds where the chain is; earlier updates are replayed on request.
+        if (pollCursor !== undefined || lastPosition !== null) {
+          publish(updates);
+        }
+        pollCursor = updates[updates.length - 1];
+      } else if (pollCursor === undefined) {
+        pollCursor = lastPosition;
+      }
+    } catch (error) {
+      console.warn(`[stream] ScoreUpdated poll failed: ${error.message}`);
+    } finally {
+      polling = false;
+      if (running || listeners.size > 0) {
+        schedulePoll(pollIntervalMs);
+      } else {
+        pollTimer = null;
+      }
+    }
+  }
+
+  function ensurePolling() {
+    if (trustScoreReader.enabled && trustScoreReader.historyReader && !pollTimer && !polling) {
+      schedulePoll(0);
+    }
+  }
+
+  function stopPollingIfIdle() {
+    if (!running && listeners.size === 0 && pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  /**
+   * Adds an SSE client. Polling runs while at least one is connected.
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    ensurePolling();
+    return () => {
+      listeners.delete(listener);
+      stopPollingIfIdle();
+    };
+  }
+
+  /**
+   * Adds an in-process consumer (such as the score read cache). Unlike `subscribe`, it neither
+   * counts as a client nor starts polling.
+   */
+  function observe(listener) {
+    observers.add(listener);
+    return () => observers.delete(listener);
+  }
+
+  /**
+   * Polls ScoreUpdated continuously, not only while SSE clients are connected.
+   */
+  function start() {
+    running = true;
+    ensurePolling();
+  }
+
+  function stop() {
+    running = false;
+    stopPollingIfIdle();
+  }
+
+  /**
+   * Updates after `after`, oldest first, or null when they can no longer be recovered.
+   */
+  async function replay(after, { maxEvents = bufferSize } = {}) {
+    const buffered =
+      (lastPosition && comparePositions(after, lastPosition) >= 0) ||
+      (buffer.length > 0 && comparePositions(after, buffer[0]) >= 0);
+    if (buffered) {
+      return buffer.filter((event) => comparePositions(event, after) > 0);
+    }
+    if (!trustScoreReader.enabled || !trustScoreReader.historyReader) {
+      return null;
+    }
+    const updates = await trustScoreReader.historyReader.getUpdatesAfter(after);
+    return updates.length > maxEvents ? null : updates.map(toScoreEvent);
+  }
+
+  return {
+    publish,
+    subscribe,
+    observe,
+    start,
+    stop,
+    replay,
+    get clientCount() {
+      return listeners.size;
+    },
+  };
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${formatEventId(event)}\nevent: score\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+function createScoreStreamRouter({ env, scoreStream, maxAgents }) {
+  const router = express.Router();
+  const { heartbeatMs, maxClients } = loadScoreStreamConfigFromEnv(env);
+
+  router.get("/stream/scores", async (req, res) => {
+    let filters;
+    try {
+      filters = parseStreamQuery(req.query, req.get("last-event-id"), { maxAgents });
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid stream query",
+        details: error.message,
+      });
+    }
+    if (scoreStream.clientCount >= maxClients) {
+      return res.status(503).json({
+        error: "Too many stream clients",
+        details: `The score stream is limited to ${maxClients} concurrent connections.`,
+      });
+    }
+
+    let lastSent = filters.after;
+    let replaying = true;
+    const pending = [];
+    const send = (event) => {
+      if (lastSent && comparePositions(event, lastSent) <= 0) {
+        return;
+      }
+      lastSent = event;
+      if (
+        (!filters.agentIds || filters.agentIds.has(event.agentId)) &&
+        (!filters.verdicts || filters.verdicts.has(event.verdict))
+      ) {
+        writeEvent(res, event);
+      }
+    };
+    const unsubscribe = scoreStream.subscribe((event) => {
+      if (replaying) {
+        pending.push(event);
+      } else {
+        send(event);
+      }
+    });
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    res.status(200).set({
+      "content-type": "text/event-stream",
+      "cache-control": "no-cache, no-transform",
+      connection: "keep-alive",
+      "x-accel-buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(": connected\n\n");
+
+    try {
+      if (filters.after) {
+        const backlog = await scoreStream.replay(filters.after);
+        if (backlog === null) {
+          // Updates since the client's last event are gone; it should refetch current scores.
+          res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId: formatEventId(filters.after) })}\n\n`);
+          lastSent = null;
+        } else {
+          backlog.forEach(send);
+        }
+      }
+      pending.forEach(send);
+      replaying = false;
+    } catch (error) {
+      // Headers are already sent; closing makes EventSource reconnect with the same Last-Event-ID.
+      console.warn(`[stream] replay failed: ${error.message}`);
+      res.end();
+    }
+    return undefined;
+  });
+
+  return router;
+}
+
+module.exports = {
+  createScoreStream,
+  createScoreStreamRouter,
+  formatEventId,
+  loadScoreStreamConfigFromEnv,
+  parseEventId,
+  parseStreamQuery,
+  toScoreEvent,
+};
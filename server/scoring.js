@@ -1,10 +1,26 @@
 "use strict";
 
+const crypto = require("node:crypto");
+
+const { betaPosteriorInterval, wilsonInterval } = require("./intervals");
+
 const DAY_MS = 24 * 60 * 60 * 1000;
 const DEFAULT_MAX_SCORE = 1000;
+const SCORING_MODES = Object.freeze(["binary", "graded"]);
+const DECAY_MODELS = Object.freeze(["step", "linear", "exponential"]);
+const SCORE_ESTIMATORS = Object.freeze(["ratio", "bayesian", "wilson"]);
+const DEFAULT_BREAKDOWN_MAX_GROUPS = 20;
+const DEFAULT_SCORING_MODEL = "weighted";
+const MODEL_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MODEL_VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
 
 const DEFAULT_SCORING_CONFIG = Object.freeze({
+  // Time weight runs from recentFeedbackWeight (new) to olderFeedbackWeight (old):
+  // "step" switches at decayWindowDays, "linear" ramps across decayWindowDays, and
+  // "exponential" closes half the remaining gap every decayHalfLifeDays.
+  decayModel: "step",
   decayWindowDays: 30,
+  decayHalfLifeDays: 30,
   recentFeedbackWeight: 2,
   olderFeedbackWeight: 1,
   confidenceThresholdFeedbackCount: 50,
@@ -13,6 +29,30 @@ const DEFAULT_SCORING_CONFIG = Object.freeze({
   recentNegativeWindowDays: 7,
   flaggedScoreMultiplier: 0.9,
   maxScore: DEFAULT_MAX_SCORE,
+  // "binary" counts each feedback as positive (value > 0) or negative; "graded" maps
+  // value / 10^valueDecimals from [feedbackValueMin, feedbackValueMax] onto a 0..1 rating.
+  scoringMode: "binary",
+  feedbackValueMin: 0,
+  feedbackValueMax: 100,
+  // Sybil resistance: a reviewer's entries beyond the cap are scaled down to `cap` entries' worth,
+  // feedback from the agent's owner is weighted by ownerFeedbackWeight, and reviewers ramp from
+  // reviewerMinWeight to 1 as they age and review more agents (a min weight of 1 disables this).
+  maxFeedbackPerReviewer: 5,
+  ownerFeedbackWeight: 0,
+  reviewerMinWeight: 1,
+  reviewerMaturityDays: 30,
+  reviewerMaturityAgents: 3,
+  // Weight of feedback whose off-chain document does not match its feedbackHash (contentStatus
+  // "mismatch"); 0 discards it. Feedback that was not or could not be checked keeps full weight.
+  mismatchedContentWeight: 0,
+  // "ratio" is the weighted positive share with the confidenceMultiplier bonus past
+  // confidenceThresholdFeedbackCount. "bayesian" scores the Beta(priorPositive, priorNegative)
+  // posterior mean and "wilson" the Wilson interval center; both also report scoreLower/scoreUpper
+  // at intervalLevel and never apply confidenceMultiplier.
+  scoreEstimator: "ratio",
+  priorPositive: 1,
+  priorNegative: 1,
+  intervalLevel: 0.95,
 });
 
 function toPositiveNumber(value, fallback) {
@@ -39,13 +79,71 @@ function toBps(value, fallback) {
   return parsed;
 }
 
+function toNonNegativeInt(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function toUnitInterval(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? clamp(parsed, 0, 1) : fallback;
+}
+
+function toFiniteNumber(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
 function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
+function normalizeScoringMode(value) {
+  const normalized = String(value || "").trim().toLowerCase();
+  return SCORING_MODES.includes(normalized) ? normalized : DEFAULT_SCORING_CONFIG.scoringMode;
+}
+
+function normalizeDecayModel(value) {
+  const normalized = String(value || "").trim().toLowerCase();
+  return DECAY_MODELS.includes(normalized) ? normalized : DEFAULT_SCORING_CONFIG.decayModel;
+}
+
+function normalizeScoreEstimator(value) {
+  const normalized = String(value || "").trim().toLowerCase();
+  return SCORE_ESTIMATORS.includes(normalized) ? normalized : DEFAULT_SCORING_CONFIG.scoreEstimator;
+}
+
+function toOpenUnitInterval(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 && parsed < 1 ? parsed : fallback;
+}
+
+function normalizeValueScale(input) {
+  const min = toFiniteNumber(input.feedbackValueMin, DEFAULT_SCORING_CONFIG.feedbackValueMin);
+  const max = toFiniteNumber(input.feedbackValueMax, DEFAULT_SCORING_CONFIG.feedbackValueMax);
+  if (max <= min) {
+    return {
+      feedbackValueMin: DEFAULT_SCORING_CONFIG.feedbackValueMin,
+      feedbackValueMax: DEFAULT_SCORING_CONFIG.feedbackValueMax,
+    };
+  }
+  return { feedbackValueMin: min, feedbackValueMax: max };
+}
+
 function normalizeConfig(input = {}) {
   return Object.freeze({
+    decayModel: normalizeDecayModel(input.decayModel),
     decayWindowDays: toPositiveInt(input.decayWindowDays, DEFAULT_SCORING_CONFIG.decayWindowDays),
+    decayHalfLifeDays: toPositiveNumber(input.decayHalfLifeDays, DEFAULT_SCORING_CONFIG.decayHalfLifeDays),
     recentFeedbackWeight: toPositiveNumber(
       input.recentFeedbackWeight,
       DEFAULT_SCORING_CONFIG.recentFeedbackWeight
@@ -66,12 +164,35 @@ function normalizeConfig(input = {}) {
       DEFAULT_SCORING_CONFIG.flaggedScoreMultiplier
     ),
     maxScore: toPositiveInt(input.maxScore, DEFAULT_SCORING_CONFIG.maxScore),
+    scoringMode: normalizeScoringMode(input.scoringMode),
+    ...normalizeValueScale(input),
+    maxFeedbackPerReviewer: toNonNegativeInt(
+      input.maxFeedbackPerReviewer,
+      DEFAULT_SCORING_CONFIG.maxFeedbackPerReviewer
+    ),
+    ownerFeedbackWeight: toUnitInterval(input.ownerFeedbackWeight, DEFAULT_SCORING_CONFIG.ownerFeedbackWeight),
+    reviewerMinWeight: toUnitInterval(input.reviewerMinWeight, DEFAULT_SCORING_CONFIG.reviewerMinWeight),
+    reviewerMaturityDays: toPositiveNumber(input.reviewerMaturityDays, DEFAULT_SCORING_CONFIG.reviewerMaturityDays),
+    reviewerMaturityAgents: toPositiveInt(
+      input.reviewerMaturityAgents,
+      DEFAULT_SCORING_CONFIG.reviewerMaturityAgents
+    ),
+    mismatchedContentWeight: toUnitInterval(
+      input.mismatchedContentWeight,
+      DEFAULT_SCORING_CONFIG.mismatchedContentWeight
+    ),
+    scoreEstimator: normalizeScoreEstimator(input.scoreEstimator),
+    priorPositive: toPositiveNumber(input.priorPositive, DEFAULT_SCORING_CONFIG.priorPositive),
+    priorNegative: toPositiveNumber(input.priorNegative, DEFAULT_SCORING_CONFIG.priorNegative),
+    intervalLevel: toOpenUnitInterval(input.intervalLevel, DEFAULT_SCORING_CONFIG.intervalLevel),
   });
 }
 
 function loadScoringConfigFromEnv(env = process.env) {
   return normalizeConfig({
+    decayModel: env.DECAY_MODEL,
     decayWindowDays: env.DECAY_WINDOW_DAYS,
+    decayHalfLifeDays: env.DECAY_HALF_LIFE_DAYS,
     recentFeedbackWeight: env.RECENT_FEEDBACK_WEIGHT,
     olderFeedbackWeight: env.OLDER_FEEDBACK_WEIGHT,
     confidenceThresholdFeedbackCount: env.CONFIDENCE_THRESHOLD_FEEDBACK_COUNT,
@@ -80,6 +201,19 @@ function loadScoringConfigFromEnv(env = process.env) {
     recentNegativeWindowDays: env.RECENT_NEGATIVE_WINDOW_DAYS,
     flaggedScoreMultiplier: env.FLAGGED_SCORE_MULTIPLIER,
     maxScore: env.MAX_TRUST_SCORE,
+    scoringMode: env.SCORING_MODE,
+    feedbackValueMin: env.FEEDBACK_VALUE_MIN,
+    feedbackValueMax: env.FEEDBACK_VALUE_MAX,
+    maxFeedbackPerReviewer: env.MAX_FEEDBACK_PER_REVIEWER,
+    ownerFeedbackWeight: env.OWNER_FEEDBACK_WEIGHT,
+    reviewerMinWeight: env.REVIEWER_MIN_WEIGHT,
+    reviewerMaturityDays: env.REVIEWER_MATURITY_DAYS,
+    reviewerMaturityAgents: env.REVIEWER_MATURITY_AGENTS,
+    mismatchedContentWeight: env.MISMATCHED_CONTENT_WEIGHT,
+    scoreEstimator: env.SCORE_ESTIMATOR,
+    priorPositive: env.SCORE_PRIOR_POSITIVE,
+    priorNegative: env.SCORE_PRIOR_NEGATIVE,
+    intervalLevel: env.SCORE_INTERVAL_LEVEL,
   });
 }
 
@@ -115,11 +249,51 @@ function parseFeedbackTimestampMs(feedback) {
   throw new TypeError("Feedback timestamp type is unsupported");
 }
 
+const MAX_VALUE_DECIMALS = 77;
+
+function hasFeedbackValue(feedback) {
+  return feedback.value !== undefined && feedback.value !== null && feedback.value !== "";
+}
+
+/**
+ * Whether the entry's value can be scaled. `valueDecimals` is an unchecked uint8 on-chain, so
+ * entries with more decimals than a value can carry are scored by their sentiment instead.
+ */
+function hasParseableFeedbackValue(feedback) {
+  if (!hasFeedbackValue(feedback)) {
+    return false;
+  }
+  const decimals = Number(feedback.valueDecimals ?? 0);
+  return Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_VALUE_DECIMALS;
+}
+
+/**
+ * Returns value / 10^valueDecimals for an ERC-8004 feedback value (int128, possibly as a string or bigint).
+ */
+function parseFeedbackValue(feedback) {
+  const decimals = Number(feedback.valueDecimals ?? 0);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_VALUE_DECIMALS) {
+    throw new TypeError(`Feedback valueDecimals must be an integer between 0 and ${MAX_VALUE_DECIMALS}`);
+  }
+
+  let raw;
+  try {
+    raw = typeof feedback.value === "bigint" ? feedback.value : BigInt(feedback.value);
+  } catch {
+    throw new TypeError("Feedback value must be an integer");
+  }
+  return Number(raw) / 10 ** decimals;
+}
+
 function parseFeedbackSentiment(feedback) {
   if (typeof feedback.isPositive === "boolean") {
     return feedback.isPositive;
   }
 
+  if (hasParseableFeedbackValue(feedback)) {
+    return parseFeedbackValue(feedback) > 0;
+  }
+
   if (typeof feedback.sentiment === "string") {
     const normalized = feedback.sentiment.trim().toLowerCase();
     if (normalized === "positive") {
@@ -137,13 +311,111 @@ function parseFeedbackSentiment(feedback) {
   throw new TypeError("Feedback entry must include isPositive boolean (or equivalent sentiment/rating)");
 }
 
+function decayWeight(ageMs, cfg) {
+  const ageDays = Math.max(0, ageMs) / DAY_MS;
+  const recent = cfg.recentFeedbackWeight;
+  const older = cfg.olderFeedbackWeight;
+
+  if (cfg.decayModel === "linear") {
+    return older + (recent - older) * Math.max(0, 1 - ageDays / cfg.decayWindowDays);
+  }
+  if (cfg.decayModel === "exponential") {
+    return older + (recent - older) * 0.5 ** (ageDays / cfg.decayHalfLifeDays);
+  }
+  // Step: the window boundary itself still counts as recent.
+  return ageDays <= cfg.decayWindowDays ? recent : older;
+}
+
+/**
+ * Time weight for feedback that is `ageMs` old under the configured decay model.
+ * Future timestamps are treated as age 0.
+ */
+function computeDecayWeight(ageMs, config = DEFAULT_SCORING_CONFIG) {
+  return decayWeight(ageMs, normalizeConfig(config));
+}
+
+function normalizeReviewer(feedback) {
+  return String(feedback.clientAddress || feedback.reviewer || "").trim().toLowerCase();
+}
+
+function lookupReviewerWeight(reviewerWeights, reviewer) {
+  if (!reviewer || !reviewerWeights) {
+    return 1;
+  }
+  const raw = reviewerWeights instanceof Map ? reviewerWeights.get(reviewer) : reviewerWeights[reviewer];
+  return raw === undefined ? 1 : toUnitInterval(raw, 1);
+}
+
+/**
+ * Weight in [reviewerMinWeight, 1] for a reviewer, from when they were first seen and how many
+ * distinct agents they have reviewed. Reviewers at or past both maturity targets get full weight.
+ *
+ * @param {{firstSeenMs:number, agentCount:number}|null} stats
+ */
+function computeReviewerWeight(stats, config = DEFAULT_SCORING_CONFIG, nowMs = Date.now()) {
+  const cfg = normalizeConfig(config);
+  if (cfg.reviewerMinWeight >= 1) {
+    return 1;
+  }
+  if (!stats) {
+    return cfg.reviewerMinWeight;
+  }
+
+  const ageFactor = clamp((nowMs - Number(stats.firstSeenMs)) / (cfg.reviewerMaturityDays * DAY_MS), 0, 1);
+  const activityFactor = clamp(Number(stats.agentCount) / cfg.reviewerMaturityAgents, 0, 1);
+  const maturity = (ageFactor + activityFactor) / 2;
+  return cfg.reviewerMinWeight + (1 - cfg.reviewerMinWeight) * maturity;
+}
+
+/**
+ * Graded-mode rating in [0, 1]. Entries without a usable value fall back to their sentiment (1 or 0).
+ */
+function parseFeedbackRating(feedback, cfg) {
+  if (!hasParseableFeedbackValue(feedback)) {
+    return parseFeedbackSentiment(feedback) ? 1 : 0;
+  }
+  const span = cfg.feedbackValueMax - cfg.feedbackValueMin;
+  return clamp((parseFeedbackValue(feedback) - cfg.feedbackValueMin) / span, 0, 1);
+}
+
+/**
+ * Point estimate and bounds (fractions in [0, 1]) for the interval estimators. The evidence is the
+ * trust-weighted feedback count, split by the time-weighted positive share, so decay shifts the
+ * estimate without inflating how much evidence there is.
+ */
+function estimateInterval(positiveShare, effectiveCount, cfg) {
+  if (cfg.scoreEstimator === "wilson") {
+    return wilsonInterval({ proportion: positiveShare, count: effectiveCount, level: cfg.intervalLevel });
+  }
+  return betaPosteriorInterval({
+    successes: positiveShare * effectiveCount,
+    failures: (1 - positiveShare) * effectiveCount,
+    priorPositive: cfg.priorPositive,
+    priorNegative: cfg.priorNegative,
+    level: cfg.intervalLevel,
+  });
+}
+
 /**
  * Computes full scoring output from raw feedback entries.
  * This is a pure function with respect to its inputs.
  *
+ * In graded mode each entry contributes its rating (see parseFeedbackRating) instead of 0/1,
+ * and it counts as positive when the rating is at least 0.5 (the middle of the value scale).
+ *
+ * Entries carrying `clientAddress` are grouped by reviewer for the per-reviewer cap. `context`
+ * supplies what the entries cannot: `reviewerWeights` (address -> weight, see computeReviewerWeight)
+ * and `ownerAddresses` (the agent's owner wallets). Entries with `contentStatus: "mismatch"` are
+ * weighted by mismatchedContentWeight. `totalFeedback`/`positiveFeedback` stay raw
+ * event counts; the score, flag rate, and confidence use the adjusted weights.
+ *
+ * `scoreLower`/`scoreUpper` bound the score under the "bayesian" and "wilson" estimators (with the
+ * same flag penalty applied) and are null under "ratio" or when there is no weighted feedback.
+ *
  * @param {Array<object>} feedbacks
  * @param {object} [config]
  * @param {number} [nowMs]
+ * @param {{reviewerWeights?:Map<string,number>|Object<string,number>, ownerAddresses?:string[]}} [context]
  * @returns {{
  *   score:number,
  *   baseScore:number,
@@ -153,42 +425,71 @@ function parseFeedbackSentiment(feedback) {
  *   positiveFeedback:number,
  *   recentNegativeRateBps:number,
  *   recentFeedbackCount:number,
- *   confidenceApplied:boolean
+ *   confidenceApplied:boolean,
+ *   uniqueReviewers:number,
+ *   effectiveFeedbackCount:number,
+ *   scoreLower:number|null,
+ *   scoreUpper:number|null
  * }}
  */
-function scoreFeedbackDetailed(feedbacks, config = DEFAULT_SCORING_CONFIG, nowMs = Date.now()) {
+function scoreFeedbackDetailed(feedbacks, config = DEFAULT_SCORING_CONFIG, nowMs = Date.now(), context = {}) {
   if (!Array.isArray(feedbacks)) {
     throw new TypeError("feedbacks must be an array");
   }
 
   const cfg = normalizeConfig(config);
-  const decayCutoffMs = nowMs - cfg.decayWindowDays * DAY_MS;
   const recentNegativeCutoffMs = nowMs - cfg.recentNegativeWindowDays * DAY_MS;
 
+  const owners = new Set((context.ownerAddresses || []).map((address) => String(address).toLowerCase()));
+  const countsByReviewer = new Map();
+  for (const feedback of feedbacks) {
+    const reviewer = normalizeReviewer(feedback);
+    if (reviewer) {
+      countsByReviewer.set(reviewer, (countsByReviewer.get(reviewer) || 0) + 1);
+    }
+  }
+
   let weightedPositive = 0;
   let weightedTotal = 0;
   let totalFeedback = 0;
   let positiveFeedback = 0;
+  let effectiveFeedbackCount = 0;
   let recentFeedbackCount = 0;
-  let recentNegativeCount = 0;
+  let recentWeight = 0;
+  let recentNegativeWeight = 0;
 
   for (const feedback of feedbacks) {
     const timestampMs = parseFeedbackTimestampMs(feedback);
-    const isPositive = parseFeedbackSentiment(feedback);
-    const weight = timestampMs >= decayCutoffMs ? cfg.recentFeedbackWeight : cfg.olderFeedbackWeight;
+    const rating = cfg.scoringMode === "graded" ? parseFeedbackRating(feedback, cfg) : null;
+    const isPositive = rating === null ? parseFeedbackSentiment(feedback) : rating >= 0.5;
+    const timeWeight = decayWeight(nowMs - timestampMs, cfg);
+
+    const reviewer = normalizeReviewer(feedback);
+    const reviewerCount = reviewer ? countsByReviewer.get(reviewer) : 1;
+    const capFactor =
+      cfg.maxFeedbackPerReviewer > 0 && reviewerCount > cfg.maxFeedbackPerReviewer
+        ? cfg.maxFeedbackPerReviewer / reviewerCount
+        : 1;
+    const ownerFactor = reviewer && owners.has(reviewer) ? cfg.ownerFeedbackWeight : 1;
+    const contentFactor = feedback.contentStatus === "mismatch" ? cfg.mismatchedContentWeight : 1;
+    const trustWeight =
+      capFactor * ownerFactor * contentFactor * lookupReviewerWeight(context.reviewerWeights, reviewer);
+    const weight = timeWeight * trustWeight;
 
     weightedTotal += weight;
     totalFeedback += 1;
+    effectiveFeedbackCount += trustWeight;
+    weightedPositive += weight * (rating === null ? Number(isPositive) : rating);
 
     if (isPositive) {
-      weightedPositive += weight;
       positiveFeedback += 1;
     }
 
     if (timestampMs >= recentNegativeCutoffMs) {
       recentFeedbackCount += 1;
+      recentWeight += trustWeight;
       if (!isPositive) {
-        recentNegativeCount += 1;
+        recentNegativeWeight += trustWeight;
       }
     }
   }
@@ -199,24 +500,34 @@ function scoreFeedbackDetailed(feedbacks, config = DEFAULT_SCORING_CONFIG, nowMs
       baseScore: 0,
       confidenceAdjustedScore: 0,
       flagged: false,
-      totalFeedback: 0,
-      positiveFeedback: 0,
+      totalFeedback,
+      positiveFeedback,
       recentNegativeRateBps: 0,
-      recentFeedbackCount: 0,
+      recentFeedbackCount,
       confidenceApplied: false,
+      uniqueReviewers: countsByReviewer.size,
+      effectiveFeedbackCount: 0,
+      scoreLower: null,
+      scoreUpper: null,
     };
   }
 
-  const baseScoreRaw = (weightedPositive / weightedTotal) * cfg.maxScore;
-  const confidenceApplied = totalFeedback >= cfg.confidenceThresholdFeedbackCount;
+  const positiveShare = weightedPositive / weightedTotal;
+  const interval =
+    cfg.scoreEstimator === "ratio" ? null : estimateInterval(positiveShare, effectiveFeedbackCount, cfg);
+  const baseScoreRaw = (interval ? interval.point : positiveShare) * cfg.maxScore;
+  // Small tolerance so capped fractions (e.g. 3 x 5/3) still reach an integer threshold.
+  const confidenceApplied =
+    !interval && effectiveFeedbackCount + 1e-9 >= cfg.confidenceThresholdFeedbackCount;
   const confidenceAdjustedRaw = confidenceApplied ? baseScoreRaw * cfg.confidenceMultiplier : baseScoreRaw;
 
   const recentNegativeRateBps =
-    recentFeedbackCount === 0 ? 0 : Math.round((recentNegativeCount / recentFeedbackCount) * 10_000);
-  const flagged = recentFeedbackCount > 0 && recentNegativeRateBps > cfg.negativeFlagThresholdBps;
+    recentWeight === 0 ? 0 : Math.round((recentNegativeWeight / recentWeight) * 10_000);
+  const flagged = recentWeight > 0 && recentNegativeRateBps > cfg.negativeFlagThresholdBps;
 
-  const penalizedRaw = flagged ? confidenceAdjustedRaw * cfg.flaggedScoreMultiplier : confidenceAdjustedRaw;
-  const score = Math.round(clamp(penalizedRaw, 0, cfg.maxScore));
+  const penalty = flagged ? cfg.flaggedScoreMultiplier : 1;
+  const toScore = (raw) => Math.round(clamp(raw, 0, cfg.maxScore));
+  const score = toScore(confidenceAdjustedRaw * penalty);
 
   return {
     score,
@@ -228,19 +539,220 @@ function scoreFeedbackDetailed(feedbacks, config = DEFAULT_SCORING_CONFIG, nowMs
     recentNegativeRateBps,
     recentFeedbackCount,
     confidenceApplied,
+    uniqueReviewers: countsByReviewer.size,
+    effectiveFeedbackCount: Number(effectiveFeedbackCount.toFixed(4)),
+    scoreLower: interval ? toScore(interval.lower * cfg.maxScore * penalty) : null,
+    scoreUpper: interval ? toScore(interval.upper * cfg.maxScore * penalty) : null,
+  };
+}
+
+function normalizeTag(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+function groupFeedback(feedbacks, keysOf) {
+  const groups = new Map();
+  for (const feedback of feedbacks) {
+    for (const key of new Set(keysOf(feedback))) {
+      if (!key) {
+        continue;
+      }
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(feedback);
+    }
+  }
+  return groups;
+}
+
+function summarizeGroups(groups, keyName, scoreGroup, maxGroups) {
+  return Array.from(groups, ([key, entries]) => {
+    const details = scoreGroup(entries);
+    const negativeFeedback = details.totalFeedback - details.positiveFeedback;
+    return {
+      [keyName]: key,
+      score: details.score,
+      scoreLower: details.scoreLower,
+      scoreUpper: details.scoreUpper,
+      totalFeedback: details.totalFeedback,
+      positiveFeedback: details.positiveFeedback,
+      negativeRateBps: Math.round((negativeFeedback / details.totalFeedback) * 10_000),
+    };
+  })
+    .sort((a, b) => b.totalFeedback - a.totalFeedback || (a[keyName] < b[keyName] ? -1 : 1))
+    .slice(0, maxGroups);
+}
+
+/**
+ * Sub-scores per tag (`tag1` and `tag2`, trimmed and lowercased, so one feedback can count toward two
+ * tags) and per `endpoint`. Each group is scored on its own with `model` (default: the "weighted"
+ * model, i.e. scoreFeedbackDetailed), so the per-reviewer cap and flag penalty apply within the
+ * group. Groups are ordered by feedback count and only the largest `maxGroups` of each kind are
+ * returned.
+ *
+ * @returns {{tags:Array<object>, endpoints:Array<object>}}
+ */
+function scoreFeedbackBreakdown(
+  feedbacks,
+  config = DEFAULT_SCORING_CONFIG,
+  nowMs = Date.now(),
+  context = {},
+  { maxGroups = DEFAULT_BREAKDOWN_MAX_GROUPS, model = getScoringModel(DEFAULT_SCORING_MODEL) } = {}
+) {
+  if (!Array.isArray(feedbacks)) {
+    throw new TypeError("feedbacks must be an array");
+  }
+
+  const limit = toPositiveInt(maxGroups, DEFAULT_BREAKDOWN_MAX_GROUPS);
+  const scoreGroup = (entries) => model.scoreDetailed(entries, config, nowMs, context);
+  const byTag = groupFeedback(feedbacks, (feedback) => [normalizeTag(feedback.tag1), normalizeTag(feedback.tag2)]);
+  const byEndpoint = groupFeedback(feedbacks, (feedback) => [String(feedback.endpoint ?? "").trim()]);
+  return {
+    tags: summarizeGroups(byTag, "tag", scoreGroup, limit),
+    endpoints: summarizeGroups(byEndpoint, "endpoint", scoreGroup, limit),
   };
 }
 
+const scoringModels = new Map();
+
+function compareVersions(a, b) {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+}
+
+/**
+ * Registers a named, versioned scoring model. `prepareConfig(config)` maps the shared scoring config
+ * onto the effective config the model scores with (default: normalizeConfig); `scoreDetailed` takes
+ * the same arguments as scoreFeedbackDetailed and must return the same shape. Several versions of
+ * one name can be registered side by side; a name/version pair can only be registered once.
+ *
+ * @returns {object} the registered model, with `scoreDetailed` applying `prepareConfig` first
+ */
+function registerScoringModel({ name, version, description = "", prepareConfig = normalizeConfig, scoreDetailed }) {
+  if (!MODEL_NAME_PATTERN.test(String(name))) {
+    throw new TypeError(`Scoring model name must match ${MODEL_NAME_PATTERN}`);
+  }
+  if (!MODEL_VERSION_PATTERN.test(String(version))) {
+    throw new TypeError(`Scoring model ${name} version must be MAJOR.MINOR.PATCH`);
+  }
+  if (typeof scoreDetailed !== "function" || typeof prepareConfig !== "function") {
+    throw new TypeError(`Scoring model ${name} needs scoreDetailed and prepareConfig functions`);
+  }
+  if (!scoringModels.has(name)) {
+    scoringModels.set(name, new Map());
+  }
+  const versions = scoringModels.get(name);
+  if (versions.has(version)) {
+    throw new Error(`Scoring model ${name}@${version} is already registered`);
+  }
+
+  const model = Object.freeze({
+    name,
+    version,
+    description,
+    prepareConfig: (config = DEFAULT_SCORING_CONFIG) => normalizeConfig(prepareConfig(normalizeConfig(config))),
+    scoreDetailed: (feedbacks, config = DEFAULT_SCORING_CONFIG, nowMs = Date.now(), context = {}) =>
+      scoreDetailed(feedbacks, normalizeConfig(prepareConfig(normalizeConfig(config))), nowMs, context),
+  });
+  versions.set(version, model);
+  return model;
+}
+
+/**
+ * Looks up a model by `name` (latest registered version) or `name@version` (exact).
+ */
+function getScoringModel(spec = DEFAULT_SCORING_MODEL) {
+  const [name, version] = String(spec || DEFAULT_SCORING_MODEL).trim().split("@");
+  const versions = scoringModels.get(name) || new Map();
+  let model = versions.get(version);
+  if (!version) {
+    model = Array.from(versions.values()).sort((a, b) => compareVersions(b.version, a.version))[0];
+  }
+  if (!model) {
+    const known = listScoringModels().map((entry) => `${entry.name}@${entry.version}`);
+    throw new Error(`Unknown scoring model "${spec}" (registered: ${known.join(", ")})`);
+  }
+  return model;
+}
+
+function listScoringModels() {
+  const models = [];
+  for (const versions of scoringModels.values()) {
+    for (const model of versions.values()) {
+      models.push({ name: model.name, version: model.version, description: model.description });
+    }
+  }
+  return models.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : compareVersions(a.version, b.version)));
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * sha256 (0x-prefixed hex) of a scoring config with its keys sorted, so equal configs hash equally.
+ */
+function computeConfigHash(config) {
+  return `0x${crypto.createHash("sha256").update(canonicalJson(normalizeConfig(config))).digest("hex")}`;
+}
+
+/**
+ * `{ name, version, configHash }` identifying the scores `model` produces under `config`.
+ */
+function describeScoringModel(model, config = DEFAULT_SCORING_CONFIG) {
+  return {
+    name: model.name,
+    version: model.version,
+    configHash: computeConfigHash(model.prepareConfig(config)),
+  };
+}
+
+registerScoringModel({
+  name: "weighted",
+  version: "1.0.0",
+  description: "Time-decayed, sybil-weighted positive share with the configured estimator.",
+  scoreDetailed: scoreFeedbackDetailed,
+});
+
+registerScoringModel({
+  name: "simple-ratio",
+  version: "1.0.0",
+  description: "Unweighted positive share: no decay, reviewer weighting, confidence bonus, or flag penalty.",
+  prepareConfig: (config) => ({
+    ...config,
+    recentFeedbackWeight: 1,
+    olderFeedbackWeight: 1,
+    confidenceMultiplier: 1,
+    flaggedScoreMultiplier: 1,
+    maxFeedbackPerReviewer: 0,
+    ownerFeedbackWeight: 1,
+    reviewerMinWeight: 1,
+    mismatchedContentWeight: 1,
+    scoreEstimator: "ratio",
+  }),
+  scoreDetailed: scoreFeedbackDetailed,
+});
+
 /**
  * Pure score function for unit tests and indexer use.
  *
  * @param {Array<object>} feedbacks
  * @param {object} [config]
  * @param {number} [nowMs]
+ * @param {object} [context]
  * @returns {number}
  */
-function scoreFeedback(feedbacks, config = DEFAULT_SCORING_CONFIG, nowMs = Date.now()) {
-  return scoreFeedbackDetailed(feedbacks, config, nowMs).score;
+function scoreFeedback(feedbacks, config = DEFAULT_SCORING_CONFIG, nowMs = Date.now(), context = {}) {
+  return scoreFeedbackDetailed(feedbacks, config, nowMs, context).score;
 }
 
 function scoreFeedbackFromEnv(feedbacks, env = process.env, nowMs = Date.now()) {
@@ -249,9 +761,23 @@ function scoreFeedbackFromEnv(feedbacks, env = process.env, nowMs = Date.now())
 
 module.exports = {
   DEFAULT_SCORING_CONFIG,
+  SCORING_MODES,
+  DECAY_MODELS,
+  SCORE_ESTIMATORS,
+  DEFAULT_BREAKDOWN_MAX_GROUPS,
+  DEFAULT_SCORING_MODEL,
   normalizeConfig,
   loadScoringConfigFromEnv,
+  computeDecayWeight,
+  computeReviewerWeight,
   scoreFeedbackDetailed,
+  scoreFeedbackBreakdown,
   scoreFeedback,
   scoreFeedbackFromEnv,
+  normalizeTag,
+  registerScoringModel,
+  getScoringModel,
+  listScoringModels,
+  computeConfigHash,
+  describeScoringModel,
 };
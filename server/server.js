@@ -6,17 +6,68 @@ const path = require("node:path");
 const express = require("express");
 const { ethers } = require("ethers");
 
-const { loadScoringConfigFromEnv } = require("./scoring");
+const {
+  bucketHistory,
+  createScoreHistoryReader,
+  loadTrendConfigFromEnv,
+  parseHistoryQuery,
+  summarizeTrend,
+} = require("./history");
+const {
+  createAccountMiddleware,
+  createAccountRouter,
+  createAccountStore,
+  createDepositWatcher,
+  defaultAccountsPath,
+  loadAccountConfigFromEnv,
+} = require("./accounts");
+const { createAdminRouter } = require("./admin");
+const {
+  createCreditLedger,
+  createCreditMiddleware,
+  createCreditStore,
+  defaultCreditsPath,
+  loadCreditConfigFromEnv,
+} = require("./credits");
+const { createDisputeRouter, createDisputeStore, defaultDisputesPath } = require("./disputes");
+const {
+  createFacilitator,
+  createFacilitatorRouter,
+  createFacilitatorSigner,
+  loadFacilitatorConfigFromEnv,
+} = require("./facilitator");
+const { extractComment } = require("./feedbackContent");
+const { createFeedbackStore, defaultFeedbackStoreDir } = require("./feedbackStore");
+const { DEFAULT_CHECKPOINT_PATH, startIndexer } = require("./indexer");
+const { describeScoringModel, getScoringModel, loadScoringConfigFromEnv, normalizeTag } = require("./scoring");
+const { MCP_PATH, MCP_TOOL_ROUTES, createMcpRouter } = require("./mcp");
+const { createPaymentNonceStore, defaultNoncesPath } = require("./paymentVerification");
+const { DEFAULT_READ_BATCH_SIZE, resolveMulticallAddress } = require("./multicall");
+const { createOverrideStore, defaultOverridesPath } = require("./overrides");
 const { createRequestLoggerMiddleware } = require("./requestLogger");
+const { createFailoverProvider, loadRpcFailoverConfigFromEnv, parseRpcUrls } = require("./rpcProviders");
+const { createScoreReadCache, loadScoreCacheConfigFromEnv } = require("./scoreCache");
 const { buildRegistrationDocument, formatUsdPrice } = require("./registration");
-const { createPaymentMiddleware, extractPaymentHeaders, hasPaymentProof } = require("./paymentMiddleware");
-const { validateAgentIdParam } = require("./validation");
+const { createScoreStream, createScoreStreamRouter, loadScoreStreamConfigFromEnv } = require("./scoreStream");
+const { createSubscriptionRouter, createSubscriptionStore, defaultSubscriptionsPath } = require("./webhooks");
+const {
+  createMeteredPaymentMiddleware,
+  createPaidRouteResolver,
+  createPaymentMiddleware,
+  extractPaymentHeaders,
+  hasPaymentProof,
+} = require("./paymentMiddleware");
+const { DEFAULT_MAX_AGENT_IDS, createAgentIdListValidator, validateAgentIdParam } = require("./validation");
 const { createAgentKitActions, loadAgentKitConfig } = require("../src/agentkit");
 
 const TRUST_SCORE_ABI = [
   "function getScore(uint256 agentId) view returns (uint256)",
   "function getDetailedReport(uint256 agentId) view returns (tuple(uint256 score,uint256 totalFeedback,uint256 positiveFeedback,uint256 lastUpdated,bool exists))",
+  "event ScoreUpdated(uint256 indexed agentId,uint256 score,uint256 timestamp)",
+  "function identityRegistry() view returns (address)",
+  "error ScoreNotFound(uint256 agentId)",
 ];
+const trustScoreInterface = new ethers.Interface(TRUST_SCORE_ABI);
 
 function toPositiveInt(value, fallback) {
   const parsed = Number(value);
@@ -71,18 +122,31 @@ function parseRecord(record) {
   };
 }
 
+// Some providers (such as Hardhat's in-process one) reject with the raw revert data instead of a CALL_EXCEPTION.
+function hasTrustScoreRevertData(error) {
+  if (!ethers.isHexString(error?.data) || ethers.dataLength(error.data) < 4) {
+    return false;
+  }
+  try {
+    return Boolean(trustScoreInterface.parseError(error.data));
+  } catch {
+    return false;
+  }
+}
+
 function isCallException(error) {
   return (
     error &&
     (error.code === "CALL_EXCEPTION" ||
       String(error.message || "").toLowerCase().includes("execution reverted") ||
-      String(error.shortMessage || "").toLowerCase().includes("execution reverted"))
+      String(error.shortMessage || "").toLowerCase().includes("execution reverted") ||
+      hasTrustScoreRevertData(error))
   );
 }
 
 function createTrustScoreReader(env = process.env) {
   const contractAddress = env.TRUST_SCORE_ADDRESS || "";
-  const rpcUrl = env.API_RPC_URL || env.BASE_SEPOLIA_RPC_URL || env.BASE_MAINNET_RPC_URL || "http://127.0.0.1:8545";
+  const rpcUrls = parseRpcUrls(env);
 
   if (!contractAddress) {
     return {
@@ -91,15 +155,98 @@ function createTrustScoreReader(env = process.env) {
     };
   }
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const rpcFailover = loadRpcFailoverConfigFromEnv(env);
+  const provider = createFailoverProvider(rpcUrls, rpcFailover, {
+    batchMaxCount: DEFAULT_READ_BATCH_SIZE,
+  });
   const contract = new ethers.Contract(contractAddress, TRUST_SCORE_ABI, provider);
+  // Without the deployment block, history would have to scan the chain from genesis, so it stays off.
+  const historyConfigured = String(env.TRUST_SCORE_DEPLOY_BLOCK ?? "").trim() !== "";
+  const historyReader = historyConfigured
+    ? createScoreHistoryReader({
+        contract,
+        provider,
+        startBlock: env.TRUST_SCORE_DEPLOY_BLOCK,
+        chunkBlocks: env.HISTORY_LOG_CHUNK_BLOCKS,
+        maxPointsPerAgent: env.HISTORY_MAX_POINTS_PER_AGENT,
+      })
+    : null;
+  if (!historyReader) {
+    console.warn(
+      "[server] TRUST_SCORE_DEPLOY_BLOCK is not set: /history, /report trends, and on-chain score streaming are off"
+    );
+  }
   return {
     enabled: true,
     contractAddress,
-    rpcUrl,
+    rpcUrl: rpcUrls[0],
+    rpcUrls,
+    rpcHealthCheckIntervalMs: rpcFailover.healthCheckIntervalMs,
+    multicallAddress: resolveMulticallAddress(env),
     provider,
     contract,
+    historyReader,
+  };
+}
+
+function validateHistoryQuery(req, res, next) {
+  try {
+    req.historyRange = parseHistoryQuery(req.query);
+    return next();
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid history query",
+      details: error.message,
+    });
+  }
+}
+
+const REPORT_BREAKDOWN_LIMIT = 10;
+const REPORT_SAMPLE_COMMENTS = 3;
+const MAX_REPORT_TAG_LENGTH = 64;
+const MAX_REPORT_ENDPOINT_LENGTH = 2048;
+
+/**
+ * Parses the optional `tag` / `endpoint` query params of /report into a sub-score scope.
+ * Returns null when neither is given.
+ */
+function parseReportScope(query = {}) {
+  const readParam = (name, maxLength) => {
+    const raw = query[name];
+    if (raw === undefined) {
+      return null;
+    }
+    if (typeof raw !== "string") {
+      throw new RangeError(`${name} must be given once`);
+    }
+    const value = raw.trim();
+    if (value.length === 0 || value.length > maxLength) {
+      throw new RangeError(`${name} must be 1-${maxLength} characters`);
+    }
+    return value;
   };
+
+  const tag = readParam("tag", MAX_REPORT_TAG_LENGTH);
+  const endpoint = readParam("endpoint", MAX_REPORT_ENDPOINT_LENGTH);
+  if (tag !== null && endpoint !== null) {
+    throw new RangeError("Pass either tag or endpoint, not both");
+  }
+  if (tag !== null) {
+    return { kind: "tag", value: normalizeTag(tag) };
+  }
+  return endpoint === null ? null : { kind: "endpoint", value: endpoint };
+}
+
+function validateReportQuery(req, res, next) {
+  try {
+    req.reportScope = parseReportScope(req.query);
+    return next();
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid report query",
+      details: error.message,
+    });
+  }
 }
 
 function buildRoutePricing(env = process.env) {
@@ -114,10 +261,30 @@ function buildRoutePricing(env = process.env) {
       network: env.X402_NETWORK || "base",
       description: "Detailed agent trust report",
     },
+    "GET /history/:agentId": {
+      price: formatUsdPrice(env.X402_HISTORY_PRICE_USDC || "0.005"),
+      network: env.X402_NETWORK || "base",
+      description: "Agent trust score history",
+    },
+    "POST /scores": {
+      price: formatUsdPrice(env.X402_BATCH_SCORE_PRICE_USDC || env.X402_SCORE_PRICE_USDC || "0.001"),
+      network: env.X402_NETWORK || "base",
+      description: "Batch agent trust score query (priced per agent)",
+      perAgent: true,
+    },
   };
 }
 
-function buildRiskReport({ parsedRecord, scoringConfig, pollIntervalMs }) {
+function selectFixedPriceRoutes(routePricing) {
+  return Object.fromEntries(Object.entries(routePricing).filter(([, config]) => !config.perAgent));
+}
+
+/**
+ * Derives report analytics from the on-chain record. When the agent's score history is
+ * available, `recentTrend` comes from real 7/30-day deltas (see summarizeTrend); without
+ * it the trend falls back to the staleness/risk-factor heuristic.
+ */
+function buildRiskReport({ parsedRecord, scoringConfig, pollIntervalMs, history = null, trendConfig = {} }) {
   const total = parsedRecord.totalFeedback;
   const positive = parsedRecord.positiveFeedback;
   const negative = total - positive;
@@ -140,8 +307,26 @@ function buildRiskReport({ parsedRecord, scoringConfig, pollIntervalMs }) {
     riskFactors.push("low_trust_score");
   }
 
-  let recentTrend = "insufficient_data";
   const nowSeconds = Math.floor(Date.now() / 1000);
+  if (Array.isArray(history)) {
+    const trend = summarizeTrend(history, { nowSeconds, deltaThreshold: trendConfig.deltaThreshold });
+    if (trend.direction === "declining") {
+      riskFactors.push("declining_trust_score");
+    }
+    if (trend.direction === "volatile") {
+      riskFactors.push("volatile_trust_score");
+    }
+    return {
+      confidence: Number(confidence.toFixed(4)),
+      negativeRateBps,
+      flagged,
+      riskFactors,
+      recentTrend: trend.direction,
+      trend,
+    };
+  }
+
+  let recentTrend = "insufficient_data";
   const ageSeconds = Math.max(0, nowSeconds - Number(parsedRecord.lastUpdated));
   if (ageSeconds > pollIntervalMs / 1000 * 2) {
     recentTrend = "stale";
@@ -157,6 +342,119 @@ function buildRiskReport({ parsedRecord, scoringConfig, pollIntervalMs }) {
     flagged,
     riskFactors,
     recentTrend,
+    trend: null,
+  };
+}
+
+// A score record describes the on-chain score only if it matches it; otherwise the store lags the
+// chain or the score was written by something other than the indexer.
+function isCurrentScoreRecord(scoreRecord, parsedRecord) {
+  return (
+    Boolean(scoreRecord) &&
+    BigInt(scoreRecord.score) === parsedRecord.score &&
+    BigInt(scoreRecord.totalFeedback) === parsedRecord.totalFeedback
+  );
+}
+
+/**
+ * Interval bounds for the on-chain score, from the details the indexer recorded when publishing it.
+ * Null under the "ratio" estimator or without a current score record.
+ */
+function buildScoreInterval(scoreRecord, parsedRecord) {
+  if (
+    !isCurrentScoreRecord(scoreRecord, parsedRecord) ||
+    // The bounds describe the computed score, not one an override replaced.
+    scoreRecord.override ||
+    scoreRecord.scoreLower === null ||
+    scoreRecord.scoreUpper === null
+  ) {
+    return null;
+  }
+  return {
+    lower: scoreRecord.scoreLower,
+    upper: scoreRecord.scoreUpper,
+    level: scoreRecord.intervalLevel,
+    estimator: scoreRecord.estimator,
+  };
+}
+
+/**
+ * Top tag and endpoint sub-scores recorded by the indexer, or null without a score record.
+ */
+function buildBreakdown(scoreRecord) {
+  if (!scoreRecord?.breakdown) {
+    return null;
+  }
+  return {
+    tags: scoreRecord.breakdown.tags.slice(0, REPORT_BREAKDOWN_LIMIT),
+    endpoints: scoreRecord.breakdown.endpoints.slice(0, REPORT_BREAKDOWN_LIMIT),
+  };
+}
+
+/**
+ * The sub-score for a requested tag or endpoint. Tags and endpoints with no recorded feedback
+ * (or outside the indexer's INDEXER_BREAKDOWN_MAX_GROUPS) report a null score and zero counts.
+ */
+function buildScopedScore(scoreRecord, scope) {
+  if (!scoreRecord?.breakdown) {
+    return null;
+  }
+  const groups = scope.kind === "tag" ? scoreRecord.breakdown.tags : scoreRecord.breakdown.endpoints;
+  const match = groups.find((group) => group[scope.kind] === scope.value);
+  return (
+    match || {
+      [scope.kind]: scope.value,
+      score: null,
+      scoreLower: null,
+      scoreUpper: null,
+      totalFeedback: 0,
+      positiveFeedback: 0,
+      negativeRateBps: 0,
+    }
+  );
+}
+
+function toSeconds(timestampMs) {
+  return timestampMs === null ? null : Math.floor(timestampMs / 1000);
+}
+
+/**
+ * The manual override the on-chain score was published under (`applied: true`), or else an active
+ * override the indexer has not applied yet (`applied: false`). Null when no human intervened.
+ */
+function buildOverride(scoreRecord, parsedRecord, activeOverride) {
+  const applied = isCurrentScoreRecord(scoreRecord, parsedRecord) ? scoreRecord.override : null;
+  const override = applied || activeOverride;
+  if (!override) {
+    return null;
+  }
+  return {
+    mode: override.mode,
+    score: override.score,
+    reason: override.reason,
+    createdAt: toSeconds(override.createdAt),
+    expiresAt: toSeconds(override.expiresAt),
+    computedScore: applied ? applied.computedScore : null,
+    applied: Boolean(applied),
+  };
+}
+
+/**
+ * The agent's latest dispute (see server/disputes.js), without the owner's signature. Null if the
+ * owner never disputed the score.
+ */
+function buildDispute(dispute) {
+  if (!dispute) {
+    return null;
+  }
+  return {
+    id: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason,
+    feedbackIds: dispute.feedbackIds,
+    openedAt: toSeconds(dispute.createdAt),
+    resolvedAt: toSeconds(dispute.resolvedAt),
+    resolution: dispute.resolution,
   };
 }
 
@@ -188,20 +486,39 @@ function resolveConfidenceBand(totalFeedback) {
   return "none";
 }
 
+/**
+ * Whether the request was paid for before the x402 middleware: with a credit or an API key's balance.
+ */
+function isPrepaid(res) {
+  return Boolean(res.locals.creditRedeemed || res.locals.apiAccount);
+}
+
+function skipWhenPrepaid(middleware) {
+  return function prepaidAwarePaymentMiddleware(req, res, next) {
+    if (isPrepaid(res)) {
+      return next();
+    }
+    return middleware(req, res, next);
+  };
+}
+
 function resolvePaidRouteAccess({ req, res, env, payment }) {
-  if (payment.usingRealMiddleware) {
+  if (payment.usingRealMiddleware || isPrepaid(res)) {
     return {
       allowFullResponse: true,
       allowDemoResponse: false,
     };
   }
 
+  // Local verification sets `paymentVerified`; the stub accepts any payment header.
+  const verifiesLocally = payment.mode === "local";
   const allowDemoQuery = toBoolean(env.X402_ALLOW_DEMO_QUERY, true);
-  const shouldRequireHeader = Boolean(payment.fallbackFromReal) || toBoolean(env.X402_STUB_ENFORCE, false);
-  const paid = hasPaymentProof(extractPaymentHeaders(req));
+  const shouldRequireHeader =
+    verifiesLocally || Boolean(payment.fallbackFromReal) || toBoolean(env.X402_STUB_ENFORCE, false);
+  const paid = verifiesLocally ? Boolean(res.locals.paymentVerified) : hasPaymentProof(extractPaymentHeaders(req));
 
   if (paid) {
-    res.locals.paymentStatus = "paid_stub";
+    res.locals.paymentStatus = payment.paidStatus;
     return {
       allowFullResponse: true,
       allowDemoResponse: false,
@@ -221,8 +538,9 @@ function resolvePaidRouteAccess({ req, res, env, payment }) {
       allowFullResponse: false,
       allowDemoResponse: false,
       paymentRequired: true,
-      paymentReason:
-        "x402 middleware is running in stub fallback mode. Include an x402 payment header for full data, or add ?demo=true for a limited free response.",
+      paymentReason: verifiesLocally
+        ? "Include a signed x402 payment in X-PAYMENT for full data, or add ?demo=true for a limited free response."
+        : "x402 middleware is running in stub fallback mode. Include an x402 payment header for full data, or add ?demo=true for a limited free response.",
     };
   }
 
@@ -241,21 +559,541 @@ function buildResponseMeta() {
   };
 }
 
-function createApp(env = process.env) {
+/**
+ * Read-only view of the indexer's local feedback store, for report fields the TrustScore
+ * contract does not record (e.g. reviewer counts).
+ */
+function createFeedbackStoreReader(env = process.env) {
+  const directory =
+    env.FEEDBACK_STORE_DIR || defaultFeedbackStoreDir(env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH);
+  return createFeedbackStore({ directory, readOnly: true });
+}
+
+function createTrustQueries({
+  trustScoreReader,
+  scoreReads = createScoreReadCache({ trustScoreReader, maxEntries: 0 }),
+  feedbackStore,
+  overrideStore,
+  disputeStore,
+  scoringConfig,
+  scoringModel,
+  pollIntervalMs,
+  trendConfig,
+}) {
+  function unconfiguredResult(kind) {
+    return {
+      statusCode: 503,
+      fullResponse: false,
+      body: {
+        error: "TrustScore contract is not configured",
+        details: `Set TRUST_SCORE_ADDRESS and API_RPC_URL (or Base RPC env vars) before querying ${kind}.`,
+      },
+    };
+  }
+
+  /**
+   * The model that produced the on-chain score, as recorded by the indexer. Falls back to the model
+   * and config this API is configured with when there is no current score record.
+   */
+  function resolveScoreModel(scoreRecord, parsedRecord) {
+    return isCurrentScoreRecord(scoreRecord, parsedRecord) && scoreRecord.model ? scoreRecord.model : scoringModel;
+  }
+
+  async function loadScoreRecord(agentId) {
+    if (!feedbackStore) {
+      return null;
+    }
+    try {
+      await feedbackStore.refresh();
+      return await feedbackStore.getScore(agentId);
+    } catch (error) {
+      console.warn(`[server] feedback store unavailable for agent ${agentId.toString()}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function loadActiveOverride(agentId) {
+    if (!overrideStore) {
+      return null;
+    }
+    try {
+      return await overrideStore.getActive(agentId);
+    } catch (error) {
+      console.warn(`[server] score overrides unavailable for agent ${agentId.toString()}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function loadLatestDispute(agentId) {
+    if (!disputeStore) {
+      return null;
+    }
+    try {
+      return await disputeStore.getLatest(agentId);
+    } catch (error) {
+      console.warn(`[server] disputes unavailable for agent ${agentId.toString()}: ${error.message}`);
+      return null;
+    }
+  }
+
+  function buildScoreBody(agentId, parsedRecord, access, model) {
+    const confidenceThreshold = Number(scoringConfig.confidenceThresholdFeedbackCount) || 1;
+    const confidence = Math.min(1, Number(parsedRecord.totalFeedback) / confidenceThreshold);
+
+    if (access.allowDemoResponse) {
+      return {
+        demo: true,
+        agentId: agentId.toString(),
+        score: Number(parsedRecord.score),
+        verdict: resolveVerdict(Number(parsedRecord.score)),
+        confidenceBand: resolveConfidenceBand(Number(parsedRecord.totalFeedback)),
+        model,
+        note: "Demo response only. Provide an x402 payment header for the full paid payload.",
+        meta: buildResponseMeta(),
+      };
+    }
+
+    return {
+      agentId: agentId.toString(),
+      score: Number(parsedRecord.score),
+      confidence: Number(confidence.toFixed(4)),
+      lastUpdated: asSafeNumber(parsedRecord.lastUpdated),
+      model,
+      meta: buildResponseMeta(),
+    };
+  }
+
+  function buildMissingScoreDemoBody(agentId) {
+    return {
+      demo: true,
+      agentId: agentId.toString(),
+      score: null,
+      verdict: "UNKNOWN",
+      confidenceBand: "none",
+      note: "No on-chain history yet. Demo response returned without payment.",
+      meta: buildResponseMeta(),
+    };
+  }
+
+  async function queryScore(agentId, access) {
+    if (!trustScoreReader.enabled) {
+      return unconfiguredResult("scores");
+    }
+
+    try {
+      const parsedRecord = parseRecord(await scoreReads.getDetailedReport(agentId));
+      const model = resolveScoreModel(await loadScoreRecord(agentId), parsedRecord);
+      return {
+        statusCode: 200,
+        fullResponse: !access.allowDemoResponse,
+        body: buildScoreBody(agentId, parsedRecord, access, model),
+      };
+    } catch (error) {
+      if (!isCallException(error)) {
+        throw error;
+      }
+      if (access.allowDemoResponse) {
+        return {
+          statusCode: 200,
+          fullResponse: false,
+          body: buildMissingScoreDemoBody(agentId),
+        };
+      }
+
+      return {
+        statusCode: 404,
+        fullResponse: false,
+        body: {
+          error: "Score not found for agent",
+          agentId: agentId.toString(),
+        },
+      };
+    }
+  }
+
+  async function queryScores(agentIds, access) {
+    if (!trustScoreReader.enabled) {
+      return unconfiguredResult("scores");
+    }
+
+    const outcomes = await scoreReads.getDetailedReports(agentIds);
+    const scoreRecords = await Promise.all(
+      outcomes.map(({ agentId, record }) => (record ? loadScoreRecord(agentId) : null))
+    );
+    const results = outcomes.map(({ agentId, record, error }, index) => {
+      if (record) {
+        const parsedRecord = parseRecord(record);
+        const model = resolveScoreModel(scoreRecords[index], parsedRecord);
+        const { meta: _meta, ...body } = buildScoreBody(agentId, parsedRecord, access, model);
+        return { status: "ok", ...body };
+      }
+      if (isCallException(error)) {
+        if (access.allowDemoResponse) {
+          const { meta: _meta, ...body } = buildMissingScoreDemoBody(agentId);
+          return { status: "not_found", ...body };
+        }
+        return {
+          status: "not_found",
+          agentId: agentId.toString(),
+          error: "Score not found for agent",
+        };
+      }
+      return {
+        status: "error",
+        agentId: agentId.toString(),
+        error: error?.shortMessage || error?.message || "Unknown error",
+      };
+    });
+
+    const countByStatus = (status) => results.filter((result) => result.status === status).length;
+    return {
+      statusCode: 200,
+      fullResponse: !access.allowDemoResponse,
+      body: {
+        ...(access.allowDemoResponse ? { demo: true } : {}),
+        requested: agentIds.length,
+        found: countByStatus("ok"),
+        notFound: countByStatus("not_found"),
+        errors: countByStatus("error"),
+        results,
+        meta: buildResponseMeta(),
+      },
+    };
+  }
+
+  async function loadTrendHistory(agentId) {
+    if (!trustScoreReader.historyReader) {
+      return null;
+    }
+    try {
+      return await trustScoreReader.historyReader.getHistory(agentId);
+    } catch (error) {
+      console.warn(`[server] score history unavailable for agent ${agentId.toString()}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The newest feedback whose off-chain document the indexer verified against its feedbackHash,
+   * with the document's comment text.
+   */
+  async function loadSampleComments(entries) {
+    const comments = [];
+    for (const entry of [...entries].reverse()) {
+      const content = await feedbackStore.getContent(entry);
+      const text = content?.status === "verified" ? extractComment(content.text) : "";
+      if (text) {
+        comments.push({
+          clientAddress: entry.clientAddress,
+          isPositive: BigInt(entry.value) > 0n,
+          tag1: entry.tag1,
+          tag2: entry.tag2,
+          text,
+          timestamp: Math.floor(entry.timestamp / 1000),
+        });
+      }
+      if (comments.length === REPORT_SAMPLE_COMMENTS) {
+        break;
+      }
+    }
+    return comments;
+  }
+
+  /**
+   * Summary of the indexer's feedback store for one agent: distinct reviewers and sample comments.
+   * Null when the store is missing or unsynced.
+   */
+  async function loadStoreSummary(agentId) {
+    if (!feedbackStore) {
+      return null;
+    }
+    try {
+      await feedbackStore.refresh();
+      if ((await feedbackStore.getSyncedBlock()) === null) {
+        return null;
+      }
+      const entries = await feedbackStore.getFeedback(agentId);
+      return {
+        uniqueReviewers: new Set(entries.map((entry) => entry.clientAddress.toLowerCase())).size,
+        sampleComments: await loadSampleComments(entries),
+      };
+    } catch (error) {
+      console.warn(`[server] feedback store unavailable for agent ${agentId.toString()}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function queryReport(agentId, access, scope = null) {
+    if (!trustScoreReader.enabled) {
+      return unconfiguredResult("reports");
+    }
+
+    try {
+      const report = await scoreReads.getDetailedReport(agentId);
+      const parsedRecord = parseRecord(report);
+      const history = access.allowDemoResponse ? null : await loadTrendHistory(agentId);
+      const storeSummary = access.allowDemoResponse ? null : await loadStoreSummary(agentId);
+      const scoreRecord = await loadScoreRecord(agentId);
+      const model = resolveScoreModel(scoreRecord, parsedRecord);
+      const analytics = buildRiskReport({ parsedRecord, scoringConfig, pollIntervalMs, history, trendConfig });
+      const dispute = access.allowDemoResponse ? null : await loadLatestDispute(agentId);
+      if (dispute?.status === "open") {
+        analytics.riskFactors.push("score_under_dispute");
+      }
+
+      if (access.allowDemoResponse) {
+        return {
+          statusCode: 200,
+          fullResponse: false,
+          body: {
+            demo: true,
+            agentId: agentId.toString(),
+            score: Number(parsedRecord.score),
+            verdict: resolveVerdict(Number(parsedRecord.score)),
+            confidenceBand: resolveConfidenceBand(Number(parsedRecord.totalFeedback)),
+            flagged: analytics.flagged,
+            model,
+            note: "Demo response only. Provide an x402 payment header for the full paid payload.",
+            meta: buildResponseMeta(),
+          },
+        };
+      }
+
+      return {
+        statusCode: 200,
+        fullResponse: true,
+        body: {
+          agentId: agentId.toString(),
+          score: Number(parsedRecord.score),
+          scoreInterval: buildScoreInterval(scoreRecord, parsedRecord),
+          override: buildOverride(scoreRecord, parsedRecord, await loadActiveOverride(agentId)),
+          dispute: buildDispute(dispute),
+          confidence: analytics.confidence,
+          totalFeedback: asSafeNumber(parsedRecord.totalFeedback),
+          positiveFeedback: asSafeNumber(parsedRecord.positiveFeedback),
+          uniqueReviewers: storeSummary?.uniqueReviewers ?? null,
+          recentTrend: analytics.recentTrend,
+          trend: analytics.trend,
+          flagged: analytics.flagged,
+          riskFactors: analytics.riskFactors,
+          negativeRateBps: analytics.negativeRateBps,
+          breakdown: buildBreakdown(scoreRecord),
+          sampleComments: storeSummary?.sampleComments ?? null,
+          ...(scope ? { scope: buildScopedScore(scoreRecord, scope) } : {}),
+          lastUpdated: asSafeNumber(parsedRecord.lastUpdated),
+          model,
+          meta: buildResponseMeta(),
+        },
+      };
+    } catch (error) {
+      if (!isCallException(error)) {
+        throw error;
+      }
+      if (access.allowDemoResponse) {
+        return {
+          statusCode: 200,
+          fullResponse: false,
+          body: {
+            demo: true,
+            agentId: agentId.toString(),
+            score: null,
+            verdict: "UNKNOWN",
+            confidenceBand: "none",
+            flagged: false,
+            note: "No on-chain history yet. Demo response returned without payment.",
+            meta: buildResponseMeta(),
+          },
+        };
+      }
+
+      return {
+        statusCode: 404,
+        fullResponse: false,
+        body: {
+          error: "Report not found for agent",
+          agentId: agentId.toString(),
+        },
+      };
+    }
+  }
+
+  async function queryHistory(agentId, access, range) {
+    if (!trustScoreReader.enabled) {
+      return unconfiguredResult("score history");
+    }
+    if (!trustScoreReader.historyReader) {
+      return {
+        statusCode: 503,
+        fullResponse: false,
+        body: {
+          error: "Score history is not configured",
+          details: "Set TRUST_SCORE_DEPLOY_BLOCK to the TrustScore deployment block to enable score history.",
+        },
+      };
+    }
+
+    const history = await trustScoreReader.historyReader.getHistory(agentId);
+    if (history.length === 0) {
+      return {
+        statusCode: 404,
+        fullResponse: false,
+        body: {
+          error: "Score history not found for agent",
+          agentId: agentId.toString(),
+        },
+      };
+    }
+
+    const latest = history[history.length - 1];
+    if (access.allowDemoResponse) {
+      return {
+        statusCode: 200,
+        fullResponse: false,
+        body: {
+          demo: true,
+          agentId: agentId.toString(),
+          updateCount: history.length,
+          firstUpdated: history[0].timestamp,
+          latest: { timestamp: latest.timestamp, score: latest.score },
+          note: "Demo response only. Provide an x402 payment header for the full score timeline.",
+          meta: buildResponseMeta(),
+        },
+      };
+    }
+
+    const points = bucketHistory(history, range);
+    return {
+      statusCode: 200,
+      fullResponse: true,
+      body: {
+        agentId: agentId.toString(),
+        from: range.from,
+        to: range.to,
+        interval: range.interval.label,
+        pointCount: points.length,
+        points,
+        meta: buildResponseMeta(),
+      },
+    };
+  }
+
+  return {
+    queryScore,
+    queryScores,
+    queryReport,
+    queryHistory,
+  };
+}
+
+/**
+ * Paid score responses may be reused by the client (never by shared caches) for `maxAgeSeconds`; after
+ * that, Express's ETag lets it revalidate with If-None-Match and get a 304.
+ */
+function setScoreCacheHeaders(res, maxAgeSeconds) {
+  res.set("cache-control", `private, max-age=${maxAgeSeconds}`);
+  res.vary("x-payment");
+}
+
+function createApp(env = process.env, { scoreCacheBackend } = {}) {
   const app = express();
   app.set("trust proxy", 1);
   const port = toPositiveInt(env.PORT, 3000);
   const pollIntervalMs = toPositiveInt(env.INDEXER_POLL_INTERVAL_MS, 900_000);
   const scoringConfig = loadScoringConfigFromEnv(env);
+  const scoringModel = getScoringModel(env.SCORING_MODEL);
   const trustScoreReader = createTrustScoreReader(env);
   const routePricing = buildRoutePricing(env);
+  const trendConfig = loadTrendConfigFromEnv(env);
+  const feedbackStore = createFeedbackStoreReader(env);
+  const overrideStore = createOverrideStore({
+    filePath: env.SCORE_OVERRIDES_FILE || defaultOverridesPath(env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH),
+  });
+  const disputeStore = createDisputeStore({
+    filePath: env.DISPUTES_FILE || defaultDisputesPath(env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH),
+  });
+  const subscriptionStore = createSubscriptionStore({
+    filePath:
+      env.WEBHOOK_SUBSCRIPTIONS_FILE || defaultSubscriptionsPath(env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH),
+  });
+  const creditConfig = loadCreditConfigFromEnv(env);
+  const creditLedger = createCreditLedger({
+    store: createCreditStore({
+      filePath: env.CREDITS_FILE || defaultCreditsPath(env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH),
+    }),
+    secret: creditConfig.secret,
+    ttlSeconds: creditConfig.ttlSeconds,
+  });
+  const accountConfig = loadAccountConfigFromEnv(env);
+  const accountsEnabled = accountConfig.enabled && trustScoreReader.enabled;
+  const accountStore = createAccountStore({
+    filePath: env.ACCOUNTS_FILE || defaultAccountsPath(env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH),
+    flushIntervalMs: accountConfig.flushIntervalMs,
+  });
+  const depositWatcher = accountsEnabled
+    ? createDepositWatcher({ provider: trustScoreReader.provider, accountStore, config: accountConfig })
+    : null;
+  const facilitatorConfig = loadFacilitatorConfigFromEnv(env);
+  const facilitator = facilitatorConfig.enabled
+    ? createFacilitator({
+        signer: createFacilitatorSigner(facilitatorConfig, env),
+        routes: [
+          ...Object.entries(routePricing),
+          ...Object.values(MCP_TOOL_ROUTES).map((routeKey) => [`POST ${MCP_PATH}`, routePricing[routeKey]]),
+        ],
+        env,
+      })
+    : null;
+  const scoreCacheConfig = loadScoreCacheConfigFromEnv(env);
+  const scoreReadCache = createScoreReadCache({
+    trustScoreReader,
+    backend: scoreCacheBackend,
+    maxEntries: scoreCacheConfig.maxEntries,
+    ttlMs: scoreCacheConfig.ttlMs,
+  });
+  const trustQueries = createTrustQueries({
+    trustScoreReader,
+    scoreReads: scoreReadCache,
+    feedbackStore,
+    overrideStore,
+    disputeStore,
+    scoringConfig,
+    scoringModel: describeScoringModel(scoringModel, scoringConfig),
+    pollIntervalMs,
+    trendConfig,
+  });
 
+  // Shared by every payment middleware so a nonce spent on one route can't be replayed on another.
+  const paymentNonceStore = createPaymentNonceStore({
+    filePath: env.X402_NONCES_FILE || defaultNoncesPath(env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_PATH),
+  });
+  const localPaymentOptions = {
+    nonceStore: paymentNonceStore,
+    allowUnpaidRequest: (req) => toBoolean(env.X402_ALLOW_DEMO_QUERY, true) && isDemoRequest(req),
+  };
   const payment = createPaymentMiddleware({
     mode: env.X402_MODE || "auto",
-    routeConfig: routePricing,
+    routeConfig: selectFixedPriceRoutes(routePricing),
     enforceStubPayment: env.X402_STUB_ENFORCE || "false",
+    ...localPaymentOptions,
     env,
   });
+  const { perAgent: _perAgent, ...batchScorePricing } = routePricing["POST /scores"];
+  const batchScorePayment = createMeteredPaymentMiddleware({
+    mode: env.X402_MODE || "auto",
+    routeKey: "POST /scores",
+    routeConfig: batchScorePricing,
+    resolveUnits: (req) => (Array.isArray(req.agentIds) ? req.agentIds.length : 0),
+    enforceStubPayment: env.X402_STUB_ENFORCE || "false",
+    ...localPaymentOptions,
+    env,
+  });
+  const batchMaxAgents = toPositiveInt(env.SCORES_BATCH_MAX_AGENTS, DEFAULT_MAX_AGENT_IDS);
+  const scoreStream = createScoreStream({ trustScoreReader, ...loadScoreStreamConfigFromEnv(env) });
+  scoreStream.observe((event) => {
+    scoreReadCache.invalidate(event.agentId).catch((error) => {
+      console.warn(`[server] score cache invalidation failed for agent ${event.agentId}: ${error.message}`);
+    });
+  });
   const agentkitConfig = loadAgentKitConfig(env);
   const agentkitActions = createAgentKitActions({ config: agentkitConfig });
 
@@ -263,7 +1101,21 @@ function createApp(env = process.env) {
   app.use(express.json());
   app.use(express.static(path.resolve(__dirname, "..", "public")));
   app.use(createRequestLoggerMiddleware({ logFilePath: env.REQUEST_LOG_FILE }));
-  app.use(payment.middleware);
+  const resolveFixedPriceRoute = createPaidRouteResolver(selectFixedPriceRoutes(routePricing));
+  app.use(createCreditMiddleware({ creditLedger, payment, resolveRoute: resolveFixedPriceRoute }));
+  app.use(
+    createAccountMiddleware({
+      accountStore,
+      enabled: accountsEnabled,
+      resolveRoute: (req) => {
+        const route = resolveFixedPriceRoute(req);
+        // Fixed-price routes are all `/<name>/:agentId`; the id is validated after the charge.
+        const agentId = req.path.split("/").pop();
+        return route && { ...route, agentIds: /^\d+$/.test(agentId) ? [BigInt(agentId).toString()] : [] };
+      },
+    })
+  );
+  app.use(skipWhenPrepaid(payment.middleware));
 
   app.get("/health", (req, res) => {
     return res.json({
@@ -279,6 +1131,20 @@ function createApp(env = process.env) {
         configured: trustScoreReader.enabled,
         contractAddress: trustScoreReader.enabled ? trustScoreReader.contractAddress : null,
       },
+      rpc: trustScoreReader.enabled
+        ? {
+            multicallAddress: trustScoreReader.multicallAddress,
+            endpoints: trustScoreReader.provider.describeEndpoints(),
+          }
+        : null,
+      cache: scoreReadCache.describe(),
+      credits: creditLedger.describe(),
+      accounts: {
+        enabled: accountsEnabled,
+        depositAddress: accountsEnabled ? accountConfig.depositAddress : null,
+        usdcAddress: accountsEnabled ? accountConfig.usdcAddress : null,
+      },
+      facilitator: facilitator ? { enabled: true, ...facilitator.describe() } : { enabled: false },
       agentkit: {
         integrated: true,
         defaultMode: agentkitConfig.defaultMode,
@@ -305,64 +1171,20 @@ function createApp(env = process.env) {
         });
       }
 
-      if (!trustScoreReader.enabled) {
-        return res.status(503).json({
-          error: "TrustScore contract is not configured",
-          details: "Set TRUST_SCORE_ADDRESS and API_RPC_URL (or Base RPC env vars) before querying scores.",
-        });
+      const result = await trustQueries.queryScore(req.agentId, access);
+      if (result.fullResponse && !isPrepaid(res)) {
+        res.locals.paymentStatus = payment.paidStatus;
       }
-
-      const report = await trustScoreReader.contract.getDetailedReport(req.agentId);
-      const parsedRecord = parseRecord(report);
-
-      const confidenceThreshold = Number(scoringConfig.confidenceThresholdFeedbackCount) || 1;
-      const confidence = Math.min(1, Number(parsedRecord.totalFeedback) / confidenceThreshold);
-
-      if (access.allowDemoResponse) {
-        return res.json({
-          demo: true,
-          agentId: req.agentId.toString(),
-          score: Number(parsedRecord.score),
-          verdict: resolveVerdict(Number(parsedRecord.score)),
-          confidenceBand: resolveConfidenceBand(Number(parsedRecord.totalFeedback)),
-          note: "Demo response only. Provide an x402 payment header for the full paid payload.",
-          meta: buildResponseMeta(),
-        });
+      if (result.statusCode === 200) {
+        setScoreCacheHeaders(res, scoreCacheConfig.responseMaxAgeSeconds);
       }
-
-      res.locals.paymentStatus = payment.usingRealMiddleware ? "paid_real" : "paid_stub";
-      return res.json({
-        agentId: req.agentId.toString(),
-        score: Number(parsedRecord.score),
-        confidence: Number(confidence.toFixed(4)),
-        lastUpdated: asSafeNumber(parsedRecord.lastUpdated),
-        meta: buildResponseMeta(),
-      });
+      return res.status(result.statusCode).json(result.body);
     } catch (error) {
-      if (isCallException(error)) {
-        const access = resolvePaidRouteAccess({ req, res, env, payment });
-        if (access.allowDemoResponse) {
-          return res.json({
-            demo: true,
-            agentId: req.agentId.toString(),
-            score: null,
-            verdict: "UNKNOWN",
-            confidenceBand: "none",
-            note: "No on-chain history yet. Demo response returned without payment.",
-            meta: buildResponseMeta(),
-          });
-        }
-
-        return res.status(404).json({
-          error: "Score not found for agent",
-          agentId: req.agentId.toString(),
-        });
-      }
       return next(error);
     }
   });
 
-  app.get("/report/:agentId", validateAgentIdParam, async (req, res, next) => {
+  app.get("/report/:agentId", validateAgentIdParam, validateReportQuery, async (req, res, next) => {
     try {
       const access = resolvePaidRouteAccess({ req, res, env, payment });
       if (access.paymentRequired) {
@@ -375,68 +1197,118 @@ function createApp(env = process.env) {
         });
       }
 
-      if (!trustScoreReader.enabled) {
-        return res.status(503).json({
-          error: "TrustScore contract is not configured",
-          details: "Set TRUST_SCORE_ADDRESS and API_RPC_URL (or Base RPC env vars) before querying reports.",
-        });
+      const result = await trustQueries.queryReport(req.agentId, access, req.reportScope);
+      if (result.fullResponse && !isPrepaid(res)) {
+        res.locals.paymentStatus = payment.paidStatus;
       }
+      if (result.statusCode === 200) {
+        setScoreCacheHeaders(res, scoreCacheConfig.responseMaxAgeSeconds);
+      }
+      return res.status(result.statusCode).json(result.body);
+    } catch (error) {
+      return next(error);
+    }
+  });
 
-      const report = await trustScoreReader.contract.getDetailedReport(req.agentId);
-      const parsedRecord = parseRecord(report);
-      const analytics = buildRiskReport({ parsedRecord, scoringConfig, pollIntervalMs });
-
-      if (access.allowDemoResponse) {
-        return res.json({
-          demo: true,
-          agentId: req.agentId.toString(),
-          score: Number(parsedRecord.score),
-          verdict: resolveVerdict(Number(parsedRecord.score)),
-          confidenceBand: resolveConfidenceBand(Number(parsedRecord.totalFeedback)),
-          flagged: analytics.flagged,
-          note: "Demo response only. Provide an x402 payment header for the full paid payload.",
-          meta: buildResponseMeta(),
+  app.get("/history/:agentId", validateAgentIdParam, validateHistoryQuery, async (req, res, next) => {
+    try {
+      const access = resolvePaidRouteAccess({ req, res, env, payment });
+      if (access.paymentRequired) {
+        return res.status(402).json({
+          error: "Payment required",
+          route: "GET /history/:agentId",
+          price: routePricing["GET /history/:agentId"].price,
+          network: routePricing["GET /history/:agentId"].network,
+          details: access.paymentReason,
         });
       }
 
-      res.locals.paymentStatus = payment.usingRealMiddleware ? "paid_real" : "paid_stub";
-      return res.json({
-        agentId: req.agentId.toString(),
-        score: Number(parsedRecord.score),
-        confidence: analytics.confidence,
-        totalFeedback: asSafeNumber(parsedRecord.totalFeedback),
-        positiveFeedback: asSafeNumber(parsedRecord.positiveFeedback),
-        recentTrend: analytics.recentTrend,
-        flagged: analytics.flagged,
-        riskFactors: analytics.riskFactors,
-        negativeRateBps: analytics.negativeRateBps,
-        lastUpdated: asSafeNumber(parsedRecord.lastUpdated),
-        meta: buildResponseMeta(),
-      });
+      const result = await trustQueries.queryHistory(req.agentId, access, req.historyRange);
+      if (result.fullResponse && !isPrepaid(res)) {
+        res.locals.paymentStatus = payment.paidStatus;
+      }
+      return res.status(result.statusCode).json(result.body);
     } catch (error) {
-      if (isCallException(error)) {
+      if (error instanceof RangeError) {
+        return res.status(400).json({
+          error: "Invalid history query",
+          details: error.message,
+        });
+      }
+      return next(error);
+    }
+  });
+
+  app.post(
+    "/scores",
+    createAgentIdListValidator(batchMaxAgents, { rejectDuplicates: true }),
+    createCreditMiddleware({
+      creditLedger,
+      payment,
+      resolveRoute: (req) => ({ key: "POST /scores", price: batchScorePayment.priceFor(req.agentIds.length) }),
+    }),
+    createAccountMiddleware({
+      accountStore,
+      enabled: accountsEnabled,
+      resolveRoute: (req) => ({
+        key: "POST /scores",
+        price: batchScorePayment.priceFor(req.agentIds.length),
+        agentIds: req.agentIds.map(String),
+      }),
+    }),
+    skipWhenPrepaid(batchScorePayment.middleware),
+    async (req, res, next) => {
+      try {
         const access = resolvePaidRouteAccess({ req, res, env, payment });
-        if (access.allowDemoResponse) {
-          return res.json({
-            demo: true,
-            agentId: req.agentId.toString(),
-            score: null,
-            verdict: "UNKNOWN",
-            confidenceBand: "none",
-            flagged: false,
-            note: "No on-chain history yet. Demo response returned without payment.",
-            meta: buildResponseMeta(),
+        if (access.paymentRequired) {
+          return res.status(402).json({
+            error: "Payment required",
+            route: "POST /scores",
+            price: batchScorePayment.priceFor(req.agentIds.length),
+            pricePerAgent: routePricing["POST /scores"].price,
+            network: routePricing["POST /scores"].network,
+            details: access.paymentReason,
           });
         }
 
-        return res.status(404).json({
-          error: "Report not found for agent",
-          agentId: req.agentId.toString(),
-        });
+        const result = await trustQueries.queryScores(req.agentIds, access);
+        if (result.fullResponse && !isPrepaid(res)) {
+          res.locals.paymentStatus = payment.paidStatus;
+        }
+        if (result.statusCode === 200) {
+          setScoreCacheHeaders(res, scoreCacheConfig.responseMaxAgeSeconds);
+        }
+        return res.status(result.statusCode).json(result.body);
+      } catch (error) {
+        return next(error);
       }
-      return next(error);
     }
-  });
+  );
+
+  app.use(createDisputeRouter({ env, trustScoreReader, disputeStore }));
+  app.use(
+    createAccountRouter({
+      accountStore,
+      accountConfig,
+      enabled: accountsEnabled,
+      resolveChainId: async () => (await trustScoreReader.contract.runner.provider.getNetwork()).chainId,
+    })
+  );
+  app.use(createFacilitatorRouter({ facilitator }));
+  app.use(createSubscriptionRouter({ env, subscriptionStore, maxAgents: batchMaxAgents }));
+  app.use(createScoreStreamRouter({ env, scoreStream, maxAgents: batchMaxAgents }));
+  app.use(createAdminRouter({ env, overrideStore, disputeStore, maxScore: scoringConfig.maxScore }));
+
+  app.use(
+    createMcpRouter({
+      env,
+      routePricing,
+      payment,
+      localPaymentOptions,
+      trustQueries,
+      resolveAccess: (req, res) => resolvePaidRouteAccess({ req, res, env, payment }),
+    })
+  );
 
   app.use((error, req, res, _next) => {
     const statusCode = Number(error.statusCode) || 500;
@@ -452,12 +1324,39 @@ function createApp(env = process.env) {
     port,
     payment,
     trustScoreReader,
+    feedbackStore,
+    overrideStore,
+    disputeStore,
+    subscriptionStore,
+    scoreStream,
+    scoreReadCache,
+    creditLedger,
+    accountStore,
+    depositWatcher,
+    facilitator,
     agentkitActions,
   };
 }
 
 function startServer(env = process.env) {
-  const { app, port, payment, trustScoreReader } = createApp(env);
+  const { app, port, payment, trustScoreReader, scoreStream, depositWatcher } = createApp(env);
+  if (toBoolean(env.API_RUN_INDEXER)) {
+    startIndexer({ onScoreEvents: scoreStream.publish }).catch((error) => {
+      console.error(`[server] in-process indexer stopped: ${error.stack || error.message}`);
+    });
+  }
+  if (trustScoreReader.enabled) {
+    // Follow ScoreUpdated continuously so cached contract reads are invalidated as scores change.
+    scoreStream.start();
+    // Probe endpoints whose circuit breaker has cooled down, so recovery doesn't wait for live traffic.
+    setInterval(() => trustScoreReader.provider.probe(), trustScoreReader.rpcHealthCheckIntervalMs).unref();
+    // Credit prepaid accounts as USDC deposits confirm.
+    depositWatcher?.start();
+    // Warm the ScoreUpdated scan so the first /report and /history requests don't pay for it.
+    trustScoreReader.historyReader?.sync().catch((error) => {
+      console.warn(`[server] initial score history scan failed: ${error.message}`);
+    });
+  }
   app.listen(port, () => {
     console.log(
       `[server] listening on :${port} | x402=${payment.mode} | trustScoreConfigured=${trustScoreReader.enabled}`
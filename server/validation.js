@@ -1,6 +1,10 @@
 "use strict";
 
+const dns = require("node:dns");
+const net = require("node:net");
+
 const UINT256_MAX = (1n << 256n) - 1n;
+const DEFAULT_MAX_AGENT_IDS = 200;
 
 function parseAgentIdParam(rawAgentId) {
   if (typeof rawAgentId !== "string" || rawAgentId.length === 0) {
@@ -31,8 +35,104 @@ function validateAgentIdParam(req, res, next) {
   }
 }
 
+/**
+ * Parses a list of agent ids (strings or numbers), dropping duplicates while keeping order, or
+ * rejecting them with `rejectDuplicates`. Throws with the offending positions when any entry is invalid.
+ */
+function parseAgentIdList(rawList, maxCount = DEFAULT_MAX_AGENT_IDS, { rejectDuplicates = false } = {}) {
+  if (!Array.isArray(rawList) || rawList.length === 0) {
+    throw new Error("agentIds must be a non-empty array");
+  }
+  if (rawList.length > maxCount) {
+    throw new Error(`agentIds supports at most ${maxCount} entries`);
+  }
+
+  const agentIds = [];
+  const seen = new Map();
+  const invalid = [];
+  rawList.forEach((rawAgentId, index) => {
+    try {
+      const agentId = parseAgentIdParam(typeof rawAgentId === "number" ? String(rawAgentId) : rawAgentId);
+      if (!seen.has(agentId)) {
+        seen.set(agentId, index);
+        agentIds.push(agentId);
+      } else if (rejectDuplicates) {
+        invalid.push(`agentIds[${index}]: duplicate of agentIds[${seen.get(agentId)}]`);
+      }
+    } catch (error) {
+      invalid.push(`agentIds[${index}]: ${error.message}`);
+    }
+  });
+
+  if (invalid.length > 0) {
+    throw new Error(invalid.join("; "));
+  }
+  return agentIds;
+}
+
+function createAgentIdListValidator(maxCount = DEFAULT_MAX_AGENT_IDS, options = {}) {
+  return function validateAgentIdListBody(req, res, next) {
+    try {
+      req.agentIds = parseAgentIdList(req.body?.agentIds, maxCount, options);
+      return next();
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid agentIds",
+        details: error.message,
+      });
+    }
+  };
+}
+
+// Loopback, private, and link-local literals. Host names are not resolved here; this only stops the
+// obvious ways of pointing the indexer at internal services (webhook URLs, feedback documents).
+// resolvePublicAddress also checks what a name resolves to.
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return true;
+  }
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split(".").map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  if (net.isIPv6(host)) {
+    return (
+      host === "::" || host === "::1" || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith("::ffff:")
+    );
+  }
+  return false;
+}
+
+/**
+ * Resolves `hostname` with `lookup` (dns.lookup's signature) and returns its first address as
+ * `{ address, family }`. Throws a RangeError if any address it resolves to is private, so a public
+ * name pointed at an internal service is refused; connect to the returned address, not the name,
+ * so a second lookup can't answer differently.
+ */
+async function resolvePublicAddress(hostname, { lookup = dns.lookup } = {}) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = await new Promise((resolve, reject) => {
+    lookup(host, { all: true }, (error, results) => (error ? reject(error) : resolve(results)));
+  });
+  if (!Array.isArray(addresses) || addresses.length === 0) {
+    throw new Error(`${host} did not resolve to any address`);
+  }
+  const internal = addresses.find(({ address }) => isPrivateHost(address));
+  if (internal) {
+    throw new RangeError(`${host} resolves to a loopback or private address (${internal.address})`);
+  }
+  return addresses[0];
+}
+
 module.exports = {
+  DEFAULT_MAX_AGENT_IDS,
   UINT256_MAX,
+  createAgentIdListValidator,
+  isPrivateHost,
+  parseAgentIdList,
   parseAgentIdParam,
+  resolvePublicAddress,
   validateAgentIdParam,
 };
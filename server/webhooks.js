@@ -0,0 +1,574 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const dns = require("node:dns");
+const fs = require("node:fs/promises");
+const http = require("node:http");
+const https = require("node:https");
+const path = require("node:path");
+const express = require("express");
+
+const { resolveVerdict } = require("../src/agentkit/types");
+const { DEFAULT_MAX_AGENT_IDS, isPrivateHost, parseAgentIdList, resolvePublicAddress } = require("./validation");
+
+const SUBSCRIPTIONS_FILENAME = ".webhook-subscriptions.json";
+const DEAD_LETTER_FILENAME = "webhook-dead-letters.jsonl";
+const SUBSCRIPTIONS_VERSION = 1;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 1_000;
+const DEFAULT_TIMEOUT_MS = 5_000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_QUEUED = 1_000;
+const DEFAULT_MAX_SUBSCRIPTIONS_PER_CLIENT = 20;
+const DEFAULT_MAX_SUBSCRIPTIONS = 1_000;
+const MAX_URL_LENGTH = 2048;
+const SIGNATURE_HEADER = "x-robomoustachio-signature";
+const TIMESTAMP_HEADER = "x-robomoustachio-timestamp";
+const DELIVERY_HEADER = "x-robomoustachio-delivery";
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function isTrue(value) {
+  return ["1", "true", "yes", "on"].includes(String(value || "").trim().toLowerCase());
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function defaultSubscriptionsPath(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), SUBSCRIPTIONS_FILENAME);
+}
+
+function defaultDeadLetterPath(checkpointPath) {
+  return path.join(path.dirname(checkpointPath), DEAD_LETTER_FILENAME);
+}
+
+function loadWebhookConfigFromEnv(env = process.env) {
+  return {
+    maxAttempts: toPositiveInt(env.WEBHOOK_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+    retryBaseMs: toPositiveInt(env.WEBHOOK_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS),
+    timeoutMs: toPositiveInt(env.WEBHOOK_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    concurrency: toPositiveInt(env.WEBHOOK_CONCURRENCY, DEFAULT_CONCURRENCY),
+    maxQueued: toPositiveInt(env.WEBHOOK_MAX_QUEUED, DEFAULT_MAX_QUEUED),
+    allowPrivateUrls: isTrue(env.WEBHOOK_ALLOW_PRIVATE_URLS),
+    deadLetterPath: env.WEBHOOK_DEAD_LETTER_FILE || "",
+  };
+}
+
+function loadSubscriptionLimitsFromEnv(env = process.env) {
+  return {
+    maxPerClient: toPositiveInt(env.WEBHOOK_MAX_SUBSCRIPTIONS_PER_CLIENT, DEFAULT_MAX_SUBSCRIPTIONS_PER_CLIENT),
+    maxTotal: toPositiveInt(env.WEBHOOK_MAX_SUBSCRIPTIONS, DEFAULT_MAX_SUBSCRIPTIONS),
+  };
+}
+
+/**
+ * Validates a POST /subscriptions body: `{ url, agentIds, thresholds: { verdict, flagged, delta } }`.
+ * `verdict` and `flagged` default to true; `delta` (points, off by default) fires when the score
+ * moves by more than that much. Throws RangeError naming the first invalid field.
+ */
+function parseSubscriptionInput(body, { maxAgents = DEFAULT_MAX_AGENT_IDS, allowPrivateUrls = false } = {}) {
+  const input = body && typeof body === "object" ? body : {};
+
+  const rawUrl = typeof input.url === "string" ? input.url.trim() : "";
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw new RangeError("url must be an absolute http(s) URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol) || rawUrl.length > MAX_URL_LENGTH) {
+    throw new RangeError(`url must be an http(s) URL of at most ${MAX_URL_LENGTH} characters`);
+  }
+  if (url.username || url.password) {
+    throw new RangeError("url must not contain credentials");
+  }
+  if (!allowPrivateUrls && isPrivateHost(url.hostname)) {
+    throw new RangeError("url must not point at a loopback or private address");
+  }
+
+  let agentIds;
+  try {
+    agentIds = parseAgentIdList(input.agentIds, maxAgents);
+  } catch (error) {
+    throw new RangeError(error.message);
+  }
+
+  const raw = input.thresholds === undefined ? {} : input.thresholds;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new RangeError("thresholds must be an object");
+  }
+  for (const key of ["verdict", "flagged"]) {
+    if (raw[key] !== undefined && typeof raw[key] !== "boolean") {
+      throw new RangeError(`thresholds.${key} must be a boolean`);
+    }
+  }
+  if (raw.delta !== undefined && raw.delta !== null && (!Number.isInteger(raw.delta) || raw.delta < 0)) {
+    throw new RangeError("thresholds.delta must be a non-negative integer or null");
+  }
+  const thresholds = {
+    verdict: raw.verdict ?? true,
+    flagged: raw.flagged ?? true,
+    delta: raw.delta ?? null,
+  };
+  if (!thresholds.verdict && !thresholds.flagged && thresholds.delta === null) {
+    throw new RangeError("thresholds must enable at least one of verdict, flagged, or delta");
+  }
+
+  return { url: url.toString(), agentIds: agentIds.map((agentId) => agentId.toString()), thresholds };
+}
+
+/**
+ * JSON file of webhook subscriptions. The API is the only writer and the indexer re-reads it every
+ * cycle. Each subscription has its own secret, returned once on creation, that signs deliveries and
+ * authorizes deleting it. Writes are serialized and atomic.
+ */
+function createSubscriptionStore({ filePath } = {}) {
+  if (!filePath) {
+    throw new Error("Missing webhook subscriptions file path");
+  }
+
+  let writing = Promise.resolve();
+
+  async function readSubscriptions() {
+    try {
+      const stored = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return Array.isArray(stored?.subscriptions) ? stored.subscriptions : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async function writeSubscriptions(subscriptions) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    const document = { version: SUBSCRIPTIONS_VERSION, subscriptions };
+    await fs.writeFile(tmpPath, `${JSON.stringify(document, null, 2)}\n`, "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function update(mutate) {
+    const result = writing.then(async () => {
+      const subscriptions = await readSubscriptions();
+      const value = mutate(subscriptions);
+      await writeSubscriptions(subscriptions);
+      return value;
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * All subscriptions, secrets included (for signing deliveries).
+   */
+  function list() {
+    return readSubscriptions();
+  }
+
+  /**
+   * Adds a subscription for `client` (an opaque caller key). Resolves to null instead when the client
+   * already has `maxPerClient` subscriptions or the store holds `maxTotal`.
+   */
+  function create(input, { client = "", maxPerClient = Infinity, maxTotal = Infinity } = {}) {
+    return update((subscriptions) => {
+      const owned = subscriptions.filter((subscription) => subscription.client === client).length;
+      if (owned >= maxPerClient || subscriptions.length >= maxTotal) {
+        return null;
+      }
+      const subscription = {
+        id: crypto.randomUUID(),
+        ...input,
+        client,
+        secret: crypto.randomBytes(32).toString("hex"),
+        createdAt: Date.now(),
+      };
+      subscriptions.push(subscription);
+      return subscription;
+    });
+  }
+
+  /**
+   * Deletes a subscription if `secret` matches. Resolves to "deleted", "not_found", or "forbidden".
+   */
+  function remove(subscriptionId, secret) {
+    return update((subscriptions) => {
+      const index = subscriptions.findIndex((subscription) => subscription.id === subscriptionId);
+      if (index === -1) {
+        return "not_found";
+      }
+      const expected = crypto.createHash("sha256").update(subscriptions[index].secret).digest();
+      const provided = crypto.createHash("sha256").update(String(secret || "")).digest();
+      if (!crypto.timingSafeEqual(expected, provided)) {
+        return "forbidden";
+      }
+      subscriptions.splice(index, 1);
+      return "deleted";
+    });
+  }
+
+  return {
+    filePath,
+    list,
+    create,
+    remove,
+  };
+}
+
+function publicSubscription({ secret: _secret, client: _client, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * Which of a subscription's thresholds a score change crosses: `verdict` (TRUSTED/CAUTION/DANGEROUS
+ * per resolveVerdict), `flagged` (when both states are known), and `delta`.
+ */
+function detectTriggers({ previous, current, thresholds }) {
+  const triggers = [];
+  if (thresholds.verdict && resolveVerdict(previous.score) !== resolveVerdict(current.score)) {
+    triggers.push("verdict");
+  }
+  if (
+    thresholds.flagged &&
+    typeof previous.flagged === "boolean" &&
+    typeof current.flagged === "boolean" &&
+    previous.flagged !== current.flagged
+  ) {
+    triggers.push("flagged");
+  }
+  if (thresholds.delta !== null && Math.abs(current.score - previous.score) > thresholds.delta) {
+    triggers.push("delta");
+  }
+  return triggers;
+}
+
+function describeScore({ score, flagged }) {
+  return { score, verdict: resolveVerdict(score), flagged: typeof flagged === "boolean" ? flagged : null };
+}
+
+/**
+ * One delivery per (subscription, agent) whose change crosses a threshold. `changes` holds the
+ * previous and newly published score of each rescored agent that had a score before.
+ */
+function buildWebhookDeliveries({ subscriptions, changes, blockNumber, txHash }) {
+  const deliveries = [];
+  for (const subscription of subscriptions) {
+    const watched = new Set(subscription.agentIds);
+    for (const { agentId, previous, current } of changes) {
+      if (!watched.has(agentId)) {
+        continue;
+      }
+      const triggers = detectTriggers({ previous, current, thresholds: subscription.thresholds });
+      if (triggers.length === 0) {
+        continue;
+      }
+      deliveries.push({
+        subscription,
+        payload: {
+          id: crypto.randomUUID(),
+          event: "score.changed",
+          subscriptionId: subscription.id,
+          agentId,
+          triggers,
+          previous: describeScore(previous),
+          current: describeScore(current),
+          delta: current.score - previous.score,
+          blockNumber,
+          txHash,
+        },
+      });
+    }
+  }
+  return deliveries;
+}
+
+/**
+ * `sha256=<hex>` HMAC of `<timestamp>.<body>` under the subscription secret. Receivers recompute it
+ * from the raw body and the timestamp header, and should reject stale timestamps.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// A net `lookup` that always answers with an address already checked by resolvePublicAddress.
+function pinnedLookup({ address, family }) {
+  return (hostname, options, callback) => {
+    const done = typeof options === "function" ? options : callback;
+    if (options?.all) {
+      done(null, [{ address, family }]);
+    } else {
+      done(null, address, family);
+    }
+  };
+}
+
+/**
+ * Sends one request with node:http(s), whose `lookup` option lets the connection be pinned to a
+ * checked address. Resolves to `{ ok, status }` once the response arrives; redirects aren't followed.
+ */
+function sendWebhookRequest(url, { method, headers, body, signal, lookup }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === "https:" ? https : http;
+    const options = lookup ? { method, headers, signal, lookup } : { method, headers, signal };
+    const request = transport.request(target, options, (response) => {
+      response.resume();
+      resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode });
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * POSTs deliveries, `concurrency` at a time. Network errors, timeouts, 408, 429, and 5xx responses
+ * are retried with exponential backoff up to `maxAttempts`; other failures stop at once. Deliveries
+ * that never succeed are appended to the dead-letter JSONL file. Never throws for delivery failures.
+ * `enqueue` sends in the background so slow endpoints can't hold up the caller; at most `maxQueued`
+ * deliveries wait, and the rest are dead-lettered straight away.
+ *
+ * Unless `allowPrivateUrls` is set, each attempt resolves the URL's host with `lookup` and refuses
+ * it if any address is private (subscriptions are unauthenticated, so a public name could point at
+ * an internal service); the request then connects to that checked address, so a DNS rebind between
+ * the check and the connection can't redirect it.
+ */
+function createWebhookDispatcher({
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryBaseMs = DEFAULT_RETRY_BASE_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  concurrency = DEFAULT_CONCURRENCY,
+  maxQueued = DEFAULT_MAX_QUEUED,
+  allowPrivateUrls = false,
+  deadLetterPath,
+  lookup = dns.lookup,
+  fetchImpl = sendWebhookRequest,
+} = {}) {
+  const attemptsLimit = toPositiveInt(maxAttempts, DEFAULT_MAX_ATTEMPTS);
+  const baseDelayMs = toPositiveInt(retryBaseMs, DEFAULT_RETRY_BASE_MS);
+  const requestTimeoutMs = toPositiveInt(timeoutMs, DEFAULT_TIMEOUT_MS);
+  const batchSize = toPositiveInt(concurrency, DEFAULT_CONCURRENCY);
+  const queueLimit = toPositiveInt(maxQueued, DEFAULT_MAX_QUEUED);
+  const queue = [];
+  let draining = null;
+  let overflowing = Promise.resolve();
+
+  async function post(subscription, body, deliveryId) {
+    let address = null;
+    if (!allowPrivateUrls) {
+      try {
+        address = await resolvePublicAddress(new URL(subscription.url).hostname, { lookup });
+      } catch (error) {
+        // A private address won't become public on retry; a failed lookup might.
+        return { ok: false, status: null, error: error.message, refused: error instanceof RangeError };
+      }
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), requestTimeoutMs);
+    try {
+      const response = await fetchImpl(subscription.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "robomoustachio-indexer/1.0",
+          [SIGNATURE_HEADER]: signWebhookPayload(subscription.secret, timestamp, body),
+          [TIMESTAMP_HEADER]: String(timestamp),
+          [DELIVERY_HEADER]: deliveryId,
+        },
+        body,
+        signal: controller.signal,
+        lookup: address ? pinnedLookup(address) : undefined,
+      });
+      return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, status: null, error: error.name === "AbortError" ? "timeout" : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function deliver({ subscription, payload }) {
+    const body = JSON.stringify(payload);
+    let result;
+    let attempts = 0;
+    while (attempts < attemptsLimit) {
+      attempts += 1;
+      result = await post(subscription, body, payload.id);
+      if (result.ok || result.refused || (result.status !== null && !isRetryableStatus(result.status))) {
+        break;
+      }
+      if (attempts < attemptsLimit) {
+        await sleep(baseDelayMs * 2 ** (attempts - 1));
+      }
+    }
+    return { subscription, payload, attempts, ...result };
+  }
+
+  async function writeDeadLetters(failed) {
+    if (failed.length === 0 || !deadLetterPath) {
+      return;
+    }
+    const lines = failed.map((result) =>
+      JSON.stringify({
+        failedAt: Date.now(),
+        subscriptionId: result.subscription.id,
+        url: result.subscription.url,
+        attempts: result.attempts,
+        status: result.status,
+        error: result.error,
+        payload: result.payload,
+      })
+    );
+    try {
+      await fs.mkdir(path.dirname(deadLetterPath), { recursive: true });
+      await fs.appendFile(deadLetterPath, `${lines.join("\n")}\n`, "utf8");
+    } catch (error) {
+      console.error(`[webhooks] could not write dead-letter log ${deadLetterPath}: ${error.message}`);
+    }
+  }
+
+  async function dispatch(deliveries) {
+    const results = [];
+    for (let offset = 0; offset < deliveries.length; offset += batchSize) {
+      results.push(...(await Promise.all(deliveries.slice(offset, offset + batchSize).map(deliver))));
+    }
+
+    const failed = results.filter((result) => !result.ok);
+    await writeDeadLetters(failed);
+    return { delivered: results.length - failed.length, failed: failed.length };
+  }
+
+  async function drain() {
+    try {
+      while (queue.length > 0) {
+        const { delivered, failed } = await dispatch(queue.splice(0, batchSize));
+        console.log(`[webhooks] delivered=${delivered}, failed=${failed}, queued=${queue.length}`);
+      }
+    } finally {
+      draining = null;
+    }
+  }
+
+  /**
+   * Queues deliveries and returns at once with `{ queued, dropped }`.
+   */
+  function enqueue(deliveries) {
+    const room = Math.max(0, queueLimit - queue.length);
+    const dropped = deliveries.slice(room);
+    queue.push(...deliveries.slice(0, room));
+    if (dropped.length > 0) {
+      console.warn(`[webhooks] queue full; dead-lettering ${dropped.length} deliveries`);
+      const results = dropped.map((delivery) => ({ ...delivery, attempts: 0, status: null, error: "queue_full" }));
+      overflowing = overflowing.then(() => writeDeadLetters(results));
+    }
+    if (!draining && queue.length > 0) {
+      draining = drain();
+    }
+    return { queued: deliveries.length - dropped.length, dropped: dropped.length };
+  }
+
+  /**
+   * Resolves once every queued delivery has been sent or dead-lettered.
+   */
+  async function idle() {
+    await Promise.all([draining, overflowing]);
+  }
+
+  return {
+    dispatch,
+    enqueue,
+    idle,
+  };
+}
+
+/**
+ * Subscriptions are free and unauthenticated, so each client (by IP) may hold only a few, and the
+ * store as a whole is capped too.
+ */
+function createSubscriptionRouter({ env, subscriptionStore, maxAgents }) {
+  const router = express.Router();
+  const allowPrivateUrls = isTrue(env.WEBHOOK_ALLOW_PRIVATE_URLS);
+  const limits = loadSubscriptionLimitsFromEnv(env);
+
+  router.post("/subscriptions", async (req, res, next) => {
+    let input;
+    try {
+      input = parseSubscriptionInput(req.body, { maxAgents, allowPrivateUrls });
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid subscription",
+        details: error.message,
+      });
+    }
+
+    try {
+      const client = crypto.createHash("sha256").update(String(req.ip || "")).digest("hex").slice(0, 16);
+      const subscription = await subscriptionStore.create(input, { client, ...limits });
+      if (!subscription) {
+        return res.status(429).json({
+          error: "Too many subscriptions",
+          details: `Each client may hold ${limits.maxPerClient} subscriptions and the server ${limits.maxTotal}.`,
+        });
+      }
+      console.log(`[webhooks] subscription ${subscription.id} created for ${subscription.agentIds.length} agents`);
+      return res.status(201).json({
+        subscription: publicSubscription(subscription),
+        secret: subscription.secret,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  router.delete("/subscriptions/:subscriptionId", async (req, res, next) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+    try {
+      const outcome = await subscriptionStore.remove(req.params.subscriptionId, match ? match[1].trim() : "");
+      if (outcome === "not_found") {
+        return res.status(404).json({
+          error: "Subscription not found",
+          subscriptionId: req.params.subscriptionId,
+        });
+      }
+      if (outcome === "forbidden") {
+        return res.status(403).json({
+          error: "Forbidden",
+          details: "Provide the subscription secret as `Authorization: Bearer <secret>`.",
+        });
+      }
+      return res.status(204).end();
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER,
+  buildWebhookDeliveries,
+  createSubscriptionRouter,
+  createSubscriptionStore,
+  createWebhookDispatcher,
+  defaultDeadLetterPath,
+  defaultSubscriptionsPath,
+  detectTriggers,
+  loadSubscriptionLimitsFromEnv,
+  loadWebhookConfigFromEnv,
+  parseSubscriptionInput,
+  signWebhookPayload,
+};
@@ -286,6 +286,7 @@ function createAgentKitClient(options = {}) {
         confidence,
         data: {
           lastUpdated: body?.lastUpdated ?? null,
+          model: body?.model ?? null,
           demo: Boolean(body?.demo),
           note: body?.note ?? null,
           meta: body?.meta ?? null,
@@ -304,13 +305,21 @@ function createAgentKitClient(options = {}) {
       score: toNonNegativeNumber(body?.score),
       confidence,
       data: {
+        scoreInterval: body?.scoreInterval ?? null,
+        override: body?.override ?? null,
+        dispute: body?.dispute ?? null,
         totalFeedback,
         positiveFeedback,
+        uniqueReviewers: body?.uniqueReviewers == null ? null : toNonNegativeNumber(body.uniqueReviewers),
         recentTrend: body?.recentTrend ?? "unknown",
+        trend: body?.trend ?? null,
         flagged: typeof body?.flagged === "boolean" ? body.flagged : null,
         riskFactors: Array.isArray(body?.riskFactors) ? body.riskFactors : [],
         negativeRateBps: toNonNegativeNumber(body?.negativeRateBps),
+        breakdown: body?.breakdown ?? null,
+        sampleComments: Array.isArray(body?.sampleComments) ? body.sampleComments : null,
         lastUpdated: body?.lastUpdated ?? null,
+        model: body?.model ?? null,
         demo: Boolean(body?.demo),
         note: body?.note ?? null,
         meta: body?.meta ?? null,
@@ -330,6 +339,7 @@ function createAgentKitClient(options = {}) {
         confidence,
         data: {
           lastUpdated: record.lastUpdated,
+          model: null,
           demo: false,
           note: "Direct TrustScore contract read fallback.",
           meta: null,
@@ -341,13 +351,21 @@ function createAgentKitClient(options = {}) {
       score: record.score,
       confidence,
       data: {
+        scoreInterval: null,
+        override: null,
+        dispute: null,
         totalFeedback: record.totalFeedback,
         positiveFeedback: record.positiveFeedback,
+        uniqueReviewers: null,
         recentTrend: "unknown",
+        trend: null,
         flagged: analytics.flagged,
         riskFactors: analytics.riskFactors,
         negativeRateBps: analytics.negativeRateBps,
+        breakdown: null,
+        sampleComments: null,
         lastUpdated: record.lastUpdated,
+        model: null,
         demo: false,
         note: "Direct TrustScore contract read fallback.",
         meta: null,
@@ -0,0 +1,260 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { TRUST_SCORE_ABI, createApp } = require("../server/server");
+const { bucketHistory, createScoreHistoryReader, parseHistoryQuery, summarizeTrend } = require("../server/history");
+
+describe("Score history", function () {
+  const daySeconds = 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, updater] = await ethers.getSigners();
+
+    const MockIdentityRegistry = await ethers.getContractFactory("MockIdentityRegistry");
+    const registry = await MockIdentityRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setOwner(1n, owner.address);
+    await registry.setOwner(2n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const deployBlock = await ethers.provider.getBlockNumber();
+    const reader = createScoreHistoryReader({
+      contract: new ethers.Contract(await trustScore.getAddress(), TRUST_SCORE_ABI, ethers.provider),
+      provider: ethers.provider,
+      startBlock: deployBlock,
+      chunkBlocks: 2,
+    });
+
+    return { updater, trustScore, reader, deployBlock };
+  }
+
+  it("rebuilds the timeline with feedback counts from single and batch updates", async function () {
+    const { updater, trustScore, reader } = await deployFixture();
+    const start = Number((await ethers.provider.getBlock("latest")).timestamp) + 10;
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [start]);
+    await trustScore.connect(updater).updateScore(1n, 800n, 10n, 8n);
+    await ethers.provider.send("evm_setNextBlockTimestamp", [start + daySeconds]);
+    await trustScore.connect(updater).batchUpdateScores([2n, 1n], [300n, 650n], [4n, 20n], [1n, 13n]);
+    await ethers.provider.send("evm_setNextBlockTimestamp", [start + 3 * daySeconds]);
+    await trustScore.connect(updater).updateScore(1n, 900n, 30n, 27n);
+
+    const history = await reader.getHistory(1n);
+    expect(history.map(({ timestamp, score, totalFeedback, positiveFeedback }) => ({
+      timestamp,
+      score,
+      totalFeedback,
+      positiveFeedback,
+    }))).to.deep.equal([
+      { timestamp: start, score: 800, totalFeedback: 10, positiveFeedback: 8 },
+      { timestamp: start + daySeconds, score: 650, totalFeedback: 20, positiveFeedback: 13 },
+      { timestamp: start + 3 * daySeconds, score: 900, totalFeedback: 30, positiveFeedback: 27 },
+    ]);
+
+    const other = await reader.getHistory(2n);
+    expect(other).to.have.length(1);
+    expect(other[0].score).to.equal(300);
+    expect(await reader.getHistory(99n)).to.deep.equal([]);
+
+    // Later updates are picked up incrementally.
+    await ethers.provider.send("evm_setNextBlockTimestamp", [start + 4 * daySeconds]);
+    await trustScore.connect(updater).updateScore(2n, 350n, 5n, 2n);
+    expect((await reader.getHistory(2n)).map((point) => point.score)).to.deep.equal([300, 350]);
+  });
+
+  it("keeps only the latest points per agent and needs a deploy block to scan from", async function () {
+    const { updater, trustScore, deployBlock } = await deployFixture();
+    const contract = new ethers.Contract(await trustScore.getAddress(), TRUST_SCORE_ABI, ethers.provider);
+    const reader = createScoreHistoryReader({
+      contract,
+      provider: ethers.provider,
+      startBlock: deployBlock,
+      maxPointsPerAgent: 2,
+    });
+
+    for (const score of [500n, 600n, 700n]) {
+      await trustScore.connect(updater).updateScore(1n, score, 10n, 5n);
+    }
+    expect((await reader.getHistory(1n)).map((point) => point.score)).to.deep.equal([600, 700]);
+    expect((await reader.getUpdatesAfter(null)).map((update) => update.score)).to.deep.equal([500, 600, 700]);
+
+    // Without a deploy block the first sync would scan from genesis.
+    expect(() => createScoreHistoryReader({ contract, provider: ethers.provider })).to.throw(
+      "TRUST_SCORE_DEPLOY_BLOCK"
+    );
+  });
+
+  it("serves GET /history/:agentId in buckets and rejects invalid windows", async function () {
+    const { updater, trustScore, reader, deployBlock } = await deployFixture();
+    const start = Number((await ethers.provider.getBlock("latest")).timestamp) + 10;
+    await ethers.provider.send("evm_setNextBlockTimestamp", [start]);
+    await trustScore.connect(updater).updateScore(1n, 800n, 10n, 8n);
+    await ethers.provider.send("evm_setNextBlockTimestamp", [start + 2 * daySeconds]);
+    await trustScore.connect(updater).updateScore(1n, 650n, 20n, 13n);
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-history-"));
+    let server;
+    try {
+      const { app, trustScoreReader } = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: String(deployBlock),
+        CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      trustScoreReader.historyReader = reader;
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}/history`;
+      const paid = { headers: { "x-payment": "stub" } };
+
+      const dayStart = Math.floor(start / daySeconds) * daySeconds;
+      const query = `from=${start}&to=${start + 2 * daySeconds}&interval=1d`;
+      const bucketed = await fetch(`${baseUrl}/1?${query}`, paid);
+      expect(bucketed.status).to.equal(200);
+      const body = await bucketed.json();
+      expect(body).to.include({ agentId: "1", from: start, to: start + 2 * daySeconds, interval: "1d", pointCount: 3 });
+      expect(body.points).to.deep.equal([
+        { timestamp: dayStart, score: 800, updates: 1 },
+        { timestamp: dayStart + daySeconds, score: 800, updates: 0 },
+        { timestamp: dayStart + 2 * daySeconds, score: 650, updates: 1 },
+      ]);
+
+      // The chain clock runs ahead of the wall clock here, so `to` can't default to now.
+      const raw = await (await fetch(`${baseUrl}/1?to=${start + 2 * daySeconds}`, paid)).json();
+      expect(raw.points.map(({ score, totalFeedback }) => [score, totalFeedback])).to.deep.equal([
+        [800, 10],
+        [650, 20],
+      ]);
+
+      for (const invalid of [`from=${start + 10}&to=${start}`, "interval=5y", `from=1&to=${start}&interval=1m`]) {
+        const response = await fetch(`${baseUrl}/1?${invalid}`, paid);
+        expect(response.status).to.equal(400);
+        expect((await response.json()).error).to.equal("Invalid history query");
+      }
+      expect((await fetch(`${baseUrl}/99`, paid)).status).to.equal(404);
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("starts without TRUST_SCORE_DEPLOY_BLOCK and serves scores with history off", async function () {
+    const { updater, trustScore } = await deployFixture();
+    await trustScore.connect(updater).updateScore(1n, 800n, 10n, 8n);
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-history-off-"));
+    const warnings = [];
+    const warn = console.warn;
+    let server;
+    try {
+      console.warn = (message) => warnings.push(String(message));
+      let created;
+      try {
+        created = createApp({
+          X402_MODE: "stub",
+          TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+          CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+          REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+        });
+      } finally {
+        console.warn = warn;
+      }
+      const { app, trustScoreReader } = created;
+      expect(trustScoreReader.historyReader).to.equal(null);
+      expect(warnings.filter((message) => message.includes("TRUST_SCORE_DEPLOY_BLOCK"))).to.have.length(1);
+
+      trustScoreReader.contract = trustScore;
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const paid = { headers: { "x-payment": "stub" } };
+
+      const score = await fetch(`${baseUrl}/score/1`, paid);
+      expect(score.status).to.equal(200);
+      expect((await score.json()).score).to.equal(800);
+
+      const report = await fetch(`${baseUrl}/report/1`, paid);
+      expect(report.status).to.equal(200);
+      const reportBody = await report.json();
+      expect(reportBody.trend).to.equal(null);
+      expect(reportBody.recentTrend).to.be.oneOf(["stable", "caution", "stale"]);
+
+      const history = await fetch(`${baseUrl}/history/1`, paid);
+      expect(history.status).to.equal(503);
+      expect((await history.json()).error).to.equal("Score history is not configured");
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("buckets points by interval and carries the last score forward", function () {
+    const dayStart = 20 * daySeconds;
+    const points = [
+      { timestamp: dayStart + 100, score: 500 },
+      { timestamp: dayStart + 200, score: 520 },
+      { timestamp: dayStart + 2 * daySeconds + 50, score: 610 },
+    ];
+
+    const range = parseHistoryQuery(
+      { from: String(dayStart), to: String(dayStart + 3 * daySeconds), interval: "1d" },
+      dayStart + 10 * daySeconds
+    );
+    expect(bucketHistory(points, range)).to.deep.equal([
+      { timestamp: dayStart, score: 520, updates: 2 },
+      { timestamp: dayStart + daySeconds, score: 520, updates: 0 },
+      { timestamp: dayStart + 2 * daySeconds, score: 610, updates: 1 },
+      { timestamp: dayStart + 3 * daySeconds, score: 610, updates: 0 },
+    ]);
+
+    const raw = parseHistoryQuery({ from: String(dayStart + 150) }, dayStart + 10 * daySeconds);
+    expect(bucketHistory(points, raw).map((point) => point.score)).to.deep.equal([520, 610]);
+  });
+
+  it("classifies score trends over 7 and 30 day windows", function () {
+    const now = 100 * daySeconds;
+    const at = (daysAgo, score) => ({ timestamp: now - daysAgo * daySeconds, score });
+
+    const declining = summarizeTrend([at(20, 800), at(5, 790), at(1, 700)], { nowSeconds: now });
+    expect(declining.direction).to.equal("declining");
+    expect(declining.windows["7d"]).to.include({ delta: -100, updates: 2 });
+    expect(declining.windows["30d"]).to.include({ delta: -100, updates: 3 });
+    expect(declining.windows["7d"].slope).to.be.below(0);
+
+    const volatile = summarizeTrend([at(25, 600), at(18, 750), at(12, 620), at(2, 630)], { nowSeconds: now });
+    expect(volatile.direction).to.equal("volatile");
+
+    const stable = summarizeTrend([at(40, 500), at(20, 520), at(3, 530)], { nowSeconds: now });
+    expect(stable.direction).to.equal("stable");
+    expect(stable.windows["30d"].delta).to.equal(30);
+    expect(summarizeTrend([at(20, 500), at(3, 530)], { nowSeconds: now, deltaThreshold: 25 }).direction).to.equal(
+      "improving"
+    );
+
+    expect(summarizeTrend([at(2, 900)], { nowSeconds: now })).to.deep.equal({
+      direction: "insufficient_data",
+      windows: {},
+    });
+  });
+
+  it("rejects invalid history query params", function () {
+    expect(() => parseHistoryQuery({ interval: "5y" })).to.throw("interval must be");
+    expect(() => parseHistoryQuery({ from: "200", to: "100" })).to.throw("from must be earlier");
+    expect(() => parseHistoryQuery({ from: "yesterday" })).to.throw("unix timestamp or ISO-8601");
+    expect(() => parseHistoryQuery({ from: "1", to: String(10 * daySeconds), interval: "1m" })).to.throw(RangeError);
+  });
+});
@@ -1,14 +1,55 @@
+const crypto = require("node:crypto");
 const fs = require("node:fs");
+const http = require("node:http");
 const os = require("node:os");
 const path = require("node:path");
 
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 
-const { scoreFeedbackDetailed } = require("../server/scoring");
-const { loadCheckpoint, runIndexerCycle } = require("../server/indexer");
+const {
+  API_KEY_HEADER,
+  API_KEY_REQUEST_TYPES,
+  buildAccountDomain,
+  createAccountStore,
+  createDepositWatcher,
+  loadAccountConfigFromEnv,
+} = require("../server/accounts");
+const { CREDIT_HEADER, decodeCreditToken } = require("../server/credits");
+const { DISPUTE_TYPES, buildDisputeDomain } = require("../server/disputes");
+const { createFeedbackContentFetcher, resolveFeedbackUrl } = require("../server/feedbackContent");
+const { createFeedbackStore } = require("../server/feedbackStore");
+const { createScoreHistoryReader } = require("../server/history");
+const { MULTICALL3_ABI, MULTICALL3_ADDRESS } = require("../server/multicall");
+const { createMeteredPaymentMiddleware, scaleUsdPrice } = require("../server/paymentMiddleware");
+const { TRANSFER_WITH_AUTHORIZATION_TYPES, USDC_NETWORKS } = require("../server/paymentVerification");
+const { TRUST_SCORE_ABI, createApp } = require("../server/server");
+const { describeScoringModel, getScoringModel, scoreFeedbackDetailed } = require("../server/scoring");
+const { createWebhookDispatcher } = require("../server/webhooks");
+const {
+  createLogChunkSizer,
+  isLogRangeError,
+  isRpcError,
+  loadCheckpoint,
+  runIndexerCycle,
+  scanFeedbackLogsInChunks,
+} = require("../server/indexer");
 
 describe("Indexer integration", function () {
+  // Serves fixed documents by path, standing in for feedback hosts and an IPFS gateway.
+  async function startDocumentServer(documents) {
+    const server = http.createServer((req, res) => {
+      const document = documents[req.url];
+      if (document === undefined) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { "content-type": "application/json" }).end(document);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return server;
+  }
+
   it("updates TrustScore from mock feedback events and persists checkpoint", async function () {
     const [owner, updater, clientA, clientB] = await ethers.getSigners();
 
@@ -253,4 +294,2466 @@ describe("Indexer integration", function () {
       fs.rmSync(checkpointDir, { recursive: true, force: true });
     }
   });
+
+  it("rescores from the local feedback store and only scans new blocks", async function () {
+    const [owner, updater, clientA, clientB] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(20n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const baseTimestamp = Number(latestBlock.timestamp) + 10;
+    const nowMsOverride = (baseTimestamp + 10 * 24 * 60 * 60) * 1000;
+    const expectedFeedback = [];
+
+    async function emitFeedback(client, isPositive, timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await registry.connect(client).postFeedback(20n, {
+        value: isPositive ? 100n : -100n,
+        valueDecimals: 0,
+        tag1: "quality",
+        tag2: "execution",
+        endpoint: "https://agent.example",
+        feedbackURI: "ipfs://feedback",
+        feedbackHash: ethers.ZeroHash,
+      });
+      expectedFeedback.push({ isPositive, timestamp: timestamp * 1000 });
+    }
+
+    const scoringConfig = {
+      decayWindowDays: 30,
+      recentFeedbackWeight: 2,
+      olderFeedbackWeight: 1,
+      confidenceThresholdFeedbackCount: 50,
+      confidenceMultiplier: 1.05,
+      negativeFlagThresholdBps: 2000,
+      recentNegativeWindowDays: 7,
+      flaggedScoreMultiplier: 0.9,
+      maxScore: 1000,
+    };
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-store-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    const feedbackStoreDir = path.join(checkpointDir, "feedback");
+    const cycleConfig = {
+      provider: ethers.provider,
+      updaterSigner: updater,
+      trustScoreAddress: await trustScore.getAddress(),
+      reputationRegistryAddress: await registry.getAddress(),
+      checkpointPath,
+      feedbackStoreDir,
+      startBlock,
+      maxBatchSize: 100,
+      scoringConfig,
+      backoffStartMs: 1,
+      backoffMaxMs: 10,
+    };
+
+    try {
+      await emitFeedback(clientA, true, baseTimestamp + 24 * 60 * 60);
+      await emitFeedback(clientB, false, baseTimestamp + 2 * 24 * 60 * 60);
+
+      const firstCycle = await runIndexerCycle(cycleConfig, { nowMsOverride });
+      expect(firstCycle.storedEventCount).to.equal(2);
+
+      await emitFeedback(clientA, true, baseTimestamp + 5 * 24 * 60 * 60);
+      const secondCycle = await runIndexerCycle(cycleConfig, { nowMsOverride });
+      expect(secondCycle.scanFromBlock).to.equal(firstCycle.latestBlock + 1);
+      expect(secondCycle.storedEventCount).to.equal(1);
+      expect(secondCycle.processedAgentIds).to.deep.equal(["20"]);
+
+      const expected = scoreFeedbackDetailed(expectedFeedback, scoringConfig, nowMsOverride);
+      const onChain = await trustScore.getDetailedReport(20n);
+      expect(onChain.score).to.equal(BigInt(expected.score));
+      expect(onChain.totalFeedback).to.equal(3n);
+      expect(onChain.positiveFeedback).to.equal(2n);
+
+      const store = createFeedbackStore({ directory: feedbackStoreDir });
+      const stored = await store.getFeedback(20n);
+      expect(stored.map((entry) => entry.value)).to.deep.equal(["100", "-100", "100"]);
+      expect(stored.map((entry) => entry.timestamp)).to.deep.equal(expectedFeedback.map((entry) => entry.timestamp));
+      expect(await store.getSyncedBlock()).to.equal(secondCycle.latestBlock);
+
+      // Losing the store backfills it from startBlock without re-marking already scored agents.
+      fs.rmSync(feedbackStoreDir, { recursive: true, force: true });
+      const rebuildCycle = await runIndexerCycle(cycleConfig, { nowMsOverride });
+      expect(rebuildCycle.scanFromBlock).to.equal(startBlock);
+      expect(rebuildCycle.storedEventCount).to.equal(3);
+      expect(rebuildCycle.processedAgentCount).to.equal(0);
+    } finally {
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("rolls back orphaned feedback and rescores affected agents after a reorg", async function () {
+    const [owner, updater, clientA, clientB] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(30n, owner.address);
+    await registry.setAgentOwner(31n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const confirmations = 2;
+    const startBlock = await ethers.provider.getBlockNumber();
+    const baseTimestamp = Number((await ethers.provider.getBlock("latest")).timestamp) + 10;
+    const nowMsOverride = (baseTimestamp + 10 * 24 * 60 * 60) * 1000;
+    let nextTimestamp = baseTimestamp;
+
+    async function emitFeedback(client, agentId, isPositive) {
+      nextTimestamp += 60;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [nextTimestamp]);
+      await registry.connect(client).postFeedback(agentId, {
+        value: isPositive ? 100n : -100n,
+        valueDecimals: 0,
+        tag1: "quality",
+        tag2: "execution",
+        endpoint: "https://agent.example",
+        feedbackURI: "ipfs://feedback",
+        feedbackHash: ethers.ZeroHash,
+      });
+      return { isPositive, timestamp: nextTimestamp * 1000 };
+    }
+
+    async function confirm() {
+      nextTimestamp += 60 * confirmations;
+      await ethers.provider.send("hardhat_mine", [`0x${confirmations.toString(16)}`, "0x3c"]);
+    }
+
+    const scoringConfig = {
+      decayWindowDays: 30,
+      recentFeedbackWeight: 2,
+      olderFeedbackWeight: 1,
+      confidenceThresholdFeedbackCount: 50,
+      confidenceMultiplier: 1.05,
+      negativeFlagThresholdBps: 2000,
+      recentNegativeWindowDays: 7,
+      flaggedScoreMultiplier: 0.9,
+      maxScore: 1000,
+    };
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-reorg-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    const feedbackStoreDir = path.join(checkpointDir, "feedback");
+    const cycleConfig = {
+      provider: ethers.provider,
+      updaterSigner: updater,
+      trustScoreAddress: await trustScore.getAddress(),
+      reputationRegistryAddress: await registry.getAddress(),
+      checkpointPath,
+      feedbackStoreDir,
+      startBlock,
+      confirmations,
+      maxBatchSize: 100,
+      scoringConfig,
+      backoffStartMs: 1,
+      backoffMaxMs: 10,
+    };
+
+    try {
+      const kept = await emitFeedback(clientA, 30n, true);
+      await confirm();
+      const firstCycle = await runIndexerCycle(cycleConfig, { nowMsOverride });
+      expect(firstCycle.latestBlock).to.equal(firstCycle.headBlock - confirmations);
+      expect(firstCycle.processedAgentIds).to.deep.equal(["30"]);
+
+      const snapshotId = await ethers.provider.send("evm_snapshot", []);
+      await emitFeedback(clientB, 31n, false);
+      await emitFeedback(clientA, 30n, false);
+      await confirm();
+      const secondCycle = await runIndexerCycle(cycleConfig, { nowMsOverride });
+      expect(secondCycle.processedAgentIds).to.deep.equal(["30", "31"]);
+      expect((await loadCheckpoint(checkpointPath)).recentBlocks).to.have.length(2);
+
+      // Replace the last few blocks with a fork that carries different feedback.
+      await ethers.provider.send("evm_revert", [snapshotId]);
+      const replacement = await emitFeedback(clientB, 30n, true);
+      await ethers.provider.send("hardhat_mine", ["0x8", "0x3c"]);
+      nextTimestamp += 8 * 60;
+
+      const reorgCycle = await runIndexerCycle(cycleConfig, { nowMsOverride });
+      expect(reorgCycle.reorg).to.include({
+        rollbackToBlock: firstCycle.latestBlock,
+        orphanedCheckpoints: 1,
+        orphanedEventCount: 2,
+      });
+      expect(reorgCycle.reorg.affectedAgentIds).to.have.members(["30", "31"]);
+      expect(reorgCycle.fromBlock).to.equal(firstCycle.latestBlock + 1);
+      expect(reorgCycle.processedAgentIds).to.deep.equal(["30", "31"]);
+
+      const store = createFeedbackStore({ directory: feedbackStoreDir });
+      expect((await store.getFeedback(30n)).map((entry) => entry.value)).to.deep.equal(["100", "100"]);
+      expect(await store.getFeedback(31n)).to.deep.equal([]);
+
+      const expectedThirty = scoreFeedbackDetailed([kept, replacement], scoringConfig, nowMsOverride);
+      const expectedThirtyOne = scoreFeedbackDetailed([], scoringConfig, nowMsOverride);
+      const onChainThirty = await trustScore.getDetailedReport(30n);
+      expect(onChainThirty.score).to.equal(BigInt(expectedThirty.score));
+      expect(onChainThirty.totalFeedback).to.equal(2n);
+      expect(onChainThirty.positiveFeedback).to.equal(2n);
+      const onChainThirtyOne = await trustScore.getDetailedReport(31n);
+      expect(onChainThirtyOne.score).to.equal(BigInt(expectedThirtyOne.score));
+      expect(onChainThirtyOne.totalFeedback).to.equal(0n);
+
+      const afterReorg = await runIndexerCycle(cycleConfig, { nowMsOverride });
+      expect(afterReorg.reorg).to.equal(null);
+      expect(afterReorg.processedAgentCount).to.equal(0);
+    } finally {
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("shrinks getLogs chunks on range errors and grows them back", async function () {
+    const rangeError = Object.assign(new Error("could not coalesce error"), {
+      error: { code: -32005, message: "query returned more than 10000 results" },
+    });
+    expect(isLogRangeError(rangeError)).to.equal(true);
+    expect(isRpcError(rangeError)).to.equal(false);
+    expect(isLogRangeError(new Error("eth_getLogs is limited to a 10,000 block range"))).to.equal(true);
+    expect(isLogRangeError(Object.assign(new Error("rate limit"), { code: -32005 }))).to.equal(false);
+
+    const requested = [];
+    const reputationRegistry = {
+      filters: {
+        FeedbackPosted: () => "FeedbackPosted",
+        NewFeedback: () => "NewFeedback",
+      },
+      async queryFilter(filter, fromBlock, toBlock) {
+        requested.push([fromBlock, toBlock]);
+        if (toBlock - fromBlock + 1 > 8) {
+          throw rangeError;
+        }
+        return [];
+      },
+    };
+
+    const chunkSizer = createLogChunkSizer({ initialBlocks: 40, maxBlocks: 40 });
+    const chunks = [];
+    await scanFeedbackLogsInChunks({
+      reputationRegistry,
+      fromBlock: 100,
+      toBlock: 150,
+      chunkSizer,
+      rpcCall: (operation) => operation(),
+      onChunk: async ({ fromBlock, toBlock }) => {
+        chunks.push([fromBlock, toBlock]);
+      },
+    });
+
+    expect(requested.slice(0, 3)).to.deep.equal([[100, 139], [100, 119], [100, 109]]);
+    expect(chunks[0]).to.deep.equal([100, 104]);
+    expect(chunks[chunks.length - 1][1]).to.equal(150);
+    for (let index = 1; index < chunks.length; index += 1) {
+      expect(chunks[index][0]).to.equal(chunks[index - 1][1] + 1);
+      expect(chunks[index][1] - chunks[index][0] + 1).to.be.at.most(8);
+    }
+
+    const singleBlockSizer = createLogChunkSizer({ initialBlocks: 1, maxBlocks: 1 });
+    const alwaysTooLarge = { ...reputationRegistry, queryFilter: async () => Promise.reject(rangeError) };
+    let thrown = null;
+    try {
+      await scanFeedbackLogsInChunks({
+        reputationRegistry: alwaysTooLarge,
+        fromBlock: 1,
+        toBlock: 3,
+        chunkSizer: singleBlockSizer,
+        rpcCall: (operation) => operation(),
+        onChunk: async () => {},
+      });
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).to.equal(rangeError);
+  });
+
+  it("checkpoints every log chunk so an interrupted backfill resumes mid-range", async function () {
+    const [owner, updater, clientA] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(40n, owner.address);
+    await registry.setAgentOwner(41n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const feedbackInput = {
+      value: 100n,
+      valueDecimals: 0,
+      tag1: "quality",
+      tag2: "execution",
+      endpoint: "https://agent.example",
+      feedbackURI: "ipfs://feedback",
+      feedbackHash: ethers.ZeroHash,
+    };
+    await registry.connect(clientA).postFeedback(40n, feedbackInput);
+    await ethers.provider.send("hardhat_mine", ["0x10"]);
+    await registry.connect(clientA).postFeedback(41n, feedbackInput);
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-chunks-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    const feedbackStoreDir = path.join(checkpointDir, "feedback");
+    const cycleConfig = {
+      provider: ethers.provider,
+      updaterSigner: updater,
+      trustScoreAddress: await trustScore.getAddress(),
+      reputationRegistryAddress: await registry.getAddress(),
+      checkpointPath,
+      feedbackStoreDir,
+      startBlock,
+      logChunkBlocks: 2,
+      maxLogChunkBlocks: 2,
+      maxBatchSize: 100,
+      backoffStartMs: 1,
+      backoffMaxMs: 10,
+    };
+
+    try {
+      // Simulate the process dying while storing the third chunk.
+      const store = createFeedbackStore({
+        directory: feedbackStoreDir,
+        reputationRegistryAddress: cycleConfig.reputationRegistryAddress,
+      });
+      let appendCalls = 0;
+      const crashingStore = {
+        ...store,
+        append: async (entries, syncedBlock) => {
+          appendCalls += 1;
+          if (appendCalls === 3) {
+            throw new Error("simulated crash");
+          }
+          return store.append(entries, syncedBlock);
+        },
+      };
+
+      let crash = null;
+      try {
+        await runIndexerCycle({ ...cycleConfig, feedbackStore: crashingStore });
+      } catch (error) {
+        crash = error;
+      }
+      expect(crash?.message).to.equal("simulated crash");
+
+      const interrupted = await loadCheckpoint(checkpointPath);
+      expect(interrupted.lastProcessedBlock).to.equal(startBlock + 3);
+      expect(interrupted.pendingAgentIds).to.deep.equal(["40"]);
+
+      const resumed = await runIndexerCycle(cycleConfig);
+      expect(resumed.fromBlock).to.equal(startBlock + 4);
+      expect(resumed.scanFromBlock).to.equal(startBlock + 4);
+      expect(resumed.processedAgentIds).to.deep.equal(["40", "41"]);
+      expect((await trustScore.getDetailedReport(40n)).totalFeedback).to.equal(1n);
+      expect((await trustScore.getDetailedReport(41n)).totalFeedback).to.equal(1n);
+    } finally {
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("discounts feedback posted by the agent's owner and caps repeat reviewers", async function () {
+    const [owner, updater, clientA, clientB] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(50n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    async function post(client, value) {
+      await registry.connect(client).postFeedback(50n, {
+        value,
+        valueDecimals: 0,
+        tag1: "quality",
+        tag2: "execution",
+        endpoint: "https://agent.example",
+        feedbackURI: "ipfs://feedback",
+        feedbackHash: ethers.ZeroHash,
+      });
+    }
+
+    // The owner praises its own agent; clientA spams praise; clientB reports one failure.
+    for (let index = 0; index < 3; index += 1) {
+      await post(owner, 100n);
+    }
+    for (let index = 0; index < 10; index += 1) {
+      await post(clientA, 100n);
+    }
+    await post(clientB, -100n);
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-sybil-"));
+    const scoringConfig = {
+      decayWindowDays: 30,
+      recentFeedbackWeight: 1,
+      olderFeedbackWeight: 1,
+      confidenceThresholdFeedbackCount: 10,
+      confidenceMultiplier: 1.05,
+      negativeFlagThresholdBps: 10_000,
+      recentNegativeWindowDays: 7,
+      flaggedScoreMultiplier: 0.9,
+      maxScore: 1000,
+      maxFeedbackPerReviewer: 3,
+      ownerFeedbackWeight: 0,
+    };
+
+    try {
+      await runIndexerCycle({
+        provider: ethers.provider,
+        updaterSigner: updater,
+        trustScoreAddress: await trustScore.getAddress(),
+        reputationRegistryAddress: await registry.getAddress(),
+        checkpointPath: path.join(checkpointDir, "checkpoint.json"),
+        startBlock,
+        maxBatchSize: 100,
+        scoringConfig,
+        backoffStartMs: 1,
+        backoffMaxMs: 10,
+      });
+
+      // Owner entries weigh 0; clientA's ten count as three: 3 / (3 + 1) = 0.75, below the confidence threshold.
+      const report = await trustScore.getDetailedReport(50n);
+      expect(report.score).to.equal(750n);
+      expect(report.totalFeedback).to.equal(14n);
+      expect(report.positiveFeedback).to.equal(13n);
+
+      const store = createFeedbackStore({ directory: path.join(checkpointDir, ".indexer-feedback"), readOnly: true });
+      expect(await store.getReviewerStats(clientA.address)).to.include({ agentCount: 1, feedbackCount: 10 });
+      expect(await store.getReviewerStats(ethers.ZeroAddress)).to.equal(null);
+    } finally {
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("publishes Bayesian interval bounds that /report serves alongside the on-chain score", async function () {
+    const [owner, updater, clientA, clientB] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(60n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    for (const client of [clientA, clientB]) {
+      await registry.connect(client).postFeedback(60n, {
+        value: 100n,
+        valueDecimals: 0,
+        tag1: "quality",
+        tag2: "execution",
+        endpoint: "https://agent.example",
+        feedbackURI: "ipfs://feedback",
+        feedbackHash: ethers.ZeroHash,
+      });
+    }
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-interval-"));
+    const feedbackStoreDir = path.join(checkpointDir, ".indexer-feedback");
+    let server;
+
+    try {
+      await runIndexerCycle({
+        provider: ethers.provider,
+        updaterSigner: updater,
+        trustScoreAddress: await trustScore.getAddress(),
+        reputationRegistryAddress: await registry.getAddress(),
+        checkpointPath: path.join(checkpointDir, "checkpoint.json"),
+        startBlock,
+        maxBatchSize: 100,
+        scoringConfig: { scoreEstimator: "bayesian" },
+        backoffStartMs: 1,
+        backoffMaxMs: 10,
+      });
+
+      // Two positives under a Beta(1, 1) prior: posterior Beta(3, 1), mean 0.75.
+      expect((await trustScore.getDetailedReport(60n)).score).to.equal(750n);
+
+      const { app, trustScoreReader } = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        FEEDBACK_STORE_DIR: feedbackStoreDir,
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      trustScoreReader.contract = trustScore;
+      trustScoreReader.historyReader = { getHistory: async () => [] };
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/report/60`);
+      const body = await response.json();
+      expect(response.status).to.equal(200);
+      expect(body.score).to.equal(750);
+      expect(body.scoreInterval).to.deep.equal({ lower: 292, upper: 992, level: 0.95, estimator: "bayesian" });
+
+      // Both routes name the model and config the indexer scored with, not the API's own (default) config.
+      const model = describeScoringModel(getScoringModel("weighted"), { scoreEstimator: "bayesian" });
+      expect(body.model).to.deep.equal(model);
+      const scoreBody = await (await fetch(`http://127.0.0.1:${server.address().port}/score/60`)).json();
+      expect(scoreBody.model).to.deep.equal(model);
+      expect(model.configHash).to.not.equal(describeScoringModel(getScoringModel("weighted"), {}).configHash);
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("serves per-tag and per-endpoint sub-scores on /report", async function () {
+    const [owner, updater, clientA, clientB, clientC] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(70n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    async function post(client, value, tag1, endpoint) {
+      await registry.connect(client).postFeedback(70n, {
+        value,
+        valueDecimals: 0,
+        tag1,
+        tag2: "",
+        endpoint,
+        feedbackURI: "ipfs://feedback",
+        feedbackHash: ethers.ZeroHash,
+      });
+    }
+
+    await post(clientA, 100n, "swap", "https://agent.example/swap");
+    await post(clientB, -100n, "swap", "https://agent.example/swap");
+    await post(clientC, 100n, "data-feed", "https://agent.example/feed");
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-breakdown-"));
+    let server;
+
+    try {
+      await runIndexerCycle({
+        provider: ethers.provider,
+        updaterSigner: updater,
+        trustScoreAddress: await trustScore.getAddress(),
+        reputationRegistryAddress: await registry.getAddress(),
+        checkpointPath: path.join(checkpointDir, "checkpoint.json"),
+        startBlock,
+        maxBatchSize: 100,
+        scoringConfig: { negativeFlagThresholdBps: 10_000 },
+        backoffStartMs: 1,
+        backoffMaxMs: 10,
+      });
+
+      const { app, trustScoreReader } = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        FEEDBACK_STORE_DIR: path.join(checkpointDir, ".indexer-feedback"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      trustScoreReader.contract = trustScore;
+      trustScoreReader.historyReader = { getHistory: async () => [] };
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const report = await (await fetch(`${baseUrl}/report/70`)).json();
+      expect(report.score).to.equal(667);
+      expect(report.scope).to.equal(undefined);
+      expect(report.breakdown.tags.map(({ tag, score, totalFeedback, negativeRateBps }) => ({
+        tag,
+        score,
+        totalFeedback,
+        negativeRateBps,
+      }))).to.deep.equal([
+        { tag: "swap", score: 500, totalFeedback: 2, negativeRateBps: 5000 },
+        { tag: "data-feed", score: 1000, totalFeedback: 1, negativeRateBps: 0 },
+      ]);
+      expect(report.breakdown.endpoints.map(({ endpoint }) => endpoint)).to.deep.equal([
+        "https://agent.example/swap",
+        "https://agent.example/feed",
+      ]);
+
+      const swap = await (await fetch(`${baseUrl}/report/70?tag=Swap`)).json();
+      expect(swap.score).to.equal(667);
+      expect(swap.scope).to.include({ tag: "swap", score: 500, totalFeedback: 2, positiveFeedback: 1 });
+
+      const feedUrl = `${baseUrl}/report/70?endpoint=${encodeURIComponent("https://agent.example/feed")}`;
+      const feed = await (await fetch(feedUrl)).json();
+      expect(feed.scope).to.include({ endpoint: "https://agent.example/feed", score: 1000 });
+
+      const unknown = await (await fetch(`${baseUrl}/report/70?tag=bridge`)).json();
+      expect(unknown.scope).to.include({ tag: "bridge", score: null, totalFeedback: 0 });
+
+      const invalid = await fetch(`${baseUrl}/report/70?tag=swap&endpoint=x`);
+      expect(invalid.status).to.equal(400);
+      expect((await invalid.json()).error).to.equal("Invalid report query");
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("verifies feedback documents against feedbackHash and serves verified comments", async function () {
+    const [owner, updater, clientA, clientB, clientC, clientD] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(80n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const goodDocument = JSON.stringify({ comment: "Fast, correct swap." });
+    const staleDocument = JSON.stringify({ comment: "Quote was stale." });
+    const documentServer = await startDocumentServer({
+      "/feedback/a.json": goodDocument,
+      "/feedback/b.json": JSON.stringify({ comment: "Edited after posting." }),
+      "/ipfs/bafyfixture/c.json": staleDocument,
+    });
+    const baseUrl = `http://127.0.0.1:${documentServer.address().port}`;
+    const hashOf = (text) => ethers.keccak256(ethers.toUtf8Bytes(text));
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    async function post(client, value, feedbackURI, feedbackHash) {
+      await registry.connect(client).postFeedback(80n, {
+        value,
+        valueDecimals: 0,
+        tag1: "swap",
+        tag2: "",
+        endpoint: "https://agent.example/swap",
+        feedbackURI,
+        feedbackHash,
+      });
+    }
+
+    await post(clientA, 100n, `${baseUrl}/feedback/a.json`, hashOf(goodDocument));
+    // clientB's document no longer matches the hash it committed to.
+    await post(clientB, 100n, `${baseUrl}/feedback/b.json`, hashOf(JSON.stringify({ comment: "Original." })));
+    await post(clientC, -100n, "ipfs://bafyfixture/c.json", hashOf(staleDocument));
+    await post(clientD, 100n, `${baseUrl}/feedback/missing.json`, hashOf("missing"));
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-content-"));
+    const feedbackStoreDir = path.join(checkpointDir, ".indexer-feedback");
+    let server;
+
+    try {
+      await runIndexerCycle({
+        provider: ethers.provider,
+        updaterSigner: updater,
+        trustScoreAddress: await trustScore.getAddress(),
+        reputationRegistryAddress: await registry.getAddress(),
+        checkpointPath: path.join(checkpointDir, "checkpoint.json"),
+        startBlock,
+        maxBatchSize: 100,
+        scoringConfig: { negativeFlagThresholdBps: 10_000 },
+        feedbackContent: { enabled: true, ipfsGateway: `${baseUrl}/`, timeoutMs: 2_000, allowPrivateUrls: true },
+        backoffStartMs: 1,
+        backoffMaxMs: 10,
+      });
+
+      // The mismatched positive is discarded; the unreachable one keeps full weight: 2 / 3.
+      const onChain = await trustScore.getDetailedReport(80n);
+      expect(onChain.score).to.equal(667n);
+      expect(onChain.totalFeedback).to.equal(4n);
+
+      const store = createFeedbackStore({ directory: feedbackStoreDir, readOnly: true });
+      const statuses = [];
+      for (const entry of await store.getFeedback(80n)) {
+        statuses.push((await store.getContent(entry)).status);
+      }
+      expect(statuses).to.deep.equal(["verified", "mismatch", "verified", "unavailable"]);
+
+      const { app, trustScoreReader } = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        FEEDBACK_STORE_DIR: feedbackStoreDir,
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      trustScoreReader.contract = trustScore;
+      trustScoreReader.historyReader = { getHistory: async () => [] };
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+
+      const report = await (await fetch(`http://127.0.0.1:${server.address().port}/report/80`)).json();
+      expect(report.sampleComments.map(({ text, isPositive, clientAddress }) => ({
+        text,
+        isPositive,
+        clientAddress,
+      }))).to.deep.equal([
+        { text: "Quote was stale.", isPositive: false, clientAddress: clientC.address },
+        { text: "Fast, correct swap.", isPositive: true, clientAddress: clientA.address },
+      ]);
+
+      expect(resolveFeedbackUrl("ipfs://ipfs/bafyfixture/c.json", "https://gateway.example/")).to.equal(
+        "https://gateway.example/ipfs/bafyfixture/c.json"
+      );
+      expect(resolveFeedbackUrl("ar://feedback")).to.equal(null);
+
+      // Anyone can post a feedbackURI: private hosts and redirects to them are refused, the gateway is trusted.
+      const guarded = createFeedbackContentFetcher({ ipfsGateway: `${baseUrl}/` });
+      expect(await guarded.verify({ feedbackURI: `${baseUrl}/feedback/a.json`, feedbackHash: hashOf(goodDocument) }))
+        .to.include({ status: "unavailable", error: "url points at a loopback or private address" });
+      expect(await guarded.verify({ feedbackURI: "ipfs://bafyfixture/c.json", feedbackHash: hashOf(staleDocument) }))
+        .to.include({ status: "verified" });
+      const redirecting = createFeedbackContentFetcher({
+        fetchImpl: async () => new Response(null, { status: 302, headers: { location: "http://169.254.169.254/" } }),
+      });
+      expect(await redirecting.verify({ feedbackURI: "https://feedback.example/a.json", feedbackHash: hashOf("a") }))
+        .to.include({ status: "unavailable", error: "url points at a loopback or private address" });
+
+      // Bodies are read as they stream in, so one without a Content-Length can't run past maxBytes.
+      const endless = createFeedbackContentFetcher({
+        maxBytes: 1024,
+        fetchImpl: async () =>
+          new Response(new ReadableStream({ pull: (controller) => controller.enqueue(new Uint8Array(256)) })),
+      });
+      expect(await endless.verify({ feedbackURI: "https://feedback.example/a.json", feedbackHash: hashOf("a") }))
+        .to.include({ status: "unavailable", error: "document exceeds 1024 bytes" });
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      await new Promise((resolve) => documentServer.close(resolve));
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("applies admin score overrides on the next indexer cycle and reports them on /report", async function () {
+    const [owner, updater, clientA, clientB] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(90n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    for (const client of [clientA, clientB]) {
+      await registry.connect(client).postFeedback(90n, {
+        value: 100n,
+        valueDecimals: 0,
+        tag1: "swap",
+        tag2: "",
+        endpoint: "https://agent.example/swap",
+        feedbackURI: "",
+        feedbackHash: ethers.ZeroHash,
+      });
+    }
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-override-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    const overridesPath = path.join(checkpointDir, "overrides.json");
+    const cycleConfig = {
+      provider: ethers.provider,
+      updaterSigner: updater,
+      trustScoreAddress: await trustScore.getAddress(),
+      reputationRegistryAddress: await registry.getAddress(),
+      checkpointPath,
+      overridesPath,
+      startBlock,
+      maxBatchSize: 100,
+      backoffStartMs: 1,
+      backoffMaxMs: 10,
+    };
+    let server;
+
+    try {
+      await runIndexerCycle(cycleConfig);
+      expect((await trustScore.getDetailedReport(90n)).score).to.equal(1000n);
+
+      const { app, trustScoreReader, scoreStream } = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        CHECKPOINT_FILE: checkpointPath,
+        SCORE_OVERRIDES_FILE: overridesPath,
+        ADMIN_API_KEY: "test-admin-key",
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      trustScoreReader.contract = trustScore;
+      trustScoreReader.historyReader = { getHistory: async () => [] };
+      // As if the indexer ran inside the API: its ScoreUpdated logs invalidate cached contract reads.
+      cycleConfig.onScoreEvents = scoreStream.publish;
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const admin = (method, route, body) =>
+        fetch(`${baseUrl}${route}`, {
+          method,
+          headers: { authorization: "Bearer test-admin-key", "content-type": "application/json" },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+      const report = async () => (await fetch(`${baseUrl}/report/90`)).json();
+
+      const capInput = { agentId: "90", mode: "cap", score: 300, reason: "Confirmed scam (case 17)" };
+      const unauthorized = await fetch(`${baseUrl}/admin/overrides`, {
+        method: "POST",
+        headers: { authorization: "Bearer wrong-key", "content-type": "application/json" },
+        body: JSON.stringify(capInput),
+      });
+      expect(unauthorized.status).to.equal(401);
+      const invalid = await admin("POST", "/admin/overrides", { ...capInput, mode: "boost" });
+      expect(invalid.status).to.equal(400);
+      expect((await invalid.json()).details).to.equal("mode must be one of pin, cap, floor");
+      expect((await admin("POST", "/admin/overrides", { ...capInput, score: 1001 })).status).to.equal(400);
+      expect((await admin("POST", "/admin/overrides", { ...capInput, expiresAt: 1 })).status).to.equal(400);
+
+      const created = await admin("POST", "/admin/overrides", capInput);
+      expect(created.status).to.equal(201);
+      const { override } = await created.json();
+      expect(override).to.include({ agentId: "90", mode: "cap", score: 300, expiresAt: null });
+      expect((await (await admin("GET", "/admin/overrides")).json()).overrides).to.deep.equal([override]);
+
+      // Not on chain until the indexer runs.
+      let body = await report();
+      expect(body.score).to.equal(1000);
+      expect(body.override).to.deep.include({ mode: "cap", score: 300, computedScore: null, applied: false });
+
+      // No new feedback: the override alone marks the agent for rescoring.
+      const cycle = await runIndexerCycle(cycleConfig);
+      expect(cycle.newEventCount).to.equal(0);
+      expect(cycle.processedAgentIds).to.deep.equal(["90"]);
+      expect((await trustScore.getDetailedReport(90n)).score).to.equal(300n);
+
+      body = await report();
+      expect(body.score).to.equal(300);
+      expect(body.override).to.deep.equal({
+        mode: "cap",
+        score: 300,
+        reason: "Confirmed scam (case 17)",
+        createdAt: Math.floor(override.createdAt / 1000),
+        expiresAt: null,
+        computedScore: 1000,
+        applied: true,
+      });
+
+      expect((await runIndexerCycle(cycleConfig)).processedAgentIds).to.deep.equal([]);
+
+      const removed = await admin("DELETE", "/admin/overrides/90");
+      expect(removed.status).to.equal(200);
+      expect((await removed.json()).override).to.deep.equal(override);
+      expect((await admin("DELETE", "/admin/overrides/90")).status).to.equal(404);
+
+      expect((await runIndexerCycle(cycleConfig)).processedAgentIds).to.deep.equal(["90"]);
+      expect((await trustScore.getDetailedReport(90n)).score).to.equal(1000n);
+      body = await report();
+      expect(body.override).to.equal(null);
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("accepts owner-signed disputes and annotates /report while they are open", async function () {
+    const [owner, updater, clientA, stranger] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(100n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    const feedbackTx = await registry.connect(clientA).postFeedback(100n, {
+      value: 0n,
+      valueDecimals: 0,
+      tag1: "swap",
+      tag2: "",
+      endpoint: "https://agent.example/swap",
+      feedbackURI: "",
+      feedbackHash: ethers.ZeroHash,
+    });
+    const feedbackReceipt = await feedbackTx.wait();
+    const feedbackId = `${feedbackReceipt.hash}:${feedbackReceipt.logs[0].index}`;
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-dispute-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    let server;
+
+    try {
+      await runIndexerCycle({
+        provider: ethers.provider,
+        updaterSigner: updater,
+        trustScoreAddress: await trustScore.getAddress(),
+        reputationRegistryAddress: await registry.getAddress(),
+        checkpointPath,
+        startBlock,
+        maxBatchSize: 100,
+        backoffStartMs: 1,
+        backoffMaxMs: 10,
+      });
+
+      const { app, trustScoreReader } = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        CHECKPOINT_FILE: checkpointPath,
+        ADMIN_API_KEY: "test-admin-key",
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      trustScoreReader.contract = trustScore;
+      trustScoreReader.historyReader = { getHistory: async () => [] };
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const post = (route, body, headers = {}) =>
+        fetch(`${baseUrl}${route}`, {
+          method: "POST",
+          headers: { "content-type": "application/json", ...headers },
+          body: JSON.stringify(body),
+        });
+      const report = async () => (await fetch(`${baseUrl}/report/100`)).json();
+
+      const domain = buildDisputeDomain({
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await trustScore.getAddress(),
+      });
+      async function signedDispute(signer, agentId, overrides = {}) {
+        const payload = {
+          reason: "Reviewer was a competitor's bot",
+          feedbackIds: [feedbackId],
+          issuedAt: Math.floor(Date.now() / 1000),
+          ...overrides,
+        };
+        const signature = await signer.signTypedData(domain, DISPUTE_TYPES, { agentId, ...payload });
+        return { ...payload, signature };
+      }
+
+      const forged = await post("/disputes/100", await signedDispute(stranger, 100n));
+      expect(forged.status).to.equal(403);
+      expect((await post("/disputes/101", await signedDispute(owner, 101n))).status).to.equal(404);
+      const stale = await post("/disputes/100", await signedDispute(owner, 100n, { issuedAt: 1_000_000 }));
+      expect(stale.status).to.equal(400);
+      // Signed for another agent: recovers a different address than the owner.
+      expect((await post("/disputes/100", await signedDispute(owner, 99n))).status).to.equal(403);
+      const malformed = await post("/disputes/100", { ...(await signedDispute(owner, 100n)), feedbackIds: ["42"] });
+      expect(malformed.status).to.equal(400);
+
+      const submission = await signedDispute(owner, 100n);
+      const opened = await post("/disputes/100", submission);
+      expect(opened.status).to.equal(201);
+      const { dispute } = await opened.json();
+      expect(dispute).to.include({ agentId: "100", owner: owner.address.toLowerCase(), status: "open" });
+      expect(dispute.feedbackIds).to.deep.equal([feedbackId.toLowerCase()]);
+      expect((await post("/disputes/100", submission)).status).to.equal(409);
+
+      let body = await report();
+      expect(body.riskFactors).to.include("score_under_dispute");
+      expect(body.dispute).to.deep.equal({
+        id: dispute.id,
+        status: "open",
+        reason: "Reviewer was a competitor's bot",
+        feedbackIds: [feedbackId.toLowerCase()],
+        openedAt: Math.floor(dispute.createdAt / 1000),
+        resolvedAt: null,
+        resolution: null,
+      });
+
+      const adminHeaders = { authorization: "Bearer test-admin-key" };
+      const listed = await fetch(`${baseUrl}/admin/disputes?status=open`, { headers: adminHeaders });
+      expect((await listed.json()).disputes.map((entry) => entry.id)).to.deep.equal([dispute.id]);
+      const resolution = { status: "rejected", resolution: "Reviewer has unrelated swap history" };
+      expect((await post(`/admin/disputes/${dispute.id}/resolve`, resolution)).status).to.equal(401);
+      const resolved = await post(`/admin/disputes/${dispute.id}/resolve`, resolution, adminHeaders);
+      expect(resolved.status).to.equal(200);
+      expect((await post(`/admin/disputes/${dispute.id}/resolve`, resolution, adminHeaders)).status).to.equal(409);
+
+      body = await report();
+      expect(body.riskFactors).to.not.include("score_under_dispute");
+      expect(body.dispute).to.include({ status: "rejected", resolution: "Reviewer has unrelated swap history" });
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("delivers signed score-change webhooks after an update and dead-letters failing endpoints", async function () {
+    const [owner, updater, clientA, clientB, clientC, clientD, clientE] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(110n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const postFeedback = (client, value) =>
+      registry.connect(client).postFeedback(110n, {
+        value,
+        valueDecimals: 0,
+        tag1: "swap",
+        tag2: "",
+        endpoint: "",
+        feedbackURI: "",
+        feedbackHash: ethers.ZeroHash,
+      });
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    await postFeedback(clientA, 100n);
+    await postFeedback(clientB, 100n);
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-webhooks-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    const deadLetterPath = path.join(checkpointDir, "dead-letters.jsonl");
+    const cycleConfig = {
+      provider: ethers.provider,
+      updaterSigner: updater,
+      trustScoreAddress: await trustScore.getAddress(),
+      reputationRegistryAddress: await registry.getAddress(),
+      checkpointPath,
+      startBlock,
+      maxBatchSize: 100,
+      backoffStartMs: 1,
+      backoffMaxMs: 10,
+      webhookDispatcher: createWebhookDispatcher({
+        maxAttempts: 2,
+        retryBaseMs: 1,
+        deadLetterPath,
+        allowPrivateUrls: true,
+      }),
+    };
+
+    const received = [];
+    let failingAttempts = 0;
+    const receiver = http.createServer((req, res) => {
+      let raw = "";
+      req.on("data", (chunk) => {
+        raw += chunk;
+      });
+      req.on("end", () => {
+        if (req.url === "/failing") {
+          failingAttempts += 1;
+          res.writeHead(500).end();
+          return;
+        }
+        received.push({ headers: req.headers, raw });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    const receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    let server;
+
+    try {
+      expect((await runIndexerCycle(cycleConfig)).webhooks).to.deep.equal({ queued: 0, dropped: 0 });
+
+      const { app } = createApp({
+        X402_MODE: "stub",
+        CHECKPOINT_FILE: checkpointPath,
+        WEBHOOK_ALLOW_PRIVATE_URLS: "true",
+        WEBHOOK_MAX_SUBSCRIPTIONS_PER_CLIENT: "2",
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const subscribe = (body) =>
+        fetch(`${baseUrl}/subscriptions`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(body),
+        });
+
+      const invalid = await subscribe({ url: "ftp://example.com/hook", agentIds: ["110"] });
+      expect(invalid.status).to.equal(400);
+      const noThresholds = await subscribe({
+        url: `${receiverUrl}/hook`,
+        agentIds: ["110"],
+        thresholds: { verdict: false, flagged: false },
+      });
+      expect((await noThresholds.json()).details).to.equal(
+        "thresholds must enable at least one of verdict, flagged, or delta"
+      );
+
+      const created = await subscribe({
+        url: `${receiverUrl}/hook`,
+        agentIds: [110, "111"],
+        thresholds: { delta: 50 },
+      });
+      expect(created.status).to.equal(201);
+      const { subscription, secret } = await created.json();
+      expect(subscription).to.deep.include({
+        url: `${receiverUrl}/hook`,
+        agentIds: ["110", "111"],
+        thresholds: { verdict: true, flagged: true, delta: 50 },
+      });
+      expect(subscription).to.not.have.property("secret");
+      expect(secret).to.match(/^[0-9a-f]{64}$/);
+      expect((await subscribe({ url: `${receiverUrl}/failing`, agentIds: ["110"] })).status).to.equal(201);
+      const overLimit = await subscribe({ url: `${receiverUrl}/hook`, agentIds: ["112"] });
+      expect(overLimit.status).to.equal(429);
+      expect((await overLimit.json()).error).to.equal("Too many subscriptions");
+
+      for (const client of [clientC, clientD, clientE]) {
+        await postFeedback(client, -100n);
+      }
+      const cycle = await runIndexerCycle(cycleConfig);
+      expect(cycle.webhooks).to.deep.equal({ queued: 2, dropped: 0 });
+      await cycleConfig.webhookDispatcher.idle();
+
+      expect(received).to.have.length(1);
+      const [{ headers, raw }] = received;
+      const timestamp = headers["x-robomoustachio-timestamp"];
+      const expected = crypto.createHmac("sha256", secret).update(`${timestamp}.${raw}`).digest("hex");
+      expect(headers["x-robomoustachio-signature"]).to.equal(`sha256=${expected}`);
+
+      const payload = JSON.parse(raw);
+      const onChainScore = Number((await trustScore.getDetailedReport(110n)).score);
+      expect(headers["x-robomoustachio-delivery"]).to.equal(payload.id);
+      expect(payload).to.deep.include({
+        event: "score.changed",
+        subscriptionId: subscription.id,
+        agentId: "110",
+        previous: { score: 1000, verdict: "TRUSTED", flagged: false },
+        delta: onChainScore - 1000,
+        txHash: cycle.txHashes[0],
+      });
+      expect(payload.current.score).to.equal(onChainScore);
+      expect(payload.current).to.deep.include({ verdict: "DANGEROUS", flagged: true });
+      expect(payload.triggers).to.deep.equal(["verdict", "flagged", "delta"]);
+
+      expect(failingAttempts).to.equal(2);
+      const deadLetters = fs.readFileSync(deadLetterPath, "utf8").trim().split("\n").map(JSON.parse);
+      expect(deadLetters).to.have.length(1);
+      expect(deadLetters[0]).to.include({
+        url: `${receiverUrl}/failing`,
+        attempts: 2,
+        status: 500,
+        error: "HTTP 500",
+      });
+      expect(deadLetters[0].payload.agentId).to.equal("110");
+
+      // Unchanged scores send nothing.
+      expect((await runIndexerCycle(cycleConfig)).webhooks).to.deep.equal({ queued: 0, dropped: 0 });
+
+      // Deliveries past the queue limit are dead-lettered rather than held in memory.
+      const overflowPath = path.join(checkpointDir, "overflow-dead-letters.jsonl");
+      const stalled = createWebhookDispatcher({
+        maxAttempts: 1,
+        timeoutMs: 20,
+        maxQueued: 1,
+        allowPrivateUrls: true,
+        deadLetterPath: overflowPath,
+        fetchImpl: (url, { signal }) =>
+          new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason))),
+      });
+      const delivery = (id) => ({ subscription: { id, url: `${receiverUrl}/blackhole`, secret }, payload: { id } });
+      expect(stalled.enqueue([delivery("a"), delivery("b"), delivery("c")])).to.deep.equal({ queued: 1, dropped: 2 });
+      await stalled.idle();
+      const overflow = fs.readFileSync(overflowPath, "utf8").trim().split("\n").map(JSON.parse);
+      expect(overflow.map((entry) => [entry.subscriptionId, entry.error]).sort()).to.deep.equal([
+        ["a", "timeout"],
+        ["b", "queue_full"],
+        ["c", "queue_full"],
+      ]);
+
+      // Delivery resolves the host itself: a public name with any private address is refused without retrying,
+      // and an accepted one is sent to the address that was checked, whatever the name resolves to next.
+      const answers = {
+        "rebind.example.test": [
+          [
+            { address: "203.0.113.7", family: 4 },
+            { address: "169.254.169.254", family: 4 },
+          ],
+        ],
+        "hooks.example.test": [[{ address: "203.0.113.8", family: 4 }], [{ address: "127.0.0.1", family: 4 }]],
+      };
+      const lookups = [];
+      const lookup = (hostname, options, callback) => {
+        lookups.push(hostname);
+        callback(null, answers[hostname].shift());
+      };
+      const sent = [];
+      const guardedPath = path.join(checkpointDir, "guarded-dead-letters.jsonl");
+      const guarded = createWebhookDispatcher({
+        maxAttempts: 3,
+        retryBaseMs: 1,
+        deadLetterPath: guardedPath,
+        lookup,
+        fetchImpl: async (url, init) => {
+          const pinned = await new Promise((resolve) => {
+            init.lookup("hooks.example.test", { all: true }, (error, addresses) => resolve(addresses));
+          });
+          sent.push({ url, pinned });
+          return { ok: true, status: 204 };
+        },
+      });
+      const result = await guarded.dispatch([
+        { subscription: { id: "rebind", url: "https://rebind.example.test/hook", secret }, payload: { id: "r" } },
+        { subscription: { id: "pinned", url: "https://hooks.example.test/hook", secret }, payload: { id: "p" } },
+      ]);
+      expect(result).to.deep.equal({ delivered: 1, failed: 1 });
+      expect(lookups).to.deep.equal(["rebind.example.test", "hooks.example.test"]);
+      expect(sent).to.deep.equal([
+        { url: "https://hooks.example.test/hook", pinned: [{ address: "203.0.113.8", family: 4 }] },
+      ]);
+      const [refused] = fs.readFileSync(guardedPath, "utf8").trim().split("\n").map(JSON.parse);
+      expect(refused).to.include({ subscriptionId: "rebind", attempts: 1, status: null });
+      expect(refused.error).to.equal("rebind.example.test resolves to a loopback or private address (169.254.169.254)");
+
+      const remove = (secretToken) =>
+        fetch(`${baseUrl}/subscriptions/${subscription.id}`, {
+          method: "DELETE",
+          headers: { authorization: `Bearer ${secretToken}` },
+        });
+      expect((await remove("not-the-secret")).status).to.equal(403);
+      expect((await remove(secret)).status).to.equal(204);
+      expect((await remove(secret)).status).to.equal(404);
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      await new Promise((resolve) => receiver.close(resolve));
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("streams score updates over SSE from the indexer and the chain with Last-Event-ID resume", async function () {
+    const [owner, updater, ...clients] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(120n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    let nextClient = 0;
+    const postFeedback = (value) =>
+      registry.connect(clients[nextClient++]).postFeedback(120n, {
+        value,
+        valueDecimals: 0,
+        tag1: "swap",
+        tag2: "",
+        endpoint: "",
+        feedbackURI: "",
+        feedbackHash: ethers.ZeroHash,
+      });
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-stream-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    const cycleConfig = {
+      provider: ethers.provider,
+      updaterSigner: updater,
+      trustScoreAddress: await trustScore.getAddress(),
+      reputationRegistryAddress: await registry.getAddress(),
+      checkpointPath,
+      startBlock,
+      maxBatchSize: 100,
+      backoffStartMs: 1,
+      backoffMaxMs: 10,
+    };
+    let server;
+    const streams = [];
+
+    // Collects SSE events until `count` `score` events (or a `resync`) have arrived.
+    function openStream(url, headers = {}) {
+      const controller = new AbortController();
+      streams.push(controller);
+      const events = [];
+      const ready = fetch(url, { headers, signal: controller.signal }).then(async (response) => {
+        expect(response.headers.get("content-type")).to.match(/^text\/event-stream/);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = "";
+        (async () => {
+          try {
+            for (;;) {
+              const { value, done } = await reader.read();
+              if (done) {
+                return;
+              }
+              text += decoder.decode(value, { stream: true });
+              let boundary;
+              while ((boundary = text.indexOf("\n\n")) !== -1) {
+                const block = text.slice(0, boundary);
+                text = text.slice(boundary + 2);
+                const fields = {};
+                for (const line of block.split("\n")) {
+                  const match = /^(id|event|data): (.*)$/.exec(line);
+                  if (match) {
+                    fields[match[1]] = match[2];
+                  }
+                }
+                if (fields.event) {
+                  events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+                }
+              }
+            }
+          } catch {
+            // Aborted by the test.
+          }
+        })();
+      });
+      const waitFor = async (count, timeoutMs = 2_000) => {
+        await ready;
+        for (let waited = 0; waited < timeoutMs && events.length < count; waited += 10) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        return events;
+      };
+      return { waitFor, close: () => controller.abort() };
+    }
+
+    try {
+      await postFeedback(100n);
+      const first = await runIndexerCycle(cycleConfig);
+
+      const { app, trustScoreReader, scoreStream } = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        CHECKPOINT_FILE: checkpointPath,
+        SCORE_STREAM_POLL_MS: "20",
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      const readContract = new ethers.Contract(await trustScore.getAddress(), TRUST_SCORE_ABI, ethers.provider);
+      trustScoreReader.contract = trustScore;
+      trustScoreReader.historyReader = createScoreHistoryReader({
+        contract: readContract,
+        provider: ethers.provider,
+        startBlock,
+      });
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const streamUrl = `http://127.0.0.1:${server.address().port}/stream/scores`;
+
+      const invalidVerdict = await fetch(`${streamUrl}?verdict=GOOD`);
+      expect(invalidVerdict.status).to.equal(400);
+      const invalidId = await fetch(streamUrl, { headers: { "last-event-id": "latest" } });
+      expect((await invalidId.json()).details).to.equal('Last-Event-ID must be "<blockNumber>:<logIndex>"');
+
+      // Updates published before connecting are not pushed to a fresh client.
+      const live = openStream(`${streamUrl}?agentIds=120,121`);
+      const otherAgent = openStream(`${streamUrl}?agentIds=121`);
+      await live.waitFor(0);
+      await otherAgent.waitFor(0);
+      await new Promise((resolve) => setTimeout(resolve, 60));
+
+      // Same process: the indexer hands the receipt's ScoreUpdated logs straight to the stream.
+      await postFeedback(-100n);
+      const second = await runIndexerCycle({ ...cycleConfig, onScoreEvents: scoreStream.publish });
+      const [secondEvent] = await live.waitFor(1);
+      const secondReceipt = await ethers.provider.getTransactionReceipt(second.txHashes[0]);
+      expect(secondEvent.event).to.equal("score");
+      expect(secondEvent.id).to.equal(`${secondReceipt.blockNumber}:${secondReceipt.logs[0].index}`);
+      expect(secondEvent.data).to.deep.include({
+        agentId: "120",
+        score: Number((await trustScore.getDetailedReport(120n)).score),
+        blockNumber: secondReceipt.blockNumber,
+        transactionHash: second.txHashes[0],
+      });
+
+      // Separate indexer: the API finds the update by polling ScoreUpdated.
+      await postFeedback(-100n);
+      const third = await runIndexerCycle(cycleConfig);
+      const liveEvents = await live.waitFor(2);
+      expect(liveEvents.map((event) => event.data.verdict)).to.deep.equal(["CAUTION", "DANGEROUS"]);
+      expect(liveEvents.map((event) => event.data.transactionHash)).to.deep.equal([
+        second.txHashes[0],
+        third.txHashes[0],
+      ]);
+      expect(await otherAgent.waitFor(1, 100)).to.deep.equal([]);
+      live.close();
+      otherAgent.close();
+
+      const dangerous = openStream(`${streamUrl}?verdict=dangerous`, { "last-event-id": secondEvent.id });
+      const resumed = await dangerous.waitFor(1);
+      expect(resumed.map((event) => event.id)).to.deep.equal([liveEvents[1].id]);
+      dangerous.close();
+
+      // Older than anything buffered: replayed from the chain scan.
+      const firstReceipt = await ethers.provider.getTransactionReceipt(first.txHashes[0]);
+      const replayed = openStream(streamUrl, { "last-event-id": `${firstReceipt.blockNumber}:0` });
+      expect((await replayed.waitFor(2)).map((event) => event.id)).to.deep.equal(liveEvents.map((event) => event.id));
+      replayed.close();
+    } finally {
+      streams.forEach((controller) => controller.abort());
+      if (server) {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("caches TrustScore reads until ScoreUpdated and sends Cache-Control and ETag headers", async function () {
+    const [owner, updater, clientA, clientB, clientC] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    await registry.setAgentOwner(130n, owner.address);
+
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+
+    const postFeedback = (client, value) =>
+      registry.connect(client).postFeedback(130n, {
+        value,
+        valueDecimals: 0,
+        tag1: "swap",
+        tag2: "",
+        endpoint: "",
+        feedbackURI: "",
+        feedbackHash: ethers.ZeroHash,
+      });
+
+    const startBlock = await ethers.provider.getBlockNumber();
+    await postFeedback(clientA, 100n);
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-cache-"));
+    const checkpointPath = path.join(checkpointDir, "checkpoint.json");
+    const cycleConfig = {
+      provider: ethers.provider,
+      updaterSigner: updater,
+      trustScoreAddress: await trustScore.getAddress(),
+      reputationRegistryAddress: await registry.getAddress(),
+      checkpointPath,
+      startBlock,
+      maxBatchSize: 100,
+      backoffStartMs: 1,
+      backoffMaxMs: 10,
+    };
+    let server;
+    let scoreStream;
+
+    try {
+      await runIndexerCycle(cycleConfig);
+
+      const app = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        CHECKPOINT_FILE: checkpointPath,
+        SCORE_STREAM_POLL_MS: "20",
+        SCORE_RESPONSE_MAX_AGE_SECONDS: "15",
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      scoreStream = app.scoreStream;
+      let reads = 0;
+      app.trustScoreReader.contract = {
+        getDetailedReport: (agentId) => {
+          reads += 1;
+          return trustScore.getDetailedReport(agentId);
+        },
+      };
+      app.trustScoreReader.historyReader = createScoreHistoryReader({
+        contract: new ethers.Contract(await trustScore.getAddress(), TRUST_SCORE_ABI, ethers.provider),
+        provider: ethers.provider,
+        startBlock,
+      });
+      server = await new Promise((resolve) => {
+        const listening = app.app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const getScore = async () => (await (await fetch(`${baseUrl}/score/130`)).json()).score;
+
+      const first = await fetch(`${baseUrl}/score/130`);
+      expect(first.status).to.equal(200);
+      expect(first.headers.get("cache-control")).to.equal("private, max-age=15");
+      expect(first.headers.get("vary")).to.match(/x-payment/i);
+      const etag = first.headers.get("etag");
+      expect(etag).to.be.a("string");
+      expect((await first.json()).score).to.equal(1000);
+
+      const second = await fetch(`${baseUrl}/score/130`);
+      expect(second.headers.get("etag")).to.equal(etag);
+      // fetch adds `cache-control: no-cache` to conditional requests, which disables revalidation.
+      const revalidatedStatus = await new Promise((resolve, reject) => {
+        http
+          .get(`${baseUrl}/score/130`, { headers: { "if-none-match": etag } }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+          })
+          .on("error", reject);
+      });
+      expect(revalidatedStatus).to.equal(304);
+      expect((await fetch(`${baseUrl}/report/130`)).status).to.equal(200);
+      expect(reads).to.equal(1);
+
+      const health = await (await fetch(`${baseUrl}/health`)).json();
+      expect(health.cache).to.deep.include({ enabled: true, backend: "memory", entries: 1, hits: 3, misses: 1 });
+      expect(health.cache.hitRate).to.equal(0.75);
+
+      // Indexer in another process: the API's ScoreUpdated poll drops the cached read.
+      scoreStream.start();
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      await postFeedback(clientB, -100n);
+      await runIndexerCycle(cycleConfig);
+      const updatedScore = Number((await trustScore.getDetailedReport(130n)).score);
+      let served = await getScore();
+      for (let waited = 0; served !== updatedScore && waited < 2_000; waited += 20) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        served = await getScore();
+      }
+      expect(served).to.equal(updatedScore);
+      scoreStream.stop();
+
+      // Indexer in the same process: invalidated as soon as the batch is mined.
+      await postFeedback(clientC, -100n);
+      await runIndexerCycle({ ...cycleConfig, onScoreEvents: scoreStream.publish });
+      expect(await getScore()).to.equal(Number((await trustScore.getDetailedReport(130n)).score));
+      expect((await (await fetch(`${baseUrl}/health`)).json()).cache.invalidations).to.equal(2);
+    } finally {
+      scoreStream?.stop();
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("reads batches through Multicall3 and fails over between RPC endpoints with circuit breaking", async function () {
+    const [owner, updater] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+    for (const [agentId, score] of [
+      [140n, 820n],
+      [141n, 310n],
+    ]) {
+      await registry.setAgentOwner(agentId, owner.address);
+      await trustScore.connect(updater).updateScore(agentId, score, 10n, 8n);
+    }
+
+    // viem ships the Multicall3 creation code; install the runtime at the canonical address like on Base.
+    const viemContracts = path.join(path.dirname(require.resolve("viem")), "constants", "contracts.js");
+    const { multicall3Bytecode } = require(viemContracts);
+    const deployer = new ethers.ContractFactory(MULTICALL3_ABI, multicall3Bytecode, owner);
+    const deployed = await deployer.deploy();
+    await deployed.waitForDeployment();
+    await network.provider.send("hardhat_setCode", [MULTICALL3_ADDRESS, await ethers.provider.getCode(deployed)]);
+
+    // JSON-RPC endpoints in front of the Hardhat network: one down until `healthy` is set, one relaying everything.
+    const relay = async (request) => {
+      try {
+        return { jsonrpc: "2.0", id: request.id, result: await network.provider.send(request.method, request.params) };
+      } catch (error) {
+        const { code, message, data } = error;
+        return { jsonrpc: "2.0", id: request.id, error: { code, message, data } };
+      }
+    };
+    const startRpcServer = async (handle) => {
+      const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) {
+          chunks.push(chunk);
+        }
+        const payload = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        const response = await handle(payload);
+        if (response === null) {
+          res.writeHead(503).end();
+          return;
+        }
+        res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(response));
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return server;
+    };
+    const calls = { primary: 0, multicall: 0, eth_call: 0 };
+    let primaryHealthy = false;
+    const requestsOf = (payload) => (Array.isArray(payload) ? payload : [payload]);
+    const servers = [
+      await startRpcServer(async (payload) => {
+        calls.primary += 1;
+        if (!primaryHealthy) {
+          return null;
+        }
+        return Array.isArray(payload) ? Promise.all(payload.map(relay)) : relay(payload);
+      }),
+      await startRpcServer(async (payload) => {
+        for (const request of requestsOf(payload)) {
+          if (request.method === "eth_call") {
+            const isMulticall = request.params[0].to.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase();
+            calls[isMulticall ? "multicall" : "eth_call"] += 1;
+          }
+        }
+        return Array.isArray(payload) ? Promise.all(payload.map(relay)) : relay(payload);
+      }),
+    ];
+    const [primaryUrl, secondaryUrl] = servers.map((server) => `http://127.0.0.1:${server.address().port}`);
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-rpc-"));
+    let server;
+
+    try {
+      const app = createApp({
+        X402_MODE: "stub",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        API_RPC_URLS: `${primaryUrl}, ${secondaryUrl}/key-abc123`,
+        RPC_CIRCUIT_FAILURE_THRESHOLD: "2",
+        RPC_CIRCUIT_COOLDOWN_MS: "300",
+        CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      server = await new Promise((resolve) => {
+        const listening = app.app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const batch = await fetch(`${baseUrl}/scores`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ agentIds: [140, 141, 142] }),
+      });
+      expect(batch.status).to.equal(200);
+      const batchBody = await batch.json();
+      expect(batchBody.results.map((result) => result.status)).to.deep.equal(["ok", "ok", "not_found"]);
+      expect(batchBody.results.slice(0, 2).map((result) => result.score)).to.deep.equal([820, 310]);
+      expect(calls).to.deep.include({ multicall: 1, eth_call: 0 });
+
+      // Reverts relayed as JSON-RPC errors are answers, not endpoint failures.
+      expect((await fetch(`${baseUrl}/score/142`)).status).to.equal(404);
+      expect(calls.eth_call).to.equal(1);
+      expect(calls.primary).to.equal(2);
+
+      let health = await (await fetch(`${baseUrl}/health`)).json();
+      expect(health.rpc.multicallAddress).to.equal(MULTICALL3_ADDRESS);
+      const [primary, secondary] = health.rpc.endpoints;
+      expect(primary).to.include({ url: primaryUrl, circuit: "open", requests: 2, failures: 2, latencyMs: null });
+      expect(primary.lastError).to.be.a("string");
+      expect(secondary).to.include({ url: `${secondaryUrl}/***`, circuit: "closed", failures: 0, errorRate: 0 });
+      expect(secondary.requests).to.be.greaterThan(2);
+      expect(secondary.latencyMs).to.be.a("number");
+
+      // After the cooldown a probe finds the primary healthy again and traffic moves back to it.
+      primaryHealthy = true;
+      await new Promise((resolve) => setTimeout(resolve, 350));
+      await app.trustScoreReader.provider.probe();
+      expect((await fetch(`${baseUrl}/score/142`)).status).to.equal(404);
+      expect(calls.eth_call).to.equal(1);
+      health = await (await fetch(`${baseUrl}/health`)).json();
+      expect(health.rpc.endpoints[0]).to.include({
+        circuit: "closed",
+        requests: 4,
+        failures: 2,
+        consecutiveFailures: 0,
+      });
+    } finally {
+      await network.provider.send("hardhat_setCode", [MULTICALL3_ADDRESS, "0x"]);
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      await Promise.all(servers.map((rpcServer) => new Promise((resolve) => rpcServer.close(resolve))));
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("issues a signed credit when a paid request fails and accepts it once in place of payment", async function () {
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-credits-"));
+    let server;
+
+    try {
+      // No TRUST_SCORE_ADDRESS: every paid read fails with 503 after the (stub) payment is taken.
+      const app = createApp({
+        X402_MODE: "stub",
+        X402_STUB_ENFORCE: "true",
+        CREDIT_TOKEN_SECRET: "credit-secret",
+        CREDITS_FILE: path.join(checkpointDir, "credits.json"),
+        CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      server = await new Promise((resolve) => {
+        const listening = app.app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const withCredit = (token) => ({ headers: { [CREDIT_HEADER]: token } });
+
+      const unpaid = await fetch(`${baseUrl}/score/150`);
+      expect(unpaid.status).to.equal(402);
+      expect(unpaid.headers.get(CREDIT_HEADER)).to.equal(null);
+
+      const paid = await fetch(`${baseUrl}/score/150`, { headers: { "x-payment": "stub-proof" } });
+      expect(paid.status).to.equal(503);
+      const firstToken = paid.headers.get(CREDIT_HEADER);
+      expect(firstToken).to.be.a("string");
+      const payload = decodeCreditToken("credit-secret", firstToken);
+      expect(payload).to.include({ route: "GET /score/:agentId", amount: "1000" });
+
+      // A credit is spent even if the retried request fails too; that failure earns a fresh credit.
+      const retried = await fetch(`${baseUrl}/score/150`, withCredit(firstToken));
+      expect(retried.status).to.equal(503);
+      const secondToken = retried.headers.get(CREDIT_HEADER);
+      expect(secondToken).to.be.a("string").and.not.equal(firstToken);
+
+      const reused = await fetch(`${baseUrl}/score/150`, withCredit(firstToken));
+      expect(reused.status).to.equal(402);
+      expect((await reused.json()).details).to.equal("Credit has already been redeemed");
+      expect(reused.headers.get(CREDIT_HEADER)).to.equal(null);
+
+      const [encodedPayload, signature] = secondToken.split(".");
+      const forgedPayload = Buffer.from(JSON.stringify({ ...payload, amount: "5000" })).toString("base64url");
+      const forged = await fetch(`${baseUrl}/report/150`, withCredit(`${forgedPayload}.${signature}`));
+      expect((await forged.json()).details).to.equal("Credit token signature is invalid");
+
+      const tooSmall = await fetch(`${baseUrl}/report/150`, withCredit(`${encodedPayload}.${signature}`));
+      expect(tooSmall.status).to.equal(402);
+      expect((await tooSmall.json()).details).to.equal("Credit is worth $0.001; this request costs $0.005");
+
+      const batch = await fetch(`${baseUrl}/scores`, {
+        method: "POST",
+        headers: { "content-type": "application/json", [CREDIT_HEADER]: secondToken },
+        body: JSON.stringify({ agentIds: [150] }),
+      });
+      expect(batch.status).to.equal(503);
+      const batchToken = batch.headers.get(CREDIT_HEADER);
+      expect(decodeCreditToken("credit-secret", batchToken).route).to.equal("POST /scores");
+
+      // The credit is redeemed before the agent id is validated, so a 400 hands it back.
+      const invalid = await fetch(`${baseUrl}/score/abc`, withCredit(batchToken));
+      expect(invalid.status).to.equal(400);
+      const replacementToken = invalid.headers.get(CREDIT_HEADER);
+      expect(decodeCreditToken("credit-secret", replacementToken)).to.include({
+        route: "GET /score/:agentId",
+        amount: "1000",
+      });
+      const afterInvalid = await fetch(`${baseUrl}/score/150`, withCredit(replacementToken));
+      expect(afterInvalid.status).to.equal(503);
+
+      const stored = await app.creditLedger.list();
+      expect(stored.map((credit) => credit.redeemedAt === null)).to.deep.equal([false, false, false, false, true]);
+      expect(stored.map((credit) => credit.statusCode)).to.deep.equal([503, 503, 503, 400, 503]);
+      expect((await (await fetch(`${baseUrl}/health`)).json()).credits).to.deep.include({ enabled: true });
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("charges API-key requests to a prepaid USDC balance and reports usage by route and agent", async function () {
+    const [owner, updater] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+    for (const [agentId, score] of [
+      [160n, 700n],
+      [161n, 450n],
+    ]) {
+      await registry.setAgentOwner(agentId, owner.address);
+      await trustScore.connect(updater).updateScore(agentId, score, 10n, 7n);
+    }
+
+    const depositAddress = ethers.Wallet.createRandom().address;
+    const usdcAddress = ethers.Wallet.createRandom().address;
+    const wallet = ethers.Wallet.createRandom();
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-accounts-"));
+    const env = {
+      X402_MODE: "stub",
+      X402_STUB_ENFORCE: "true",
+      TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+      TRUST_SCORE_DEPLOY_BLOCK: "0",
+      ACCOUNTS_DEPOSIT_ADDRESS: depositAddress,
+      ACCOUNTS_USDC_ADDRESS: usdcAddress,
+      ACCOUNTS_DEPOSIT_START_BLOCK: "5",
+      ACCOUNTS_DEPOSIT_CONFIRMATIONS: "1",
+      X402_HISTORY_PRICE_USDC: "0.001",
+      CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+      REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+    };
+    let server;
+
+    try {
+      const app = createApp(env);
+      app.trustScoreReader.contract = trustScore;
+      app.trustScoreReader.historyReader = createScoreHistoryReader({
+        contract: new ethers.Contract(await trustScore.getAddress(), TRUST_SCORE_ABI, ethers.provider),
+        provider: ethers.provider,
+        startBlock: 0,
+      });
+      server = await new Promise((resolve) => {
+        const listening = app.app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      // Stand-in chain serving USDC Transfer logs into the deposit address.
+      const transfer = new ethers.Interface(["event Transfer(address indexed from, address indexed to, uint256)"]);
+      const chain = {
+        head: 10,
+        logs: [
+          {
+            ...transfer.encodeEventLog("Transfer", [wallet.address, depositAddress, 10_000n]),
+            address: usdcAddress,
+            blockNumber: 10,
+            index: 0,
+            transactionHash: ethers.id("deposit-1"),
+          },
+        ],
+        getBlockNumber: async () => chain.head,
+        getLogs: async ({ fromBlock, toBlock }) =>
+          chain.logs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock),
+      };
+      const watcher = createDepositWatcher({
+        provider: chain,
+        accountStore: app.accountStore,
+        config: loadAccountConfigFromEnv(env),
+      });
+      expect(await watcher.sync()).to.deep.equal({ applied: 0, throughBlock: 9 });
+      chain.head = 11;
+      expect(await watcher.sync()).to.deep.equal({ applied: 1, throughBlock: 10 });
+      expect(await watcher.sync()).to.deep.equal({ applied: 0, throughBlock: 10 });
+
+      const domain = buildAccountDomain({ chainId: 31337n, verifyingContract: depositAddress });
+      const requestKey = async (signer, issuedAt) =>
+        fetch(`${baseUrl}/account/keys`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({
+            wallet: wallet.address,
+            issuedAt,
+            signature: await signer.signTypedData(domain, API_KEY_REQUEST_TYPES, { wallet: wallet.address, issuedAt }),
+          }),
+        });
+      const issuedAt = Math.floor(Date.now() / 1000);
+      expect((await requestKey(ethers.Wallet.createRandom(), issuedAt)).status).to.equal(403);
+      const keyResponse = await requestKey(wallet, issuedAt);
+      expect(keyResponse.status).to.equal(201);
+      const { apiKey, account } = await keyResponse.json();
+      expect(apiKey).to.match(/^rmk_[0-9a-f]{48}$/);
+      expect(account).to.include({ wallet: wallet.address, balance: "$0.010", deposits: 1 });
+      expect((await requestKey(wallet, issuedAt)).status).to.equal(409);
+
+      const withKey = (key, init = {}) => ({ ...init, headers: { ...init.headers, [API_KEY_HEADER]: key } });
+      expect((await fetch(`${baseUrl}/score/160`)).status).to.equal(402);
+      expect((await fetch(`${baseUrl}/score/160`, withKey("rmk_unknown"))).status).to.equal(401);
+
+      const score = await fetch(`${baseUrl}/score/160`, withKey(apiKey));
+      expect(score.status).to.equal(200);
+      expect((await score.json()).score).to.equal(700);
+      expect((await fetch(`${baseUrl}/report/160`, withKey(apiKey))).status).to.equal(200);
+      const batch = await fetch(
+        `${baseUrl}/scores`,
+        withKey(apiKey, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ agentIds: [160, 161] }),
+        })
+      );
+      expect((await batch.json()).found).to.equal(2);
+      // Failed reads are refunded.
+      const balanceOf = async () =>
+        (await (await fetch(`${baseUrl}/account/usage`, withKey(apiKey))).json()).balanceAtomic;
+      const balanceBeforeMissing = await balanceOf();
+      expect((await fetch(`${baseUrl}/score/999`, withKey(apiKey))).status).to.equal(404);
+      expect(await balanceOf()).to.equal(balanceBeforeMissing);
+
+      const tooExpensive = await fetch(`${baseUrl}/report/161`, withKey(apiKey));
+      expect(tooExpensive.status).to.equal(402);
+      expect((await tooExpensive.json()).error).to.equal("Insufficient prepaid balance");
+
+      const usage = await (await fetch(`${baseUrl}/account/usage`, withKey(apiKey))).json();
+      expect(usage).to.include({ balance: "$0.002", balanceAtomic: "2000", deposited: "$0.010" });
+      expect(usage.usage.byRoute).to.deep.equal({
+        "GET /score/:agentId": { requests: 2, spent: "$0.001" },
+        "GET /report/:agentId": { requests: 1, spent: "$0.005" },
+        "POST /scores": { requests: 1, spent: "$0.002" },
+      });
+      expect(usage.usage.byAgent).to.deep.equal({
+        160: { requests: 3, spent: "$0.007" },
+        161: { requests: 1, spent: "$0.001" },
+        999: { requests: 1, spent: "$0.000" },
+      });
+      expect((await fetch(`${baseUrl}/account/usage`)).status).to.equal(401);
+
+      // A client that disconnects mid-request is refunded once, even though the route then responds 200.
+      const { historyReader } = app.trustScoreReader;
+      let releaseHistory;
+      let historyServed;
+      const served = new Promise((resolve) => {
+        historyServed = resolve;
+      });
+      app.trustScoreReader.historyReader = {
+        getHistory: async (agentId) => {
+          await new Promise((resolve) => {
+            releaseHistory = resolve;
+          });
+          const history = await historyReader.getHistory(agentId);
+          setImmediate(historyServed);
+          return history;
+        },
+      };
+      const aborter = new AbortController();
+      const abandoned = fetch(`${baseUrl}/history/160`, withKey(apiKey, { signal: aborter.signal }));
+      while (!releaseHistory) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      aborter.abort();
+      await abandoned.catch(() => {});
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      releaseHistory();
+      await served;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const afterDisconnect = await (await fetch(`${baseUrl}/account/usage`, withKey(apiKey))).json();
+      expect(afterDisconnect).to.include({ balanceAtomic: "2000" });
+      expect(afterDisconnect.usage.byRoute["GET /history/:agentId"]).to.deep.equal({ requests: 1, spent: "$0.000" });
+
+      // Charges are batched in memory; flush() writes them for the next process to load.
+      await app.accountStore.flush();
+      const reloaded = createAccountStore({ filePath: app.accountStore.filePath });
+      expect(await reloaded.findByKey(apiKey)).to.include({ wallet: wallet.address, balance: "2000" });
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("verifies x402 payment signatures locally and rejects replayed or mismatched authorizations", async function () {
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-local-x402-"));
+    const payTo = ethers.Wallet.createRandom().address;
+    const payer = ethers.Wallet.createRandom();
+    const usdc = USDC_NETWORKS.base;
+    let server;
+
+    async function signPayment({ signer = payer, to = payTo, value = "1000", validBefore, nonce } = {}) {
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const authorization = {
+        from: payer.address,
+        to,
+        value,
+        validAfter: String(nowSeconds - 60),
+        validBefore: String(validBefore ?? nowSeconds + 60),
+        nonce: nonce || ethers.hexlify(ethers.randomBytes(32)),
+      };
+      const signature = await signer.signTypedData(
+        { name: usdc.name, version: usdc.version, chainId: usdc.chainId, verifyingContract: usdc.asset },
+        TRANSFER_WITH_AUTHORIZATION_TYPES,
+        authorization
+      );
+      const header = { x402Version: 1, scheme: "exact", network: "base", payload: { signature, authorization } };
+      return { headers: { "x-payment": Buffer.from(JSON.stringify(header)).toString("base64") } };
+    }
+
+    try {
+      // No TRUST_SCORE_ADDRESS: a request that gets past payment fails with 503.
+      const app = createApp({
+        X402_MODE: "local",
+        X402_PAY_TO: payTo,
+        X402_NONCES_FILE: path.join(checkpointDir, "nonces.json"),
+        CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      server = await new Promise((resolve) => {
+        const listening = app.app.listen(0, () => resolve(listening));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const rejection = async (response) => {
+        expect(response.status).to.equal(402);
+        return (await response.json()).error;
+      };
+
+      const unpaid = await fetch(`${baseUrl}/score/170`);
+      expect(unpaid.status).to.equal(402);
+      const { accepts } = await unpaid.json();
+      expect(accepts[0]).to.include({
+        scheme: "exact",
+        network: "base",
+        maxAmountRequired: "1000",
+        payTo,
+        asset: usdc.asset,
+      });
+      expect(await rejection(await fetch(`${baseUrl}/score/170`, { headers: { authorization: "x" } }))).to.equal(
+        "X-PAYMENT header is required"
+      );
+      expect(await rejection(await fetch(`${baseUrl}/score/170`, { headers: { "x-payment": "x" } }))).to.equal(
+        "X-PAYMENT header is not base64-encoded JSON"
+      );
+
+      const payment = await signPayment();
+      expect((await fetch(`${baseUrl}/score/170`, payment)).status).to.equal(503);
+      expect(await rejection(await fetch(`${baseUrl}/score/170`, payment))).to.equal(
+        "invalid_exact_evm_payload_authorization_nonce_used"
+      );
+
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const invalidPayments = [
+        [{ signer: ethers.Wallet.createRandom() }, "invalid_exact_evm_payload_signature"],
+        [{ to: ethers.Wallet.createRandom().address }, "invalid_exact_evm_payload_recipient_mismatch"],
+        [{ value: "999" }, "invalid_exact_evm_payload_authorization_value"],
+        [{ validBefore: nowSeconds + 2 }, "invalid_exact_evm_payload_authorization_valid_before"],
+      ];
+      for (const [options, reason] of invalidPayments) {
+        expect(await rejection(await fetch(`${baseUrl}/score/170`, await signPayment(options)))).to.equal(reason);
+      }
+      // The report costs $0.005, so a $0.001 authorization doesn't cover it.
+      expect(await rejection(await fetch(`${baseUrl}/report/170`, await signPayment()))).to.equal(
+        "invalid_exact_evm_payload_authorization_value"
+      );
+
+      const batch = await fetch(`${baseUrl}/scores`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...(await signPayment({ value: "2000" })).headers },
+        body: JSON.stringify({ agentIds: [170, 171] }),
+      });
+      expect(batch.status).to.equal(503);
+
+      const demo = await fetch(`${baseUrl}/score/170?demo=true`);
+      expect(demo.status).to.equal(503);
+
+      const health = await (await fetch(`${baseUrl}/health`)).json();
+      expect(health.payment).to.include({ mode: "local", usingRealMiddleware: false });
+      const stored = JSON.parse(fs.readFileSync(path.join(checkpointDir, "nonces.json"), "utf8"));
+      expect(stored.nonces).to.have.length(2);
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("settles real x402 payments through the built-in facilitator and MockUSDC on the local chain", async function () {
+    const [owner, updater] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+    await registry.setAgentOwner(180n, owner.address);
+    await trustScore.connect(updater).updateScore(180n, 760n, 10n, 8n);
+
+    // x402 clients sign for the chain their network names, so MockUSDC's domain uses base-sepolia's chain id.
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy("USDC", "2", 84532n);
+    await usdc.waitForDeployment();
+    const payer = ethers.Wallet.createRandom();
+    await usdc.mint(payer.address, 10_000n);
+    const settler = ethers.Wallet.createRandom();
+    await network.provider.send("hardhat_setBalance", [settler.address, ethers.toQuantity(ethers.parseEther("1"))]);
+    const payTo = ethers.Wallet.createRandom().address;
+
+    // JSON-RPC endpoint in front of the Hardhat network, for the API's reads and the facilitator's transactions.
+    const rpcServer = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      const payload = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      const relay = async (request) => {
+        try {
+          const result = await network.provider.send(request.method, request.params);
+          return { jsonrpc: "2.0", id: request.id, result };
+        } catch (error) {
+          const { code, message, data } = error;
+          return { jsonrpc: "2.0", id: request.id, error: { code, message, data } };
+        }
+      };
+      const response = Array.isArray(payload) ? await Promise.all(payload.map(relay)) : await relay(payload);
+      res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(response));
+    });
+    await new Promise((resolve) => rpcServer.listen(0, "127.0.0.1", resolve));
+    const rpcUrl = `http://127.0.0.1:${rpcServer.address().port}`;
+
+    // The API is its own facilitator, so it needs its port before it is created.
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-indexer-facilitator-"));
+
+    try {
+      const app = createApp({
+        X402_MODE: "real",
+        X402_NETWORK: "base-sepolia",
+        X402_PAY_TO: payTo,
+        X402_USDC_ADDRESS: await usdc.getAddress(),
+        X402_USDC_NAME: "USDC",
+        X402_USDC_VERSION: "2",
+        X402_FACILITATOR_URL: `${baseUrl}/facilitator`,
+        X402_FACILITATOR_PRIVATE_KEY: settler.privateKey,
+        X402_FACILITATOR_RPC_URL: rpcUrl,
+        API_RPC_URLS: rpcUrl,
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      server.on("request", app.app);
+
+      const unpaid = await fetch(`${baseUrl}/score/180`);
+      expect(unpaid.status).to.equal(402);
+      const [requirements] = (await unpaid.json()).accepts;
+      expect(requirements).to.include({
+        network: "base-sepolia",
+        maxAmountRequired: "1000",
+        payTo,
+        asset: await usdc.getAddress(),
+      });
+
+      // Earlier tests moved the chain days ahead of the wall clock; the authorization must hold for both.
+      const chainNow = Number((await ethers.provider.getBlock("latest")).timestamp);
+      const wallNow = Math.floor(Date.now() / 1000);
+      const signPayment = async ({ to = payTo } = {}) => {
+        const authorization = {
+          from: payer.address,
+          to,
+          value: requirements.maxAmountRequired,
+          validAfter: String(Math.min(chainNow, wallNow) - 600),
+          validBefore: String(Math.max(chainNow, wallNow) + 3600),
+          nonce: ethers.hexlify(ethers.randomBytes(32)),
+        };
+        const signature = await payer.signTypedData(
+          { name: "USDC", version: "2", chainId: 84532, verifyingContract: requirements.asset },
+          TRANSFER_WITH_AUTHORIZATION_TYPES,
+          authorization
+        );
+        return { x402Version: 1, scheme: "exact", network: "base-sepolia", payload: { signature, authorization } };
+      };
+      const encode = (paymentPayload) => Buffer.from(JSON.stringify(paymentPayload)).toString("base64");
+
+      const paymentPayload = await signPayment();
+      const paid = await fetch(`${baseUrl}/score/180`, { headers: { "x-payment": encode(paymentPayload) } });
+      expect(paid.status).to.equal(200);
+      expect((await paid.json()).score).to.equal(760);
+      const settlement = JSON.parse(Buffer.from(paid.headers.get("x-payment-response"), "base64").toString("utf8"));
+      expect(settlement).to.include({ success: true, network: "base-sepolia", payer: payer.address });
+      expect((await ethers.provider.getTransactionReceipt(settlement.transaction)).status).to.equal(1);
+      expect(await usdc.balanceOf(payTo)).to.equal(1000n);
+      expect(await usdc.balanceOf(payer.address)).to.equal(9000n);
+
+      const replayed = await fetch(`${baseUrl}/score/180`, { headers: { "x-payment": encode(paymentPayload) } });
+      expect(replayed.status).to.equal(402);
+      expect((await replayed.json()).error).to.equal("invalid_exact_evm_payload_authorization_nonce_used");
+
+      // The facilitator only settles payments to this API's pay-to address.
+      const stranger = ethers.Wallet.createRandom().address;
+      const foreign = await fetch(`${baseUrl}/facilitator/settle`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          x402Version: 1,
+          paymentPayload: await signPayment({ to: stranger }),
+          paymentRequirements: { ...requirements, payTo: stranger },
+        }),
+      });
+      expect(await foreign.json()).to.include({
+        success: false,
+        errorReason: "invalid_exact_evm_payload_recipient_mismatch",
+      });
+      expect(await usdc.balanceOf(stranger)).to.equal(0n);
+
+      // Requirements are checked against the route's price, so nobody can have the signer settle a free payment.
+      const settleDirectly = async (paymentRequirements, value = "0") => {
+        const directPayment = await signPayment();
+        directPayment.payload.authorization.value = value;
+        directPayment.payload.signature = await payer.signTypedData(
+          { name: "USDC", version: "2", chainId: 84532, verifyingContract: requirements.asset },
+          TRANSFER_WITH_AUTHORIZATION_TYPES,
+          directPayment.payload.authorization
+        );
+        const response = await fetch(`${baseUrl}/facilitator/settle`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ x402Version: 1, paymentPayload: directPayment, paymentRequirements }),
+        });
+        return response.json();
+      };
+      expect(await settleDirectly({ ...requirements, maxAmountRequired: "0" })).to.include({
+        success: false,
+        errorReason: "invalid_payment_requirements",
+      });
+      expect(await settleDirectly({ ...requirements, resource: `${baseUrl}/health` })).to.include({
+        success: false,
+        errorReason: "invalid_payment_requirements",
+      });
+      expect(await settleDirectly(requirements)).to.include({
+        success: false,
+        errorReason: "invalid_exact_evm_payload_authorization_value",
+      });
+      // POST /scores is priced per agent, so any multiple of its price is a valid amount there.
+      const batchRequirements = { ...requirements, resource: `${baseUrl}/scores`, maxAmountRequired: "3000" };
+      expect(await settleDirectly(batchRequirements, "3000")).to.include({ success: true, payer: payer.address });
+      expect(await settleDirectly({ ...batchRequirements, maxAmountRequired: "1500" }, "1500")).to.include({
+        success: false,
+        errorReason: "invalid_payment_requirements",
+      });
+      expect(await usdc.balanceOf(payTo)).to.equal(4000n);
+
+      // Its signer pays for every settlement, so the facilitator refuses to serve a mainnet.
+      expect(() =>
+        createApp({
+          X402_NETWORK: "base",
+          X402_PAY_TO: payTo,
+          X402_FACILITATOR_PRIVATE_KEY: settler.privateKey,
+          X402_FACILITATOR_RPC_URL: rpcUrl,
+          CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        })
+      ).to.throw("only settles on base-sepolia, not base");
+
+      const supported = await (await fetch(`${baseUrl}/facilitator/supported`)).json();
+      expect(supported.kinds.map((kind) => kind.network)).to.include("base-sepolia");
+      const health = await (await fetch(`${baseUrl}/health`)).json();
+      expect(health.payment).to.include({ mode: "real", usingRealMiddleware: true });
+      expect(health.facilitator).to.include({ enabled: true, address: settler.address, payTo });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      await new Promise((resolve) => rpcServer.close(resolve));
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("serves MCP initialize and tools/list for free and gates tools/call behind x402", async function () {
+    const [owner, updater] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+    await registry.setAgentOwner(190n, owner.address);
+    await trustScore.connect(updater).updateScore(190n, 820n, 10n, 9n);
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-mcp-"));
+    let server;
+
+    try {
+      const { app, trustScoreReader } = createApp({
+        X402_MODE: "stub",
+        X402_STUB_ENFORCE: "true",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      trustScoreReader.contract = trustScore;
+      trustScoreReader.historyReader = { getHistory: async () => [] };
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const mcpUrl = `http://127.0.0.1:${server.address().port}/mcp`;
+      const rpc = (body, headers = {}) =>
+        fetch(mcpUrl, {
+          method: "POST",
+          headers: { "content-type": "application/json", accept: "application/json, text/event-stream", ...headers },
+          body: JSON.stringify(body),
+        });
+      const callTool = (id, name, agentId) => ({
+        jsonrpc: "2.0",
+        id,
+        method: "tools/call",
+        params: { name, arguments: { agentId } },
+      });
+
+      const initialized = await rpc({
+        jsonrpc: "2.0",
+        id: 1,
+        method: "initialize",
+        params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "mcp-test", version: "1.0.0" } },
+      });
+      expect(initialized.status).to.equal(200);
+      const { result: initializeResult } = await initialized.json();
+      expect(initializeResult.serverInfo.name).to.equal("robomoustachio-trust-oracle");
+      expect(initializeResult.capabilities).to.have.property("tools");
+
+      const listed = await rpc({ jsonrpc: "2.0", id: 2, method: "tools/list", params: {} });
+      expect(listed.status).to.equal(200);
+      expect((await listed.json()).result.tools.map((tool) => tool.name)).to.have.members([
+        "get_trust_score",
+        "get_trust_report",
+        "evaluate_agent_risk",
+      ]);
+
+      // tools/call is billed like GET /score/:agentId.
+      const unpaid = await rpc(callTool(3, "get_trust_score", "190"));
+      expect(unpaid.status).to.equal(402);
+      expect(await unpaid.json()).to.include({ route: "POST /mcp", price: "$0.001" });
+
+      const paid = await rpc(callTool(4, "get_trust_score", "190"), { "x-payment": "stub-proof" });
+      expect(paid.status).to.equal(200);
+      const { result: scoreResult } = await paid.json();
+      expect(scoreResult.isError).to.equal(false);
+      expect(scoreResult.structuredContent).to.include({ agentId: "190", score: 820 });
+      expect(JSON.parse(scoreResult.content[0].text).score).to.equal(820);
+
+      const evaluated = await rpc(callTool(5, "evaluate_agent_risk", "190"), { "x-payment": "stub-proof" });
+      const { result: riskResult } = await evaluated.json();
+      expect(riskResult.structuredContent.evaluation).to.include({ verdict: "TRUSTED", recommendation: "proceed" });
+
+      const invalid = await rpc(callTool(6, "get_trust_score", "not-a-number"), { "x-payment": "stub-proof" });
+      const { result: invalidResult } = await invalid.json();
+      expect(invalidResult.isError).to.equal(true);
+      expect(invalidResult.structuredContent.error).to.equal("Invalid agentId");
+
+      // A batch could carry several paid calls under one payment.
+      const batched = await rpc([callTool(7, "get_trust_score", "190"), callTool(8, "get_trust_report", "190")], {
+        "x-payment": "stub-proof",
+      });
+      expect(batched.status).to.equal(400);
+      expect((await batched.json()).error).to.deep.equal({
+        code: -32600,
+        message: "Batched tools/call requests are not supported.",
+      });
+
+      const streamed = await fetch(mcpUrl, { headers: { accept: "text/event-stream" } });
+      expect(streamed.status).to.equal(405);
+      expect(streamed.headers.get("allow")).to.equal("POST");
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
+
+  it("prices POST /scores per agent and reports ok, not_found and error entries in one response", async function () {
+    const [owner, updater] = await ethers.getSigners();
+
+    const MockReputationRegistry = await ethers.getContractFactory("MockReputationRegistry");
+    const registry = await MockReputationRegistry.deploy();
+    await registry.waitForDeployment();
+    const TrustScore = await ethers.getContractFactory("TrustScore");
+    const trustScore = await TrustScore.deploy(owner.address, await registry.getAddress(), updater.address, 0n);
+    await trustScore.waitForDeployment();
+    await registry.setAgentOwner(200n, owner.address);
+    await trustScore.connect(updater).updateScore(200n, 760n, 8n, 7n);
+
+    expect(scaleUsdPrice("$0.001", 1)).to.equal("$0.001");
+    expect(scaleUsdPrice("$0.001", 200)).to.equal("$0.200");
+    expect(scaleUsdPrice("$0.0025", 3)).to.equal("$0.0075");
+    const metered = createMeteredPaymentMiddleware({
+      mode: "stub",
+      routeKey: "POST /scores",
+      routeConfig: { price: "$0.002", network: "base-sepolia" },
+      resolveUnits: (req) => req.agentIds.length,
+      env: {},
+    });
+    expect(metered.priceFor(5)).to.equal("$0.010");
+
+    const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-batch-"));
+    let server;
+
+    try {
+      const { app, trustScoreReader } = createApp({
+        X402_MODE: "stub",
+        X402_STUB_ENFORCE: "true",
+        X402_BATCH_SCORE_PRICE_USDC: "0.0025",
+        SCORES_BATCH_MAX_AGENTS: "3",
+        TRUST_SCORE_ADDRESS: await trustScore.getAddress(),
+        TRUST_SCORE_DEPLOY_BLOCK: "0",
+        CHECKPOINT_FILE: path.join(checkpointDir, "checkpoint.json"),
+        REQUEST_LOG_FILE: path.join(checkpointDir, "requests.log"),
+      });
+      // Agent 202's read fails the way an unreachable RPC would, not with a contract revert.
+      trustScoreReader.contract = {
+        getDetailedReport: async (agentId) => {
+          if (agentId === 202n) {
+            throw new Error("connection reset");
+          }
+          return trustScore.getDetailedReport(agentId);
+        },
+      };
+      trustScoreReader.historyReader = { getHistory: async () => [] };
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const scoresUrl = `http://127.0.0.1:${server.address().port}/scores`;
+      const postScores = (agentIds, headers = {}) =>
+        fetch(scoresUrl, {
+          method: "POST",
+          headers: { "content-type": "application/json", ...headers },
+          body: JSON.stringify({ agentIds }),
+        });
+
+      const unpaidOne = await postScores(["200"]);
+      expect(unpaidOne.status).to.equal(402);
+      expect(await unpaidOne.json()).to.include({ route: "POST /scores", price: "$0.0025" });
+      const unpaidThree = await postScores(["200", "201", "202"]);
+      expect(unpaidThree.status).to.equal(402);
+      expect(await unpaidThree.json()).to.include({ route: "POST /scores", price: "$0.0075" });
+
+      const empty = await postScores([], { "x-payment": "stub-proof" });
+      expect(empty.status).to.equal(400);
+      expect(await empty.json()).to.deep.equal({
+        error: "Invalid agentIds",
+        details: "agentIds must be a non-empty array",
+      });
+      const duplicated = await postScores(["200", "201", 200], { "x-payment": "stub-proof" });
+      expect(duplicated.status).to.equal(400);
+      expect((await duplicated.json()).details).to.equal("agentIds[2]: duplicate of agentIds[0]");
+      const tooMany = await postScores(["200", "201", "202", "203"], { "x-payment": "stub-proof" });
+      expect(tooMany.status).to.equal(400);
+      expect((await tooMany.json()).details).to.equal("agentIds supports at most 3 entries");
+
+      const paid = await postScores(["200", "201", "202"], { "x-payment": "stub-proof" });
+      expect(paid.status).to.equal(200);
+      const body = await paid.json();
+      expect(body).to.include({ requested: 3, found: 1, notFound: 1, errors: 1 });
+      expect(body.results.map((result) => [result.agentId, result.status])).to.deep.equal([
+        ["200", "ok"],
+        ["201", "not_found"],
+        ["202", "error"],
+      ]);
+      expect(body.results[0].score).to.equal(760);
+      expect(body.results[1].error).to.equal("Score not found for agent");
+      expect(body.results[2].error).to.equal("connection reset");
+    } finally {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+      }
+      fs.rmSync(checkpointDir, { recursive: true, force: true });
+    }
+  });
 });
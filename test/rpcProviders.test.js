@@ -0,0 +1,30 @@
+const { expect } = require("chai");
+
+const { MULTICALL3_ADDRESS, resolveMulticallAddress } = require("../server/multicall");
+const { parseRpcUrls, redactRpcUrl } = require("../server/rpcProviders");
+
+describe("rpcProviders.js", function () {
+  it("orders API_RPC_URLS ahead of the single-URL settings", function () {
+    expect(parseRpcUrls({ API_RPC_URLS: " https://a.example , https://b.example,https://a.example", API_RPC_URL: "x" }))
+      .to.deep.equal(["https://a.example", "https://b.example"]);
+    expect(parseRpcUrls({ API_RPC_URL: "https://api.example", BASE_SEPOLIA_RPC_URL: "https://base.example" }))
+      .to.deep.equal(["https://api.example"]);
+    expect(parseRpcUrls({})).to.deep.equal(["http://127.0.0.1:8545"]);
+  });
+
+  it("redacts RPC URL paths and queries that may hold API keys", function () {
+    expect(redactRpcUrl("https://base.rpc.example/v2/secret")).to.equal("https://base.rpc.example/***");
+    expect(redactRpcUrl("https://rpc.example?apikey=secret")).to.equal("https://rpc.example/***");
+    expect(redactRpcUrl("http://127.0.0.1:8545")).to.equal("http://127.0.0.1:8545");
+  });
+
+  it("defaults Multicall3 to the canonical address and lets MULTICALL3_ADDRESS override or disable it", function () {
+    expect(resolveMulticallAddress({})).to.equal(MULTICALL3_ADDRESS);
+    expect(resolveMulticallAddress({ MULTICALL3_ADDRESS: "" })).to.equal(null);
+    expect(resolveMulticallAddress({ MULTICALL3_ADDRESS: "off" })).to.equal(null);
+    expect(resolveMulticallAddress({ MULTICALL3_ADDRESS: "0x000000000000000000000000000000000000dead" })).to.equal(
+      "0x000000000000000000000000000000000000dEaD"
+    );
+    expect(() => resolveMulticallAddress({ MULTICALL3_ADDRESS: "0x1234" })).to.throw("not a valid address");
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+
+const { createLruCacheBackend, createScoreReadCache } = require("../server/scoreCache");
+
+describe("scoreCache.js", function () {
+  function countingReader(scores) {
+    const reader = {
+      reads: 0,
+      contract: {
+        async getDetailedReport(agentId) {
+          reader.reads += 1;
+          const score = scores[agentId.toString()];
+          return { score: BigInt(score), totalFeedback: 1n, positiveFeedback: 1n, lastUpdated: 10n, exists: true };
+        },
+      },
+    };
+    return reader;
+  }
+
+  it("evicts the least recently used agent once maxEntries is reached", async function () {
+    const backend = createLruCacheBackend({ maxEntries: 2 });
+    await backend.set("1", "a", 60_000);
+    await backend.set("2", "b", 60_000);
+    expect(await backend.get("1")).to.equal("a");
+    await backend.set("3", "c", 60_000);
+    expect(await backend.get("2")).to.equal(undefined);
+    expect(await backend.get("1")).to.equal("a");
+    expect(await backend.get("3")).to.equal("c");
+    await backend.set("4", "d", 0);
+    expect(await backend.get("4")).to.equal(undefined);
+  });
+
+  it("serves repeat reads from cache until the agent is invalidated", async function () {
+    const scores = { 7: 800 };
+    const trustScoreReader = countingReader(scores);
+    const cache = createScoreReadCache({ trustScoreReader, maxEntries: 10 });
+
+    const [first, concurrent] = await Promise.all([cache.getDetailedReport(7n), cache.getDetailedReport(7n)]);
+    expect(first).to.deep.equal({
+      score: "800",
+      totalFeedback: "1",
+      positiveFeedback: "1",
+      lastUpdated: "10",
+      exists: true,
+    });
+    expect(concurrent).to.deep.equal(first);
+    expect((await cache.getDetailedReport(7n)).score).to.equal("800");
+    expect(trustScoreReader.reads).to.equal(1);
+
+    scores[7] = 450;
+    await cache.invalidate("7");
+    expect((await cache.getDetailedReport(7n)).score).to.equal("450");
+    expect(trustScoreReader.reads).to.equal(2);
+    expect(cache.describe()).to.include({ backend: "memory", entries: 1, hits: 1, misses: 3, invalidations: 1 });
+    expect(cache.describe().hitRate).to.equal(0.25);
+  });
+
+  it("does not cache a read that an invalidation overtook, and accepts a custom backend", async function () {
+    const stored = new Map();
+    const backend = {
+      name: "test",
+      get: async (key) => stored.get(key),
+      set: async (key, value) => {
+        stored.set(key, value);
+      },
+      delete: async (key) => {
+        stored.delete(key);
+      },
+    };
+    const trustScoreReader = countingReader({ 9: 900 });
+    const read = trustScoreReader.contract.getDetailedReport;
+    let releaseRead;
+    trustScoreReader.contract.getDetailedReport = (agentId) =>
+      new Promise((resolve) => {
+        releaseRead = () => resolve(read(agentId));
+      });
+    const cache = createScoreReadCache({ trustScoreReader, backend });
+
+    const pending = cache.getDetailedReport(9n);
+    while (!releaseRead) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    await cache.invalidate(9n);
+    releaseRead();
+    await pending;
+    expect(stored.has("9")).to.equal(false);
+    trustScoreReader.contract.getDetailedReport = read;
+
+    await cache.getDetailedReport(9n);
+    expect(stored.get("9").score).to.equal("900");
+    expect(cache.describe()).to.include({ enabled: true, backend: "test", entries: null, maxEntries: null });
+  });
+
+  it("serves batch reads from the cache and reads only the misses", async function () {
+    const reader = countingReader({ 1: 100, 2: 200, 3: 300 });
+    const cache = createScoreReadCache({ trustScoreReader: reader, maxEntries: 10, ttlMs: 60_000 });
+
+    await cache.getDetailedReport(2n);
+    const outcomes = await cache.getDetailedReports([1n, 2n, 3n]);
+    expect(outcomes.map(({ agentId, record }) => [agentId, record.score])).to.deep.equal([
+      [1n, "100"],
+      [2n, "200"],
+      [3n, "300"],
+    ]);
+    expect(reader.reads).to.equal(3);
+    expect(cache.describe()).to.include({ entries: 3, hits: 1, misses: 3 });
+  });
+});
@@ -1,9 +1,28 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
 const { expect } = require("chai");
 
+const {
+  buildBacktestConfig,
+  formatBacktestReport,
+  loadFeedbackDataset,
+  parseVariantSpec,
+  runBacktest,
+} = require("../server/backtest");
+
 const {
   DEFAULT_SCORING_CONFIG,
+  computeConfigHash,
+  computeDecayWeight,
+  computeReviewerWeight,
+  describeScoringModel,
+  getScoringModel,
+  listScoringModels,
   loadScoringConfigFromEnv,
+  registerScoringModel,
   scoreFeedback,
+  scoreFeedbackBreakdown,
   scoreFeedbackDetailed,
 } = require("../server/scoring");
 
@@ -30,6 +49,10 @@ describe("scoring.js", function () {
       recentNegativeRateBps: 0,
       recentFeedbackCount: 0,
       confidenceApplied: false,
+      uniqueReviewers: 0,
+      effectiveFeedbackCount: 0,
+      scoreLower: null,
+      scoreUpper: null,
     });
   });
 
@@ -102,7 +125,9 @@ describe("scoring.js", function () {
 
   it("parses scoring constants from environment with fallback defaults", function () {
     const env = {
+      DECAY_MODEL: "Exponential",
       DECAY_WINDOW_DAYS: "45",
+      DECAY_HALF_LIFE_DAYS: "14",
       RECENT_FEEDBACK_WEIGHT: "3",
       OLDER_FEEDBACK_WEIGHT: "1",
       CONFIDENCE_THRESHOLD_FEEDBACK_COUNT: "80",
@@ -111,11 +136,18 @@ describe("scoring.js", function () {
       RECENT_NEGATIVE_WINDOW_DAYS: "5",
       FLAGGED_SCORE_MULTIPLIER: "0.75",
       MAX_TRUST_SCORE: "1000",
+      SCORING_MODE: "graded",
+      FEEDBACK_VALUE_MIN: "-100",
+      FEEDBACK_VALUE_MAX: "100",
+      SCORE_ESTIMATOR: "Wilson",
+      SCORE_INTERVAL_LEVEL: "0.9",
     };
 
     const config = loadScoringConfigFromEnv(env);
     expect(config).to.deep.equal({
+      decayModel: "exponential",
       decayWindowDays: 45,
+      decayHalfLifeDays: 14,
       recentFeedbackWeight: 3,
       olderFeedbackWeight: 1,
       confidenceThresholdFeedbackCount: 80,
@@ -124,7 +156,319 @@ describe("scoring.js", function () {
       recentNegativeWindowDays: 5,
       flaggedScoreMultiplier: 0.75,
       maxScore: 1000,
+      scoringMode: "graded",
+      feedbackValueMin: -100,
+      feedbackValueMax: 100,
+      maxFeedbackPerReviewer: 5,
+      ownerFeedbackWeight: 0,
+      reviewerMinWeight: 1,
+      reviewerMaturityDays: 30,
+      reviewerMaturityAgents: 3,
+      mismatchedContentWeight: 0,
+      scoreEstimator: "wilson",
+      priorPositive: 1,
+      priorNegative: 1,
+      intervalLevel: 0.9,
+    });
+
+    const fallback = loadScoringConfigFromEnv({
+      SCORING_MODE: "fuzzy",
+      SCORE_ESTIMATOR: "frequentist",
+      SCORE_INTERVAL_LEVEL: "95",
+      FEEDBACK_VALUE_MIN: "5",
+      FEEDBACK_VALUE_MAX: "1",
     });
+    expect(fallback.scoringMode).to.equal("binary");
+    expect(fallback.decayModel).to.equal("step");
+    expect(fallback.feedbackValueMin).to.equal(0);
+    expect(fallback.feedbackValueMax).to.equal(100);
+    expect(fallback.scoreEstimator).to.equal("ratio");
+    expect(fallback.intervalLevel).to.equal(0.95);
+  });
+
+  it("scores graded feedback proportionally to value and valueDecimals", function () {
+    const graded = (value, valueDecimals, ageDays) => ({
+      isPositive: BigInt(value) > 0n,
+      value,
+      valueDecimals,
+      timestamp: nowMs - ageDays * oneDayMs,
+    });
+    const config = {
+      ...DEFAULT_SCORING_CONFIG,
+      recentFeedbackWeight: 1,
+      olderFeedbackWeight: 1,
+      confidenceThresholdFeedbackCount: 999,
+      negativeFlagThresholdBps: 10_000,
+      scoringMode: "graded",
+    };
+
+    // 1/100 and 100/100 no longer count the same: ratings 0.01 and 1.0 average to 0.505.
+    const feedbacks = [graded("1", 0, 2), graded("10000", 2, 2)];
+    const details = scoreFeedbackDetailed(feedbacks, config, nowMs);
+    expect(details.score).to.equal(505);
+    expect(details.positiveFeedback).to.equal(1);
+    expect(scoreFeedback(feedbacks, { ...config, scoringMode: "binary" }, nowMs)).to.equal(1000);
+
+    // On a -100..100 scale a zero value is neutral rather than negative; out-of-range values clamp.
+    const symmetric = { ...config, feedbackValueMin: -100, feedbackValueMax: 100 };
+    expect(scoreFeedback([graded("0", 0, 1)], symmetric, nowMs)).to.equal(500);
+    expect(scoreFeedback([graded("0", 0, 1)], { ...symmetric, scoringMode: "binary" }, nowMs)).to.equal(0);
+    expect(scoreFeedback([graded("-250", 0, 1), graded("150", 0, 1)], symmetric, nowMs)).to.equal(500);
+
+    // Entries without a value fall back to their sentiment.
+    expect(scoreFeedback([feedback(true, 1), graded("50", 0, 1)], config, nowMs)).to.equal(750);
+
+    // valueDecimals is an unchecked uint8 on-chain; one past what a value can carry must not throw.
+    const unscalable = [graded("5", 255, 1), { ...graded("-5", 255, 1), tag1: "uptime" }];
+    expect(scoreFeedback(unscalable, config, nowMs)).to.equal(500);
+    const [uptime] = scoreFeedbackBreakdown(unscalable, config, nowMs).tags;
+    expect(uptime).to.include({ tag: "uptime", score: 0, totalFeedback: 1, positiveFeedback: 0 });
+  });
+
+  it("keeps the step decay model's behavior at the window boundary", function () {
+    const config = { ...DEFAULT_SCORING_CONFIG, decayWindowDays: 30, recentFeedbackWeight: 2, olderFeedbackWeight: 1 };
+
+    expect(computeDecayWeight(0, config)).to.equal(2);
+    expect(computeDecayWeight(30 * oneDayMs, config)).to.equal(2);
+    expect(computeDecayWeight(30 * oneDayMs + 1, config)).to.equal(1);
+    expect(computeDecayWeight(-oneDayMs, config)).to.equal(2);
+  });
+
+  it("decays weight continuously under the linear and exponential models", function () {
+    const base = { ...DEFAULT_SCORING_CONFIG, decayWindowDays: 30, recentFeedbackWeight: 2, olderFeedbackWeight: 1 };
+    const linear = { ...base, decayModel: "linear" };
+    const exponential = { ...base, decayModel: "exponential", decayHalfLifeDays: 10 };
+    const epsilonMs = 1000;
+
+    for (const config of [linear, exponential]) {
+      // Starts at the recent weight, never rises with age, and has no jump anywhere (incl. the old step boundary).
+      expect(computeDecayWeight(0, config)).to.equal(2);
+      expect(computeDecayWeight(-oneDayMs, config)).to.equal(2);
+      let previous = computeDecayWeight(0, config);
+      for (let ageDays = 0.5; ageDays <= 120; ageDays += 0.5) {
+        const weight = computeDecayWeight(ageDays * oneDayMs, config);
+        expect(weight).to.be.at.most(previous);
+        expect(weight).to.be.at.least(1);
+        previous = weight;
+      }
+      for (const boundaryDays of [10, 30]) {
+        const before = computeDecayWeight(boundaryDays * oneDayMs - epsilonMs, config);
+        const after = computeDecayWeight(boundaryDays * oneDayMs + epsilonMs, config);
+        expect(before - after).to.be.lessThan(1e-4);
+      }
+    }
+
+    expect(computeDecayWeight(15 * oneDayMs, linear)).to.equal(1.5);
+    expect(computeDecayWeight(30 * oneDayMs, linear)).to.equal(1);
+    expect(computeDecayWeight(90 * oneDayMs, linear)).to.equal(1);
+    expect(computeDecayWeight(10 * oneDayMs, exponential)).to.equal(1.5);
+    expect(computeDecayWeight(20 * oneDayMs, exponential)).to.equal(1.25);
+
+    // Yesterday's review now outweighs one from 29 days ago.
+    const feedbacks = [feedback(true, 1), feedback(false, 29)];
+    const noPenalties = { confidenceThresholdFeedbackCount: 100, negativeFlagThresholdBps: 10_000 };
+    expect(scoreFeedback(feedbacks, { ...base, ...noPenalties }, nowMs)).to.equal(500);
+    expect(scoreFeedback(feedbacks, { ...linear, ...noPenalties }, nowMs)).to.be.above(600);
+  });
+
+  it("caps per-reviewer contribution and discounts owner self-reviews", function () {
+    const reviewed = (clientAddress, isPositive, ageDays = 1) => ({ ...feedback(isPositive, ageDays), clientAddress });
+    const config = {
+      ...DEFAULT_SCORING_CONFIG,
+      recentFeedbackWeight: 1,
+      olderFeedbackWeight: 1,
+      confidenceThresholdFeedbackCount: 50,
+      confidenceMultiplier: 1.1,
+      negativeFlagThresholdBps: 10_000,
+      maxFeedbackPerReviewer: 5,
+    };
+
+    // One wallet posting 50 positives counts as 5 entries' worth next to 5 independent negatives.
+    const sybil = [
+      ...Array.from({ length: 50 }, () => reviewed("0xAAAA", true)),
+      ...["0x01", "0x02", "0x03", "0x04", "0x05"].map((address) => reviewed(address, false)),
+    ];
+    const details = scoreFeedbackDetailed(sybil, config, nowMs);
+    expect(details.score).to.equal(500);
+    expect(details.totalFeedback).to.equal(55);
+    expect(details.positiveFeedback).to.equal(50);
+    expect(details.uniqueReviewers).to.equal(6);
+    expect(details.effectiveFeedbackCount).to.equal(10);
+    expect(details.confidenceApplied).to.equal(false);
+    expect(scoreFeedback(sybil, { ...config, maxFeedbackPerReviewer: 0 }, nowMs)).to.equal(1000);
+
+    // The owner's own praise is ignored by default, and address case does not matter.
+    const selfReviewed = [reviewed("0xOwner", true), reviewed("0xOWNER", true), reviewed("0x01", false)];
+    expect(scoreFeedback(selfReviewed, config, nowMs, { ownerAddresses: ["0xowner"] })).to.equal(0);
+    expect(
+      scoreFeedback(selfReviewed, { ...config, ownerFeedbackWeight: 0.5 }, nowMs, { ownerAddresses: ["0xowner"] })
+    ).to.equal(500);
+
+    // Reviewer weights scale each reviewer's entries.
+    const weighted = [reviewed("0xnew", true), reviewed("0xveteran", false)];
+    const reviewerWeights = new Map([["0xnew", 0.25], ["0xveteran", 1]]);
+    expect(scoreFeedback(weighted, config, nowMs, { reviewerWeights })).to.equal(200);
+
+    // Feedback whose off-chain document failed verification is discarded by default.
+    const tampered = [{ ...reviewed("0x01", true), contentStatus: "mismatch" }, reviewed("0x02", false)];
+    expect(scoreFeedback(tampered, config, nowMs)).to.equal(0);
+    expect(scoreFeedback(tampered, { ...config, mismatchedContentWeight: 0.5 }, nowMs)).to.equal(333);
+    expect(scoreFeedbackDetailed(tampered, config, nowMs).totalFeedback).to.equal(2);
+  });
+
+  it("ramps reviewer weight with reviewer age and activity", function () {
+    const config = {
+      ...DEFAULT_SCORING_CONFIG,
+      reviewerMinWeight: 0.2,
+      reviewerMaturityDays: 30,
+      reviewerMaturityAgents: 4,
+    };
+
+    expect(computeReviewerWeight(null, config, nowMs)).to.equal(0.2);
+    expect(computeReviewerWeight({ firstSeenMs: nowMs, agentCount: 0 }, config, nowMs)).to.equal(0.2);
+    expect(computeReviewerWeight({ firstSeenMs: nowMs - 15 * oneDayMs, agentCount: 2 }, config, nowMs)).to.be.closeTo(
+      0.6,
+      1e-9
+    );
+    expect(computeReviewerWeight({ firstSeenMs: nowMs - 90 * oneDayMs, agentCount: 10 }, config, nowMs)).to.equal(1);
+    expect(computeReviewerWeight(null, DEFAULT_SCORING_CONFIG, nowMs)).to.equal(1);
+  });
+
+  it("reports Bayesian and Wilson intervals that narrow with more feedback", function () {
+    const config = { ...DEFAULT_SCORING_CONFIG, recentFeedbackWeight: 1, olderFeedbackWeight: 1 };
+    const bayesian = { ...config, scoreEstimator: "bayesian" };
+
+    // A single positive review no longer scores a perfect 1000.
+    expect(scoreFeedback([feedback(true, 1)], config, nowMs)).to.equal(1000);
+    const single = scoreFeedbackDetailed([feedback(true, 1)], bayesian, nowMs);
+    expect(single).to.include({ score: 667, scoreLower: 158, scoreUpper: 987, confidenceApplied: false });
+
+    const many = [
+      ...Array.from({ length: 90 }, () => feedback(true, 10)),
+      ...Array.from({ length: 10 }, () => feedback(false, 10)),
+    ];
+    const large = scoreFeedbackDetailed(many, bayesian, nowMs);
+    expect(large.score).to.equal(892);
+    expect(large.confidenceApplied).to.equal(false);
+    expect(large.scoreLower).to.be.within(820, large.score);
+    expect(large.scoreUpper).to.be.within(large.score, 950);
+    expect(large.scoreUpper - large.scoreLower).to.be.below(single.scoreUpper - single.scoreLower);
+
+    // A stronger prior pulls small samples further toward the middle.
+    expect(scoreFeedback([feedback(true, 1)], { ...bayesian, priorPositive: 5, priorNegative: 5 }, nowMs)).to.equal(545);
+
+    const wilson = scoreFeedbackDetailed(many, { ...config, scoreEstimator: "wilson" }, nowMs);
+    expect(wilson).to.include({ score: 885, scoreLower: 826, scoreUpper: 945 });
+    expect(scoreFeedbackDetailed([feedback(true, 1)], { ...config, scoreEstimator: "wilson" }, nowMs)).to.include({
+      score: 603,
+      scoreLower: 207,
+      scoreUpper: 1000,
+    });
+
+    // The ratio estimator reports no interval.
+    expect(scoreFeedbackDetailed(many, config, nowMs)).to.include({ scoreLower: null, scoreUpper: null });
+  });
+
+  it("breaks scores down by tag and endpoint", function () {
+    const tagged = (isPositive, tag1, tag2, endpoint) => ({ ...feedback(isPositive, 1), tag1, tag2, endpoint });
+    const feedbacks = [
+      tagged(true, "Swap", "execution", "https://agent.example/swap"),
+      tagged(true, "swap ", "", "https://agent.example/swap"),
+      tagged(false, "swap", "execution", "https://agent.example/swap"),
+      tagged(true, "data-feed", "", "https://agent.example/feed"),
+      tagged(true, "", "", ""),
+    ];
+    const config = { ...DEFAULT_SCORING_CONFIG, negativeFlagThresholdBps: 10_000 };
+
+    const breakdown = scoreFeedbackBreakdown(feedbacks, config, nowMs);
+    expect(breakdown.tags).to.deep.equal([
+      {
+        tag: "swap",
+        score: 667,
+        scoreLower: null,
+        scoreUpper: null,
+        totalFeedback: 3,
+        positiveFeedback: 2,
+        negativeRateBps: 3333,
+      },
+      {
+        tag: "execution",
+        score: 500,
+        scoreLower: null,
+        scoreUpper: null,
+        totalFeedback: 2,
+        positiveFeedback: 1,
+        negativeRateBps: 5000,
+      },
+      {
+        tag: "data-feed",
+        score: 1000,
+        scoreLower: null,
+        scoreUpper: null,
+        totalFeedback: 1,
+        positiveFeedback: 1,
+        negativeRateBps: 0,
+      },
+    ]);
+    expect(breakdown.endpoints.map(({ endpoint, totalFeedback }) => [endpoint, totalFeedback])).to.deep.equal([
+      ["https://agent.example/swap", 3],
+      ["https://agent.example/feed", 1],
+    ]);
+
+    const limited = scoreFeedbackBreakdown(feedbacks, { ...config, scoreEstimator: "bayesian" }, nowMs, {}, {
+      maxGroups: 1,
+    });
+    expect(limited.tags).to.have.length(1);
+    expect(limited.tags[0]).to.include({ tag: "swap", score: 600, scoreLower: 194 });
+  });
+
+  it("selects registered scoring models by name and version", function () {
+    expect(listScoringModels().map(({ name, version }) => `${name}@${version}`)).to.include.members([
+      "simple-ratio@1.0.0",
+      "weighted@1.0.0",
+    ]);
+
+    const constant = (score) => (feedbacks, config, now) => ({
+      ...scoreFeedbackDetailed(feedbacks, config, now),
+      score,
+    });
+    registerScoringModel({ name: "test-constant", version: "1.2.0", scoreDetailed: constant(120) });
+    registerScoringModel({ name: "test-constant", version: "1.10.0", scoreDetailed: constant(1100) });
+    expect(getScoringModel("test-constant").version).to.equal("1.10.0");
+    expect(getScoringModel("test-constant@1.2.0").scoreDetailed([feedback(true, 1)], {}, nowMs).score).to.equal(120);
+    expect(() => registerScoringModel({ name: "test-constant", version: "1.2.0", scoreDetailed: constant(0) })).to.throw(
+      "already registered"
+    );
+    expect(() => registerScoringModel({ name: "Bad Name", version: "1.0.0", scoreDetailed: constant(0) })).to.throw(
+      TypeError
+    );
+    expect(() => getScoringModel("test-constant@9.9.9")).to.throw('Unknown scoring model "test-constant@9.9.9"');
+
+    // simple-ratio ignores decay and the flag penalty.
+    const feedbacks = [feedback(true, 40), feedback(false, 2)];
+    expect(getScoringModel("simple-ratio").scoreDetailed(feedbacks, DEFAULT_SCORING_CONFIG, nowMs).score).to.equal(500);
+    expect(getScoringModel("weighted").scoreDetailed(feedbacks, DEFAULT_SCORING_CONFIG, nowMs).score).to.equal(300);
+  });
+
+  it("hashes the effective scoring config independent of key order", function () {
+    const config = { ...DEFAULT_SCORING_CONFIG, decayModel: "linear" };
+    const reordered = Object.fromEntries(Object.entries(config).reverse());
+    expect(computeConfigHash(config)).to.match(/^0x[0-9a-f]{64}$/);
+    expect(computeConfigHash(reordered)).to.equal(computeConfigHash(config));
+    expect(computeConfigHash({ ...config, maxScore: 100 })).to.not.equal(computeConfigHash(config));
+
+    const weighted = getScoringModel("weighted");
+    expect(describeScoringModel(weighted, config)).to.deep.equal({
+      name: "weighted",
+      version: "1.0.0",
+      configHash: computeConfigHash(config),
+    });
+
+    // Settings a model overrides do not change its hash.
+    const simple = getScoringModel("simple-ratio");
+    expect(describeScoringModel(simple, { recentFeedbackWeight: 5 }).configHash).to.equal(
+      describeScoringModel(simple, {}).configHash
+    );
   });
 
   it("throws on invalid feedback entries", function () {
@@ -136,3 +480,107 @@ describe("scoring.js", function () {
     ).to.throw("must include isPositive boolean");
   });
 });
+
+describe("backtest.js", function () {
+  const nowMs = Date.UTC(2026, 1, 12, 0, 0, 0, 0);
+  const oneDayMs = 24 * 60 * 60 * 1000;
+  const env = { REVIEWER_MIN_WEIGHT: "1", MAX_FEEDBACK_PER_REVIEWER: "0" };
+
+  // One entry per day going back from nowMs, "+" positive and "-" negative, each from its own reviewer.
+  function agentFeedback(agentId, pattern) {
+    return [...pattern].map((sentiment, index) => ({
+      agentId,
+      clientAddress: `0x${agentId}${index}`,
+      value: sentiment === "+" ? "1" : "0",
+      valueDecimals: 0,
+      timestamp: nowMs - (index + 1) * oneDayMs,
+    }));
+  }
+
+  const entries = [
+    ...agentFeedback("1", "-+++++++++"),
+    ...agentFeedback("2", "+-+-+-+-+-"),
+    ...agentFeedback("12", "+++"),
+  ];
+
+  it("parses variant specs into env overrides", function () {
+    const spec = "strict:NEGATIVE_FLAG_THRESHOLD_BPS=1000, DECAY_WINDOW_DAYS=14";
+    expect(parseVariantSpec(spec, "variant1")).to.deep.equal({
+      name: "strict",
+      overrides: { NEGATIVE_FLAG_THRESHOLD_BPS: "1000", DECAY_WINDOW_DAYS: "14" },
+    });
+    expect(parseVariantSpec("SCORING_MODEL=simple-ratio", "variant2")).to.deep.equal({
+      name: "variant2",
+      overrides: { SCORING_MODEL: "simple-ratio" },
+    });
+    expect(() => parseVariantSpec("strict:", "variant1")).to.throw("has no overrides");
+    expect(() => parseVariantSpec("strict:decay=1", "variant1")).to.throw("expected KEY=VALUE");
+    expect(() => parseVariantSpec("current:DECAY_WINDOW_DAYS=1", "variant1")).to.throw("Invalid variant name");
+  });
+
+  it("reports distributions, verdict migrations, and flag changes between configs", function () {
+    const configs = [
+      { name: "current" },
+      parseVariantSpec("strict:NEGATIVE_FLAG_THRESHOLD_BPS=1000,FLAGGED_SCORE_MULTIPLIER=0.5", "variant1"),
+      parseVariantSpec("simple:SCORING_MODEL=simple-ratio", "variant2"),
+    ].map((variant) => buildBacktestConfig(variant, env));
+    const report = runBacktest({ entries, configs, nowMs });
+
+    expect(report.agentCount).to.equal(3);
+    expect(report.feedbackCount).to.equal(23);
+    expect(report.configs.map((run) => run.model.name)).to.deep.equal(["weighted", "weighted", "simple-ratio"]);
+    expect(report.configs[0].results.map((result) => result.agentId)).to.deep.equal(["1", "2", "12"]);
+
+    // Agent 2 has 3 of its 6 last-week entries negative, flagged at either threshold.
+    expect(report.configs[0].summary).to.deep.equal({
+      agents: 3,
+      mean: 783.3,
+      median: 900,
+      p10: 450,
+      p90: 1000,
+      min: 450,
+      max: 1000,
+      flagged: 1,
+      verdicts: { TRUSTED: 2, CAUTION: 1, DANGEROUS: 0 },
+    });
+    expect(report.configs[1].summary.verdicts).to.deep.equal({ TRUSTED: 1, CAUTION: 1, DANGEROUS: 1 });
+
+    // Agent 1's single negative is 1/7 of its last week: 1429 bps, flagged only under "strict".
+    expect(report.comparisons[0]).to.deep.equal({
+      baseline: "current",
+      variant: "strict",
+      changedScores: 2,
+      meanScoreDelta: -216.7,
+      verdictMigrations: [
+        { from: "TRUSTED", to: "CAUTION", count: 1 },
+        { from: "CAUTION", to: "DANGEROUS", count: 1 },
+      ],
+      flagChanges: [{ agentId: "1", from: false, to: true, baselineScore: 900, variantScore: 450 }],
+    });
+    expect(report.comparisons[1]).to.include({ variant: "simple", changedScores: 1 });
+    expect(report.comparisons[1].flagChanges).to.deep.equal([]);
+
+    const text = formatBacktestReport(report);
+    expect(text).to.include("TRUSTED -> CAUTION: 1");
+    expect(text).to.include("agent 1: not flagged -> flagged (score 900 -> 450)");
+
+    expect(() => runBacktest({ entries, configs: configs.slice(0, 1), nowMs })).to.throw("at least two configs");
+  });
+
+  it("loads JSONL datasets and rejects entries without an agent", async function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "agent-trust-backtest-"));
+    const datasetPath = path.join(directory, "feedback.jsonl");
+    fs.writeFileSync(datasetPath, `${entries.map((entry) => JSON.stringify(entry)).join("\n")}\n\n`);
+    expect(await loadFeedbackDataset(datasetPath)).to.deep.equal(entries);
+
+    fs.writeFileSync(datasetPath, `${JSON.stringify({ timestamp: nowMs, value: "1" })}\n`);
+    let error;
+    try {
+      await loadFeedbackDataset(datasetPath);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error?.message).to.equal("Dataset entry 1 is missing agentId");
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});